@@ -4,6 +4,7 @@ const Product = require('../models/Product');
 const { getDB } = require('../config/database');
 const analyticsService = require('../services/analyticsService');
 const aiInsightsService = require('../services/aiInsightsService');
+const cartRecoveryService = require('../services/cartRecoveryService');
 const CustomOrder = require('../models/CustomOrder');
 const authModule = require('./auth');
 const { verifyToken } = authModule;
@@ -20,10 +21,12 @@ const getDashboardData = async () => {
   try {
     const [
       metrics,
-      recentActivity
+      recentActivity,
+      cartRecovery
     ] = await Promise.all([
       analyticsService.getDashboardMetrics(),
-      analyticsService.getRecentActivity(10)
+      analyticsService.getRecentActivity(10),
+      cartRecoveryService.getRecoveryStats(30)
     ]);
 
     // Debug: Log the original recentActivity
@@ -67,7 +70,8 @@ const getDashboardData = async () => {
     // Transform data into frontend-ready format
     const frontendReadyData = {
       metrics,
-      recentActivity: transformRecentActivityForFrontend(transformedRecentActivity)
+      recentActivity: transformRecentActivityForFrontend(transformedRecentActivity),
+      cartRecovery
     };
 
     return frontendReadyData;
@@ -1,13 +1,69 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const cartService = require('../services/cartService');
+const checkoutService = require('../services/checkoutService');
+const paymentService = require('../services/paymentService');
+const reservationService = require('../services/reservationService');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const currencyService = require('../services/currencyService');
+const { getCountryCode } = require('../utils/geolocation');
+
+// Validation schemas
+const addressSchema = Joi.object({
+  line1: Joi.string().required(),
+  line2: Joi.string().allow('').optional(),
+  city: Joi.string().required(),
+  region: Joi.string().allow('').optional(),
+  postalCode: Joi.string().required(),
+  country: Joi.string().length(2).uppercase().required()
+});
+
+const cartAddressSchema = Joi.object({
+  shippingAddress: addressSchema.required(),
+  vatNumber: Joi.string().allow('', null).optional()
+});
+
+const checkoutSchema = Joi.object({
+  idempotencyKey: Joi.string().min(8).max(128).optional(),
+  customer: Joi.object({
+    name: Joi.string().min(1).required(),
+    email: Joi.string().email().required(),
+    phone: Joi.string().allow('').optional()
+  }).required(),
+  shippingAddress: addressSchema.required(),
+  billingAddress: addressSchema.optional(),
+  vatNumber: Joi.string().allow('', null).optional(),
+  paymentMethod: Joi.string().optional(),
+  paymentProvider: Joi.string().valid(...paymentService.checkoutProviderNames).optional(),
+  currency: Joi.string().length(3).uppercase().optional(),
+  notes: Joi.string().allow('').max(1000).optional()
+});
+
+const currencySchema = Joi.object({
+  currency: Joi.string().length(3).uppercase().required()
+});
+
+const mergeSchema = Joi.object({
+  guestId: Joi.string().min(1).required()
+});
+
+const shippingMethodSchema = Joi.object({
+  methodCode: Joi.string().trim().required()
+});
 
 // GET /api/cart/:userId - Get user's cart
 router.get('/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     
-    const cart = await cartService.getCart(userId);
+    let cart = await cartService.getCart(userId);
+    
+    // New carts are shown in the shopper's local currency until they pick one
+    if (!cart.currency) {
+      const currency = await currencyService.resolveCurrency({ requested: req.query.currency, country: getCountryCode(req) });
+      cart = await cartService.setCurrency(userId, currency);
+    }
     
     res.json({
       success: true,
@@ -28,7 +84,7 @@ router.get('/:userId', async (req, res) => {
 router.post('/:userId/add', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { productId, quantity = 1, options = {} } = req.body;
+    const { productId, variantId, quantity = 1, options = {} } = req.body;
     
     if (!productId) {
       return res.status(400).json({
@@ -46,7 +102,7 @@ router.post('/:userId/add', async (req, res) => {
       });
     }
     
-    const cart = await cartService.addToCart(userId, productId, quantity, options);
+    const cart = await cartService.addToCart(userId, productId, quantity, options, variantId);
     
     res.json({
       success: true,
@@ -55,7 +111,7 @@ router.post('/:userId/add', async (req, res) => {
     });
   } catch (error) {
     console.error('Error adding to cart:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to add item to cart',
       message: error.message
@@ -108,7 +164,7 @@ router.put('/:userId/items/:itemId/quantity', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating cart item quantity:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update cart item quantity',
       message: error.message
@@ -161,7 +217,7 @@ router.post('/:userId/discount', async (req, res) => {
     });
   } catch (error) {
     console.error('Error applying discount:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to apply discount',
       message: error.message
@@ -169,12 +225,13 @@ router.post('/:userId/discount', async (req, res) => {
   }
 });
 
-// DELETE /api/cart/:userId/discount - Remove discount code
+// DELETE /api/cart/:userId/discount - Remove a discount code (?code=), or all of them
 router.delete('/:userId/discount', async (req, res) => {
   try {
     const { userId } = req.params;
+    const { code } = req.query;
     
-    const cart = await cartService.removeDiscount(userId);
+    const cart = await cartService.removeDiscount(userId, code);
     
     res.json({
       success: true,
@@ -191,6 +248,156 @@ router.delete('/:userId/discount', async (req, res) => {
   }
 });
 
+// POST /api/cart/:userId/merge - Merge a guest cart into this cart (e.g. on sign-in)
+router.post('/:userId/merge', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { error, value } = mergeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    
+    const { cart, merged, adjustments } = await cartService.mergeCarts(value.guestId, userId);
+    
+    res.json({
+      success: true,
+      data: cart,
+      merged,
+      adjustments,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error merging carts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to merge carts',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/cart/:userId/address - Set the shipping destination used for tax and shipping
+router.put('/:userId/address', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { error, value } = cartAddressSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    
+    const cart = await cartService.setAddress(userId, value.shippingAddress, value.vatNumber);
+    
+    res.json({
+      success: true,
+      data: cart,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error setting cart address:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to set cart address',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/cart/:userId/currency - Choose the currency the cart is shown and charged in
+router.put('/:userId/currency', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { error, value } = currencySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    
+    const cart = await cartService.setCurrency(userId, value.currency);
+    
+    res.json({
+      success: true,
+      data: cart,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error setting cart currency:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to set cart currency',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// GET /api/cart/:userId/shipping-options - Get shipping methods for the cart's destination
+router.get('/:userId/shipping-options', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { country } = req.query;
+    
+    const shippingOptions = await cartService.getShippingOptions(userId, country);
+    
+    res.json({
+      success: true,
+      data: shippingOptions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching shipping options:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch shipping options',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/cart/:userId/shipping-method - Choose a shipping method
+router.put('/:userId/shipping-method', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { error, value } = shippingMethodSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    
+    const cart = await cartService.setShippingMethod(userId, value.methodCode);
+    
+    res.json({
+      success: true,
+      data: cart,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error setting shipping method:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to set shipping method',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/cart/:userId/summary - Get cart summary
 router.get('/:userId/summary', async (req, res) => {
   try {
@@ -235,6 +442,117 @@ router.post('/:userId/validate', async (req, res) => {
   }
 });
 
+// GET /api/cart/:userId/reservations - Get stock held for the cart
+router.get('/:userId/reservations', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const reservations = await reservationService.getCartReservations(userId);
+    
+    res.json({
+      success: true,
+      data: reservations.map(reservation => ({
+        itemId: reservation.cartItemId,
+        productId: reservation.productId,
+        quantity: reservation.quantity,
+        expiresAt: reservation.expiresAt
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching cart reservations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cart reservations',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/cart/:userId/checkout - Turn the cart into an order
+router.post('/:userId/checkout', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const { error, value } = checkoutSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    
+    const idempotencyKey = req.get('Idempotency-Key') || value.idempotencyKey;
+    
+    if (!idempotencyKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Idempotency key is required',
+        message: 'Send an Idempotency-Key header so retries do not create duplicate orders'
+      });
+    }
+    
+    const { order, created, payment } = await checkoutService.checkout(userId, idempotencyKey, value);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: {
+        id: order._id.toString(),
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        items: order.items,
+        subtotal: order.subtotal,
+        tax: order.tax,
+        shipping: order.shipping,
+        discount: order.discount,
+        discounts: order.discounts,
+        totalAmount: order.totalAmount,
+        currency: order.currency,
+        exchangeRate: order.exchangeRate || 1,
+        settlement: order.settlement || null,
+        payment: paymentService.toClientView(payment),
+        createdAt: order.createdAt
+      },
+      replayed: !created,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to check out cart',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// POST /api/cart/recover/:token - Restore an abandoned cart from a recovery link
+router.post('/recover/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    const { cart, coupon, unavailable } = await cartRecoveryService.restore(token);
+    
+    res.json({
+      success: true,
+      data: cart,
+      coupon,
+      unavailable,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error restoring cart:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to restore cart',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/cart/clear-cache - Clear cart cache
 router.post('/clear-cache', async (req, res) => {
   try {
@@ -0,0 +1,70 @@
+jest.mock('../config/database');
+
+const express = require('express');
+const request = require('supertest');
+const { resetDB } = require('../config/database');
+const cartService = require('../services/cartService');
+const { createHttpError } = require('../utils/httpError');
+const cartRouter = require('./cart');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cart', cartRouter);
+
+describe('cart routes', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /api/cart/:userId/shipping-method', () => {
+    it('refuses a missing or non-text method code before touching the cart', async () => {
+      jest.spyOn(cartService, 'setShippingMethod');
+
+      const missing = await request(app).put('/api/cart/user-1/shipping-method').send({});
+      const numeric = await request(app).put('/api/cart/user-1/shipping-method').send({ methodCode: 42 });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body).toMatchObject({ error: 'Validation error', details: '"methodCode" is required' });
+      expect(numeric.status).toBe(400);
+      expect(cartService.setShippingMethod).not.toHaveBeenCalled();
+    });
+
+    it('passes the trimmed method code on', async () => {
+      jest.spyOn(cartService, 'setShippingMethod').mockResolvedValue({ id: 'cart-user-1' });
+
+      const res = await request(app).put('/api/cart/user-1/shipping-method').send({ methodCode: ' express ' });
+
+      expect(res.status).toBe(200);
+      expect(cartService.setShippingMethod).toHaveBeenCalledWith('user-1', 'express');
+    });
+  });
+
+  describe('PUT /api/cart/:userId/address', () => {
+    it('answers with the status the service failed with', async () => {
+      jest.spyOn(cartService, 'setAddress').mockRejectedValue(createHttpError('VAT number GR123 is not valid', 400));
+
+      const res = await request(app).put('/api/cart/user-1/address').send({
+        shippingAddress: { line1: '1 Main St', city: 'Athens', postalCode: '10558', country: 'GR' },
+        vatNumber: 'GR123'
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ error: 'Failed to set cart address', message: 'VAT number GR123 is not valid' });
+    });
+  });
+
+  describe('GET /api/cart/:userId/shipping-options', () => {
+    it('answers with the status the service failed with', async () => {
+      jest.spyOn(cartService, 'getShippingOptions').mockRejectedValue(createHttpError('No shipping zone covers XX', 404));
+
+      const res = await request(app).get('/api/cart/user-1/shipping-options').query({ country: 'XX' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all cart recovery routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid recovery ID'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/cart-recoveries - Recovery queue for email tooling
+router.get('/', async (req, res) => {
+  try {
+    const { status, userId, page, limit } = req.query;
+
+    const result = await cartRecoveryService.getRecoveries({ status, userId, page, limit });
+
+    res.json({
+      success: true,
+      data: result.recoveries,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching cart recoveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cart recoveries',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/cart-recoveries/stats - Abandonment and recovery rate
+router.get('/stats', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const stats = await cartRecoveryService.getRecoveryStats(days);
+
+    res.json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching cart recovery stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cart recovery stats',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/cart-recoveries/detect - Run abandoned cart detection now
+router.post('/detect', async (req, res) => {
+  try {
+    const recoveries = await cartRecoveryService.detectAbandoned();
+
+    res.json({
+      success: true,
+      data: {
+        abandoned: recoveries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error detecting abandoned carts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detect abandoned carts',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/cart-recoveries/:id/sent - Mark a recovery email as sent
+router.post('/:id/sent', validateId, async (req, res) => {
+  try {
+    const recovery = await cartRecoveryService.markSent(req.params.id);
+
+    if (!recovery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending recovery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: recovery,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error marking cart recovery as sent:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark cart recovery as sent',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const currencyService = require('../services/currencyService');
+const { getCountryCode } = require('../utils/geolocation');
+
+// GET /api/currencies - Currencies shoppers can pay in, and the one we would pick for this shopper
+router.get('/', async (req, res) => {
+  try {
+    const [currencies, detected] = await Promise.all([
+      currencyService.getCurrencies(),
+      currencyService.resolveCurrency({ requested: req.query.currency, country: getCountryCode(req) })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: currencyService.baseCurrency,
+        detected,
+        currencies: currencies
+          .filter(currency => currency.enabled)
+          .map(({ currency, rate, updatedAt }) => ({ currency, rate, updatedAt: updatedAt || null }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch currencies',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
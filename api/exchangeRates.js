@@ -0,0 +1,104 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const currencyService = require('../services/currencyService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all exchange rate routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const exchangeRateSchema = Joi.object({
+  rate: Joi.number().positive().required(),
+  enabled: Joi.boolean().default(true),
+  source: Joi.string().max(100).default('manual')
+});
+
+// Reject anything that is not an ISO 4217 code
+const validateCurrency = (req, res, next) => {
+  if (!/^[A-Za-z]{3}$/.test(req.params.currency)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid currency code'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/exchange-rates - List the base currency and every rate
+router.get('/', async (req, res) => {
+  try {
+    const currencies = await currencyService.getCurrencies();
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: currencyService.baseCurrency,
+        currencies
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rates',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/exchange-rates/:currency/history - Rates a currency has had
+router.get('/:currency/history', validateCurrency, async (req, res) => {
+  try {
+    const history = await currencyService.getRateHistory(req.params.currency, req.query);
+
+    res.json({
+      success: true,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rate history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rate history',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/exchange-rates/:currency - Set the rate from the base currency, or disable the currency
+router.put('/:currency', validateCurrency, async (req, res) => {
+  try {
+    const { error, value } = exchangeRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rate = await currencyService.setRate(req.params.currency, value, req.user.username || req.user.email);
+
+    res.json({
+      success: true,
+      data: rate,
+      message: 'Exchange rate updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating exchange rate:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update exchange rate',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -13,6 +13,14 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all file routes
+router.use(verifyToken);
+router.use(authRateLimit);
 
 // Configure Cloudinary
 cloudinary.config({
@@ -41,6 +49,67 @@ const upload = multer({
   }
 });
 
+// Turn multer errors (too large, too many files, wrong type) into 400s instead of server errors
+const uploadFiles = (req, res, next) => {
+  upload.array('files', 10)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload rejected',
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+// Validation schemas
+const folderSchema = Joi.string().pattern(/^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/).max(100);
+
+const uploadSchema = Joi.object({
+  folder: folderSchema.default('uploads'),
+  generateThumbnails: Joi.boolean().default(true)
+});
+
+const optimizeSchema = Joi.object({
+  options: Joi.object({
+    maxWidth: Joi.number().integer().min(1).max(5000),
+    maxHeight: Joi.number().integer().min(1).max(5000),
+    quality: Joi.number().integer().min(1).max(100),
+    progressive: Joi.boolean()
+  }).default({})
+});
+
+const thumbnailSchema = Joi.object({
+  folder: folderSchema.default('thumbnails')
+});
+
+const deleteSchema = Joi.object({
+  publicIds: Joi.array().items(Joi.string().max(255)).min(1).max(100).required()
+});
+
+// Multipart bodies carry nested options as a JSON string
+const parseOptions = (req, res, next) => {
+  if (typeof req.body.options === 'string') {
+    try {
+      req.body.options = JSON.parse(req.body.options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: '"options" must be a JSON object'
+      });
+    }
+  }
+  next();
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  details: error.details[0].message
+});
+
 // File processing configurations
 const processingConfig = {
   // Image optimization settings
@@ -145,8 +214,8 @@ const uploadToCloudinary = async (buffer, folder, publicId) => {
   });
 };
 
-// POST /api/file-processing/upload - Upload and process files
-router.post('/upload', upload.array('files', 10), async (req, res) => {
+// POST /api/files/upload - Upload and process files
+router.post('/upload', uploadFiles, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -155,7 +224,12 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
       });
     }
 
-    const { folder = 'uploads', generateThumbnails: createThumbnails = true } = req.body;
+    const { error, value } = uploadSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { folder, generateThumbnails: createThumbnails } = value;
     const processedFiles = [];
     const errors = [];
 
@@ -197,7 +271,7 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
         };
 
         // Generate thumbnails if requested
-        if (createThumbnails === 'true' || createThumbnails === true) {
+        if (createThumbnails) {
           const thumbnails = await generateThumbnails(optimizedBuffer);
           const thumbnailUrls = {};
           
@@ -248,8 +322,8 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// POST /api/file-processing/optimize - Optimize existing images
-router.post('/optimize', upload.array('files', 10), async (req, res) => {
+// POST /api/files/optimize - Optimize existing images
+router.post('/optimize', uploadFiles, parseOptions, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -258,7 +332,12 @@ router.post('/optimize', upload.array('files', 10), async (req, res) => {
       });
     }
 
-    const { options = {} } = req.body;
+    const { error, value } = optimizeSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { options } = value;
     const optimizedFiles = [];
 
     for (const file of req.files) {
@@ -298,8 +377,8 @@ router.post('/optimize', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// POST /api/file-processing/thumbnails - Generate thumbnails for images
-router.post('/thumbnails', upload.array('files', 10), async (req, res) => {
+// POST /api/files/thumbnails - Generate thumbnails for images
+router.post('/thumbnails', uploadFiles, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -308,7 +387,12 @@ router.post('/thumbnails', upload.array('files', 10), async (req, res) => {
       });
     }
 
-    const { folder = 'thumbnails' } = req.body;
+    const { error, value } = thumbnailSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { folder } = value;
     const thumbnailResults = [];
 
     for (const file of req.files) {
@@ -355,18 +439,16 @@ router.post('/thumbnails', upload.array('files', 10), async (req, res) => {
   }
 });
 
-// DELETE /api/file-processing/delete - Delete files from Cloudinary
+// DELETE /api/files/delete - Delete files from Cloudinary
 router.delete('/delete', async (req, res) => {
   try {
-    const { publicIds } = req.body;
-    
-    if (!publicIds || !Array.isArray(publicIds) || publicIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Public IDs array is required'
-      });
+    const { error, value } = deleteSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
     }
 
+    const { publicIds } = value;
+
     const deletionResults = [];
     
     for (const publicId of publicIds) {
@@ -405,7 +487,7 @@ router.delete('/delete', async (req, res) => {
   }
 });
 
-// GET /api/file-processing/config - Get file processing configuration
+// GET /api/files/config - Get file processing configuration
 router.get('/config', (req, res) => {
   try {
     res.json({
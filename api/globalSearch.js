@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const currencyService = require('../services/currencyService');
+const { formatMoney } = require('../utils/currency');
 
 // Helper function to search data
 const searchData = (query, dataArray) => {
@@ -58,7 +60,7 @@ router.get('/global', async (req, res) => {
             id: product._id.toString(),
             type: 'product',
             title: product.name,
-            subtitle: `${product.brand?.name || 'Unknown'} • ${product.category || 'Other'} • €${product.price || 0}`,
+            subtitle: `${product.brand?.name || 'Unknown'} • ${product.category || 'Other'} • ${formatMoney(product.price, currencyService.baseCurrency)}`,
             description: product.description || '',
             metadata: {
               brand: product.brand?.name || 'Unknown',
@@ -129,7 +131,7 @@ router.get('/global', async (req, res) => {
             id: order._id.toString(),
             type: 'order',
             title: order.orderNumber || `Order ${order._id.toString().slice(-6)}`,
-            subtitle: `${order.customer?.name || 'Unknown Customer'} • €${order.totalAmount || 0}`,
+            subtitle: `${order.customer?.name || 'Unknown Customer'} • ${formatMoney(order.totalAmount, order.currency || currencyService.baseCurrency)}`,
             description: `Status: ${order.status || 'pending'} • Payment: ${order.paymentStatus || 'pending'}`,
             metadata: {
               status: order.status || 'pending',
@@ -164,7 +166,7 @@ router.get('/global', async (req, res) => {
             id: payment._id.toString(),
             type: 'payment',
             title: payment.transactionId || `Payment ${payment._id.toString().slice(-6)}`,
-            subtitle: `${payment.customer?.name || 'Unknown Customer'} • €${payment.amount || 0}`,
+            subtitle: `${payment.customer?.name || 'Unknown Customer'} • ${formatMoney(payment.amount, payment.currency || currencyService.baseCurrency)}`,
             description: `Status: ${payment.status || 'pending'} • Method: ${payment.method || 'unknown'}`,
             metadata: {
               status: payment.status || 'pending',
@@ -200,7 +202,7 @@ router.get('/global', async (req, res) => {
             id: refund._id.toString(),
             type: 'refund',
             title: refund.refundId || `Refund ${refund._id.toString().slice(-6)}`,
-            subtitle: `${refund.customer?.name || 'Unknown Customer'} • €${refund.amount || 0}`,
+            subtitle: `${refund.customer?.name || 'Unknown Customer'} • ${formatMoney(refund.amount, refund.currency || currencyService.baseCurrency)}`,
             description: `Status: ${refund.status || 'pending'} • Reason: ${refund.reason || 'No reason provided'}`,
             metadata: {
               status: refund.status || 'pending',
@@ -4,6 +4,7 @@ const insightsService = require('../services/insightsService');
 const realDataInsightsService = require('../services/realDataInsightsService');
 const comprehensiveDataService = require('../services/comprehensiveDataService');
 const aiInsightsGenerator = require('../services/aiInsightsGenerator');
+const returnService = require('../services/returnService');
 
 // GET /api/insights - Get comprehensive AI-powered insights
 router.get('/', async (req, res) => {
@@ -187,6 +188,31 @@ router.get('/strategic-recommendations', async (req, res) => {
   }
 });
 
+// GET /api/insights/returns - Return reason analytics with the insights drawn from them
+router.get('/returns', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 90;
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const analytics = await returnService.getReasonAnalytics({ from });
+
+    res.json({
+      success: true,
+      data: {
+        analytics,
+        insights: aiInsightsGenerator.generateReturnInsights(analytics)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error generating return insights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate return insights',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/insights/clear-cache - Clear insights cache
 router.post('/clear-cache', async (req, res) => {
   try {
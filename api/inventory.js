@@ -1,8 +1,12 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
+const { ObjectId } = require('mongodb');
 const Inventory = require('../models/Inventory');
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
+const warehouseService = require('../services/warehouseService');
+const stockLedgerService = require('../services/stockLedgerService');
 const { getDB } = require('../config/database');
 const authModule = require('./auth');
 const { verifyToken } = authModule;
@@ -12,6 +16,112 @@ const authRateLimit = require('../middleware/authRateLimit');
 router.use(verifyToken);
 router.use(authRateLimit);
 
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const supplierRefSchema = Joi.object({
+  id: objectId.required(),
+  name: Joi.string().max(200),
+  sku: Joi.string().max(100),
+  leadTime: Joi.number().integer().min(0)
+});
+
+const locationSchema = Joi.object({
+  warehouse: Joi.string().max(100).required(),
+  zone: Joi.string().max(100),
+  shelf: Joi.string().max(100),
+  bin: Joi.string().max(100)
+});
+
+// Stock moves between warehouses through transfers, so an update cannot re-home a record
+const locationUpdateSchema = locationSchema.fork('warehouse', schema => schema.forbidden());
+
+const inventoryFields = {
+  minStockLevel: Joi.number().integer().min(0),
+  maxStockLevel: Joi.number().integer().min(0),
+  reorderPoint: Joi.number().integer().min(0),
+  reorderQuantity: Joi.number().integer().min(1),
+  cost: Joi.number().min(0),
+  sellingPrice: Joi.number().min(0),
+  supplier: supplierRefSchema,
+  location: locationSchema
+};
+
+const inventoryCreateSchema = Joi.object({
+  productId: objectId.required(),
+  variantId: objectId.required(),
+  sku: Joi.string().trim().max(100).required(),
+  currentStock: Joi.number().integer().min(0).default(0),
+  ...inventoryFields,
+  cost: inventoryFields.cost.required(),
+  sellingPrice: inventoryFields.sellingPrice.required()
+});
+
+// Stock levels only change through movements, so they cannot be set here
+const inventoryUpdateSchema = Joi.object({
+  sku: Joi.string().trim().max(100),
+  status: Joi.string().valid('active', 'inactive', 'discontinued'),
+  ...inventoryFields,
+  location: locationUpdateSchema
+}).min(1);
+
+const movementSchema = Joi.object({
+  type: Joi.string().valid('in', 'out', 'reserved', 'unreserved').required(),
+  quantity: Joi.number().integer().min(1).required(),
+  reason: Joi.string().max(200).required(),
+  // What the movement belongs to, e.g. an order number or RMA number
+  referenceType: Joi.string().valid(...stockLedgerService.referenceTypes).default('adjustment'),
+  reference: Joi.string().max(200).allow(''),
+  performedBy: Joi.string().max(200),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const movementsQuerySchema = Joi.object({
+  type: Joi.string().valid('in', 'out', 'reserved', 'unreserved', 'adjustment', 'in_transit'),
+  referenceType: Joi.string().valid(...stockLedgerService.referenceTypes),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const availabilityQuerySchema = Joi.object({
+  productId: objectId.required(),
+  variantId: objectId
+});
+
+const bulkUpdateSchema = Joi.object({
+  updates: Joi.array().items(Joi.object({
+    id: objectId.required(),
+    data: inventoryUpdateSchema.required()
+  })).min(1).max(500).required()
+});
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid inventory ID'
+    });
+  }
+  next();
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  details: error.details[0].message
+});
+
+// Supplier references are stored with an ObjectId so the supplier filter can match them
+const withSupplierId = data => data.supplier
+  ? { ...data, supplier: { ...data.supplier, id: new ObjectId(data.supplier.id) } }
+  : data;
+
+// A partial location update keeps the record in its warehouse
+const keepWarehouse = (inventory, data) => data.location
+  ? { ...data, location: { ...data.location, warehouse: inventory.location.warehouse } }
+  : data;
+
 // GET /api/inventory - Get all inventory items with filters
 router.get('/', async (req, res) => {
   try {
@@ -25,16 +135,25 @@ router.get('/', async (req, res) => {
       lowStock,
       outOfStock,
       supplierId,
+      warehouse,
       sortBy = 'updatedAt',
       sortOrder = 'desc'
     } = req.query;
 
+    if (supplierId && !ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid supplier ID'
+      });
+    }
+
     const filters = {};
     
     if (status) filters.status = status;
     if (lowStock === 'true') filters.lowStock = true;
     if (outOfStock === 'true') filters.outOfStock = true;
     if (supplierId) filters.supplierId = supplierId;
+    if (warehouse) filters.warehouse = warehouse;
 
     const inventory = await Inventory.findAll(filters);
     
@@ -80,7 +199,8 @@ router.get('/', async (req, res) => {
           status,
           lowStock,
           outOfStock,
-          supplierId
+          supplierId,
+          warehouse
         }
       },
       timestamp: new Date().toISOString()
@@ -95,8 +215,53 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/inventory/:id - Get inventory item by ID
-router.get('/:id', async (req, res) => {
+// GET /api/inventory/availability - Stock for a product or variant summed across warehouses
+router.get('/availability', async (req, res) => {
+  try {
+    const { error, value } = availabilityQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const availability = await warehouseService.getAvailability(value.productId, value.variantId);
+
+    res.json({
+      success: true,
+      data: availability,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch availability',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/inventory/ledger/drift - Records whose balances no longer match the stock ledger
+router.get('/ledger/drift', async (req, res) => {
+  try {
+    const result = await stockLedgerService.findDrift();
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking stock ledger drift:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check stock ledger drift',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/inventory/:id - Get inventory item by ID, with its latest stock movements
+router.get('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -109,9 +274,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const { movements } = await stockLedgerService.getMovements(new ObjectId(id), { limit: 20 });
+
     res.json({
       success: true,
-      data: inventory,
+      data: { ...inventory, stockMovements: movements },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -129,6 +296,11 @@ router.post('/', async (req, res) => {
   try {
     console.log('📦 Creating new inventory item');
     
+    const { error, value } = inventoryCreateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
     const {
       productId,
       variantId,
@@ -142,29 +314,25 @@ router.post('/', async (req, res) => {
       sellingPrice,
       supplier,
       location
-    } = req.body;
+    } = withSupplierId(value);
 
-    // Validate required fields
-    if (!productId || !variantId || !sku || cost === undefined || sellingPrice === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: productId, variantId, sku, cost, sellingPrice'
-      });
-    }
+    const warehouse = location ? location.warehouse : warehouseService.defaultWarehouse;
+    await warehouseService.requireActive(warehouse);
 
-    // Check if SKU already exists
-    const existingInventory = await Inventory.findBySku(sku);
+    // Each warehouse keeps one record per SKU
+    const existingInventory = await Inventory.findBySku(sku, warehouse);
     if (existingInventory) {
       return res.status(400).json({
         success: false,
-        error: 'SKU already exists'
+        error: `SKU already exists in warehouse ${warehouse}`
       });
     }
 
     // Create new inventory item
+    // Stored as ObjectIds, which is how stock holds look records up
     const inventory = new Inventory({
-      productId,
-      variantId,
+      productId: new ObjectId(productId),
+      variantId: new ObjectId(variantId),
       sku,
       currentStock: currentStock || 0,
       minStockLevel: minStockLevel || 10,
@@ -174,7 +342,7 @@ router.post('/', async (req, res) => {
       cost,
       sellingPrice,
       supplier: supplier || {},
-      location: location || { warehouse: 'main' }
+      location: location || { warehouse }
     });
 
     await inventory.save();
@@ -188,7 +356,7 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating inventory item:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create inventory item',
       message: error.message
@@ -197,10 +365,15 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/inventory/:id - Update inventory item
-router.put('/:id', async (req, res) => {
+router.put('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+
+    const { error, value } = inventoryUpdateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+    const updateData = withSupplierId(value);
     
     const inventory = await Inventory.findById(id);
     
@@ -211,7 +384,7 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    await inventory.update(updateData);
+    await inventory.update(keepWarehouse(inventory, updateData));
     await inventory.checkAlerts();
 
     res.json({
@@ -230,11 +403,42 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// GET /api/inventory/:id/movements - Page through a record's stock ledger (?type=, ?referenceType=)
+router.get('/:id/movements', validateId, async (req, res) => {
+  try {
+    const { error, value } = movementsQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const result = await stockLedgerService.getMovements(new ObjectId(req.params.id), value);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock movements',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/inventory/:id/movement - Add stock movement
-router.post('/:id/movement', async (req, res) => {
+router.post('/:id/movement', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const { type, quantity, reason, reference, performedBy, notes } = req.body;
+
+    const { error, value } = movementSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+    const { type, quantity, reason, referenceType, reference, notes } = value;
+    const performedBy = value.performedBy || req.user.username || req.user.email;
     
     const inventory = await Inventory.findById(id);
     
@@ -245,19 +449,11 @@ router.post('/:id/movement', async (req, res) => {
       });
     }
 
-    // Validate movement data
-    if (!type || !quantity || !reason || !performedBy) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: type, quantity, reason, performedBy'
-      });
-    }
-
     const movement = {
       type,
-      quantity: parseInt(quantity),
+      quantity,
       reason,
-      reference,
+      reference: { type: referenceType, id: reference || null },
       performedBy,
       notes
     };
@@ -273,7 +469,7 @@ router.post('/:id/movement', async (req, res) => {
     });
   } catch (error) {
     console.error('Error adding stock movement:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to add stock movement',
       message: error.message
@@ -329,14 +525,11 @@ router.get('/analytics/overview', async (req, res) => {
 // POST /api/inventory/bulk-update - Bulk update inventory items
 router.post('/bulk-update', async (req, res) => {
   try {
-    const { updates } = req.body;
-    
-    if (!Array.isArray(updates) || updates.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Updates array is required'
-      });
+    const { error, value } = bulkUpdateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
     }
+    const { updates } = value;
 
     const results = [];
     
@@ -344,7 +537,7 @@ router.post('/bulk-update', async (req, res) => {
       try {
         const inventory = await Inventory.findById(update.id);
         if (inventory) {
-          await inventory.update(update.data);
+          await inventory.update(keepWarehouse(inventory, withSupplierId(update.data)));
           await inventory.checkAlerts();
           results.push({ id: update.id, success: true });
         } else {
@@ -372,7 +565,7 @@ router.post('/bulk-update', async (req, res) => {
 });
 
 // DELETE /api/inventory/:id - Delete inventory item
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
     
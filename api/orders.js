@@ -1,7 +1,226 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const reservationService = require('../services/reservationService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const shipmentService = require('../services/shipmentService');
+const orderDocumentService = require('../services/orderDocumentService');
+const orderExportService = require('../services/orderExportService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+const rateLimits = require('../middleware/rateLimiting');
+
+// Validation schemas
+const shipmentSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).required(),
+  warehouse: Joi.string().optional(),
+  carrier: Joi.string().optional(),
+  trackingNumber: Joi.string().optional(),
+  estimatedDelivery: Joi.date().optional()
+});
+
+const orderLookupSchema = Joi.object({
+  orderNumber: Joi.string().trim().required(),
+  email: Joi.string().email().required()
+});
+
+// Same filters as GET /api/orders
+const orderExportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx', 'ndjson').default('csv'),
+  flattenItems: Joi.boolean().default(false),
+  search: Joi.string().trim().allow('').optional(),
+  status: Joi.string().optional(),
+  paymentStatus: Joi.string().optional(),
+  dateFrom: Joi.date().optional(),
+  dateTo: Joi.date().optional(),
+  minAmount: Joi.number().min(0).optional(),
+  maxAmount: Joi.number().min(0).optional(),
+  sortBy: Joi.string().valid('createdAt', 'totalAmount', 'orderNumber', 'status').default('createdAt'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+});
+
+const shipmentUpdateSchema = Joi.object({
+  carrier: Joi.string().optional(),
+  trackingNumber: Joi.string().optional(),
+  estimatedDelivery: Joi.date().allow(null).optional(),
+  status: Joi.string().valid('shipped', 'in_transit', 'delivered').optional()
+}).min(1);
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid order ID'
+    });
+  }
+  next();
+};
+
+// Build the MongoDB query for the order list filters
+const buildOrderQuery = ({ search, status, paymentStatus, dateFrom, dateTo, minAmount, maxAmount }) => {
+  const query = {};
+
+  // Search filter
+  if (search) {
+    query.$or = [
+      { orderNumber: { $regex: search, $options: 'i' } },
+      { 'customer.name': { $regex: search, $options: 'i' } },
+      { 'customer.email': { $regex: search, $options: 'i' } },
+      { 'seller.name': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
+
+  // Payment status filter
+  if (paymentStatus) {
+    query.paymentStatus = paymentStatus;
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  // Amount range filter
+  if (minAmount || maxAmount) {
+    query.totalAmount = {};
+    if (minAmount) query.totalAmount.$gte = parseFloat(minAmount);
+    if (maxAmount) query.totalAmount.$lte = parseFloat(maxAmount);
+  }
+
+  return query;
+};
+
+// Fetch one sorted page of orders matching a query
+const findOrderPage = async (ordersCollection, query, { sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 20 }) => {
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  // Build sort object
+  const sort = {};
+  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+  // Get orders from database
+  const orders = await ordersCollection
+    .find(query)
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .toArray();
+
+  // Get total count for pagination
+  const total = await ordersCollection.countDocuments(query);
+
+  return {
+    orders,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  };
+};
+
+// Where a refund stands overall, from the order's refund requests
+const refundStatusFor = (order, refunds) => {
+  const active = refunds.filter(refund => refund.status !== 'rejected' && refund.status !== 'failed');
+  if (active.length === 0) {
+    return 'none';
+  }
+  if (active.some(refund => ['pending', 'approved', 'processing'].includes(refund.status))) {
+    return 'pending';
+  }
+  const refunded = active.reduce((sum, refund) => sum + (refund.amount || 0), 0);
+  return refunded >= (order.totalAmount || 0) ? 'refunded' : 'partially_refunded';
+};
+
+// What a customer may see of their order: no seller internals, payment fees or stock bookkeeping
+const toCustomerView = (order, refunds = []) => ({
+  id: order._id.toString(),
+  orderNumber: order.orderNumber || `ORD-${order._id.toString().slice(-6)}`,
+  status: order.status || 'pending',
+  statusHistory: (order.statusHistory || []).map(entry => ({ status: entry.to, at: entry.at })),
+  paymentStatus: order.paymentStatus || 'pending',
+  items: (order.items || []).map(item => ({
+    id: item.id,
+    productId: item.productId,
+    variantId: item.variantId || null,
+    name: item.name,
+    image: item.image,
+    options: item.options || {},
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    total: item.total,
+    discountAmount: item.discountAmount || 0
+  })),
+  subtotal: order.subtotal || 0,
+  tax: order.tax || 0,
+  taxLines: order.taxLines || [],
+  shipping: order.shipping || 0,
+  shippingMethod: order.shippingMethod || null,
+  discount: order.discount || 0,
+  discounts: (order.discounts || []).map(discount => ({ code: discount.code, name: discount.name, amount: discount.amount })),
+  totalAmount: order.totalAmount || 0,
+  currency: order.currency || 'EUR',
+  shippingAddress: order.shippingAddress || {},
+  billingAddress: order.billingAddress || {},
+  shipments: (order.shipments || []).map(shipment => ({
+    id: shipment.id,
+    items: shipment.items,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    status: shipment.status,
+    estimatedDelivery: shipment.estimatedDelivery || null,
+    shippedAt: shipment.shippedAt || null,
+    deliveredAt: shipment.deliveredAt || null
+  })),
+  trackingNumber: order.trackingNumber || '',
+  trackingTimeline: (order.trackingTimeline || []).map(event => ({
+    shipmentId: event.shipmentId,
+    trackingNumber: event.trackingNumber,
+    carrier: event.carrier,
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    occurredAt: event.occurredAt
+  })),
+  refundStatus: refundStatusFor(order, refunds),
+  refunds: refunds.map(refund => ({
+    amount: refund.amount,
+    status: refund.status,
+    requestedAt: refund.requestedAt,
+    processedAt: refund.processedAt || null
+  })),
+  createdAt: order.createdAt || new Date(),
+  deliveredAt: order.deliveredAt || null
+});
+
+// Refund requests for a set of orders, grouped by order ID
+const refundsByOrder = async (db, orders) => {
+  const refunds = await db.collection('refunds')
+    .find({ orderId: { $in: orders.map(order => order._id.toString()) } })
+    .sort({ requestedAt: 1 })
+    .toArray();
+
+  return refunds.reduce((acc, refund) => {
+    (acc[refund.orderId] = acc[refund.orderId] || []).push(refund);
+    return acc;
+  }, {});
+};
 
 // GET /api/orders - Get orders with filtering, sorting, and pagination
 router.get('/', async (req, res) => {
@@ -13,11 +232,7 @@ router.get('/', async (req, res) => {
       dateFrom,
       dateTo,
       minAmount,
-      maxAmount,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
+      maxAmount
     } = req.query;
 
     console.log('📦 Fetching orders from database');
@@ -25,60 +240,8 @@ router.get('/', async (req, res) => {
     const db = await getDB();
     const ordersCollection = db.collection('orders');
 
-    // Build query filters
-    let query = {};
-
-    // Search filter
-    if (search) {
-      query.$or = [
-        { orderNumber: { $regex: search, $options: 'i' } },
-        { 'customer.name': { $regex: search, $options: 'i' } },
-        { 'customer.email': { $regex: search, $options: 'i' } },
-        { 'seller.name': { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Status filter
-    if (status) {
-      query.status = status;
-    }
-
-    // Payment status filter
-    if (paymentStatus) {
-      query.paymentStatus = paymentStatus;
-    }
-
-    // Date range filter
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) query.createdAt.$lte = new Date(dateTo);
-    }
-
-    // Amount range filter
-    if (minAmount || maxAmount) {
-      query.totalAmount = {};
-      if (minAmount) query.totalAmount.$gte = parseFloat(minAmount);
-      if (maxAmount) query.totalAmount.$lte = parseFloat(maxAmount);
-    }
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Get orders from database
-    const orders = await ordersCollection
-      .find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
-
-    // Get total count for pagination
-    const total = await ordersCollection.countDocuments(query);
+    const query = buildOrderQuery(req.query);
+    const { orders, pagination } = await findOrderPage(ordersCollection, query, req.query);
 
     // Transform orders to match expected format
     const transformedOrders = orders.map(order => ({
@@ -102,6 +265,7 @@ router.get('/', async (req, res) => {
       paymentMethod: order.paymentMethod || 'credit_card',
       subtotal: order.subtotal || 0,
       tax: order.tax || 0,
+      taxLines: order.taxLines || [],
       shipping: order.shipping || 0,
       discount: order.discount || 0,
       totalAmount: order.totalAmount || 0,
@@ -120,12 +284,7 @@ router.get('/', async (req, res) => {
       success: true,
       data: {
         orders: transformedOrders,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
+        pagination,
         filters: {
           search,
           status,
@@ -148,6 +307,106 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/orders/mine - The signed-in customer's order history
+router.get('/mine', verifyToken, authRateLimit, async (req, res) => {
+  try {
+    const db = await getDB();
+    const ordersCollection = db.collection('orders');
+
+    // Same filters as the admin list, limited to the customer's own orders
+    const query = { $and: [buildOrderQuery(req.query), { 'customer.id': String(req.user.id) }] };
+
+    const { orders, pagination } = await findOrderPage(ordersCollection, query, req.query);
+    const refunds = await refundsByOrder(db, orders);
+
+    res.json({
+      success: true,
+      data: {
+        orders: orders.map(order => toCustomerView(order, refunds[order._id.toString()])),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch orders',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/orders/lookup - Guest lookup by order number and email
+router.post('/lookup', rateLimits.strict, async (req, res) => {
+  try {
+    const { error, value } = orderLookupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const db = await getDB();
+    const order = await db.collection('orders').findOne({ orderNumber: value.orderNumber });
+
+    // The same answer for a wrong number and a wrong email, so neither can be probed
+    if (!order || String(order.customer?.email || '').toLowerCase() !== value.email.toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        error: 'No order found for that order number and email'
+      });
+    }
+
+    const refunds = await refundsByOrder(db, [order]);
+
+    res.json({
+      success: true,
+      data: toCustomerView(order, refunds[order._id.toString()])
+    });
+
+  } catch (error) {
+    console.error('Error looking up order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up order',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/orders/export - Stream orders matching the list filters as CSV, XLSX or NDJSON
+router.post('/export', verifyToken, async (req, res) => {
+  try {
+    const { error, value } = orderExportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    await orderExportService.exportOrders(buildOrderQuery(value), value, res);
+
+  } catch (error) {
+    console.error('Error exporting orders:', error);
+
+    // Once rows are on the wire the only honest signal left is a broken download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export orders',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/orders/:id - Get order by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -188,6 +447,7 @@ router.get('/:id', async (req, res) => {
       paymentMethod: order.paymentMethod || 'credit_card',
       subtotal: order.subtotal || 0,
       tax: order.tax || 0,
+      taxLines: order.taxLines || [],
       shipping: order.shipping || 0,
       discount: order.discount || 0,
       totalAmount: order.totalAmount || 0,
@@ -198,6 +458,11 @@ router.get('/:id', async (req, res) => {
       trackingNumber: order.trackingNumber || '',
       estimatedDelivery: order.estimatedDelivery || null,
       deliveredAt: order.deliveredAt || null,
+      shippedAt: order.shippedAt || null,
+      shipments: order.shipments || [],
+      cancelledAt: order.cancelledAt || null,
+      statusHistory: order.statusHistory || [],
+      allowedTransitions: orderLifecycleService.allowedTransitions(order.status || 'pending'),
       createdAt: order.createdAt || new Date(),
       updatedAt: order.updatedAt || new Date()
     };
@@ -217,57 +482,219 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/orders/:id/status - Update order status
-router.put('/:id/status', async (req, res) => {
+// PUT /api/orders/:id/status - Move an order along its lifecycle
+router.put('/:id/status', verifyToken, validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     console.log(`📦 Updating order ${id} status to ${status} in database`);
 
-    if (!['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'].includes(status)) {
+    if (!orderLifecycleService.statuses.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be pending, confirmed, processing, shipped, delivered, cancelled, or refunded'
+        error: `Invalid status. Must be ${orderLifecycleService.statuses.join(', ')}`
       });
     }
 
-    const db = await getDB();
-    const ordersCollection = db.collection('orders');
+    if (status === 'partially_shipped') {
+      return res.status(400).json({
+        success: false,
+        error: 'Orders are partially shipped by creating a shipment (POST /api/orders/:id/shipments)'
+      });
+    }
 
-    const updateData = { 
-      status,
-      updatedAt: new Date()
-    };
+    const actor = req.user.username || req.user.email;
+    let result;
+
+    // Shipping and delivery go through the order's shipments so stock and shipment status stay in step
+    if (status === 'shipped') {
+      result = await shipmentService.shipRemaining(id, {}, actor, reason);
+    } else if (status === 'delivered') {
+      result = await shipmentService.deliverAll(id, actor, reason);
+    } else {
+      result = await orderLifecycleService.transition(id, status, { actor, reason });
+    }
+
+    const { order, effects } = result;
+
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      data: {
+        status: order.status,
+        statusHistory: order.statusHistory,
+        allowedTransitions: orderLifecycleService.allowedTransitions(order.status),
+        effects
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating order status in database:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update order status',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// GET /api/orders/:id/shipments - List an order's shipments
+router.get('/:id/shipments', validateId, async (req, res) => {
+  try {
+    const order = await shipmentService.getOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        shipments: order.shipments || [],
+        unshipped: shipmentService.unshippedItems(order)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching order shipments:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch shipments',
+      message: error.message
+    });
+  }
+});
 
-    // Add deliveredAt timestamp if status is delivered
-    if (status === 'delivered') {
-      updateData.deliveredAt = new Date();
+// POST /api/orders/:id/shipments - Ship some or all of an order's lines
+router.post('/:id/shipments', verifyToken, validateId, async (req, res) => {
+  try {
+    const { error, value } = shipmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
     }
 
-    const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
+    const { order, shipment } = await shipmentService.createShipment(
+      req.params.id,
+      value,
+      req.user.username || req.user.email
     );
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    res.status(201).json({
+      success: true,
+      message: `Shipment ${shipment.id} created`,
+      data: {
+        shipment,
+        status: order.status,
+        unshipped: shipmentService.unshippedItems(order)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating shipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create shipment',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/orders/:id/shipments/:shipmentId - Update a shipment's tracking or status
+router.put('/:id/shipments/:shipmentId', verifyToken, validateId, async (req, res) => {
+  try {
+    const { error, value } = shipmentUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Order not found'
+        error: 'Validation error',
+        details: error.details[0].message
       });
     }
 
+    const { order, shipment } = await shipmentService.updateShipment(
+      req.params.id,
+      req.params.shipmentId,
+      value,
+      req.user.username || req.user.email
+    );
+
     res.json({
       success: true,
-      message: `Order status updated to ${status}`,
-      data: { status }
+      message: 'Shipment updated successfully',
+      data: {
+        shipment,
+        status: order.status
+      }
     });
 
   } catch (error) {
-    console.error('Error updating order status in database:', error);
-    res.status(500).json({
+    console.error('Error updating shipment:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update order status',
+      error: 'Failed to update shipment',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// GET /api/orders/:id/invoice - The order's invoice as PDF (or HTML with ?format=html)
+router.get('/:id/invoice', verifyToken, validateId, async (req, res) => {
+  try {
+    const invoice = await orderDocumentService.getInvoice(req.params.id);
+
+    if (req.query.format === 'html') {
+      res.locals.view = 'invoice.html';
+      return res.json({
+        success: true,
+        data: invoice
+      });
+    }
+
+    const pdf = await orderDocumentService.renderPdf('invoice', invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate invoice',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// GET /api/orders/:id/packing-slip - Packing slip for the order, or one shipment with ?shipmentId=
+router.get('/:id/packing-slip', verifyToken, validateId, async (req, res) => {
+  try {
+    const slip = await orderDocumentService.getPackingSlip(req.params.id, req.query.shipmentId || null);
+
+    if (req.query.format === 'html') {
+      res.locals.view = 'packing-slip.html';
+      return res.json({
+        success: true,
+        data: slip
+      });
+    }
+
+    const pdf = await orderDocumentService.renderPdf('packing-slip', slip);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="packing-slip-${slip.shipment ? slip.shipment.id : slip.orderNumber}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error generating packing slip:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate packing slip',
       message: error.message
     });
   }
@@ -291,18 +718,29 @@ router.put('/:id/tracking', async (req, res) => {
       updatedAt: new Date()
     };
 
-    const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
+    const order = await ordersCollection.findOne({ _id: new ObjectId(id) });
 
-    if (result.matchedCount === 0) {
+    if (!order) {
       return res.status(404).json({
         success: false,
         error: 'Order not found'
       });
     }
 
+    // Orders that ship in parts keep tracking per shipment; this updates the latest one
+    const latestShipment = (order.shipments || [])[(order.shipments || []).length - 1];
+    if (latestShipment) {
+      updateData['shipments.$[latest].trackingNumber'] = trackingNumber;
+      updateData['shipments.$[latest].carrier'] = carrier;
+      updateData['shipments.$[latest].estimatedDelivery'] = updateData.estimatedDelivery;
+    }
+
+    await ordersCollection.updateOne(
+      { _id: order._id },
+      { $set: updateData },
+      latestShipment ? { arrayFilters: [{ 'latest.id': latestShipment.id }] } : {}
+    );
+
     res.json({
       success: true,
       message: 'Tracking information updated successfully',
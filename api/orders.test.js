@@ -0,0 +1,68 @@
+jest.mock('../config/database');
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { getDB, resetDB } = require('../config/database');
+const ordersRouter = require('./orders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', ordersRouter);
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const tokenFor = (id, email) => jwt.sign({ id, email, role: 'customer' }, JWT_SECRET);
+
+const order = (orderNumber, customer, createdAt) => ({
+  orderNumber,
+  customer,
+  status: 'confirmed',
+  paymentStatus: 'completed',
+  items: [],
+  totalAmount: 50,
+  createdAt: new Date(createdAt),
+  notes: 'Fragile, call before delivery'
+});
+
+describe('GET /api/orders/mine', () => {
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await getDB().collection('orders').insertMany([
+      order('ORD-1', { id: 'user-1', email: 'ada@example.com' }, '2026-10-01'),
+      order('ORD-2', { id: 'user-2', email: 'eve@example.com' }, '2026-10-02'),
+      order('ORD-3', { id: 'user-1', email: 'ada@example.com' }, '2026-10-03'),
+      // A guest order placed with the same email is not part of the account's history
+      order('ORD-4', { id: 'guest-9', email: 'ada@example.com' }, '2026-10-04')
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists only the caller\'s own orders, newest first, in the customer view', async () => {
+    const res = await request(app).get('/api/orders/mine').set('Authorization', `Bearer ${tokenFor('user-1', 'ada@example.com')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.orders.map(entry => entry.orderNumber)).toEqual(['ORD-3', 'ORD-1']);
+    expect(res.body.data.orders[0].notes).toBeUndefined();
+    expect(res.body.data.pagination).toMatchObject({ total: 2 });
+  });
+
+  it('does not let a filter reach another customer\'s orders', async () => {
+    const res = await request(app)
+      .get('/api/orders/mine')
+      .query({ search: 'ORD-2' })
+      .set('Authorization', `Bearer ${tokenFor('user-1', 'ada@example.com')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.orders).toEqual([]);
+  });
+
+  it('refuses callers without a token', async () => {
+    const res = await request(app).get('/api/orders/mine');
+
+    expect(res.status).toBe(401);
+  });
+});
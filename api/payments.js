@@ -1,94 +1,41 @@
 const express = require('express');
 const router = express.Router();
-const { connectDB } = require('../config/database');
+const paymentService = require('../services/paymentService');
+const multer = require('multer');
+const Joi = require('joi');
+const paymentEventService = require('../services/paymentEventService');
+const reconciliationService = require('../services/reconciliationService');
+const { verifyToken } = require('./auth');
 
-let db = null;
-
-// Initialize database connection
-const initializeDB = async () => {
-  if (!db) {
-    db = await connectDB();
+// Settlement reports are parsed straight from memory
+const settlementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/csv/.test(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV settlement files are allowed'));
   }
-};
+});
+
+const reconciliationSchema = Joi.object({
+  provider: Joi.string().valid(...paymentService.providerNames).required(),
+  periodStart: Joi.date().iso().optional(),
+  periodEnd: Joi.date().iso().min(Joi.ref('periodStart')).optional()
+});
+
+const resolveLineSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(1000).required()
+});
 
 // Helper function to get payment transactions
 const getPaymentTransactions = async () => {
   try {
-    await initializeDB();
-    const paymentsCollection = db.collection('payments');
-    
-    // Check if payments exist, if not create sample data
-    const existingCount = await paymentsCollection.countDocuments();
-    if (existingCount === 0) {
-      const samplePayments = [
-      {
-        id: '1',
-        orderId: '1',
-        amount: 172.00,
-        currency: 'USD',
-        status: 'completed',
-        paymentMethod: 'stripe',
-        transactionId: 'pi_1234567890abcdef',
-        processedAt: new Date('2024-01-15T10:35:00Z'),
-        fees: 5.16,
-        netAmount: 166.84
-      },
-      {
-        id: '2',
-        orderId: '2',
-        amount: 206.40,
-        currency: 'USD',
-        status: 'completed',
-        paymentMethod: 'paypal',
-        transactionId: 'PAYPAL-1234567890',
-        processedAt: new Date('2024-01-14T14:25:00Z'),
-        fees: 6.19,
-        netAmount: 200.21
-      },
-      {
-        id: '3',
-        orderId: '3',
-        amount: 447.00,
-        currency: 'USD',
-        status: 'completed',
-        paymentMethod: 'stripe',
-        transactionId: 'pi_0987654321fedcba',
-        processedAt: new Date('2024-01-10T16:50:00Z'),
-        fees: 13.41,
-        netAmount: 433.59
-      },
-      {
-        id: '4',
-        orderId: '4',
-        amount: 89.99,
-        currency: 'USD',
-        status: 'failed',
-        paymentMethod: 'stripe',
-        transactionId: 'pi_failed123456789',
-        processedAt: new Date('2024-01-12T09:15:00Z'),
-        fees: 0,
-        netAmount: 0
-      },
-      {
-        id: '5',
-        orderId: '5',
-        amount: 250.00,
-        currency: 'USD',
-        status: 'refunded',
-        paymentMethod: 'stripe',
-        transactionId: 'pi_refunded123456',
-        processedAt: new Date('2024-01-08T11:20:00Z'),
-        fees: 7.50,
-        netAmount: 242.50
-      }
-      ];
-      
-      await paymentsCollection.insertMany(samplePayments);
-      console.log('✅ Sample payments initialized in database');
-    }
-    
-    // Return payments from database
-    return await paymentsCollection.find({}).sort({ processedAt: -1 }).toArray();
+    return await paymentService.getPayments();
   } catch (error) {
     console.error('Error fetching payments:', error);
     throw error;
@@ -106,25 +53,196 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Receive signed payment events from a provider
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!paymentService.providerNames.includes(provider)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown payment provider. Must be ${paymentService.providerNames.join(', ')}`
+      });
+    }
+
+    // Signed over the exact bytes received, captured by the JSON body parser
+    const result = await paymentEventService.receive(provider, req.rawBody, req.headers);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    // Anything but a 2xx makes the provider deliver the event again
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode === 401 ? 'Invalid webhook signature' : 'Failed to process payment webhook',
+      message: error.message
+    });
+  }
+});
+
+// List received payment events
+router.get('/events', verifyToken, async (req, res) => {
+  try {
+    const events = await paymentEventService.getEvents(req.query);
+    res.json({ events });
+  } catch (error) {
+    console.error('Error fetching payment events:', error);
+    res.status(500).json({ error: 'Failed to fetch payment events' });
+  }
+});
+
+// Upload a provider settlement report and reconcile it against our payments
+router.post('/reconciliations', verifyToken, (req, res, next) => {
+  settlementUpload.single('file')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid settlement file', message: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { error, value } = reconciliationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'A settlement CSV is required in the "file" field' });
+    }
+
+    const reconciliation = await reconciliationService.createReconciliation({
+      ...value,
+      fileName: req.file.originalname,
+      content: req.file.buffer.toString('utf8'),
+      actor: req.user.username || req.user.email
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reconciliation,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reconciling settlement file:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to reconcile settlement file',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// List settlement reconciliations
+router.get('/reconciliations', verifyToken, async (req, res) => {
+  try {
+    const { reconciliations, pagination } = await reconciliationService.getReconciliations(req.query);
+
+    res.json({
+      success: true,
+      data: reconciliations,
+      pagination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliations:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliations', message: error.message });
+  }
+});
+
+// Get a reconciliation report with its lines
+router.get('/reconciliations/:id', verifyToken, async (req, res) => {
+  try {
+    const { reconciliation, lines, pagination } = await reconciliationService.getReconciliation(req.params.id, req.query);
+
+    res.json({
+      success: true,
+      data: { ...reconciliation, lines },
+      pagination,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: 'Failed to fetch reconciliation', message: error.message });
+  }
+});
+
+// Resolve one flagged reconciliation line
+router.put('/reconciliations/:id/lines/:lineId', verifyToken, async (req, res) => {
+  try {
+    const { error, value } = resolveLineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const result = await reconciliationService.resolveLine(req.params.id, req.params.lineId, {
+      note: value.note,
+      actor: req.user.username || req.user.email
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resolving reconciliation line:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: 'Failed to resolve reconciliation line', message: error.message });
+  }
+});
+
 // Get payment by ID
 router.get('/:id', async (req, res) => {
   try {
-    const payments = await getPaymentTransactions();
-    const payment = payments.find(p => p.id === req.params.id);
-    
-    if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-    
+    const payment = await paymentService.getPayment(req.params.id);
     res.json({ payment });
   } catch (error) {
     console.error('Error fetching payment:', error);
-    res.status(500).json({ error: 'Failed to fetch payment' });
+    res.status(error.statusCode || 500).json({ error: 'Failed to fetch payment', message: error.message });
+  }
+});
+
+// Capture an authorized payment
+router.post('/:id/capture', verifyToken, async (req, res) => {
+  try {
+    const payment = await paymentService.capture(req.params.id, req.user.username || req.user.email);
+
+    res.json({
+      success: true,
+      message: `Payment ${payment.status === 'completed' ? 'captured' : payment.status}`,
+      payment
+    });
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to capture payment', message: error.message });
+  }
+});
+
+// Re-read a payment from its provider
+router.post('/:id/sync', verifyToken, async (req, res) => {
+  try {
+    const payment = await paymentService.sync(req.params.id);
+    res.json({ success: true, payment });
+  } catch (error) {
+    console.error('Error syncing payment:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to sync payment', message: error.message });
   }
 });
 
 // Process payment refund
-router.post('/:id/refund', async (req, res) => {
+router.post('/:id/refund', verifyToken, async (req, res) => {
   try {
     const { amount, reason } = req.body;
     
@@ -132,17 +250,22 @@ router.post('/:id/refund', async (req, res) => {
       return res.status(400).json({ error: 'Invalid refund amount' });
     }
     
-    // In a real implementation, process the refund with the payment provider
-    console.log(`Processing refund for payment ${req.params.id}: $${amount} - ${reason}`);
+    const { payment, refund } = await paymentService.refund(req.params.id, Number(amount), {
+      reason,
+      actor: req.user.username || req.user.email,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
     
     res.json({ 
       success: true, 
-      message: 'Refund processed successfully',
-      refundId: `ref_${Date.now()}`
+      message: refund.status === 'completed' ? 'Refund processed successfully' : 'Refund submitted to the provider',
+      refundId: refund.id,
+      refund,
+      payment
     });
   } catch (error) {
     console.error('Error processing refund:', error);
-    res.status(500).json({ error: 'Failed to process refund' });
+    res.status(error.statusCode || 500).json({ error: 'Failed to process refund', message: error.message, details: error.details });
   }
 });
 
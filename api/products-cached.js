@@ -2,6 +2,23 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const cacheService = require('../services/cacheService');
+const currencyService = require('../services/currencyService');
+const { getCountryCode } = require('../utils/geolocation');
+
+// Prices are cached in the base currency and converted for each shopper
+const presentPrices = async (req, products) => {
+  const currency = await currencyService.resolveCurrency({ requested: req.query.currency, country: getCountryCode(req) });
+  const rate = await currencyService.getRate(currency);
+
+  return products.map(product => ({
+    ...product,
+    presentment: {
+      currency,
+      price: currencyService.convert(product.price, rate, currency),
+      originalPrice: product.originalPrice ? currencyService.convert(product.originalPrice, rate, currency) : null
+    }
+  }));
+};
 
 // GET /api/products - Get products with caching
 router.get('/', async (req, res) => {
@@ -162,7 +179,11 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: result
+      data: {
+        ...result,
+        products: await presentPrices(req, result.products),
+        baseCurrency: currencyService.baseCurrency
+      }
     });
 
   } catch (error) {
@@ -253,8 +274,9 @@ router.get('/featured', async (req, res) => {
     res.json({
       success: true,
       data: {
-        products: result,
-        total: result.length
+        products: await presentPrices(req, result),
+        total: result.length,
+        baseCurrency: currencyService.baseCurrency
       }
     });
 
@@ -0,0 +1,224 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const promotionService = require('../services/promotionService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all promotion routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const promotionSchema = Joi.object({
+  code: Joi.string().trim().min(1).max(50).required(),
+  name: Joi.string().min(1).required(),
+  description: Joi.string().allow('').optional(),
+  type: Joi.string().valid('percentage', 'fixed', 'free_shipping', 'buy_x_get_y').required(),
+  value: Joi.when('type', {
+    switch: [
+      { is: 'percentage', then: Joi.number().greater(0).max(100).required() },
+      { is: 'fixed', then: Joi.number().greater(0).required() }
+    ],
+    otherwise: Joi.number().min(0).default(0)
+  }),
+  buyQuantity: Joi.when('type', { is: 'buy_x_get_y', then: Joi.number().integer().min(1).required(), otherwise: Joi.forbidden() }),
+  getQuantity: Joi.when('type', { is: 'buy_x_get_y', then: Joi.number().integer().min(1).required(), otherwise: Joi.forbidden() }),
+  getDiscountPercent: Joi.when('type', { is: 'buy_x_get_y', then: Joi.number().greater(0).max(100).default(100), otherwise: Joi.forbidden() }),
+  minSubtotal: Joi.number().min(0).default(0),
+  eligibility: Joi.object({
+    brands: Joi.array().items(Joi.string()).default([]),
+    categories: Joi.array().items(Joi.string()).default([])
+  }).default({ brands: [], categories: [] }),
+  customerId: Joi.string().allow(null).default(null),
+  startsAt: Joi.date().allow(null).default(null),
+  endsAt: Joi.date().greater(Joi.ref('startsAt')).allow(null).default(null),
+  usageLimit: Joi.number().integer().min(1).allow(null).default(null),
+  usageLimitPerCustomer: Joi.number().integer().min(1).allow(null).default(null),
+  stackable: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+});
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid promotion ID'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/promotions - List promotions
+router.get('/', async (req, res) => {
+  try {
+    const { isActive, type, search } = req.query;
+
+    const promotions = await promotionService.getPromotions({
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      type,
+      search
+    });
+
+    res.json({
+      success: true,
+      data: promotions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/promotions/:id - Get a promotion
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const promotion = await promotionService.getPromotionById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/promotions/:id/redemptions - List the orders that used a promotion
+router.get('/:id/redemptions', validateId, async (req, res) => {
+  try {
+    const redemptions = await promotionService.getRedemptions(req.params.id);
+
+    res.json({
+      success: true,
+      data: redemptions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching promotion redemptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotion redemptions',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/promotions - Create a promotion
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = promotionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const promotion = await promotionService.createPromotion(value);
+
+    console.log(`🏷️ Promotion ${promotion.code} created`);
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      message: 'Promotion created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create promotion',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/promotions/:id - Replace a promotion
+router.put('/:id', validateId, async (req, res) => {
+  try {
+    const { error, value } = promotionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const promotion = await promotionService.updatePromotion(req.params.id, value);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: 'Promotion updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update promotion',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/promotions/:id - Delete a promotion
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await promotionService.deletePromotion(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete promotion',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,296 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all purchase order routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const generateSchema = Joi.object({
+  warehouse: Joi.string().trim().lowercase(),
+  supplierId: objectId
+});
+
+const draftUpdateSchema = Joi.object({
+  // A quantity of 0 drops the line
+  items: Joi.array().items(Joi.object({
+    lineId: Joi.string().required(),
+    quantity: Joi.number().integer().min(0).required()
+  })).default([]),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const approveSchema = Joi.object({
+  notes: Joi.string().max(1000).allow('')
+});
+
+const sendSchema = Joi.object({
+  via: Joi.string().valid('email', 'portal', 'phone', 'edi').required(),
+  supplierReference: Joi.string().max(200)
+});
+
+const receiptSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    lineId: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).max(500).required(),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().min(1).max(500).required()
+});
+
+const actorOf = req => req.user.username || req.user.email;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  details: error.details[0].message
+});
+
+// GET /api/admin/purchase-orders - List purchase orders (?status=, ?supplierId=, ?warehouse=)
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.supplierId && !ObjectId.isValid(req.query.supplierId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid supplier ID'
+      });
+    }
+
+    const result = await purchaseOrderService.getPurchaseOrders(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase orders',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/purchase-orders/:id - Get a purchase order with its lines, receipts and history
+router.get('/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.getPurchaseOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch purchase order',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/purchase-orders/generate - Draft purchase orders from the reorder suggestions
+router.post('/generate', async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const result = await purchaseOrderService.generateDrafts(value, actorOf(req));
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.purchaseOrders.length} purchase orders drafted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error drafting purchase orders:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to draft purchase orders',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/purchase-orders/:id - Change line quantities or notes on a draft
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = draftUpdateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.updateDraft(req.params.id, value);
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Purchase order updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/purchase-orders/:id/approve - Approve a draft for sending
+router.put('/:id/approve', async (req, res) => {
+  try {
+    const { error, value } = approveSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.approve(req.params.id, actorOf(req), value.notes);
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Purchase order approved successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error approving purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to approve purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/purchase-orders/:id/send - Record that an approved order went to the supplier
+router.put('/:id/send', async (req, res) => {
+  try {
+    const { error, value } = sendSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.markSent(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Purchase order sent successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to send purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// POST /api/admin/purchase-orders/:id/receipts - Book in a full or partial delivery
+router.post('/:id/receipts', async (req, res) => {
+  try {
+    const { error, value } = receiptSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.receive(req.params.id, value, actorOf(req));
+
+    res.status(201).json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Delivery received successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to receive purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/purchase-orders/:id/close - Stop waiting for the rest of a partly delivered order
+router.put('/:id/close', async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.close(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Purchase order closed successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error closing purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to close purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/purchase-orders/:id/cancel - Cancel an order nothing has been received against
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const purchaseOrder = await purchaseOrderService.cancel(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: purchaseOrder,
+      message: 'Purchase order cancelled successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel purchase order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
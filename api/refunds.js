@@ -1,247 +1,199 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
-const { connectDB } = require('../config/database');
+const refundService = require('../services/refundService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
 
-let db = null;
+// Refunds move money, so every route needs an admin token
+router.use(verifyToken);
+router.use(authRateLimit);
 
-// Initialize database connection
-const initializeDB = async () => {
-  if (!db) {
-    db = await connectDB();
-  }
-};
+// Validation schemas
+const refundRequestSchema = Joi.object({
+  orderId: Joi.string().hex().length(24).required(),
+  // Leave out for a refund of everything not yet refunded
+  items: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    restock: Joi.boolean()
+  })).min(1),
+  reason: Joi.string().min(1).max(500).required(),
+  notes: Joi.string().max(1000).allow(''),
+  restock: Joi.boolean().default(true)
+});
 
-// Helper function to get refund requests
-const getRefundRequests = async () => {
+const refundDecisionSchema = Joi.object({
+  action: Joi.string().valid('approve', 'reject').required(),
+  reason: Joi.string().min(1).max(500).required()
+});
+
+const refundExportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'excel', 'pdf').required(),
+  status: Joi.string(),
+  dateRange: Joi.string().valid('today', 'week', 'month')
+});
+
+const actorOf = req => req.user.username || req.user.email;
+
+// GET /api/refunds - List refunds (?status=, ?orderId=)
+router.get('/', async (req, res) => {
   try {
-    await initializeDB();
-    const refundsCollection = db.collection('refunds');
-    
-    // Check if refunds exist, if not create sample data
-    const existingCount = await refundsCollection.countDocuments();
-    if (existingCount === 0) {
-      const sampleRefunds = [
-      {
-        id: '1',
-        orderId: '1',
-        amount: 172.00,
-        reason: 'Customer changed mind',
-        status: 'pending',
-        requestedAt: new Date('2024-01-16T10:30:00Z'),
-        notes: 'Customer requested refund within 24 hours of purchase'
-      },
-      {
-        id: '2',
-        orderId: '2',
-        amount: 206.40,
-        reason: 'Product damaged during shipping',
-        status: 'approved',
-        requestedAt: new Date('2024-01-17T14:20:00Z'),
-        processedAt: new Date('2024-01-17T15:45:00Z'),
-        processedBy: 'admin@brandoutlet.com',
-        notes: 'Approved due to shipping damage. Customer provided photos.'
-      },
-      {
-        id: '3',
-        orderId: '3',
-        amount: 100.00,
-        reason: 'Partial refund - size issue',
-        status: 'processed',
-        requestedAt: new Date('2024-01-18T09:15:00Z'),
-        processedAt: new Date('2024-01-18T10:30:00Z'),
-        processedBy: 'admin@brandoutlet.com',
-        notes: 'Partial refund approved for size discrepancy'
-      },
-      {
-        id: '4',
-        orderId: '4',
-        amount: 89.99,
-        reason: 'Item not as described',
-        status: 'rejected',
-        requestedAt: new Date('2024-01-19T11:45:00Z'),
-        processedAt: new Date('2024-01-19T13:20:00Z'),
-        processedBy: 'admin@brandoutlet.com',
-        notes: 'Rejected - customer did not provide sufficient evidence'
-      },
-      {
-        id: '5',
-        orderId: '5',
-        amount: 250.00,
-        reason: 'Customer not satisfied',
-        status: 'pending',
-        requestedAt: new Date('2024-01-20T16:30:00Z'),
-        notes: 'Customer claims product quality is not as expected'
-      }
-      ];
-      
-      await refundsCollection.insertMany(sampleRefunds);
-      console.log('✅ Sample refunds initialized in database');
-    }
-    
-    // Return refunds from database
-    return await refundsCollection.find({}).sort({ requestedAt: -1 }).toArray();
+    const result = await refundService.getRefunds(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     console.error('Error fetching refunds:', error);
-    throw error;
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch refunds',
+      message: error.message
+    });
   }
-};
+});
 
-// Get all refund requests
-router.get('/', async (req, res) => {
+// GET /api/refunds/stats/summary - Refund counts and amounts by status and reason
+router.get('/stats/summary', async (req, res) => {
   try {
-    const refunds = await getRefundRequests();
-    res.json({ refunds });
+    const summary = await refundService.getSummary();
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error fetching refunds:', error);
-    res.status(500).json({ error: 'Failed to fetch refunds' });
+    console.error('Error fetching refund statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch refund statistics',
+      message: error.message
+    });
   }
 });
 
-// Get refund by ID
+// GET /api/refunds/:id - Get a refund with its status history
 router.get('/:id', async (req, res) => {
   try {
-    const refunds = await getRefundRequests();
-    const refund = refunds.find(r => r.id === req.params.id);
-    
-    if (!refund) {
-      return res.status(404).json({ error: 'Refund not found' });
-    }
-    
-    res.json({ refund });
+    const refund = await refundService.getRefund(req.params.id);
+
+    res.json({
+      success: true,
+      data: refund,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     console.error('Error fetching refund:', error);
-    res.status(500).json({ error: 'Failed to fetch refund' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch refund',
+      message: error.message
+    });
   }
 });
 
-// Process refund (approve/reject)
-router.put('/:id', async (req, res) => {
+// POST /api/refunds - Request a refund of a whole order or of some of its lines
+router.post('/', async (req, res) => {
   try {
-    const { action, notes } = req.body;
-    const validActions = ['approve', 'reject'];
-    
-    if (!validActions.includes(action)) {
-      return res.status(400).json({ error: 'Invalid action. Must be approve or reject' });
+    const { error, value } = refundRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
     }
-    
-    // In a real implementation, update the database and process the refund
-    console.log(`Processing refund ${req.params.id}: ${action} - ${notes || 'No notes'}`);
-    
-    res.json({ 
-      success: true, 
-      message: `Refund ${action}d successfully`,
-      processedAt: new Date().toISOString(),
-      processedBy: 'admin@brandoutlet.com'
+
+    const { orderId, ...request } = value;
+    const refund = await refundService.requestRefund(orderId, request, actorOf(req));
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+      message: 'Refund request created successfully',
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error processing refund:', error);
-    res.status(500).json({ error: 'Failed to process refund' });
+    console.error('Error creating refund request:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create refund request',
+      message: error.message,
+      details: error.details
+    });
   }
 });
 
-// Create new refund request
-router.post('/', async (req, res) => {
+// PUT /api/refunds/:id - Approve (and pay out) or reject a pending refund
+router.put('/:id', async (req, res) => {
   try {
-    const { orderId, amount, reason, notes } = req.body;
-    
-    if (!orderId || !amount || !reason) {
-      return res.status(400).json({ error: 'Missing required fields: orderId, amount, reason' });
+    const { error, value } = refundDecisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
     }
-    
-    if (amount <= 0) {
-      return res.status(400).json({ error: 'Invalid refund amount' });
-    }
-    
-    // In a real implementation, create the refund request in the database
-    const refundId = `ref_${Date.now()}`;
-    console.log(`Creating refund request ${refundId} for order ${orderId}: $${amount} - ${reason}`);
-    
-    res.status(201).json({ 
-      success: true, 
-      message: 'Refund request created successfully',
-      refundId,
-      refund: {
-        id: refundId,
-        orderId,
-        amount,
-        reason,
-        status: 'pending',
-        requestedAt: new Date().toISOString(),
-        notes
-      }
+
+    const refund = value.action === 'approve'
+      ? await refundService.approve(req.params.id, value.reason, actorOf(req))
+      : await refundService.reject(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: refund,
+      message: `Refund ${value.action}d successfully`,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error creating refund request:', error);
-    res.status(500).json({ error: 'Failed to create refund request' });
+    console.error('Error processing refund:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to process refund',
+      message: error.message,
+      details: error.details
+    });
   }
 });
 
-// Get refund statistics
-router.get('/stats/summary', async (req, res) => {
+// POST /api/refunds/:id/retry - Send a failed refund to the payment provider again
+router.post('/:id/retry', async (req, res) => {
   try {
-    const refunds = await getRefundRequests();
-    
-    const summary = {
-      totalRefunds: refunds.length,
-      totalAmount: refunds.reduce((sum, r) => sum + r.amount, 0),
-      pendingAmount: refunds
-        .filter(r => r.status === 'pending')
-        .reduce((sum, r) => sum + r.amount, 0),
-      approvedAmount: refunds
-        .filter(r => r.status === 'approved' || r.status === 'processed')
-        .reduce((sum, r) => sum + r.amount, 0),
-      rejectedAmount: refunds
-        .filter(r => r.status === 'rejected')
-        .reduce((sum, r) => sum + r.amount, 0),
-      byStatus: refunds.reduce((acc, r) => {
-        acc[r.status] = (acc[r.status] || 0) + 1;
-        return acc;
-      }, {}),
-      byReason: refunds.reduce((acc, r) => {
-        acc[r.reason] = (acc[r.reason] || 0) + 1;
-        return acc;
-      }, {}),
-      averageProcessingTime: calculateAverageProcessingTime(refunds)
-    };
-    
-    res.json({ summary });
+    const refund = await refundService.execute(req.params.id, actorOf(req));
+
+    res.json({
+      success: true,
+      data: refund,
+      message: 'Refund processed successfully',
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error fetching refund statistics:', error);
-    res.status(500).json({ error: 'Failed to fetch refund statistics' });
+    console.error('Error retrying refund:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to retry refund',
+      message: error.message,
+      details: error.details
+    });
   }
 });
 
-// Helper function to calculate average processing time
-const calculateAverageProcessingTime = (refunds) => {
-  const processedRefunds = refunds.filter(r => r.processedAt);
-  
-  if (processedRefunds.length === 0) return 0;
-  
-  const totalTime = processedRefunds.reduce((sum, r) => {
-    const requested = new Date(r.requestedAt);
-    const processed = new Date(r.processedAt);
-    return sum + (processed - requested);
-  }, 0);
-  
-  return Math.round(totalTime / processedRefunds.length / (1000 * 60 * 60)); // Hours
-};
-
 // Export refund data
 router.post('/export', async (req, res) => {
   try {
-    const { format, status, dateRange } = req.body;
-    const validFormats = ['csv', 'excel', 'pdf'];
-    
-    if (!validFormats.includes(format)) {
+    const { error, value } = refundExportSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({ error: 'Invalid export format' });
     }
-    
-    let refunds = await getRefundRequests();
-    
-    // Filter by status if provided
-    if (status) {
-      refunds = refunds.filter(r => r.status === status);
-    }
+
+    const { format, status, dateRange } = value;
+    let { refunds } = await refundService.getRefunds({ status, limit: 10000 });
     
     // Filter by date range if provided
     if (dateRange) {
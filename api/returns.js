@@ -0,0 +1,401 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const returnService = require('../services/returnService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+const rateLimits = require('../middleware/rateLimiting');
+
+const UPLOAD_DIR = 'uploads/returns';
+
+// Configure multer for return photos, the same way as custom order images
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'return-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'));
+    }
+  }
+});
+
+// Validation schemas
+const returnRequestSchema = Joi.object({
+  orderNumber: Joi.string().trim().required(),
+  email: Joi.string().email().required(),
+  items: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    reasonCode: Joi.string().valid(...Object.keys(returnService.reasonCodes)).required(),
+    comment: Joi.string().max(1000).allow('')
+  })).min(1).required(),
+  comment: Joi.string().max(2000).allow('')
+});
+
+const returnLookupSchema = Joi.object({
+  rmaNumber: Joi.string().trim().required(),
+  email: Joi.string().email().required()
+});
+
+const returnDecisionSchema = Joi.object({
+  action: Joi.string().valid('approve', 'reject').required(),
+  labelReference: Joi.string().max(200).when('action', { is: 'approve', then: Joi.required() }),
+  carrier: Joi.string().max(100),
+  reason: Joi.string().min(1).max(500).when('action', { is: 'reject', then: Joi.required() })
+});
+
+const returnReceiptSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    quantity: Joi.number().integer().min(0).required(),
+    condition: Joi.string().valid(...returnService.conditions).required(),
+    notes: Joi.string().max(1000).allow('')
+  })).min(1).required()
+});
+
+const returnResolutionSchema = Joi.object({
+  outcome: Joi.string().valid(...returnService.outcomes).required(),
+  exchange: Joi.array().items(Joi.object({
+    itemId: Joi.string().required(),
+    variantId: Joi.string().hex().length(24).required()
+  })).when('outcome', { is: 'exchange', then: Joi.required() }),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const analyticsQuerySchema = Joi.object({
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+const actorOf = req => req.user.username || req.user.email;
+
+// Photos come in a multipart form, so the line items arrive as a JSON string
+const parseItems = (req, res, next) => {
+  if (typeof req.body.items === 'string') {
+    try {
+      req.body.items = JSON.parse(req.body.items);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: '"items" must be a JSON array'
+      });
+    }
+  }
+  next();
+};
+
+// Uploaded photos are dropped when the request is refused
+const discardPhotos = files => {
+  (files || []).forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// GET /api/returns/reasons - Reason codes customers can pick from
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(returnService.reasonCodes).map(([code, label]) => ({ code, label })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// POST /api/returns - Request a return for some lines of a shipped order, with photos
+router.post('/', rateLimits.strict, upload.array('photos', 10), parseItems, async (req, res) => {
+  try {
+    const { error, value } = returnRequestSchema.validate(req.body);
+    if (error) {
+      discardPhotos(req.files);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rma = await returnService.requestReturn(value, req.files || []);
+
+    res.status(201).json({
+      success: true,
+      data: rma,
+      message: 'Return requested successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    discardPhotos(req.files);
+    console.error('Error requesting return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to request return',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// POST /api/returns/lookup - Follow a return by RMA number and email
+router.post('/lookup', rateLimits.strict, async (req, res) => {
+  try {
+    const { error, value } = returnLookupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rma = await returnService.lookupReturn(value.rmaNumber, value.email);
+
+    res.json({
+      success: true,
+      data: rma,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error looking up return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to look up return',
+      message: error.message
+    });
+  }
+});
+
+// Everything below is for admins
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// GET /api/returns - List returns (?status=, ?orderId=, ?reasonCode=)
+router.get('/', async (req, res) => {
+  try {
+    const result = await returnService.getReturns(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch returns',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/analytics/reasons - Return rate, reasons, outcomes, grades and most returned products
+router.get('/analytics/reasons', async (req, res) => {
+  try {
+    const { error, value } = analyticsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const analytics = await returnService.getReasonAnalytics(value);
+
+    res.json({
+      success: true,
+      data: analytics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching return analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch return analytics',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/store-credit/:email - A customer's store credit balances
+router.get('/store-credit/:email', async (req, res) => {
+  try {
+    const balances = await returnService.getStoreCredit(req.params.email);
+
+    res.json({
+      success: true,
+      data: balances,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching store credit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch store credit',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/:id - Get a return with its photos, grading and history
+router.get('/:id', async (req, res) => {
+  try {
+    const rma = await returnService.getReturn(req.params.id);
+
+    res.json({
+      success: true,
+      data: rma,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch return',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/returns/:id/photos/:filename - Serve a photo attached to the return
+router.get('/:id/photos/:filename', async (req, res) => {
+  try {
+    const rma = await returnService.getReturn(req.params.id);
+    const photo = rma.photos.find(entry => entry.filename === req.params.filename);
+    const photoPath = photo && path.resolve(UPLOAD_DIR, path.basename(photo.filename));
+
+    if (!photoPath || !fs.existsSync(photoPath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Photo not found'
+      });
+    }
+
+    res.sendFile(photoPath);
+  } catch (error) {
+    console.error('Error serving return photo:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to serve photo'
+    });
+  }
+});
+
+// PUT /api/returns/:id/decision - Approve with a return label, or reject with a reason
+router.put('/:id/decision', async (req, res) => {
+  try {
+    const { error, value } = returnDecisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rma = value.action === 'approve'
+      ? await returnService.approve(req.params.id, { labelReference: value.labelReference, carrier: value.carrier, notes: value.reason }, actorOf(req))
+      : await returnService.reject(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: rma,
+      message: `Return ${value.action}d successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deciding return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to decide return',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/returns/:id/receipt - Record what arrived at the warehouse and its condition
+router.put('/:id/receipt', async (req, res) => {
+  try {
+    const { error, value } = returnReceiptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rma = await returnService.receive(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: rma,
+      message: 'Return received successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error receiving return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to receive return',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/returns/:id/resolution - Settle a received return as a refund, exchange or store credit
+router.put('/:id/resolution', async (req, res) => {
+  try {
+    const { error, value } = returnResolutionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rma = await returnService.resolve(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: rma,
+      message: 'Return resolved successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error resolving return:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to resolve return',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const shippingService = require('../services/shippingService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all shipping zone routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const shippingZoneSchema = Joi.object({
+  name: Joi.string().min(1).required(),
+  // ISO country codes, or '*' for a catch-all zone
+  countries: Joi.array().items(Joi.string().pattern(/^([A-Za-z]{2}|\*)$/)).min(1).required(),
+  methods: Joi.array().items(Joi.object({
+    code: Joi.string().required(),
+    carrier: Joi.string().required(),
+    name: Joi.string().required(),
+    rateTiers: Joi.array().items(Joi.object({
+      maxWeight: Joi.number().positive().required(),
+      price: Joi.number().min(0).required()
+    })).min(1).required(),
+    freeShippingThreshold: Joi.number().min(0).allow(null).optional(),
+    volumetricDivisor: Joi.number().positive().optional(),
+    estimatedDays: Joi.object({
+      min: Joi.number().integer().min(0).required(),
+      max: Joi.number().integer().min(0).required()
+    }).optional(),
+    isActive: Joi.boolean().default(true)
+  })).unique('code').min(1).required(),
+  isActive: Joi.boolean().default(true)
+});
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid shipping zone ID'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/shipping-zones - List shipping zones
+router.get('/', async (req, res) => {
+  try {
+    const { country, isActive } = req.query;
+
+    const zones = await shippingService.getZones({
+      country,
+      isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: zones,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shipping zones',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/shipping-zones/quote - Quote shipping for sample items and a destination
+router.post('/quote', async (req, res) => {
+  try {
+    const { items = [], address = {}, subtotal = 0 } = req.body;
+
+    const options = await shippingService.getOptions(items, address, subtotal);
+
+    res.json({
+      success: true,
+      data: options || [],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote shipping',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/shipping-zones/:id - Get a shipping zone
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const zone = await shippingService.getZoneById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shipping zone',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/shipping-zones - Create a shipping zone
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = shippingZoneSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const zone = await shippingService.createZone(value);
+
+    console.log(`🚚 Shipping zone ${zone.name} created for ${zone.countries.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: 'Shipping zone created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create shipping zone',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/shipping-zones/:id - Replace a shipping zone
+router.put('/:id', validateId, async (req, res) => {
+  try {
+    const { error, value } = shippingZoneSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const zone = await shippingService.updateZone(req.params.id, value);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: zone,
+      message: 'Shipping zone updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update shipping zone',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/shipping-zones/:id - Delete a shipping zone
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await shippingService.deleteZone(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete shipping zone',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
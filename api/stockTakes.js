@@ -0,0 +1,271 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const stockTakeService = require('../services/stockTakeService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all stock-take routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const stockTakeCreateSchema = Joi.object({
+  warehouse: Joi.string().trim().lowercase().required(),
+  category: Joi.string().trim().max(100),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const countsSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    sku: Joi.string().trim(),
+    inventoryId: Joi.string().hex().length(24),
+    countedQuantity: Joi.number().integer().min(0).required()
+  }).xor('sku', 'inventoryId')).min(1).max(1000).required()
+});
+
+const scanSchema = Joi.object({
+  // The scanned barcode, which is the SKU
+  code: Joi.string().trim().required(),
+  quantity: Joi.number().integer().min(1).max(1000).default(1)
+});
+
+const decisionSchema = Joi.object({
+  notes: Joi.string().max(1000).allow('')
+});
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().min(1).max(500).required()
+});
+
+const actorOf = req => req.user.username || req.user.email;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  details: error.details[0].message
+});
+
+// GET /api/admin/stock-takes - List stock-take sessions (?status=, ?warehouse=)
+router.get('/', async (req, res) => {
+  try {
+    const result = await stockTakeService.getStockTakes(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching stock-takes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock-takes',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/stock-takes/:id - Get a session with its count sheet
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await stockTakeService.getStockTake(req.params.id);
+
+    res.json({
+      success: true,
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching stock-take:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch stock-take',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/stock-takes/:id/report - Variance quantities and values for a session
+router.get('/:id/report', async (req, res) => {
+  try {
+    const report = await stockTakeService.getReport(req.params.id);
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building stock-take report:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to build stock-take report',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/stock-takes - Open a session and generate its count sheet
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = stockTakeCreateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const session = await stockTakeService.createStockTake(value, actorOf(req));
+
+    res.status(201).json({
+      success: true,
+      data: session,
+      message: 'Stock-take opened successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error opening stock-take:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to open stock-take',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-takes/:id/counts - Set counted quantities by SKU or inventory ID
+router.put('/:id/counts', async (req, res) => {
+  try {
+    const { error, value } = countsSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const session = await stockTakeService.recordCounts(req.params.id, value.items, actorOf(req));
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Counts recorded successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording counts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to record counts',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// POST /api/admin/stock-takes/:id/scans - Add one scanned unit (or `quantity` units) to a line
+router.post('/:id/scans', async (req, res) => {
+  try {
+    const { error, value } = scanSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const line = await stockTakeService.recordScan(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: line,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error recording scan:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to record scan',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-takes/:id/submit - Finish counting and review the variances
+router.put('/:id/submit', async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const session = await stockTakeService.submit(req.params.id, actorOf(req), value.notes);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Stock-take submitted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error submitting stock-take:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to submit stock-take',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-takes/:id/approve - Post the variances as adjustment movements
+router.put('/:id/approve', async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const session = await stockTakeService.approve(req.params.id, actorOf(req), value.notes);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Stock-take approved successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error approving stock-take:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to approve stock-take',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-takes/:id/cancel - Abandon a session without adjusting stock
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const session = await stockTakeService.cancel(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Stock-take cancelled successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error cancelling stock-take:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel stock-take',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const transferService = require('../services/transferService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all transfer routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const transferCreateSchema = Joi.object({
+  from: Joi.string().trim().lowercase().required(),
+  to: Joi.string().trim().lowercase().required(),
+  items: Joi.array().items(Joi.object({
+    productId: objectId.required(),
+    variantId: objectId,
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).max(200).required(),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const transferDispatchSchema = Joi.object({
+  carrier: Joi.string().max(100),
+  trackingNumber: Joi.string().max(200)
+});
+
+const transferReceiptSchema = Joi.object({
+  // Lines left out are taken as received in full
+  items: Joi.array().items(Joi.object({
+    lineId: Joi.string().required(),
+    receivedQuantity: Joi.number().integer().min(0).required()
+  })).default([]),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const transferCancelSchema = Joi.object({
+  reason: Joi.string().min(1).max(500).required()
+});
+
+const actorOf = req => req.user.username || req.user.email;
+
+// GET /api/admin/stock-transfers - List transfers (?status=, ?from=, ?to=)
+router.get('/', async (req, res) => {
+  try {
+    const result = await transferService.getTransfers(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transfers',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/stock-transfers/:id - Get a transfer with its lines and history
+router.get('/:id', async (req, res) => {
+  try {
+    const transfer = await transferService.getTransfer(req.params.id);
+
+    res.json({
+      success: true,
+      data: transfer,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching transfer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch transfer',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/stock-transfers - Request a transfer between two warehouses
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = transferCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const transfer = await transferService.createTransfer(value, actorOf(req));
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: 'Transfer requested successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error requesting transfer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to request transfer',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-transfers/:id/dispatch - Ship the units out of the source warehouse
+router.put('/:id/dispatch', async (req, res) => {
+  try {
+    const { error, value } = transferDispatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const transfer = await transferService.dispatch(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer dispatched successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error dispatching transfer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to dispatch transfer',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-transfers/:id/receipt - Book the units in at the destination
+router.put('/:id/receipt', async (req, res) => {
+  try {
+    const { error, value } = transferReceiptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const transfer = await transferService.receive(req.params.id, value, actorOf(req));
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer received successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error receiving transfer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to receive transfer',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+// PUT /api/admin/stock-transfers/:id/cancel - Cancel a transfer that has not been dispatched
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const { error, value } = transferCancelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const transfer = await transferService.cancel(req.params.id, value.reason, actorOf(req));
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer cancelled successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to cancel transfer',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
+const { ObjectId } = require('mongodb');
 const Supplier = require('../models/Supplier');
 const { getDB } = require('../config/database');
 const authModule = require('./auth');
@@ -10,6 +12,67 @@ const authRateLimit = require('../middleware/authRateLimit');
 router.use(verifyToken);
 router.use(authRateLimit);
 
+// Validation schemas
+const addressSchema = Joi.object({
+  street: Joi.string().max(200).allow(''),
+  city: Joi.string().max(100).allow(''),
+  state: Joi.string().max(100).allow(''),
+  postalCode: Joi.string().max(20).allow(''),
+  country: Joi.string().max(100).allow('')
+});
+
+const supplierFields = {
+  name: Joi.string().trim().min(1).max(200),
+  contactEmail: Joi.string().email(),
+  phone: Joi.string().max(50).allow(''),
+  address: addressSchema,
+  website: Joi.string().uri().allow(''),
+  leadTime: Joi.number().integer().min(0).max(365),
+  minimumOrderQuantity: Joi.number().integer().min(1),
+  paymentTerms: Joi.string().valid('prepaid', 'net_15', 'net_30', 'net_60', 'net_90'),
+  currency: Joi.string().length(3).uppercase(),
+  notes: Joi.string().max(2000).allow('')
+};
+
+const supplierCreateSchema = Joi.object({
+  ...supplierFields,
+  name: supplierFields.name.required(),
+  contactEmail: supplierFields.contactEmail.required()
+});
+
+const supplierUpdateSchema = Joi.object({
+  ...supplierFields,
+  status: Joi.string().valid('active', 'inactive'),
+  rating: Joi.number().min(0).max(5)
+}).min(1);
+
+// Delivery figures come from purchase order receipts; only the buyers' scores are set by hand
+const performanceSchema = Joi.object({
+  qualityScore: Joi.number().min(0).max(100),
+  communicationScore: Joi.number().min(0).max(100)
+}).min(1);
+
+const supplierProductSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required()
+});
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid supplier ID'
+    });
+  }
+  next();
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation error',
+  details: error.details[0].message
+});
+
 // GET /api/suppliers - Get all suppliers with filters
 router.get('/', async (req, res) => {
   try {
@@ -88,7 +151,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/suppliers/:id - Get supplier by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -121,6 +184,11 @@ router.post('/', async (req, res) => {
   try {
     console.log('🏭 Creating new supplier');
     
+    const { error, value } = supplierCreateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
     const {
       name,
       contactEmail,
@@ -132,15 +200,7 @@ router.post('/', async (req, res) => {
       paymentTerms,
       currency,
       notes
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !contactEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: name, contactEmail'
-      });
-    }
+    } = value;
 
     // Check if supplier with email already exists
     const existingSupplier = await Supplier.findByEmail(contactEmail);
@@ -184,10 +244,14 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/suppliers/:id - Update supplier
-router.put('/:id', async (req, res) => {
+router.put('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+
+    const { error, value: updateData } = supplierUpdateSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
     
     const supplier = await Supplier.findById(id);
     
@@ -216,11 +280,15 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// POST /api/suppliers/:id/performance - Update supplier performance
-router.post('/:id/performance', async (req, res) => {
+// POST /api/suppliers/:id/performance - Update supplier quality and communication scores
+router.post('/:id/performance', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const performanceData = req.body;
+
+    const { error, value: performanceData } = performanceSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
     
     const supplier = await Supplier.findById(id);
     
@@ -250,17 +318,15 @@ router.post('/:id/performance', async (req, res) => {
 });
 
 // POST /api/suppliers/:id/products - Add product to supplier
-router.post('/:id/products', async (req, res) => {
+router.post('/:id/products', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const { productId } = req.body;
-    
-    if (!productId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Product ID is required'
-      });
+
+    const { error, value } = supplierProductSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
     }
+    const { productId } = value;
     
     const supplier = await Supplier.findById(id);
     
@@ -290,9 +356,16 @@ router.post('/:id/products', async (req, res) => {
 });
 
 // DELETE /api/suppliers/:id/products/:productId - Remove product from supplier
-router.delete('/:id/products/:productId', async (req, res) => {
+router.delete('/:id/products/:productId', validateId, async (req, res) => {
   try {
     const { id, productId } = req.params;
+
+    if (!ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid product ID'
+      });
+    }
     
     const supplier = await Supplier.findById(id);
     
@@ -391,7 +464,7 @@ router.get('/search/:term', async (req, res) => {
 });
 
 // DELETE /api/suppliers/:id - Delete supplier
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
     
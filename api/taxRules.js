@@ -0,0 +1,211 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const taxService = require('../services/taxService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all tax rule routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const taxRuleSchema = Joi.object({
+  name: Joi.string().min(1).required(),
+  country: Joi.string().length(2).required(),
+  region: Joi.string().allow('', null).optional(),
+  standardRate: Joi.number().min(0).max(100).required(),
+  categoryRates: Joi.array().items(Joi.object({
+    category: Joi.string().required(),
+    rate: Joi.number().min(0).max(100).required(),
+    rateType: Joi.string().valid('reduced', 'super_reduced', 'zero', 'standard').default('reduced')
+  })).default([]),
+  pricesIncludeTax: Joi.boolean().default(false),
+  b2bReverseCharge: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+});
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid tax rule ID'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/tax-rules - List tax rules
+router.get('/', async (req, res) => {
+  try {
+    const { country, isActive } = req.query;
+
+    const rules = await taxService.getRules({
+      country,
+      isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: rules,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax rules',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/tax-rules/preview - Calculate tax for sample items and a destination
+router.post('/preview', async (req, res) => {
+  try {
+    const { items = [], address = {}, vatNumber } = req.body;
+
+    const tax = await taxService.calculateTax(items, address, vatNumber);
+
+    res.json({
+      success: true,
+      data: tax,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error previewing tax:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview tax',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/tax-rules/:id - Get a tax rule
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const rule = await taxService.getRuleById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tax rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax rule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/tax-rules - Create a tax rule
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = taxRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rule = await taxService.createRule(value);
+
+    console.log(`🧾 Tax rule created for ${rule.country}${rule.region ? `-${rule.region}` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Tax rule created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating tax rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tax rule',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/tax-rules/:id - Replace a tax rule
+router.put('/:id', validateId, async (req, res) => {
+  try {
+    const { error, value } = taxRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const rule = await taxService.updateRule(req.params.id, value);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Tax rule updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating tax rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tax rule',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/tax-rules/:id - Delete a tax rule
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await taxService.deleteRule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting tax rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tax rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const carrierTrackingService = require('../services/carrierTrackingService');
+const { verifySignature } = require('../utils/webhookSignature');
+
+// POST /api/webhooks/tracking/:carrier - Receive tracking events from a carrier
+router.post('/:carrier', async (req, res) => {
+  try {
+    const { carrier } = req.params;
+
+    if (!carrierTrackingService.carriers.includes(carrier)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown carrier. Must be ${carrierTrackingService.carriers.join(', ')}`
+      });
+    }
+
+    // Signed over the exact bytes received, captured by the JSON body parser
+    const signature = req.headers['x-tracking-signature'];
+    if (!verifySignature(req.rawBody, signature, process.env.TRACKING_WEBHOOK_SECRET)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    const summary = await carrierTrackingService.ingest(carrier, req.body);
+
+    console.log(`📬 ${carrier} tracking webhook: ${summary.applied} applied, ${summary.duplicates} duplicate, ${summary.unmatched} unmatched`);
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error processing tracking webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process tracking webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
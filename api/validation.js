@@ -8,6 +8,13 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all validation routes
+router.use(verifyToken);
+router.use(authRateLimit);
 
 // Validation schemas
 const validationSchemas = {
@@ -126,6 +133,25 @@ const validationSchemas = {
       .withMessage('Featured must be a boolean value')
   ],
 
+  // File check request validation
+  fileCheck: [
+    body('fileSize')
+      .isInt({ min: 1 })
+      .withMessage('File size must be a positive number of bytes')
+      .toInt(),
+
+    body('fileType')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('File type is required'),
+
+    body('fileName')
+      .optional()
+      .isString()
+      .withMessage('File name must be a string')
+  ],
+
   // File validation
   file: {
     maxSize: 10 * 1024 * 1024, // 10MB
@@ -338,8 +364,18 @@ router.post('/product', validationSchemas.product, async (req, res) => {
 });
 
 // POST /api/validation/file - Validate file upload
-router.post('/file', async (req, res) => {
+router.post('/file', validationSchemas.fileCheck, async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { fileSize, fileType, fileName } = req.body;
 
     const validationErrors = [];
@@ -0,0 +1,224 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const warehouseService = require('../services/warehouseService');
+const authModule = require('./auth');
+const { verifyToken } = authModule;
+const authRateLimit = require('../middleware/authRateLimit');
+
+// Apply authentication middleware to all warehouse routes
+router.use(verifyToken);
+router.use(authRateLimit);
+
+// Validation schemas
+const warehouseFields = {
+  name: Joi.string().min(1).max(200),
+  city: Joi.string().max(100).allow(null),
+  // The trapper regions, e.g. 'US East Coast' or 'Europe'
+  region: Joi.string().max(100).allow(null),
+  // ISO country codes the warehouse ships to, or '*' for anywhere
+  countries: Joi.array().items(Joi.string().pattern(/^([A-Za-z]{2}|\*)$/)).min(1),
+  // Optional state or province codes narrowing which addresses it serves first
+  states: Joi.array().items(Joi.string().max(10)),
+  // Lower numbers are preferred when several warehouses serve an address equally well
+  priority: Joi.number().integer().min(0).max(1000),
+  isActive: Joi.boolean()
+};
+
+const warehouseCreateSchema = Joi.object({
+  code: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+  ...warehouseFields,
+  name: warehouseFields.name.required(),
+  countries: warehouseFields.countries.required(),
+  states: warehouseFields.states.default([]),
+  priority: warehouseFields.priority.default(100),
+  isActive: warehouseFields.isActive.default(true)
+});
+
+const warehouseUpdateSchema = Joi.object(warehouseFields).min(1);
+
+// Reject malformed IDs before they reach the database
+const validateId = (req, res, next) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid warehouse ID'
+    });
+  }
+  next();
+};
+
+// GET /api/admin/warehouses - List warehouses (?region=, ?country=, ?isActive=)
+router.get('/', async (req, res) => {
+  try {
+    const { region, country, isActive } = req.query;
+
+    const warehouses = await warehouseService.getWarehouses({
+      region,
+      country,
+      isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: warehouses,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching warehouses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch warehouses',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/warehouses/ranking - Preview which warehouses would serve an address, best first
+router.post('/ranking', async (req, res) => {
+  try {
+    const { address = {} } = req.body;
+
+    const ranking = await warehouseService.rankFor(address);
+
+    res.json({
+      success: true,
+      data: ranking,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error ranking warehouses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rank warehouses',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/warehouses/:id - Get a warehouse
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const warehouse = await warehouseService.getWarehouseById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Warehouse not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: warehouse,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching warehouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch warehouse',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/warehouses - Create a warehouse
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = warehouseCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const warehouse = await warehouseService.createWarehouse(value);
+
+    console.log(`🏭 Warehouse ${warehouse.code} created for ${warehouse.countries.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      data: warehouse,
+      message: 'Warehouse created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating warehouse:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create warehouse',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/warehouses/:id - Update a warehouse (its code is fixed)
+router.put('/:id', validateId, async (req, res) => {
+  try {
+    const { error, value } = warehouseUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const warehouse = await warehouseService.updateWarehouse(req.params.id, value);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Warehouse not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: warehouse,
+      message: 'Warehouse updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating warehouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update warehouse',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/warehouses/:id - Delete an empty warehouse
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await warehouseService.deleteWarehouse(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Warehouse not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Warehouse deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting warehouse:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to delete warehouse',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+/**
+ * Database Configuration (test double)
+ *
+ * In-memory stand-in for the MongoDB connection, used by tests through
+ * `jest.mock('../config/database')`. Queries, updates and pipelines are
+ * evaluated with mingo; only the collection methods the services use are provided.
+ */
+
+const { ObjectId } = require('mongodb');
+const mingo = require('mingo');
+
+// Copy a document so callers never share state with what is stored
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value && typeof value === 'object' && !(value instanceof ObjectId) && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function duplicateKeyError(collection, key) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} dup key: ${JSON.stringify(key)}`);
+  error.code = 11000;
+  return error;
+}
+
+// Fields of a filter that pin a value, used to seed an upserted document
+function equalityFields(filter) {
+  const fields = {};
+
+  Object.entries(filter || {}).forEach(([key, value]) => {
+    const isOperator = value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+      !Array.isArray(value) && Object.keys(value).some(name => name.startsWith('$'));
+    if (!key.startsWith('$') && !key.includes('.') && !isOperator) {
+      fields[key] = clone(value);
+    }
+  });
+
+  return fields;
+}
+
+// Rewrite `items.$.field` to the index of the first element the filter matched, as the server does
+function resolvePositional(doc, operators, filter = {}) {
+  const indexOf = arrayPath => {
+    const condition = {};
+    Object.entries(filter).forEach(([key, value]) => {
+      if (key.startsWith(`${arrayPath}.`)) {
+        condition[key.slice(arrayPath.length + 1)] = value;
+      } else if (key === arrayPath && value && value.$elemMatch) {
+        Object.assign(condition, value.$elemMatch);
+      }
+    });
+    const elements = mingo.find([doc], {}, { [arrayPath]: 1 }).all()[0]?.[arrayPath] || [];
+    const query = new mingo.Query(condition);
+    return elements.findIndex(element => query.test(element));
+  };
+
+  return Object.fromEntries(Object.entries(operators).map(([operator, fields]) => [
+    operator,
+    Object.fromEntries(Object.entries(fields).map(([path, value]) => {
+      const match = path.match(/^(.*?)\.\$(\.|$)/);
+      return [match ? path.replace('.$', `.${indexOf(match[1])}`) : path, value];
+    }))
+  ]));
+}
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.projection = null;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  batchSize() {
+    return this;
+  }
+
+  async close() {}
+
+  async toArray() {
+    let cursor = mingo.find(this.load(), {}, this.projection || undefined);
+    if (this.sortSpec) cursor = cursor.sort(this.sortSpec);
+    if (this.skipCount) cursor = cursor.skip(this.skipCount);
+    if (this.limitCount) cursor = cursor.limit(this.limitCount);
+    return cursor.all().map(clone);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  matching(filter = {}) {
+    const query = new mingo.Query(filter);
+    return this.docs.filter(doc => query.test(doc));
+  }
+
+  first(filter, sort) {
+    const matches = this.matching(filter);
+    return sort ? mingo.find(matches, {}).sort(sort).all()[0] : matches[0];
+  }
+
+  // Reject a document that would share a unique key with another one
+  checkUnique(doc) {
+    for (const { keys, partialFilterExpression } of this.uniqueIndexes) {
+      if (partialFilterExpression && !new mingo.Query(partialFilterExpression).test(doc)) {
+        continue;
+      }
+
+      const key = keys.map(field => String(doc[field]));
+      const clash = this.docs.find(other => other !== doc &&
+        (!partialFilterExpression || new mingo.Query(partialFilterExpression).test(other)) &&
+        keys.every((field, index) => String(other[field]) === key[index]));
+      if (clash) {
+        throw duplicateKeyError(this.collectionName, key);
+      }
+    }
+  }
+
+  // Apply an update document or pipeline to a stored document in place
+  apply(doc, update, filter, { arrayFilters, inserting = false } = {}) {
+    const before = clone(doc);
+
+    if (Array.isArray(update)) {
+      const [result] = mingo.aggregate([doc], update);
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, result);
+    } else {
+      const { $setOnInsert, ...operators } = update;
+      // The server accepts setting _id to the value it already has
+      if (operators.$set && '_id' in operators.$set && String(operators.$set._id) === String(doc._id)) {
+        const { _id, ...fields } = operators.$set;
+        operators.$set = fields;
+      }
+      if (inserting && $setOnInsert) {
+        mingo.update(doc, { $set: $setOnInsert });
+      }
+      if (Object.keys(operators).length > 0) {
+        mingo.update(doc, resolvePositional(doc, operators, filter), arrayFilters);
+      }
+    }
+
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+  }
+
+  upsert(filter, update, options) {
+    const doc = { _id: new ObjectId(), ...equalityFields(filter) };
+    this.docs.push(doc);
+    try {
+      this.apply(doc, update, filter, { ...options, inserting: true });
+    } catch (error) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+      throw error;
+    }
+    return doc;
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({ keys: Object.keys(keys), partialFilterExpression: options.partialFilterExpression });
+    }
+    return Object.keys(keys).join('_');
+  }
+
+  find(filter = {}, { projection, sort, limit } = {}) {
+    const cursor = new MemoryCursor(() => this.matching(filter));
+    if (projection) cursor.project(projection);
+    if (sort) cursor.sort(sort);
+    if (limit) cursor.limit(limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, { projection, sort } = {}) {
+    const [doc] = await this.find(filter, { projection, sort, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const valueAt = doc => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+    const values = this.matching(filter).flatMap(doc => [].concat(valueAt(doc) ?? []));
+    return values.filter((value, index) => values.findIndex(other => String(other) === String(value)) === index);
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ ...doc, _id: doc._id || new ObjectId() });
+    if (this.docs.some(other => String(other._id) === String(stored._id))) {
+      throw duplicateKeyError(this.collectionName, [String(stored._id)]);
+    }
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.first(filter, options.sort);
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsert(filter, update, options);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    this.apply(doc, update, filter, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.matching(filter);
+    if (docs.length === 0 && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+
+    docs.forEach(doc => this.apply(doc, update, filter, options));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { returnDocument = 'before', projection } = options;
+    let doc = this.first(filter, options.sort);
+    let before = null;
+
+    if (doc) {
+      before = clone(doc);
+      this.apply(doc, update, filter, options);
+    } else if (options.upsert) {
+      doc = this.upsert(filter, update, options);
+    } else {
+      return null;
+    }
+
+    const result = returnDocument === 'after' ? doc : before;
+    if (!result) {
+      return null;
+    }
+    return clone(projection ? mingo.find([result], {}, projection).all()[0] : result);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const doc = this.first(filter, options.sort);
+    if (!doc) {
+      return null;
+    }
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const doc = this.first(filter);
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = new Set(this.matching(filter));
+    this.docs = this.docs.filter(doc => !docs.has(doc));
+    return { acknowledged: true, deletedCount: docs.size };
+  }
+
+  async bulkWrite(operations) {
+    let matchedCount = 0;
+    let modifiedCount = 0;
+
+    for (const operation of operations) {
+      const [type, { filter, update, upsert, arrayFilters }] = Object.entries(operation)[0];
+      const method = type === 'updateMany' ? 'updateMany' : 'updateOne';
+      const result = await this[method](filter, update, { upsert, arrayFilters });
+      matchedCount += result.matchedCount;
+      modifiedCount += result.modifiedCount;
+    }
+
+    return { acknowledged: true, matchedCount, modifiedCount };
+  }
+
+  aggregate(pipeline = []) {
+    const run = () => mingo.aggregate(this.docs, pipeline, {
+      collectionResolver: name => this.db.collection(name).docs
+    }).map(clone);
+
+    return {
+      toArray: async () => run(),
+      async *[Symbol.asyncIterator]() {
+        yield* run();
+      }
+    };
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.databaseName = 'test';
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name, this));
+    }
+    return this.collections.get(name);
+  }
+
+  admin() {
+    return { ping: async () => ({ ok: 1 }) };
+  }
+
+  // Drop every document but keep collections and their unique indexes, which services create once
+  reset() {
+    this.collections.forEach(collection => {
+      collection.docs = [];
+    });
+  }
+}
+
+const db = new MemoryDb();
+
+async function connectDB() {
+  return db;
+}
+
+function getDB() {
+  return db;
+}
+
+function getCollection(collectionName) {
+  return db.collection(collectionName);
+}
+
+async function closeDB() {}
+
+async function healthCheck() {
+  return { status: 'healthy', message: 'In-memory database', database: db.databaseName };
+}
+
+/**
+ * Empty every collection between tests
+ */
+function resetDB() {
+  db.reset();
+}
+
+module.exports = {
+  connectDB,
+  getDB,
+  getCollection,
+  closeDB,
+  healthCheck,
+  resetDB
+};
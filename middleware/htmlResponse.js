@@ -24,14 +24,19 @@ const htmlResponse = (req, res, next) => {
     
     // Override res.json to serve HTML instead
     res.json = function(data) {
-      // Read the HTML template
-      const htmlPath = path.join(__dirname, 'views', 'api-response.html');
+      // Read the HTML template; routes that render their own view (e.g. invoices) name it in res.locals.view
+      const htmlPath = res.locals.view
+        ? path.join(__dirname, '..', 'views', res.locals.view)
+        : path.join(__dirname, 'views', 'api-response.html');
       
       try {
         let html = fs.readFileSync(htmlPath, 'utf8');
         
-        // Inject the response data into the HTML
-        const responseData = JSON.stringify(data);
+        // Inject the response data into the HTML, escaped for the attribute it lands in
+        const responseData = JSON.stringify(data)
+          .replace(/&/g, '&amp;')
+          .replace(/"/g, '&quot;')
+          .replace(/</g, '&lt;');
         html = html.replace(
           'x-data="apiViewer()"',
           `x-data="apiViewer()" x-init="response = ${responseData}; loading = false; lastFetch = new Date('${new Date().toISOString()}')"`
@@ -1,15 +1,19 @@
 const { getDB } = require('../config/database');
 const { ObjectId } = require('mongodb');
+const stockLedgerService = require('../services/stockLedgerService');
+const { createHttpError } = require('../utils/httpError');
 
 class Inventory {
   constructor(data) {
-    this.id = data.id || null;
+    this.id = data.id || (data._id ? data._id.toString() : null);
     this.productId = data.productId;
     this.variantId = data.variantId;
     this.sku = data.sku;
     this.currentStock = data.currentStock || 0;
     this.reservedStock = data.reservedStock || 0;
     this.availableStock = data.availableStock || 0;
+    // Units on their way here from another warehouse
+    this.inTransitStock = data.inTransitStock || 0;
     this.minStockLevel = data.minStockLevel || 10;
     this.maxStockLevel = data.maxStockLevel || 1000;
     this.reorderPoint = data.reorderPoint || 20;
@@ -22,7 +26,6 @@ class Inventory {
     this.status = data.status || 'active';
     this.lastRestocked = data.lastRestocked || new Date();
     this.lastSold = data.lastSold;
-    this.stockMovements = data.stockMovements || [];
     this.alerts = data.alerts || [];
     this.analytics = data.analytics || {
       totalSold: 0,
@@ -47,17 +50,14 @@ class Inventory {
       const collection = db.collection('inventory');
       
       // Update calculated fields
-      this.availableStock = this.calculatedAvailableStock;
       this.margin = this.sellingPrice - this.cost;
       this.updatedAt = new Date();
       
+      // Balances are left out: they only move through the stock ledger
       const inventoryData = {
         productId: this.productId,
         variantId: this.variantId,
         sku: this.sku,
-        currentStock: this.currentStock,
-        reservedStock: this.reservedStock,
-        availableStock: this.availableStock,
         minStockLevel: this.minStockLevel,
         maxStockLevel: this.maxStockLevel,
         reorderPoint: this.reorderPoint,
@@ -70,7 +70,6 @@ class Inventory {
         status: this.status,
         lastRestocked: this.lastRestocked,
         lastSold: this.lastSold,
-        stockMovements: this.stockMovements,
         alerts: this.alerts,
         analytics: this.analytics,
         createdAt: this.createdAt,
@@ -84,9 +83,29 @@ class Inventory {
           { $set: inventoryData }
         );
       } else {
-        // Create new inventory
-        const result = await collection.insertOne(inventoryData);
+        // Create new inventory empty, then post its opening stock to the ledger
+        const openingStock = this.currentStock;
+        const result = await collection.insertOne({
+          ...inventoryData,
+          currentStock: 0,
+          reservedStock: 0,
+          availableStock: 0,
+          inTransitStock: 0
+        });
         this.id = result.insertedId.toString();
+        this.currentStock = 0;
+        this.reservedStock = 0;
+        this.availableStock = 0;
+        this.inTransitStock = 0;
+
+        if (openingStock > 0) {
+          await this.addStockMovement({
+            type: 'in',
+            quantity: openingStock,
+            reason: 'opening_balance',
+            reference: { type: 'adjustment', id: null }
+          });
+        }
       }
       
       return this;
@@ -96,34 +115,28 @@ class Inventory {
     }
   }
 
-  // Add stock movement
+  // Add stock movement as one atomic ledger entry; movements that would take stock below zero are refused
   async addStockMovement(movement) {
     try {
-      this.stockMovements.push({
-        ...movement,
-        timestamp: new Date()
-      });
+      const changes = stockLedgerService.changesFor(movement.type, movement.quantity);
+      const recorded = await stockLedgerService.record(
+        new ObjectId(this.id),
+        changes,
+        movement,
+        { guarded: true, set: movement.type === 'out' ? { lastSold: new Date() } : {} }
+      );
       
-      // Update stock levels based on movement type
-      switch (movement.type) {
-        case 'in':
-          this.currentStock += movement.quantity;
-          break;
-        case 'out':
-          this.currentStock = Math.max(0, this.currentStock - movement.quantity);
-          break;
-        case 'reserved':
-          this.reservedStock += movement.quantity;
-          break;
-        case 'unreserved':
-          this.reservedStock = Math.max(0, this.reservedStock - movement.quantity);
-          break;
+      if (!recorded) {
+        throw createHttpError(`Not enough stock for a ${movement.type} movement of ${movement.quantity}`, 409);
       }
       
-      this.availableStock = this.calculatedAvailableStock;
-      this.lastSold = movement.type === 'out' ? new Date() : this.lastSold;
+      this.currentStock = recorded.inventory.currentStock;
+      this.reservedStock = recorded.inventory.reservedStock;
+      this.availableStock = recorded.inventory.availableStock;
+      this.lastSold = recorded.inventory.lastSold;
+      this.updatedAt = recorded.inventory.updatedAt;
       
-      return await this.save();
+      return this;
     } catch (error) {
       console.error('Error adding stock movement:', error);
       throw error;
@@ -199,6 +212,7 @@ class Inventory {
       if (filters.sku) query.sku = filters.sku;
       if (filters.status) query.status = filters.status;
       if (filters.supplierId) query['supplier.id'] = new ObjectId(filters.supplierId);
+      if (filters.warehouse) query['location.warehouse'] = filters.warehouse;
       if (filters.lowStock) {
         query.$expr = { $lte: ['$currentStock', '$reorderPoint'] };
       }
@@ -227,12 +241,13 @@ class Inventory {
     }
   }
 
-  // Get inventory by SKU
-  static async findBySku(sku) {
+  // Get inventory by SKU, optionally in one warehouse (each warehouse keeps its own record)
+  static async findBySku(sku, warehouse = null) {
     try {
       const db = getDB();
       const collection = db.collection('inventory');
-      const inventory = await collection.findOne({ sku: sku });
+      const query = warehouse ? { sku: sku, 'location.warehouse': warehouse } : { sku: sku };
+      const inventory = await collection.findOne(query);
       return inventory ? new Inventory(inventory) : null;
     } catch (error) {
       console.error('Error fetching inventory by SKU:', error);
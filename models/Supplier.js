@@ -3,7 +3,7 @@ const { ObjectId } = require('mongodb');
 
 class Supplier {
   constructor(data) {
-    this.id = data.id || null;
+    this.id = data.id || (data._id ? data._id.toString() : null);
     this.name = data.name;
     this.contactEmail = data.contactEmail;
     this.phone = data.phone;
@@ -0,0 +1,53 @@
+const stockLedgerService = require('../services/stockLedgerService');
+require('dotenv').config();
+
+// Usage: npm run rebuild-stock [-- --migrate] [-- --fix]
+//   --migrate  move movements still embedded in inventory records into the ledger first
+//   --fix      reset drifted balances to what the ledger says (otherwise only report them); refused while
+//              records with stock have no ledger entries, unless --migrate brings them in first
+const args = process.argv.slice(2);
+const migrate = args.includes('--migrate');
+const fix = args.includes('--fix');
+
+async function rebuildStock() {
+  try {
+    if (migrate) {
+      const { history, opened } = await stockLedgerService.migrateEmbedded();
+      console.log(`📥 Moved ${history} embedded movements into the ledger and opened ${opened} balances`);
+    }
+
+    const { checked, drifted, fixed } = await stockLedgerService.findDrift({ fix });
+    console.log(`🔍 Checked ${checked} inventory records against the stock ledger`);
+
+    drifted.forEach(record => {
+      const fields = Object.entries(record.differences)
+        .map(([field, { actual, ledger }]) => `${field} ${actual} (ledger ${ledger})`)
+        .join(', ');
+      console.log(`⚠️ ${record.sku} in ${record.warehouse}: ${fields}`);
+    });
+
+    if (drifted.length === 0) {
+      console.log('✅ Every balance matches the ledger');
+    } else if (fix) {
+      console.log(`🔧 Reset ${fixed} records to their ledger balances`);
+    } else {
+      console.log(`❗ ${drifted.length} records have drifted; run with --fix to reset them`);
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      console.error(`❌ ${error.message}; run with --migrate --fix`);
+      error.details.inventoryIds.forEach(inventoryId => console.error(`   ${inventoryId}`));
+      process.exitCode = 1;
+      return;
+    }
+    console.error('❌ Error rebuilding stock balances:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+// Run the rebuild
+rebuildStock();
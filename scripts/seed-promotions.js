@@ -0,0 +1,56 @@
+const { connectDB } = require('../config/database');
+require('dotenv').config();
+
+// The codes that used to be hard-coded in the cart service
+const promotions = [
+  { code: 'WELCOME10', name: 'Welcome 10% off', type: 'percentage', value: 10 },
+  { code: 'SAVE20', name: '20% off', type: 'percentage', value: 20 },
+  { code: 'FREESHIP', name: 'Free shipping', type: 'free_shipping', value: 0 },
+  { code: 'FIXED50', name: '$50 off', type: 'fixed', value: 50 }
+];
+
+async function seedPromotions() {
+  try {
+    const db = await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    for (const promotion of promotions) {
+      // Leave codes an admin has already edited untouched
+      const result = await db.collection('promotions').updateOne(
+        { code: promotion.code },
+        {
+          $setOnInsert: {
+            ...promotion,
+            minSubtotal: 0,
+            eligibility: { brands: [], categories: [] },
+            startsAt: null,
+            endsAt: null,
+            usageLimit: null,
+            usageLimitPerCustomer: null,
+            stackable: false,
+            isActive: true,
+            usageCount: 0,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      console.log(result.upsertedCount > 0
+        ? `✅ Created promotion: ${promotion.code}`
+        : `⏭️ Promotion already exists: ${promotion.code}`);
+    }
+
+    console.log('🎉 Promotion seeding completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error seeding promotions:', error);
+  } finally {
+    console.log('🔌 Seeding completed');
+    process.exit(0);
+  }
+}
+
+// Run the seeding function
+seedPromotions();
@@ -0,0 +1,59 @@
+const { connectDB } = require('../config/database');
+require('dotenv').config();
+
+const EAST_COAST_STATES = ['ME', 'NH', 'VT', 'MA', 'RI', 'CT', 'NY', 'NJ', 'PA', 'DE', 'MD', 'DC', 'VA', 'WV', 'NC', 'SC', 'GA', 'FL', 'OH', 'MI', 'IN', 'KY', 'TN', 'AL', 'MS', 'IL', 'WI'];
+const WEST_COAST_STATES = ['CA', 'OR', 'WA', 'NV', 'AZ', 'UT', 'ID', 'MT', 'WY', 'CO', 'NM', 'AK', 'HI', 'TX', 'OK', 'KS', 'NE', 'SD', 'ND', 'MN', 'IA', 'MO', 'AR', 'LA'];
+
+// One warehouse per trapper city, serving its region
+const warehouses = [
+  { code: 'nyc', name: 'New York', city: 'New York', region: 'US East Coast', countries: ['US', 'CA'], states: EAST_COAST_STATES, priority: 10 },
+  { code: 'bos', name: 'Boston', city: 'Boston', region: 'US East Coast', countries: ['US', 'CA'], states: EAST_COAST_STATES, priority: 20 },
+  { code: 'mia', name: 'Miami', city: 'Miami', region: 'US East Coast', countries: ['US', 'MX'], states: EAST_COAST_STATES, priority: 20 },
+  { code: 'lax', name: 'Los Angeles', city: 'Los Angeles', region: 'US West Coast', countries: ['US', 'MX'], states: WEST_COAST_STATES, priority: 10 },
+  { code: 'sfo', name: 'San Francisco', city: 'San Francisco', region: 'US West Coast', countries: ['US'], states: WEST_COAST_STATES, priority: 20 },
+  { code: 'sea', name: 'Seattle', city: 'Seattle', region: 'US West Coast', countries: ['US', 'CA'], states: WEST_COAST_STATES, priority: 20 },
+  { code: 'par', name: 'Paris', city: 'Paris', region: 'Europe', countries: ['FR', 'BE', 'LU', 'NL', 'DE', 'ES', 'PT', 'CH', 'AT'], states: [], priority: 10 },
+  { code: 'lon', name: 'London', city: 'London', region: 'Europe', countries: ['GB', 'IE'], states: [], priority: 10 },
+  { code: 'mil', name: 'Milan', city: 'Milan', region: 'Europe', countries: ['IT', 'GR', 'CY', 'MT', 'SI', 'HR'], states: [], priority: 10 },
+  { code: 'tyo', name: 'Tokyo', city: 'Tokyo', region: 'Asia Pacific', countries: ['JP', 'KR', 'CN', 'HK', 'TW'], states: [], priority: 10 },
+  { code: 'bom', name: 'Mumbai', city: 'Mumbai', region: 'Asia Pacific', countries: ['IN', 'AE', 'SG', 'LK', 'BD'], states: [], priority: 10 },
+  { code: 'syd', name: 'Sydney', city: 'Sydney', region: 'Asia Pacific', countries: ['AU', 'NZ'], states: [], priority: 10 }
+];
+
+async function seedWarehouses() {
+  try {
+    const db = await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    for (const warehouse of warehouses) {
+      // Leave warehouses an admin has already edited untouched
+      const result = await db.collection('warehouses').updateOne(
+        { code: warehouse.code },
+        {
+          $setOnInsert: {
+            ...warehouse,
+            isActive: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      console.log(result.upsertedCount > 0
+        ? `✅ Created warehouse: ${warehouse.code} (${warehouse.city})`
+        : `⏭️ Warehouse already exists: ${warehouse.code}`);
+    }
+
+    console.log('🎉 Warehouse seeding completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error seeding warehouses:', error);
+  } finally {
+    console.log('🔌 Seeding completed');
+    process.exit(0);
+  }
+}
+
+// Run the seeding function
+seedWarehouses();
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Send sample signed payment events to the local payment webhook
+ *
+ * Usage:
+ *   node scripts/send-payment-events.js <transactionId> [--provider fake|stripe] [--scenario paid|failed|refunded|disputed|dispute-lost]
+ *                                       [--amount 49.99] [--currency USD] [--url http://localhost:3001] [--replay]
+ *
+ * PayPal signs with certificates checked by PayPal itself, so its events can only come from PayPal.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { signPayload } = require('../utils/webhookSignature');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const transactionId = args[0] && !args[0].startsWith('--') ? args[0] : null;
+const provider = option('provider', 'fake');
+const scenario = option('scenario', 'paid');
+const amount = parseFloat(option('amount', '49.99'));
+const currency = option('currency', 'USD').toUpperCase();
+const baseUrl = option('url', `http://localhost:${process.env.PORT || 3001}`);
+// Sending each event twice shows that replays are ignored
+const replay = args.includes('--replay');
+
+const secrets = {
+  fake: process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+  stripe: process.env.STRIPE_WEBHOOK_SECRET
+};
+const signatureHeaders = {
+  fake: 'X-Payment-Signature',
+  stripe: 'Stripe-Signature'
+};
+
+// Event sequences a payment can go through
+const scenarios = {
+  paid: ['succeeded'],
+  failed: ['failed'],
+  refunded: ['succeeded', 'refunded'],
+  disputed: ['succeeded', 'disputed', 'dispute_won'],
+  'dispute-lost': ['succeeded', 'disputed', 'dispute_lost']
+};
+
+const eventId = step => `evt_${crypto.createHash('sha256').update(`${provider}|${transactionId}|${step}`).digest('hex').slice(0, 24)}`;
+
+// Shape each step the way the provider would send it
+const eventBuilders = {
+  fake: step => {
+    const types = {
+      succeeded: ['payment.succeeded', { amount, fee: Math.round((amount * 0.029 + 0.30) * 100) / 100 }],
+      failed: ['payment.failed', { reason: 'Card declined' }],
+      refunded: ['payment.refunded', { amount, refundId: `re_${transactionId}` }],
+      disputed: ['payment.disputed', { amount, disputeId: `dp_${transactionId}`, reason: 'fraudulent' }],
+      dispute_won: ['dispute.closed', { disputeId: `dp_${transactionId}`, outcome: 'won' }],
+      dispute_lost: ['dispute.closed', { disputeId: `dp_${transactionId}`, outcome: 'lost' }]
+    };
+    const [type, data] = types[step];
+
+    return { id: eventId(step), type, created: new Date().toISOString(), data: { transactionId, ...data } };
+  },
+
+  stripe: step => {
+    const minor = Math.round(amount * 100);
+    const chargeId = `ch_${transactionId.replace(/^pi_/, '')}`;
+    const objects = {
+      succeeded: ['payment_intent.succeeded', { id: transactionId, object: 'payment_intent', amount: minor, amount_received: minor, currency: currency.toLowerCase(), latest_charge: chargeId, status: 'succeeded' }],
+      failed: ['payment_intent.payment_failed', { id: transactionId, object: 'payment_intent', amount: minor, currency: currency.toLowerCase(), status: 'requires_payment_method', last_payment_error: { message: 'Your card was declined.' } }],
+      refunded: ['charge.refunded', { id: chargeId, object: 'charge', payment_intent: transactionId, amount: minor, amount_refunded: minor, currency: currency.toLowerCase(), refunded: true }],
+      disputed: ['charge.dispute.created', { id: `dp_${transactionId}`, object: 'dispute', payment_intent: transactionId, charge: chargeId, amount: minor, currency: currency.toLowerCase(), reason: 'fraudulent', status: 'needs_response' }],
+      dispute_won: ['charge.dispute.closed', { id: `dp_${transactionId}`, object: 'dispute', payment_intent: transactionId, charge: chargeId, amount: minor, currency: currency.toLowerCase(), status: 'won' }],
+      dispute_lost: ['charge.dispute.closed', { id: `dp_${transactionId}`, object: 'dispute', payment_intent: transactionId, charge: chargeId, amount: minor, currency: currency.toLowerCase(), status: 'lost' }]
+    };
+    const [type, object] = objects[step];
+
+    return { id: eventId(step), object: 'event', type, created: Math.floor(Date.now() / 1000), data: { object } };
+  }
+};
+
+async function sendPaymentEvents() {
+  if (!transactionId || !eventBuilders[provider] || !scenarios[scenario]) {
+    console.log('Usage: node scripts/send-payment-events.js <transactionId> [--provider fake|stripe] [--scenario paid|failed|refunded|disputed|dispute-lost] [--amount <amount>] [--currency <code>] [--url <baseUrl>] [--replay]');
+    process.exit(1);
+  }
+
+  if (!secrets[provider]) {
+    console.error(`❌ ${provider === 'fake' ? 'FAKE_PAYMENT_WEBHOOK_SECRET' : 'STRIPE_WEBHOOK_SECRET'} is not set`);
+    process.exit(1);
+  }
+
+  console.log(`💳 Sending "${scenario}" for ${transactionId} as ${provider} to ${baseUrl}\n`);
+
+  for (const step of scenarios[scenario]) {
+    const body = JSON.stringify(eventBuilders[provider](step));
+
+    for (let attempt = 0; attempt < (replay ? 2 : 1); attempt++) {
+      try {
+        const response = await fetch(`${baseUrl}/api/payments/webhooks/${provider}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            [signatureHeaders[provider]]: signPayload(body, secrets[provider])
+          },
+          body
+        });
+        const result = await response.json();
+
+        console.log(`${response.ok ? '✅' : '❌'} ${step.padEnd(14)} ${response.status} ${JSON.stringify(result.data || result.message || result.error)}`);
+      } catch (error) {
+        console.error(`❌ ${step}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log('\n🎉 Events sent');
+}
+
+sendPaymentEvents();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Replay carrier tracking events against the local tracking webhook
+ *
+ * Usage:
+ *   node scripts/simulate-carrier.js <trackingNumber> [--carrier generic|dhl|ups] [--scenario delivered|exception]
+ *                                    [--url http://localhost:3001] [--delay 1000]
+ */
+
+require('dotenv').config();
+const { signPayload } = require('../utils/webhookSignature');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const trackingNumber = args[0] && !args[0].startsWith('--') ? args[0] : null;
+const carrier = option('carrier', 'generic');
+const scenario = option('scenario', 'delivered');
+const baseUrl = option('url', `http://localhost:${process.env.PORT || 3001}`);
+const delay = parseInt(option('delay', '1000'));
+const secret = process.env.TRACKING_WEBHOOK_SECRET;
+
+// Event sequences a parcel can go through
+const scenarios = {
+  delivered: [
+    { status: 'label_created', description: 'Shipment information received', location: 'Athens, GR' },
+    { status: 'picked_up', description: 'Picked up by carrier', location: 'Athens, GR' },
+    { status: 'in_transit', description: 'Departed sorting facility', location: 'Leipzig, DE' },
+    { status: 'out_for_delivery', description: 'Out for delivery', location: 'Berlin, DE' },
+    { status: 'delivered', description: 'Delivered', location: 'Berlin, DE' }
+  ],
+  exception: [
+    { status: 'label_created', description: 'Shipment information received', location: 'Athens, GR' },
+    { status: 'picked_up', description: 'Picked up by carrier', location: 'Athens, GR' },
+    { status: 'in_transit', description: 'Departed sorting facility', location: 'Leipzig, DE' },
+    { status: 'exception', description: 'Delivery attempted - recipient not available', location: 'Berlin, DE' },
+    { status: 'out_for_delivery', description: 'Out for delivery', location: 'Berlin, DE' },
+    { status: 'delivered', description: 'Delivered', location: 'Berlin, DE' }
+  ]
+};
+
+// Shape a normalized event the way each carrier would send it
+const payloadBuilders = {
+  generic: event => ({ events: [event] }),
+
+  dhl: event => ({
+    shipments: [{
+      id: event.trackingNumber,
+      events: [{
+        eventId: event.eventId,
+        timestamp: event.occurredAt,
+        statusCode: {
+          label_created: 'pre-transit',
+          delivered: 'delivered',
+          exception: 'failure'
+        }[event.status] || 'transit',
+        description: event.description,
+        location: { address: { addressLocality: event.location } }
+      }]
+    }]
+  }),
+
+  ups: event => {
+    const iso = event.occurredAt.replace(/[-:]/g, '');
+    const [city, country] = event.location.split(', ');
+
+    return {
+      eventId: event.eventId,
+      trackingNumber: event.trackingNumber,
+      localActivityDate: iso.slice(0, 8),
+      localActivityTime: iso.slice(9, 15),
+      activityLocation: { city, country },
+      activityStatus: {
+        type: {
+          label_created: 'M',
+          picked_up: 'P',
+          in_transit: 'I',
+          out_for_delivery: 'O',
+          delivered: 'D',
+          exception: 'X'
+        }[event.status],
+        description: event.description
+      }
+    };
+  }
+};
+
+async function simulateCarrier() {
+  if (!trackingNumber || !payloadBuilders[carrier] || !scenarios[scenario]) {
+    console.log('Usage: node scripts/simulate-carrier.js <trackingNumber> [--carrier generic|dhl|ups] [--scenario delivered|exception] [--url <baseUrl>] [--delay <ms>]');
+    process.exit(1);
+  }
+
+  if (!secret) {
+    console.error('❌ TRACKING_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  console.log(`🚚 Replaying "${scenario}" for ${trackingNumber} as ${carrier} against ${baseUrl}\n`);
+
+  const startedAt = Date.now();
+
+  for (const [index, step] of scenarios[scenario].entries()) {
+    const event = {
+      ...step,
+      eventId: `sim-${trackingNumber}-${index}`,
+      trackingNumber,
+      // One hour apart, ending now
+      occurredAt: new Date(startedAt - (scenarios[scenario].length - 1 - index) * 60 * 60 * 1000).toISOString().split('.')[0] + 'Z'
+    };
+    const body = JSON.stringify(payloadBuilders[carrier](event));
+
+    try {
+      const response = await fetch(`${baseUrl}/api/webhooks/tracking/${carrier}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Tracking-Signature': signPayload(body, secret)
+        },
+        body
+      });
+      const result = await response.json();
+
+      console.log(`${response.ok ? '✅' : '❌'} ${step.status.padEnd(16)} ${response.status} ${JSON.stringify(result.data || result.error)}`);
+    } catch (error) {
+      console.error(`❌ ${step.status}: ${error.message}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  console.log('\n🎉 Simulation completed');
+}
+
+simulateCarrier();
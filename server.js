@@ -13,6 +13,8 @@ const htmlResponse = require('./middleware/htmlResponse');
 // Import route loader for dynamic loading
 const { getLazyRouteHandler, preloadCriticalRoutes } = require('./utils/routeLoader');
 const { preloadCriticalServices } = require('./utils/serviceLoader');
+const reservationService = require('./services/reservationService');
+const cartRecoveryService = require('./services/cartRecoveryService');
 
 // Direct imports for critical routes
 const trappersRouter = require('./api/trappers');
@@ -122,7 +124,8 @@ app.use(cors({
     'Accept',
     'Origin',
     'Access-Control-Request-Method',
-    'Access-Control-Request-Headers'
+    'Access-Control-Request-Headers',
+    'Idempotency-Key'
   ],
   exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
@@ -151,6 +154,10 @@ app.use('/api/', (req, res, next) => {
   if (req.path.startsWith('/auth')) {
     return next();
   }
+  // Skip rate limiting for carrier and payment webhooks (signed, and bursty by nature)
+  if (req.path.startsWith('/webhooks')) {
+    return next();
+  }
   // Skip rate limiting for trappers API (public data, no sensitive operations)
   if (req.path.startsWith('/trappers')) {
     return next();
@@ -177,8 +184,11 @@ app.use('/api/', (req, res, next) => {
       req.path.startsWith('/orders') ||
       req.path.startsWith('/payments') ||
       req.path.startsWith('/refunds') ||
+      req.path.startsWith('/returns') ||
       req.path.startsWith('/inventory') ||
       req.path.startsWith('/suppliers') ||
+      req.path.startsWith('/validation') ||
+      req.path.startsWith('/files') ||
       req.path.startsWith('/seo') ||
       req.path.startsWith('/page-tracking')) {
     return next();
@@ -193,7 +203,15 @@ if (process.env.ENABLE_REQUEST_LOGGING !== 'false') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the raw body, so keep it for those routes
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/') || req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // HTML response middleware for beautiful API responses
@@ -372,6 +390,7 @@ app.use('/api/analytics-tracker', getLazyRouteHandler('./api/analytics-tracker')
 app.use('/api/page-tracking', pageTrackingRouter);
 app.use('/api/products', getLazyRouteHandler('./api/products-cached')); // Use cached products
 app.use('/api/cart', getLazyRouteHandler('./api/cart'));
+app.use('/api/currencies', getLazyRouteHandler('./api/currencies'));
 app.use('/api/admin', getLazyRouteHandler('./api/admin')); // Admin dashboard
 app.use('/api/auth', getLazyRouteHandler('./api/auth')); // Authentication
 console.log('✅ Critical routes loaded');
@@ -394,11 +413,26 @@ console.log('🔧 Loading additional API routes...');
 app.use('/api/variants', getLazyRouteHandler('./api/variants'));
 // Move top-selling to admin routes since it's used in admin dashboard
 app.use('/api/admin/top-selling', getLazyRouteHandler('./api/topSelling'));
+app.use('/api/admin/tax-rules', getLazyRouteHandler('./api/taxRules'));
+app.use('/api/admin/shipping-zones', getLazyRouteHandler('./api/shippingZones'));
+app.use('/api/admin/warehouses', getLazyRouteHandler('./api/warehouses'));
+app.use('/api/admin/stock-transfers', getLazyRouteHandler('./api/stockTransfers'));
+app.use('/api/admin/stock-takes', getLazyRouteHandler('./api/stockTakes'));
+app.use('/api/admin/purchase-orders', getLazyRouteHandler('./api/purchaseOrders'));
+app.use('/api/admin/exchange-rates', getLazyRouteHandler('./api/exchangeRates'));
+app.use('/api/admin/promotions', getLazyRouteHandler('./api/promotions'));
+app.use('/api/admin/cart-recoveries', getLazyRouteHandler('./api/cartRecoveries'));
 app.use('/api/data-driven-strategies', getLazyRouteHandler('./api/dataDrivenStrategies'));
 app.use('/api/search', getLazyRouteHandler('./api/advancedSearch'));
 app.use('/api/orders', getLazyRouteHandler('./api/orders'));
+app.use('/api/webhooks/tracking', getLazyRouteHandler('./api/trackingWebhooks'));
 app.use('/api/payments', getLazyRouteHandler('./api/payments'));
 app.use('/api/refunds', getLazyRouteHandler('./api/refunds'));
+app.use('/api/returns', getLazyRouteHandler('./api/returns'));
+app.use('/api/inventory', getLazyRouteHandler('./api/inventory'));
+app.use('/api/suppliers', getLazyRouteHandler('./api/suppliers'));
+app.use('/api/validation', getLazyRouteHandler('./api/validation'));
+app.use('/api/files', getLazyRouteHandler('./api/file-processing'));
 app.use('/api/search/global', getLazyRouteHandler('./api/globalSearch'));
 app.use('/api/stats', statsRouter);
 console.log('✅ Stats route loaded: /api/stats');
@@ -731,6 +765,12 @@ const startServer = async () => {
     // Preload critical routes for faster initial response
     await preloadCriticalRoutes(criticalRoutes);
     
+    // Release stock held by carts and unpaid orders once their hold expires
+    reservationService.startExpiryJob();
+    
+    // Mark idle carts abandoned and queue them for recovery emails
+    cartRecoveryService.startDetectionJob();
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Backend server running on port ${PORT}`);
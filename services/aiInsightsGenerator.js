@@ -418,6 +418,21 @@ class AIInsightsGenerator {
       prompt += `\n`;
     }
     
+    // Returns data
+    if (realData.returns && realData.returns.totalReturns > 0) {
+      const { returns } = realData;
+      prompt += `RETURNS (90 days):\n`;
+      prompt += `- Total Returns: ${returns.totalReturns}\n`;
+      prompt += `- Return Rate: ${returns.returnRate || 0}% of units sold\n`;
+      returns.byReason.slice(0, 3).forEach(reason => {
+        prompt += `- Reason "${reason.label}": ${reason.units} units (${reason.share}%)\n`;
+      });
+      if (returns.topProducts && returns.topProducts.length > 0) {
+        prompt += `- Most Returned Product: ${returns.topProducts[0].name || 'N/A'} (${returns.topProducts[0].units} units, mostly ${returns.topProducts[0].topReason})\n`;
+      }
+      prompt += `\n`;
+    }
+    
     prompt += `Focus Area: ${focus}\n\n`;
     prompt += `Provide 5-7 specific, actionable insights with priority levels (high/medium/low) and confidence scores (0-100). Consider all data sources including SEO, geolocation, performance, inventory, search, and financial metrics. Format as JSON with this structure:
     {
@@ -567,6 +582,16 @@ class AIInsightsGenerator {
       prompt += `\n`;
     }
     
+    // Returns data
+    if (realData.returns && realData.returns.totalReturns > 0) {
+      prompt += `RETURNS:\n`;
+      prompt += `- Return Rate: ${realData.returns.returnRate || 0}%\n`;
+      if (realData.returns.byReason.length > 0) {
+        prompt += `- Top Reason: ${realData.returns.byReason[0].label} (${realData.returns.byReason[0].share}%)\n`;
+      }
+      prompt += `\n`;
+    }
+    
     prompt += `FOCUS AREA: ${focus}\n\n`;
     prompt += `Based on this comprehensive data, provide 3-5 specific, actionable business insights. Each insight should include:\n`;
     prompt += `1. A clear title\n`;
@@ -927,6 +952,8 @@ class AIInsightsGenerator {
       }
     }
 
+    insights.push(...this.generateReturnInsights(realData.returns));
+
     if (pageTracking.growthRate < -20) {
       insights.push({
         id: `rule-${Date.now()}-5`,
@@ -956,6 +983,91 @@ class AIInsightsGenerator {
     };
   }
 
+  // Insights from return reasons: overall rate, sizing, authenticity and problem products
+  generateReturnInsights(returns = {}) {
+    const insights = [];
+
+    if (!returns.totalReturns) {
+      return insights;
+    }
+
+    const reasonShare = code => (returns.byReason.find(reason => reason.reasonCode === code) || { share: 0 }).share;
+
+    if (returns.returnRate > 10) {
+      insights.push({
+        id: `returns-${Date.now()}-1`,
+        title: 'High Return Rate',
+        content: `${returns.returnRate}% of units sold are coming back (${returns.unitsReturned} of ${returns.unitsSold}). The most common reason is "${returns.byReason[0]?.label || 'unknown'}".`,
+        priority: 'high',
+        confidence: 85,
+        actionable: true,
+        category: 'returns',
+        type: 'sales',
+        metrics: {
+          returnRate: returns.returnRate + '%',
+          unitsReturned: returns.unitsReturned,
+          topReason: returns.byReason[0]?.reasonCode || null
+        }
+      });
+    }
+
+    if (reasonShare('wrong_size') >= 30) {
+      insights.push({
+        id: `returns-${Date.now()}-2`,
+        title: 'Sizing Drives Returns',
+        content: `${reasonShare('wrong_size')}% of returned units did not fit. Show size conversions and measurements on product pages, especially for the most returned products.`,
+        priority: 'medium',
+        confidence: 85,
+        actionable: true,
+        category: 'returns',
+        type: 'sales',
+        metrics: {
+          share: reasonShare('wrong_size') + '%'
+        },
+        recommendations: ['Add size guides to product pages', 'Flag items that run small or large']
+      });
+    }
+
+    const notAuthentic = (returns.byCondition || {}).not_authentic || 0;
+    if (reasonShare('authenticity_concern') >= 15 || notAuthentic > 0) {
+      insights.push({
+        id: `returns-${Date.now()}-3`,
+        title: 'Authenticity Concerns in Returns',
+        content: `${reasonShare('authenticity_concern')}% of returned units were sent back over authenticity doubts, and ${notAuthentic} units failed inspection. Review the sourcing of these products and add authentication details to listings.`,
+        priority: notAuthentic > 0 ? 'high' : 'medium',
+        confidence: 80,
+        actionable: true,
+        category: 'returns',
+        type: 'inventory',
+        metrics: {
+          share: reasonShare('authenticity_concern') + '%',
+          failedInspection: notAuthentic
+        }
+      });
+    }
+
+    const topProduct = (returns.topProducts || [])[0];
+    if (topProduct && topProduct.units >= 3) {
+      insights.push({
+        id: `returns-${Date.now()}-4`,
+        title: 'Frequently Returned Product',
+        content: `${topProduct.name || topProduct.productId} was returned ${topProduct.units} times, mostly for "${(returns.byReason.find(reason => reason.reasonCode === topProduct.topReason) || {}).label || topProduct.topReason}". Check its description, photos and sizing.`,
+        priority: 'medium',
+        confidence: 75,
+        actionable: true,
+        category: 'returns',
+        type: 'inventory',
+        metrics: {
+          productId: topProduct.productId,
+          units: topProduct.units,
+          topReason: topProduct.topReason
+        }
+      });
+    }
+
+    return insights;
+  }
+
   // Helper methods
   mapCategoryToType(category) {
     const mapping = {
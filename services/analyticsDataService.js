@@ -1,4 +1,9 @@
 const { connectDB } = require('../config/database');
+const currencyService = require('./currencyService');
+
+// Order totals in the base currency: orders charged in another currency carry their settlement total,
+// and orders from before multi-currency were all priced in the base currency
+const BASE_TOTAL = { $ifNull: ['$settlement.totalAmount', '$totalAmount'] };
 
 class AnalyticsDataService {
   constructor() {
@@ -329,6 +334,7 @@ class AnalyticsDataService {
         ltvCacMetrics: ltvCacData,
         geographicSales: geographicSalesData,
         seasonalTrends: seasonalTrendsData,
+        currency: currencyService.baseCurrency,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -386,12 +392,12 @@ class AnalyticsDataService {
           _id: {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
           },
-          revenue: { $sum: '$totalAmount' },
+          revenue: { $sum: BASE_TOTAL },
           sales: { $sum: 1 },
           users: { $addToSet: '$customer.userId' },
-          profit: { $sum: { $multiply: ['$totalAmount', 0.2] } }, // Assuming 20% profit margin
-          expenses: { $sum: { $multiply: ['$totalAmount', 0.1] } }, // Assuming 10% expenses
-          avgOrderValue: { $avg: '$totalAmount' }
+          profit: { $sum: { $multiply: [BASE_TOTAL, 0.2] } }, // Assuming 20% profit margin
+          expenses: { $sum: { $multiply: [BASE_TOTAL, 0.1] } }, // Assuming 10% expenses
+          avgOrderValue: { $avg: BASE_TOTAL }
         }
       },
       {
@@ -438,7 +444,7 @@ class AnalyticsDataService {
         $group: {
           _id: '$product.category',
           value: { $sum: '$items.quantity' },
-          revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+          revenue: { $sum: { $divide: [{ $multiply: ['$items.price', '$items.quantity'] }, { $ifNull: ['$exchangeRate', 1] }] } }
         }
       },
       { $sort: { value: -1 } }
@@ -692,7 +698,7 @@ class AnalyticsDataService {
           {
             $group: {
               _id: null,
-              totalRevenue: { $sum: '$totalAmount' },
+              totalRevenue: { $sum: BASE_TOTAL },
               totalOrders: { $sum: 1 }
             }
           }
@@ -750,7 +756,7 @@ class AnalyticsDataService {
             country: '$shippingAddress.country'
           },
           sales: { $sum: 1 },
-          revenue: { $sum: '$totalAmount' },
+          revenue: { $sum: BASE_TOTAL },
           orders: { $sum: 1 }
         }
       },
@@ -794,7 +800,7 @@ class AnalyticsDataService {
           _id: {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
           },
-          actual: { $sum: '$totalAmount' }
+          actual: { $sum: BASE_TOTAL }
         }
       },
       { $sort: { _id: 1 } }
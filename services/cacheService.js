@@ -103,6 +103,13 @@ class CacheService {
     return await redisClient.invalidatePattern(pattern);
   }
 
+  /**
+   * Invalidate a single cache key
+   */
+  async invalidate(key) {
+    return await this.invalidatePattern(key);
+  }
+
   /**
    * Invalidate products cache
    */
@@ -0,0 +1,225 @@
+const { connectDB } = require('../config/database');
+const crypto = require('crypto');
+const shipmentService = require('./shipmentService');
+
+// Carrier statuses in the order a parcel goes through them
+const STATUS_RANK = {
+  label_created: 0,
+  picked_up: 1,
+  in_transit: 2,
+  out_for_delivery: 3,
+  delivered: 4
+};
+
+// Late or replayed events must never move a shipment backwards
+const SHIPMENT_STATUS_RANK = {
+  shipped: 1,
+  in_transit: 2,
+  delivered: 4
+};
+
+// Turn each carrier's payload shape into normalized tracking events
+const adapters = {
+  // Already normalized: { events: [{ trackingNumber, status, description, location, occurredAt, eventId }] }
+  generic(payload) {
+    return (payload.events || [payload]).map(event => ({
+      eventId: event.eventId,
+      trackingNumber: event.trackingNumber,
+      status: event.status,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: event.occurredAt
+    }));
+  },
+
+  // DHL-style push: { shipments: [{ id, events: [{ timestamp, statusCode, description, location: { address } }] }] }
+  dhl(payload) {
+    const statusCodes = {
+      'pre-transit': 'label_created',
+      'transit': 'in_transit',
+      'delivered': 'delivered',
+      'failure': 'exception'
+    };
+
+    return (payload.shipments || []).flatMap(shipment =>
+      (shipment.events || []).map(event => ({
+        eventId: event.eventId,
+        trackingNumber: shipment.id,
+        status: event.description && /out for delivery/i.test(event.description)
+          ? 'out_for_delivery'
+          : statusCodes[event.statusCode] || 'in_transit',
+        description: event.description || null,
+        location: event.location?.address?.addressLocality || null,
+        occurredAt: event.timestamp
+      }))
+    );
+  },
+
+  // UPS-style track alert: { trackingNumber, localActivityDate, localActivityTime, activityLocation, activityStatus }
+  ups(payload) {
+    const statusTypes = {
+      M: 'label_created',
+      P: 'picked_up',
+      I: 'in_transit',
+      O: 'out_for_delivery',
+      D: 'delivered',
+      X: 'exception'
+    };
+    const date = String(payload.localActivityDate || '');
+    const time = String(payload.localActivityTime || '000000').padStart(6, '0');
+    const location = payload.activityLocation || {};
+
+    return [{
+      eventId: payload.eventId,
+      trackingNumber: payload.trackingNumber,
+      status: statusTypes[payload.activityStatus?.type] || 'in_transit',
+      description: payload.activityStatus?.description || null,
+      location: [location.city, location.country].filter(Boolean).join(', ') || null,
+      occurredAt: date.length === 8
+        ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`
+        : null
+    }];
+  }
+};
+
+class CarrierTrackingService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('orders').createIndex({ 'shipments.trackingNumber': 1 });
+    }
+  }
+
+  get carriers() {
+    return Object.keys(adapters);
+  }
+
+  // Normalize a carrier payload, dropping events we cannot place
+  normalize(carrier, payload) {
+    return adapters[carrier](payload)
+      .filter(event => event.trackingNumber && event.status)
+      .map(event => {
+        const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+
+        return {
+          ...event,
+          carrier,
+          occurredAt: isNaN(occurredAt) ? new Date() : occurredAt,
+          // Carriers that do not send an ID get one derived from the event itself, so replays are recognised
+          eventId: event.eventId || crypto
+            .createHash('sha256')
+            .update(`${carrier}|${event.trackingNumber}|${event.status}|${event.occurredAt}`)
+            .digest('hex')
+            .slice(0, 32)
+        };
+      });
+  }
+
+  // Record a carrier's events on the matching orders and move shipments (and orders) along
+  async ingest(carrier, payload) {
+    await this.initialize();
+
+    const events = this.normalize(carrier, payload);
+    const summary = { received: events.length, applied: 0, duplicates: 0, unmatched: 0 };
+
+    for (const event of events) {
+      const result = await this.applyEvent(event);
+      summary[result]++;
+    }
+
+    return summary;
+  }
+
+  async applyEvent(event) {
+    const ordersCollection = this.db.collection('orders');
+    const order = await ordersCollection.findOne({
+      $or: [
+        { 'shipments.trackingNumber': event.trackingNumber },
+        { trackingNumber: event.trackingNumber }
+      ]
+    });
+
+    if (!order) {
+      console.warn(`📭 Tracking event for unknown tracking number ${event.trackingNumber}`);
+      return 'unmatched';
+    }
+
+    const shipment = (order.shipments || []).find(entry => entry.trackingNumber === event.trackingNumber);
+
+    // Append to the timeline once per event, however often the carrier sends it
+    const timelineEntry = {
+      eventId: event.eventId,
+      shipmentId: shipment ? shipment.id : null,
+      trackingNumber: event.trackingNumber,
+      carrier: event.carrier,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.occurredAt,
+      receivedAt: new Date()
+    };
+
+    const appended = await ordersCollection.updateOne(
+      { _id: order._id, 'trackingTimeline.eventId': { $ne: event.eventId } },
+      { $push: { trackingTimeline: { $each: [timelineEntry], $sort: { occurredAt: 1 } } } }
+    );
+
+    if (appended.modifiedCount === 0) {
+      return 'duplicates';
+    }
+
+    // The event is on the timeline either way; a status the lifecycle refuses must not make the carrier retry
+    try {
+      await this.advanceStatus(order, shipment, event);
+    } catch (error) {
+      console.warn(`Could not advance order ${order.orderNumber} from tracking event:`, error.message);
+    }
+
+    return 'applied';
+  }
+
+  // Move the shipment (and through it the order) forward to match the event
+  async advanceStatus(order, shipment, event) {
+    const actor = `carrier:${event.carrier}`;
+    const orderId = order._id.toString();
+
+    if (event.status === 'exception') {
+      if (shipment) {
+        await this.db.collection('orders').updateOne(
+          { _id: order._id, 'shipments.id': shipment.id },
+          { $set: { 'shipments.$.exception': { description: event.description, occurredAt: event.occurredAt } } }
+        );
+      }
+      return;
+    }
+
+    const target = event.status === 'delivered' ? 'delivered' : (STATUS_RANK[event.status] >= STATUS_RANK.picked_up ? 'in_transit' : null);
+    if (!target) {
+      return;
+    }
+
+    if (shipment) {
+      if (SHIPMENT_STATUS_RANK[target] > (SHIPMENT_STATUS_RANK[shipment.status] || 0)) {
+        await shipmentService.updateShipment(orderId, shipment.id, { status: target }, actor);
+      }
+      return;
+    }
+
+    // Orders tracked with a single order-level number ship everything at the first scan
+    if (['processing', 'partially_shipped'].includes(order.status)) {
+      await shipmentService.shipRemaining(orderId, { carrier: order.carrier, trackingNumber: event.trackingNumber }, actor, `Carrier scan: ${event.status}`);
+    }
+    if (target === 'delivered') {
+      const current = await shipmentService.getOrder(orderId);
+      if (current.status === 'shipped') {
+        await shipmentService.deliverAll(orderId, actor, 'Carrier reported delivery');
+      }
+    }
+  }
+}
+
+module.exports = new CarrierTrackingService();
@@ -0,0 +1,142 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const carrierTrackingService = require('./carrierTrackingService');
+
+// An order with one shipment out with the carrier
+async function shippedOrder(shipmentFields = {}) {
+  const _id = new ObjectId();
+  await getDB().collection('orders').insertOne({
+    _id,
+    orderNumber: 'ORD-1',
+    status: 'shipped',
+    paymentStatus: 'completed',
+    items: [{ id: 'item-1', productId: 'product-1', quantity: 1 }],
+    shipments: [{
+      id: 'SHP-1',
+      items: [{ itemId: 'item-1', quantity: 1 }],
+      carrier: 'ups',
+      trackingNumber: '1Z999',
+      status: 'shipped',
+      deliveredAt: null,
+      ...shipmentFields
+    }],
+    statusHistory: [],
+    updatedAt: new Date()
+  });
+  return _id;
+}
+
+const getOrder = orderId => getDB().collection('orders').findOne({ _id: orderId });
+
+const event = (status, fields = {}) => ({
+  trackingNumber: '1Z999',
+  status,
+  occurredAt: '2026-10-19T10:00:00Z',
+  ...fields
+});
+
+describe('carrierTrackingService', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalize', () => {
+    it('reads DHL pushes', () => {
+      const [normalized] = carrierTrackingService.normalize('dhl', {
+        shipments: [{
+          id: 'JD0001',
+          events: [{
+            timestamp: '2026-10-19T08:00:00Z',
+            statusCode: 'transit',
+            description: 'Out for delivery',
+            location: { address: { addressLocality: 'Athens' } }
+          }]
+        }]
+      });
+
+      expect(normalized).toMatchObject({ carrier: 'dhl', trackingNumber: 'JD0001', status: 'out_for_delivery', location: 'Athens' });
+      expect(normalized.occurredAt).toEqual(new Date('2026-10-19T08:00:00Z'));
+    });
+
+    it('reads UPS track alerts', () => {
+      const [normalized] = carrierTrackingService.normalize('ups', {
+        trackingNumber: '1Z999',
+        localActivityDate: '20261019',
+        localActivityTime: '93000',
+        activityLocation: { city: 'Athens', country: 'GR' },
+        activityStatus: { type: 'D', description: 'Delivered' }
+      });
+
+      expect(normalized).toMatchObject({ status: 'delivered', location: 'Athens, GR' });
+      expect(normalized.occurredAt).toEqual(new Date('2026-10-19T09:30:00Z'));
+    });
+
+    it('gives events without an ID the same derived ID every time', () => {
+      const [first] = carrierTrackingService.normalize('generic', event('in_transit'));
+      const [again] = carrierTrackingService.normalize('generic', event('in_transit'));
+
+      expect(first.eventId).toHaveLength(32);
+      expect(again.eventId).toBe(first.eventId);
+    });
+  });
+
+  describe('ingest', () => {
+    it('records the event on the timeline and moves the shipment and order along', async () => {
+      const orderId = await shippedOrder();
+
+      const summary = await carrierTrackingService.ingest('generic', { events: [event('in_transit'), event('delivered', { occurredAt: '2026-10-20T10:00:00Z' })] });
+
+      expect(summary).toEqual({ received: 2, applied: 2, duplicates: 0, unmatched: 0 });
+      const order = await getOrder(orderId);
+      expect(order.trackingTimeline.map(entry => entry.status)).toEqual(['in_transit', 'delivered']);
+      expect(order.shipments[0].status).toBe('delivered');
+      expect(order.status).toBe('delivered');
+    });
+
+    it('counts a replayed event as a duplicate and records it once', async () => {
+      const orderId = await shippedOrder();
+      await carrierTrackingService.ingest('generic', event('in_transit', { eventId: 'evt-1' }));
+
+      const summary = await carrierTrackingService.ingest('generic', event('in_transit', { eventId: 'evt-1' }));
+
+      expect(summary).toMatchObject({ applied: 0, duplicates: 1 });
+      expect((await getOrder(orderId)).trackingTimeline).toHaveLength(1);
+    });
+
+    it('never moves a delivered shipment back for a late scan', async () => {
+      const orderId = await shippedOrder({ status: 'delivered', deliveredAt: new Date() });
+
+      await carrierTrackingService.ingest('generic', event('in_transit'));
+
+      const order = await getOrder(orderId);
+      expect(order.trackingTimeline).toHaveLength(1);
+      expect(order.shipments[0].status).toBe('delivered');
+    });
+
+    it('notes a carrier exception on the shipment without changing its status', async () => {
+      const orderId = await shippedOrder();
+
+      await carrierTrackingService.ingest('generic', event('exception', { description: 'Address not found' }));
+
+      const { shipments } = await getOrder(orderId);
+      expect(shipments[0]).toMatchObject({ status: 'shipped', exception: { description: 'Address not found' } });
+    });
+
+    it('reports events for tracking numbers it does not know', async () => {
+      await shippedOrder();
+
+      expect(await carrierTrackingService.ingest('generic', event('in_transit', { trackingNumber: 'UNKNOWN' }))).toMatchObject({
+        applied: 0,
+        unmatched: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,323 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const cartService = require('./cartService');
+const promotionService = require('./promotionService');
+const { createHttpError } = require('../utils/httpError');
+
+class CartRecoveryService {
+  constructor() {
+    this.db = null;
+    this.idleMinutes = parseInt(process.env.ABANDONED_CART_MINUTES) || 60;
+    // Days a recovery link (and the order that follows it) counts towards recovery
+    this.recoveryWindowDays = parseInt(process.env.CART_RECOVERY_WINDOW_DAYS) || 7;
+    // Percentage off offered in the recovery email; 0 turns coupons off
+    this.couponPercent = parseFloat(process.env.CART_RECOVERY_COUPON_PERCENT || '0');
+    this.detectionInterval = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('cartRecoveries').createIndex({ token: 1 }, { unique: true });
+      await this.db.collection('cartRecoveries').createIndex({ userId: 1, status: 1 });
+      await this.db.collection('cartRecoveries').createIndex({ status: 1, abandonedAt: -1 });
+    }
+  }
+
+  // Start the background job that looks for idle carts
+  startDetectionJob(intervalMs = 5 * 60 * 1000) {
+    if (this.detectionInterval) {
+      return;
+    }
+
+    this.detectionInterval = setInterval(() => {
+      this.detectAbandoned().catch(error => {
+        console.error('Error detecting abandoned carts:', error);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the job
+    this.detectionInterval.unref();
+  }
+
+  stopDetectionJob() {
+    if (this.detectionInterval) {
+      clearInterval(this.detectionInterval);
+      this.detectionInterval = null;
+    }
+  }
+
+  // Mark carts idle for longer than the threshold as abandoned and queue their recovery
+  async detectAbandoned() {
+    await this.initialize();
+
+    const cartsCollection = this.db.collection('carts');
+    const cutoff = new Date(Date.now() - this.idleMinutes * 60 * 1000);
+    const recoveries = [];
+
+    const staleCarts = await cartsCollection.find({
+      status: 'active',
+      'items.0': { $exists: true },
+      mergedInto: { $exists: false },
+      updatedAt: { $lte: cutoff }
+    }).toArray();
+
+    for (const staleCart of staleCarts) {
+      const abandonedAt = new Date();
+
+      // Only flip carts that have not been touched since they were read
+      const cart = await cartsCollection.findOneAndUpdate(
+        { _id: staleCart._id, status: 'active', updatedAt: staleCart.updatedAt },
+        { $set: { status: 'abandoned', abandonedAt, abandonedValue: staleCart.total } },
+        { returnDocument: 'after' }
+      );
+
+      if (!cart) {
+        continue;
+      }
+
+      await cacheService.invalidate(`cart-${cart.userId}`);
+      recoveries.push(await this.createRecovery(cart, abandonedAt));
+    }
+
+    const expired = await this.expireStale();
+
+    if (recoveries.length > 0 || expired > 0) {
+      console.log(`🛒 Marked ${recoveries.length} carts abandoned, expired ${expired} recovery entries`);
+    }
+
+    return recoveries;
+  }
+
+  // Queue a recovery entry for email tooling, with a one-time restore token
+  async createRecovery(cart, abandonedAt) {
+    const expiresAt = new Date(abandonedAt.getTime() + this.recoveryWindowDays * 24 * 60 * 60 * 1000);
+    const lastOrder = await this.db.collection('orders').findOne(
+      { 'customer.id': cart.userId },
+      { sort: { createdAt: -1 }, projection: { customer: 1 } }
+    );
+
+    const recovery = {
+      cartId: cart.id,
+      userId: cart.userId,
+      email: lastOrder?.customer?.email || null,
+      token: crypto.randomBytes(24).toString('hex'),
+      items: cart.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name,
+        image: item.image,
+        options: item.options || {},
+        quantity: item.quantity,
+        price: item.price
+      })),
+      itemCount: cart.itemCount,
+      value: cart.total,
+      coupon: await this.createCoupon(cart, expiresAt),
+      status: 'pending',
+      abandonedAt,
+      expiresAt,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await this.db.collection('cartRecoveries').insertOne(recovery);
+    recovery._id = result.insertedId;
+
+    return recovery;
+  }
+
+  // Single-use code for this shopper only, valid as long as the recovery link
+  async createCoupon(cart, expiresAt) {
+    if (!this.couponPercent) {
+      return null;
+    }
+
+    const promotion = await promotionService.createPromotion({
+      code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      name: `Cart recovery ${this.couponPercent}% off`,
+      type: 'percentage',
+      value: this.couponPercent,
+      minSubtotal: 0,
+      eligibility: { brands: [], categories: [] },
+      customerId: cart.userId,
+      startsAt: null,
+      endsAt: expiresAt,
+      usageLimit: 1,
+      usageLimitPerCustomer: 1,
+      stackable: false,
+      isActive: true
+    });
+
+    return { code: promotion.code, percent: this.couponPercent, expiresAt };
+  }
+
+  // Recovery entries past their window can no longer be recovered
+  async expireStale() {
+    const result = await this.db.collection('cartRecoveries').updateMany(
+      { status: { $in: ['pending', 'sent', 'restored'] }, expiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired', updatedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Email tooling reports a recovery message as sent
+  async markSent(id) {
+    await this.initialize();
+
+    return this.db.collection('cartRecoveries').findOneAndUpdate(
+      { _id: new ObjectId(id), status: 'pending' },
+      { $set: { status: 'sent', sentAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  // Bring an abandoned cart back from a recovery link; each token works once
+  async restore(token) {
+    await this.initialize();
+
+    const recovery = await this.db.collection('cartRecoveries').findOneAndUpdate(
+      { token, status: { $in: ['pending', 'sent'] }, expiresAt: { $gt: new Date() } },
+      { $set: { status: 'restored', restoredAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!recovery) {
+      throw createHttpError('Recovery link is invalid, expired or has already been used', 404);
+    }
+
+    const unavailable = [];
+    let cart = await cartService.getCart(recovery.userId);
+
+    // If the shopper has since emptied or checked out the cart, put the abandoned lines back
+    if (cart.items.length === 0) {
+      for (const item of recovery.items) {
+        try {
+          cart = await cartService.addToCart(recovery.userId, item.productId, item.quantity, item.options, item.variantId);
+        } catch (error) {
+          unavailable.push({ productId: item.productId, name: item.name, reason: error.message });
+        }
+      }
+    }
+
+    if (recovery.coupon) {
+      try {
+        cart = await cartService.applyDiscount(recovery.userId, recovery.coupon.code);
+      } catch (error) {
+        console.warn(`Could not apply recovery coupon ${recovery.coupon.code}:`, error.message);
+      }
+    }
+
+    await this.db.collection('carts').updateOne(
+      { userId: recovery.userId, status: 'abandoned' },
+      { $set: { status: 'active', updatedAt: new Date() } }
+    );
+    await cacheService.invalidate(`cart-${recovery.userId}`);
+
+    return {
+      cart: await cartService.getCart(recovery.userId),
+      coupon: recovery.coupon,
+      unavailable
+    };
+  }
+
+  // Credit the shopper's latest open recovery entry with an order they placed
+  async markRecovered(userId, order) {
+    await this.initialize();
+
+    return this.db.collection('cartRecoveries').findOneAndUpdate(
+      { userId, status: { $in: ['pending', 'sent', 'restored'] }, expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          status: 'recovered',
+          recoveredAt: new Date(),
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          recoveredValue: order.totalAmount,
+          updatedAt: new Date()
+        }
+      },
+      { sort: { abandonedAt: -1 }, returnDocument: 'after' }
+    );
+  }
+
+  // Get the recovery queue
+  async getRecoveries(filters = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.userId) query.userId = filters.userId;
+
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 50;
+
+    const [recoveries, total] = await Promise.all([
+      this.db.collection('cartRecoveries')
+        .find(query)
+        .sort({ abandonedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      this.db.collection('cartRecoveries').countDocuments(query)
+    ]);
+
+    return {
+      recoveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Abandonment and recovery figures for carts abandoned in the last `days` days
+  async getRecoveryStats(days = 30) {
+    await this.initialize();
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [stats] = await this.db.collection('cartRecoveries').aggregate([
+      { $match: { abandonedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          abandonedCarts: { $sum: 1 },
+          abandonedValue: { $sum: { $ifNull: ['$value', 0] } },
+          pending: { $sum: { $cond: [{ $in: ['$status', ['pending', 'sent']] }, 1, 0] } },
+          restored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+          recoveredCarts: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+          recoveredValue: { $sum: { $ifNull: ['$recoveredValue', 0] } }
+        }
+      }
+    ]).toArray();
+
+    const totals = stats || {
+      abandonedCarts: 0,
+      abandonedValue: 0,
+      pending: 0,
+      restored: 0,
+      recoveredCarts: 0,
+      recoveredValue: 0
+    };
+
+    return {
+      periodDays: days,
+      abandonedCarts: totals.abandonedCarts,
+      abandonedValue: Math.round(totals.abandonedValue * 100) / 100,
+      pending: totals.pending,
+      restored: totals.restored,
+      recoveredCarts: totals.recoveredCarts,
+      recoveredValue: Math.round(totals.recoveredValue * 100) / 100,
+      recoveryRate: totals.abandonedCarts > 0
+        ? Math.round((totals.recoveredCarts / totals.abandonedCarts) * 10000) / 100
+        : 0
+    };
+  }
+}
+
+module.exports = new CartRecoveryService();
@@ -0,0 +1,83 @@
+jest.mock('../config/database');
+
+const { getDB, resetDB } = require('../config/database');
+const cartRecoveryService = require('./cartRecoveryService');
+const cartService = require('./cartService');
+const cacheService = require('./cacheService');
+
+async function variant(fields = {}) {
+  const { insertedId } = await getDB().collection('variants').insertOne({
+    productId: 'product-1',
+    sku: 'AJ1-42-RED',
+    size: '42',
+    color: 'Red',
+    stock: 5,
+    price: 160,
+    images: [],
+    isActive: true,
+    ...fields
+  });
+  return insertedId;
+}
+
+// Leave the shopper's cart idle past the threshold and let the detection job pick it up
+async function abandon(userId) {
+  await getDB().collection('carts').updateOne({ userId }, { $set: { updatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } });
+  const [recovery] = await cartRecoveryService.detectAbandoned();
+  return recovery;
+}
+
+describe('cartRecoveryService', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'cacheWithTTL').mockImplementation((key, generator) => generator());
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('restore', () => {
+    it('puts an emptied cart\'s variant lines back as the same variant', async () => {
+      const variantId = await variant();
+      await cartService.addToCart('user-1', 'product-1', 2, {}, variantId.toString());
+      const recovery = await abandon('user-1');
+      await cartService.clearCart('user-1');
+
+      const { cart, unavailable } = await cartRecoveryService.restore(recovery.token);
+
+      expect(recovery.items).toEqual([expect.objectContaining({ productId: 'product-1', variantId: variantId.toString(), quantity: 2 })]);
+      expect(unavailable).toEqual([]);
+      expect(cart.items).toEqual([expect.objectContaining({
+        variantId: variantId.toString(),
+        sku: 'AJ1-42-RED',
+        price: 160,
+        quantity: 2,
+        options: { size: '42', color: 'Red' }
+      })]);
+    });
+
+    it('reports a variant that was switched off since the cart was abandoned', async () => {
+      const variantId = await variant();
+      await cartService.addToCart('user-1', 'product-1', 1, {}, variantId.toString());
+      const recovery = await abandon('user-1');
+      await cartService.clearCart('user-1');
+      await getDB().collection('variants').updateOne({ _id: variantId }, { $set: { isActive: false } });
+
+      const { cart, unavailable } = await cartRecoveryService.restore(recovery.token);
+
+      expect(cart.items).toEqual([]);
+      expect(unavailable).toEqual([expect.objectContaining({ productId: 'product-1', reason: expect.stringContaining('no longer available') })]);
+    });
+
+    it('works only once per link', async () => {
+      await cartService.addToCart('user-1', 'product-1', 1);
+      const recovery = await abandon('user-1');
+      await cartRecoveryService.restore(recovery.token);
+
+      await expect(cartRecoveryService.restore(recovery.token)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -1,5 +1,14 @@
 const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const Variant = require('../models/Variant');
 const cacheService = require('./cacheService');
+const reservationService = require('./reservationService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const promotionService = require('./promotionService');
+const currencyService = require('./currencyService');
+const { formatMoney } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
 
 class CartService {
   constructor() {
@@ -72,7 +81,7 @@ class CartService {
   }
 
   // Add item to cart
-  async addToCart(userId, productId, quantity = 1, options = {}) {
+  async addToCart(userId, productId, quantity = 1, options = {}, variantId = null) {
     await this.initialize();
     
     // In a real implementation, this would update MongoDB
@@ -82,37 +91,70 @@ class CartService {
       throw new Error(`Product with ID ${productId} not found`);
     }
     
-    if (product.stock < quantity) {
-      throw new Error(`Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`);
+    let variant = null;
+    if (variantId) {
+      variant = await this.getVariant(variantId);
+      
+      if (!variant || String(variant.productId) !== String(productId)) {
+        throw createHttpError(`Variant ${variantId} not found for product ${productId}`, 404);
+      }
+      if (!variant.isActive) {
+        throw createHttpError(`${product.name} is no longer available in this size/color`, 409);
+      }
+      
+      // The variant's size and color are the line's options
+      options = {
+        ...options,
+        ...(variant.size && { size: variant.size }),
+        ...(variant.color && { color: variant.color })
+      };
+    }
+    
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < quantity) {
+      throw new Error(`Insufficient stock. Available: ${stock}, Requested: ${quantity}`);
     }
     
     const cart = await this.getCart(userId);
+    // Shopping again brings an abandoned cart back
+    cart.status = 'active';
     
     // Check if item already exists in cart
     const existingItemIndex = cart.items.findIndex(item => 
       item.productId === productId && 
+      (item.variantId || null) === (variantId || null) &&
       JSON.stringify(item.options) === JSON.stringify(options)
     );
     
     if (existingItemIndex >= 0) {
-      // Update quantity
-      cart.items[existingItemIndex].quantity += quantity;
+      // Update quantity, holding the extra units first
+      const existingItem = cart.items[existingItemIndex];
+      await reservationService.holdCartItem(userId, existingItem, existingItem.quantity + quantity, { destination: cart.shippingAddress });
+      existingItem.quantity += quantity;
     } else {
       // Add new item
-      cart.items.push({
+      const newItem = {
         id: `item-${Date.now()}`,
         productId,
+        variantId: variantId || null,
+        sku: variant ? variant.sku : null,
         quantity,
         options,
-        price: product.price,
+        price: this.currentPrice(product, variant),
         name: product.name,
-        image: product.images[0],
+        category: product.category,
+        brand: product.brand,
+        weight: (variant && variant.weight) || product.weight,
+        dimensions: (variant && variant.dimensions) || product.dimensions,
+        image: (variant && variant.images[0]) || product.images[0],
         addedAt: new Date().toISOString()
-      });
+      };
+      await reservationService.holdCartItem(userId, newItem, quantity, { destination: cart.shippingAddress });
+      cart.items.push(newItem);
     }
     
     // Recalculate totals
-    this.calculateCartTotals(cart);
+    await this.calculateCartTotals(cart);
     
     // Save to database
     const cartsCollection = this.db.collection('carts');
@@ -148,9 +190,10 @@ class CartService {
     }
     
     cart.items.splice(itemIndex, 1);
+    await reservationService.releaseCartItem(userId, itemId);
     
     // Recalculate totals
-    this.calculateCartTotals(cart);
+    await this.calculateCartTotals(cart);
     
     // Save to database
     const cartsCollection = this.db.collection('carts');
@@ -195,14 +238,18 @@ class CartService {
     
     // Check stock availability
     const product = await this.getProduct(item.productId);
-    if (product.stock < quantity) {
-      throw new Error(`Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`);
+    const variant = item.variantId ? await this.getVariant(item.variantId) : null;
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < quantity) {
+      throw new Error(`Insufficient stock. Available: ${stock}, Requested: ${quantity}`);
     }
     
+    await reservationService.holdCartItem(userId, item, quantity, { destination: cart.shippingAddress });
     item.quantity = quantity;
+    cart.status = 'active';
     
     // Recalculate totals
-    this.calculateCartTotals(cart);
+    await this.calculateCartTotals(cart);
     
     // Save to database
     const cartsCollection = this.db.collection('carts');
@@ -232,7 +279,8 @@ class CartService {
     const cart = await this.getCart(userId);
     cart.items = [];
     cart.status = 'abandoned';
-    this.calculateCartTotals(cart);
+    await reservationService.releaseCart(userId);
+    await this.calculateCartTotals(cart);
     
     // Save to database
     const cartsCollection = this.db.collection('carts');
@@ -255,24 +303,457 @@ class CartService {
     return cart;
   }
 
+  // Empty the cart after it has been turned into an order
+  async completeCheckout(userId, order) {
+    await this.initialize();
+    
+    const cart = await this.getCart(userId);
+    cart.items = [];
+    cart.status = 'active';
+    delete cart.discount;
+    cart.discounts = [];
+    cart.lastOrder = {
+      ...order,
+      checkedOutAt: new Date()
+    };
+    await this.calculateCartTotals(cart);
+    
+    // Save to database
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        },
+        $unset: { discount: '' }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
+    
+    console.log(`Checked out cart for user ${userId} as order ${order.orderNumber}`);
+    
+    return cart;
+  }
+
+  // Fold a guest (session) cart into a signed-in user's cart and delete the guest cart
+  async mergeCarts(guestId, userId) {
+    await this.initialize();
+    
+    if (guestId === userId) {
+      throw createHttpError('Cannot merge a cart into itself', 400);
+    }
+    
+    const cartsCollection = this.db.collection('carts');
+    
+    // Claim the guest cart so a concurrent or repeated merge finds nothing to do
+    const guestCart = await cartsCollection.findOneAndUpdate(
+      { userId: guestId, mergedInto: { $exists: false } },
+      { $set: { mergedInto: userId, mergedAt: new Date() } }
+    );
+    
+    if (!guestCart) {
+      return { cart: await this.getCart(userId), merged: false, adjustments: [] };
+    }
+    
+    try {
+      const cart = await this.getCart(userId);
+      const adjustments = [];
+      
+      for (const guestItem of guestCart.items || []) {
+        const product = await this.getProduct(guestItem.productId);
+        
+        if (!product) {
+          await reservationService.releaseCartItem(guestId, guestItem.id);
+          adjustments.push({
+            productId: guestItem.productId,
+            name: guestItem.name,
+            requested: guestItem.quantity,
+            quantity: 0,
+            reason: 'Product no longer exists'
+          });
+          continue;
+        }
+        
+        const variant = guestItem.variantId ? await this.getVariant(guestItem.variantId) : null;
+        
+        if (guestItem.variantId && (!variant || !variant.isActive)) {
+          await reservationService.releaseCartItem(guestId, guestItem.id);
+          adjustments.push({
+            productId: guestItem.productId,
+            name: product.name,
+            requested: guestItem.quantity,
+            quantity: 0,
+            reason: 'No longer available in this size/color'
+          });
+          continue;
+        }
+        
+        const stock = variant ? variant.stock : product.stock;
+        const existingItem = cart.items.find(item => 
+          item.productId === guestItem.productId && 
+          (item.variantId || null) === (guestItem.variantId || null) &&
+          JSON.stringify(item.options) === JSON.stringify(guestItem.options)
+        );
+        
+        if (existingItem) {
+          // One hold per line: give back the guest's and hold the combined quantity for the user
+          await reservationService.releaseCartItem(guestId, guestItem.id);
+          const requested = existingItem.quantity + guestItem.quantity;
+          const quantity = await this.holdMergedQuantity(userId, existingItem, requested, stock, existingItem.quantity);
+          
+          if (quantity < requested) {
+            adjustments.push({
+              productId: guestItem.productId,
+              name: product.name,
+              requested,
+              quantity,
+              reason: `Only ${quantity} available`
+            });
+          }
+          existingItem.quantity = quantity;
+        } else {
+          const item = {
+            ...guestItem,
+            id: cart.items.some(entry => entry.id === guestItem.id) ? `item-${Date.now()}-${cart.items.length}` : guestItem.id,
+            price: this.currentPrice(product, variant),
+            category: guestItem.category || product.category,
+            brand: guestItem.brand || product.brand
+          };
+          
+          // The guest's hold moves over with the line, then is re-checked against current stock
+          await reservationService.transferCartItem(guestId, userId, guestItem.id, item.id);
+          const quantity = await this.holdMergedQuantity(userId, item, guestItem.quantity, stock, 0);
+          
+          if (quantity < guestItem.quantity) {
+            adjustments.push({
+              productId: guestItem.productId,
+              name: product.name,
+              requested: guestItem.quantity,
+              quantity,
+              reason: quantity === 0 ? 'Out of stock' : `Only ${quantity} available`
+            });
+          }
+          if (quantity > 0) {
+            item.quantity = quantity;
+            cart.items.push(item);
+          }
+        }
+      }
+      
+      // Keep whichever set of codes gives the lower total on the merged cart
+      cart.discounts = await this.betterDiscounts(cart, cart.discounts || [], guestCart.discounts || []);
+      cart.status = 'active';
+      if (!cart.shippingAddress && guestCart.shippingAddress) {
+        cart.shippingAddress = guestCart.shippingAddress;
+        cart.vatNumber = guestCart.vatNumber || null;
+      }
+      
+      // Recalculate totals
+      await this.calculateCartTotals(cart);
+      
+      // Save to database
+      await cartsCollection.updateOne(
+        { userId },
+        { 
+          $set: { 
+            ...cart,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      await cartsCollection.deleteOne({ _id: guestCart._id });
+      
+      // Clear cache for both carts
+      await cacheService.invalidate(`cart-${userId}`);
+      await cacheService.invalidate(`cart-${guestId}`);
+      
+      console.log(`Merged guest cart ${guestId} into cart for user ${userId}`);
+      
+      return { cart, merged: true, adjustments };
+    } catch (error) {
+      // Let a retry pick the guest cart up again
+      await cartsCollection.updateOne(
+        { _id: guestCart._id },
+        { $unset: { mergedInto: '', mergedAt: '' } }
+      );
+      throw error;
+    }
+  }
+
+  // Hold as much of the requested quantity as stock allows, never less than the user already had
+  async holdMergedQuantity(userId, item, requested, productStock, minimum) {
+    const quantity = Math.min(requested, Math.max(productStock, minimum));
+    
+    if (quantity <= 0) {
+      await reservationService.releaseCartItem(userId, item.id);
+      return 0;
+    }
+    
+    try {
+      await reservationService.holdCartItem(userId, item, quantity);
+      return quantity;
+    } catch (error) {
+      if (error.statusCode !== 409 || !error.details) {
+        throw error;
+      }
+      
+      const available = Math.max(minimum, Math.min(quantity, error.details.available));
+      if (available > 0) {
+        await reservationService.holdCartItem(userId, item, available);
+      } else {
+        await reservationService.releaseCartItem(userId, item.id);
+      }
+      return available;
+    }
+  }
+
+  // Pick the discount codes that leave the cart cheapest (the first set wins ties)
+  async betterDiscounts(cart, first, second) {
+    const candidates = [first, second].filter(discounts => discounts.length > 0);
+    let best = { discounts: [], total: Infinity };
+    
+    for (const discounts of candidates) {
+      const trial = { ...cart, items: cart.items.map(item => ({ ...item })), discounts };
+      await this.calculateCartTotals(trial);
+      
+      // Codes that no longer apply are dropped by the recalculation
+      if (trial.discounts.length > 0 && trial.total < best.total) {
+        best = { discounts: trial.discounts, total: trial.total };
+      }
+    }
+    
+    return best.discounts;
+  }
+
+  // Set the currency the cart is shown and charged in
+  async setCurrency(userId, currency) {
+    await this.initialize();
+    
+    // Rejects currencies without an enabled rate
+    await currencyService.getRate(currency);
+    
+    const cart = await this.getCart(userId);
+    cart.currency = currency.toUpperCase();
+    
+    await this.calculateCartTotals(cart);
+    
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
+    
+    console.log(`Set cart currency ${cart.currency} for user ${userId}`);
+    
+    return cart;
+  }
+
+  // Set the destination and optional business VAT number used for tax
+  async setAddress(userId, shippingAddress, vatNumber) {
+    await this.initialize();
+    
+    const cart = await this.getCart(userId);
+    cart.shippingAddress = shippingAddress;
+    cart.vatNumber = vatNumber || null;
+    
+    // Recalculate totals for the new destination
+    await this.calculateCartTotals(cart);
+    
+    // Save to database
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
+    
+    console.log(`Set shipping destination ${shippingAddress.country} for user ${userId}`);
+    
+    return cart;
+  }
+
   // Calculate cart totals
-  calculateCartTotals(cart) {
-    cart.subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  async calculateCartTotals(cart) {
     cart.itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
     
-    // Calculate tax (simplified - 8.5% tax rate)
-    cart.tax = Math.round(cart.subtotal * 0.085 * 100) / 100;
+    // Re-evaluate discount codes, dropping any that no longer apply
+    const codes = (cart.discounts || []).map(discount => discount.code);
+    const promotions = codes.length > 0
+      ? await promotionService.evaluateCart(cart, codes)
+      : { applied: [], rejected: [] };
+    cart.items.forEach(item => {
+      item.discountAmount = promotions.applied.reduce((sum, discount) => sum + (discount.allocations[item.id] || 0), 0);
+    });
+    cart.discounts = promotions.applied.map(({ allocations, ...discount }) => ({
+      ...discount,
+      appliedAt: (cart.discounts.find(existing => existing.code === discount.code) || {}).appliedAt || new Date().toISOString()
+    }));
+    cart.discountWarnings = promotions.rejected;
+    
+    // Tax per line from the rules for the cart's destination
+    const tax = await taxService.calculateTax(cart.items, cart.shippingAddress, cart.vatNumber);
+    cart.items.forEach((item, index) => {
+      item.tax = tax.lines[index];
+    });
+    cart.taxLines = tax.taxLines;
+    cart.taxExempt = tax.exempt;
+    cart.pricesIncludeTax = tax.pricesIncludeTax;
+    
+    // Subtotal is what the lines cost before discounts and before any tax is added on top
+    cart.discountAmount = Math.round(tax.lines.reduce((sum, line) => sum + line.discountAmount, 0) * 100) / 100;
+    cart.subtotal = Math.round((tax.lines.reduce((sum, line) => sum + line.lineAmount, 0) + cart.discountAmount) * 100) / 100;
+    cart.tax = tax.totalTax;
     
-    // Calculate shipping (free over $100, otherwise $10)
-    cart.shipping = cart.subtotal >= 100 ? 0 : 10;
+    await this.calculateShipping(cart);
     
-    // Calculate total
-    cart.total = cart.subtotal + cart.tax + cart.shipping;
+    // Calculate total - VAT-inclusive prices already contain the tax
+    cart.total = cart.subtotal - cart.discountAmount + (cart.pricesIncludeTax ? 0 : cart.tax) + cart.shipping;
+    cart.total = Math.round(cart.total * 100) / 100;
     cart.totalValue = cart.total; // For analytics compatibility
     
+    // Prices stay in the base currency; the shopper sees them in theirs (the base currency until one is chosen)
+    const currency = await currencyService.resolveCurrency({ requested: cart.currency });
+    cart.presentment = await currencyService.present(cart, currency);
+    
     cart.updatedAt = new Date();
   }
 
+  // Free-shipping thresholds apply to what the customer pays for the goods after discounts
+  merchandiseTotal(cart) {
+    return cart.subtotal - (cart.discountAmount || 0);
+  }
+
+  // Price shipping for the selected (or cheapest) method of the destination zone
+  async calculateShipping(cart) {
+    const merchandiseTotal = this.merchandiseTotal(cart);
+    const options = await shippingService.getOptions(cart.items, cart.shippingAddress, merchandiseTotal);
+    const freeShippingDiscount = (cart.discounts || []).some(discount => discount.freeShipping);
+    
+    if (!options) {
+      // No zone covers the destination yet - free over 100, otherwise 10 (in the base currency)
+      const baseShipping = merchandiseTotal >= 100 ? 0 : 10;
+      cart.shippingMethod = null;
+      cart.shippingUnavailable = false;
+      cart.shippingDiscount = freeShippingDiscount ? baseShipping : 0;
+      cart.shipping = baseShipping - cart.shippingDiscount;
+      return;
+    }
+    
+    if (options.length === 0) {
+      // The zone has no method that can carry this cart
+      cart.shippingMethod = null;
+      cart.shippingUnavailable = true;
+      cart.shippingDiscount = 0;
+      cart.shipping = 0;
+      return;
+    }
+    
+    const selected = (cart.shippingMethod && options.find(option => option.code === cart.shippingMethod.code)) || options[0];
+    
+    cart.shippingUnavailable = false;
+    cart.shippingMethod = {
+      zoneId: selected.zoneId,
+      code: selected.code,
+      carrier: selected.carrier,
+      name: selected.name,
+      price: selected.price,
+      estimatedDays: selected.estimatedDays
+    };
+    
+    // Free-shipping codes cover the cheapest method; faster methods pay the difference
+    cart.shippingDiscount = freeShippingDiscount ? Math.min(selected.price, options[0].price) : 0;
+    cart.shipping = Math.round((selected.price - cart.shippingDiscount) * 100) / 100;
+  }
+
+  // Get the shipping methods available for the cart's destination
+  async getShippingOptions(userId, country) {
+    await this.initialize();
+    
+    const cart = await this.getCart(userId);
+    const address = country ? { ...(cart.shippingAddress || {}), country } : cart.shippingAddress;
+    
+    const options = await shippingService.getOptions(cart.items, address, this.merchandiseTotal(cart));
+    
+    // Shown in the cart's presentment currency, like the cart totals
+    const currency = await currencyService.resolveCurrency({ requested: cart.currency });
+    const rate = await currencyService.getRate(currency);
+    const convert = amount => currencyService.convert(amount, rate, currency);
+    
+    return {
+      country: address ? address.country : null,
+      currency,
+      selected: cart.shippingMethod ? cart.shippingMethod.code : null,
+      options: (options || []).map(option => ({
+        ...option,
+        price: convert(option.price),
+        basePrice: convert(option.basePrice),
+        freeShippingThreshold: option.freeShippingThreshold ? convert(option.freeShippingThreshold) : null
+      }))
+    };
+  }
+
+  // Choose a shipping method for the cart
+  async setShippingMethod(userId, methodCode) {
+    await this.initialize();
+    
+    const cart = await this.getCart(userId);
+    
+    const options = await shippingService.getOptions(cart.items, cart.shippingAddress, this.merchandiseTotal(cart));
+    const option = (options || []).find(entry => entry.code === methodCode);
+    
+    if (!option) {
+      throw createHttpError(`Shipping method ${methodCode} is not available for this cart`, 400);
+    }
+    
+    cart.shippingMethod = { code: option.code };
+    
+    // Recalculate totals with the new method
+    await this.calculateCartTotals(cart);
+    
+    // Save to database
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
+    
+    console.log(`Selected shipping method ${methodCode} for user ${userId}`);
+    
+    return cart;
+  }
+
   // Get product details
   async getProduct(productId) {
     await this.initialize();
@@ -283,6 +764,22 @@ class CartService {
     return mockProducts.find(p => p.id === productId);
   }
 
+  // Get a variant, or null if the ID is unknown
+  async getVariant(variantId) {
+    await this.initialize();
+    
+    if (!ObjectId.isValid(variantId)) {
+      return null;
+    }
+    
+    return Variant.findById(variantId);
+  }
+
+  // Price a line is sold at: the variant's own price when it has one
+  currentPrice(product, variant) {
+    return variant && typeof variant.price === 'number' ? variant.price : product.price;
+  }
+
   // Generate mock products
   generateMockProducts() {
     return [
@@ -321,50 +818,79 @@ class CartService {
     await this.initialize();
     
     const cart = await this.getCart(userId);
+    const code = promotionService.normalizeCode(discountCode);
+    const discounts = cart.discounts || [];
     
-    // In a real implementation, this would validate discount code
-    const discount = this.validateDiscountCode(discountCode);
+    if (discounts.some(discount => discount.code === code)) {
+      throw createHttpError(`${code} is already applied`, 400);
+    }
+    
+    // Evaluate the new code alongside the ones already on the cart
+    const evaluation = await promotionService.evaluateCart(cart, [...discounts.map(discount => discount.code), code]);
+    const rejection = evaluation.rejected.find(entry => entry.code === code);
     
-    if (!discount) {
-      throw new Error('Invalid discount code');
+    if (rejection) {
+      throw createHttpError(rejection.reason, 400);
     }
     
-    cart.discount = {
-      code: discountCode,
-      type: discount.type,
-      value: discount.value,
-      appliedAt: new Date().toISOString()
-    };
+    cart.discounts = [...discounts, { code, appliedAt: new Date().toISOString() }];
+    delete cart.discount;
     
     // Recalculate totals with discount
-    this.calculateCartTotals(cart);
+    await this.calculateCartTotals(cart);
+    
+    // Save to database
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        },
+        $unset: { discount: '' }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
+    
+    console.log(`Applied discount ${code} to cart for user ${userId}`);
     
     return cart;
   }
 
-  // Remove discount from cart
-  async removeDiscount(userId) {
+  // Remove one discount code (or all of them) from cart
+  async removeDiscount(userId, discountCode) {
     await this.initialize();
     
     const cart = await this.getCart(userId);
+    const code = discountCode ? promotionService.normalizeCode(discountCode) : null;
+    cart.discounts = code ? (cart.discounts || []).filter(discount => discount.code !== code) : [];
     delete cart.discount;
     
     // Recalculate totals without discount
-    this.calculateCartTotals(cart);
+    await this.calculateCartTotals(cart);
     
-    return cart;
-  }
-
-  // Validate discount code
-  validateDiscountCode(code) {
-    const validCodes = {
-      'WELCOME10': { type: 'percentage', value: 10 },
-      'SAVE20': { type: 'percentage', value: 20 },
-      'FREESHIP': { type: 'shipping', value: 0 },
-      'FIXED50': { type: 'fixed', value: 50 }
-    };
+    // Save to database
+    const cartsCollection = this.db.collection('carts');
+    await cartsCollection.updateOne(
+      { userId },
+      { 
+        $set: { 
+          ...cart,
+          updatedAt: new Date()
+        },
+        $unset: { discount: '' }
+      },
+      { upsert: true }
+    );
+    
+    // Clear cache for this user
+    await cacheService.invalidate(`cart-${userId}`);
     
-    return validCodes[code] || null;
+    return cart;
   }
 
   // Get cart summary
@@ -377,14 +903,24 @@ class CartService {
       itemCount: cart.itemCount,
       subtotal: cart.subtotal,
       tax: cart.tax,
+      taxLines: cart.taxLines || [],
+      taxExempt: Boolean(cart.taxExempt),
+      pricesIncludeTax: Boolean(cart.pricesIncludeTax),
       shipping: cart.shipping,
-      discount: cart.discount,
+      shippingMethod: cart.shippingMethod || null,
+      shippingDiscount: cart.shippingDiscount || 0,
+      discounts: cart.discounts || [],
+      discountAmount: cart.discountAmount || 0,
+      discountWarnings: cart.discountWarnings || [],
       total: cart.total,
+      baseCurrency: currencyService.baseCurrency,
+      presentment: cart.presentment || null,
       isEmpty: cart.items.length === 0
     };
   }
 
   // Check cart validity (stock, prices, etc.)
+  // Prices are brought up to date and saved; `changes` lists what moved so the shopper can be told
   async validateCart(userId) {
     await this.initialize();
     
@@ -392,31 +928,96 @@ class CartService {
     const validation = {
       isValid: true,
       errors: [],
-      warnings: []
+      warnings: [],
+      changes: []
     };
     
     for (const item of cart.items) {
       const product = await this.getProduct(item.productId);
+      const change = {
+        itemId: item.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name
+      };
       
       if (!product) {
         validation.isValid = false;
         validation.errors.push(`Product ${item.productId} no longer exists`);
+        validation.changes.push({
+          ...change,
+          type: 'product_unavailable',
+          message: `${item.name || item.productId} is no longer available`
+        });
         continue;
       }
       
-      if (product.stock < item.quantity) {
+      const variant = item.variantId ? await this.getVariant(item.variantId) : null;
+      
+      if (item.variantId && (!variant || !variant.isActive)) {
         validation.isValid = false;
-        validation.errors.push(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
+        validation.errors.push(`${product.name} is no longer available in this size/color`);
+        validation.changes.push({
+          ...change,
+          type: 'variant_unavailable',
+          message: `${product.name} is no longer available in this size/color`
+        });
+        continue;
       }
       
-      if (product.price !== item.price) {
-        validation.warnings.push(`Price changed for ${product.name}. Old: $${item.price}, New: $${product.price}`);
-        item.price = product.price; // Update price
+      const stock = variant ? variant.stock : product.stock;
+      if (stock < item.quantity) {
+        validation.isValid = false;
+        validation.errors.push(`Insufficient stock for ${product.name}. Available: ${stock}`);
+        validation.changes.push({
+          ...change,
+          type: 'stock_shortfall',
+          requested: item.quantity,
+          available: Math.max(0, stock),
+          message: `Only ${Math.max(0, stock)} of ${product.name} left (you have ${item.quantity})`
+        });
       }
+      
+      const price = this.currentPrice(product, variant);
+      if (price !== item.price) {
+        const direction = price < item.price ? 'dropped' : 'increased';
+        const currency = currencyService.baseCurrency;
+        validation.warnings.push(`Price changed for ${product.name}. Old: ${formatMoney(item.price, currency)}, New: ${formatMoney(price, currency)}`);
+        validation.changes.push({
+          ...change,
+          type: 'price_changed',
+          direction,
+          oldPrice: item.price,
+          newPrice: price,
+          message: `Price ${direction} from ${formatMoney(item.price, currency)} to ${formatMoney(price, currency)}`
+        });
+        item.price = price; // Update price
+      }
+      
+      // Items added before categories were tracked fall back to the product's
+      item.category = item.category || product.category;
+      item.brand = item.brand || product.brand;
     }
     
-    if (validation.warnings.length > 0 || !validation.isValid) {
-      this.calculateCartTotals(cart);
+    // Always recalculate so totals reflect the current tax rules
+    await this.calculateCartTotals(cart);
+    
+    // Keep the new prices so the cart shows what checkout will charge
+    if (validation.changes.some(change => change.type === 'price_changed')) {
+      const cartsCollection = this.db.collection('carts');
+      await cartsCollection.updateOne(
+        { userId },
+        { 
+          $set: { 
+            ...cart,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      
+      // Clear cache for this user
+      await cacheService.invalidate(`cart-${userId}`);
     }
     
     return {
@@ -0,0 +1,223 @@
+jest.mock('../config/database');
+
+const { getDB, resetDB } = require('../config/database');
+const cartService = require('./cartService');
+const cacheService = require('./cacheService');
+const shippingService = require('./shippingService');
+const currencyService = require('./currencyService');
+
+async function stockUp(productId, quantity) {
+  const { insertedId } = await getDB().collection('inventory').insertOne({
+    productId,
+    status: 'active',
+    currentStock: quantity,
+    reservedStock: 0,
+    availableStock: quantity
+  });
+  return insertedId;
+}
+
+async function variant(fields = {}) {
+  const { insertedId } = await getDB().collection('variants').insertOne({
+    productId: 'product-1',
+    sku: 'AJ1-42-RED',
+    size: '42',
+    color: 'Red',
+    stock: 5,
+    price: 160,
+    images: [],
+    isActive: true,
+    ...fields
+  });
+  return insertedId;
+}
+
+const updateVariant = (variantId, fields) => getDB().collection('variants').updateOne({ _id: variantId }, { $set: fields });
+
+const reserved = async inventoryId => (await getDB().collection('inventory').findOne({ _id: inventoryId })).reservedStock;
+
+const holds = filter => getDB().collection('stockReservations').find({ status: 'active', ...filter }).toArray();
+
+describe('cartService.mergeCarts', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'cacheWithTTL').mockImplementation((key, generator) => generator());
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the guest lines and their holds into the user cart', async () => {
+    const inventoryId = await stockUp('product-1', 5);
+    await cartService.addToCart('guest-1', 'product-1', 2);
+
+    const { cart, merged, adjustments } = await cartService.mergeCarts('guest-1', 'user-1');
+
+    expect(merged).toBe(true);
+    expect(adjustments).toEqual([]);
+    expect(cart.items).toEqual([expect.objectContaining({ productId: 'product-1', quantity: 2 })]);
+    expect(await holds({ userId: 'user-1' })).toEqual([expect.objectContaining({ cartItemId: cart.items[0].id, quantity: 2 })]);
+    expect(await holds({ userId: 'guest-1' })).toEqual([]);
+    expect(await reserved(inventoryId)).toBe(2);
+    expect(await getDB().collection('carts').countDocuments({ userId: 'guest-1' })).toBe(0);
+  });
+
+  it('adds a guest line to the matching user line under a single hold', async () => {
+    const inventoryId = await stockUp('product-1', 5);
+    await cartService.addToCart('user-1', 'product-1', 1);
+    await cartService.addToCart('guest-1', 'product-1', 2);
+
+    const { cart } = await cartService.mergeCarts('guest-1', 'user-1');
+
+    expect(cart.items).toEqual([expect.objectContaining({ productId: 'product-1', quantity: 3 })]);
+    expect(await holds({})).toEqual([expect.objectContaining({ userId: 'user-1', quantity: 3 })]);
+    expect(await reserved(inventoryId)).toBe(3);
+  });
+
+  it('caps a combined line at the stock on hand and reports the adjustment', async () => {
+    await stockUp('product-2', 10);
+    await cartService.addToCart('user-1', 'product-2', 3);
+    await cartService.addToCart('guest-1', 'product-2', 3);
+
+    const { cart, adjustments } = await cartService.mergeCarts('guest-1', 'user-1');
+
+    expect(cart.items[0].quantity).toBe(5);
+    expect(adjustments).toEqual([
+      { productId: 'product-2', name: 'Supreme Box Logo Hoodie', requested: 6, quantity: 5, reason: 'Only 5 available' }
+    ]);
+  });
+
+  it('does nothing when the guest cart was already merged', async () => {
+    await cartService.addToCart('guest-1', 'product-1', 1);
+    await cartService.mergeCarts('guest-1', 'user-1');
+
+    const again = await cartService.mergeCarts('guest-1', 'user-1');
+
+    expect(again.merged).toBe(false);
+    expect(again.cart.items).toEqual([expect.objectContaining({ productId: 'product-1', quantity: 1 })]);
+  });
+
+  it('refuses to merge a cart into itself', async () => {
+    await expect(cartService.mergeCarts('user-1', 'user-1')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('cartService.validateCart', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'cacheWithTTL').mockImplementation((key, generator) => generator());
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices a variant line from the variant and takes its size and color as options', async () => {
+    const variantId = await variant();
+
+    const cart = await cartService.addToCart('user-1', 'product-1', 1, {}, variantId.toString());
+
+    expect(cart.items).toEqual([expect.objectContaining({
+      variantId: variantId.toString(),
+      sku: 'AJ1-42-RED',
+      price: 160,
+      options: { size: '42', color: 'Red' }
+    })]);
+  });
+
+  it('brings a changed variant price into the saved cart and reports it', async () => {
+    const variantId = await variant();
+    await cartService.addToCart('user-1', 'product-1', 1, {}, variantId.toString());
+    await updateVariant(variantId, { price: 140 });
+
+    const validation = await cartService.validateCart('user-1');
+
+    expect(validation.isValid).toBe(true);
+    expect(validation.changes).toEqual([expect.objectContaining({
+      type: 'price_changed',
+      direction: 'dropped',
+      oldPrice: 160,
+      newPrice: 140
+    })]);
+    expect(validation.cart.items[0].price).toBe(140);
+    expect((await getDB().collection('carts').findOne({ userId: 'user-1' })).items[0].price).toBe(140);
+  });
+
+  it('refuses the cart when a line\'s variant was switched off', async () => {
+    const variantId = await variant();
+    await cartService.addToCart('user-1', 'product-1', 1, {}, variantId.toString());
+    await updateVariant(variantId, { isActive: false });
+
+    const validation = await cartService.validateCart('user-1');
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.cart).toBeNull();
+    expect(validation.changes).toEqual([expect.objectContaining({ type: 'variant_unavailable', variantId: variantId.toString() })]);
+  });
+
+  it('reports how many units of a variant are left when the line wants more', async () => {
+    const variantId = await variant();
+    await cartService.addToCart('user-1', 'product-1', 3, {}, variantId.toString());
+    await updateVariant(variantId, { stock: 1 });
+
+    const validation = await cartService.validateCart('user-1');
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.changes).toEqual([expect.objectContaining({ type: 'stock_shortfall', requested: 3, available: 1 })]);
+  });
+});
+
+describe('cartService.getShippingOptions', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'cacheWithTTL').mockImplementation((key, generator) => generator());
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue();
+    jest.spyOn(shippingService, 'getOptions').mockResolvedValue([
+      { code: 'standard', name: 'Standard', price: 4.99, basePrice: 4.99, freeShippingThreshold: 100, estimatedDays: 3 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks free-shipping thresholds against the total after discounts', async () => {
+    await getDB().collection('carts').insertOne({
+      id: 'cart-user-1',
+      userId: 'user-1',
+      items: [{ id: 'item-1', productId: 'product-1', quantity: 1, price: 60 }],
+      subtotal: 60,
+      discountAmount: 15,
+      shippingAddress: { country: 'GR' }
+    });
+
+    const { country, options } = await cartService.getShippingOptions('user-1');
+
+    expect(shippingService.getOptions).toHaveBeenCalledWith(expect.any(Array), { country: 'GR' }, 45);
+    expect(country).toBe('GR');
+    expect(options).toEqual([expect.objectContaining({ code: 'standard', price: 4.99 })]);
+  });
+
+  it('prices the options in the cart\'s currency', async () => {
+    await currencyService.setRate('USD', { rate: 1.1 }, 'admin');
+    await getDB().collection('carts').insertOne({
+      id: 'cart-user-1',
+      userId: 'user-1',
+      items: [{ id: 'item-1', productId: 'product-1', quantity: 1, price: 60 }],
+      subtotal: 60,
+      currency: 'USD',
+      shippingAddress: { country: 'US' }
+    });
+
+    const { currency, options } = await cartService.getShippingOptions('user-1');
+
+    expect(currency).toBe('USD');
+    expect(options).toEqual([expect.objectContaining({ code: 'standard', price: 5.49, basePrice: 5.49, freeShippingThreshold: 110 })]);
+  });
+});
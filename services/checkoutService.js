@@ -0,0 +1,213 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const cartService = require('./cartService');
+const reservationService = require('./reservationService');
+const promotionService = require('./promotionService');
+const cartRecoveryService = require('./cartRecoveryService');
+const orderLifecycleService = require('./orderLifecycleService');
+const paymentService = require('./paymentService');
+const currencyService = require('./currencyService');
+const { createHttpError } = require('../utils/httpError');
+
+class CheckoutService {
+  constructor() {
+    this.db = null;
+    this.indexesEnsured = false;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+
+    if (!this.indexesEnsured) {
+      // One order per idempotency key, even when two requests race past the lookup
+      await this.db.collection('orders').createIndex(
+        { idempotencyKey: 1 },
+        { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+      );
+      this.indexesEnsured = true;
+    }
+  }
+
+  // Turn the user's cart into an order and open its payment with the provider
+  async checkout(userId, idempotencyKey, details = {}) {
+    // No order is placed that could not be paid for
+    paymentService.getCheckoutProvider(details.paymentProvider);
+
+    const result = await this.placeOrder(userId, idempotencyKey, details);
+
+    // Replays get the payment opened by the first request (or one is opened if that request died before it)
+    result.payment = await paymentService.createForOrder(result.order, details.paymentProvider);
+
+    return result;
+  }
+
+  async placeOrder(userId, idempotencyKey, details = {}) {
+    await this.initialize();
+
+    const ordersCollection = this.db.collection('orders');
+
+    // A retried request returns the order created by the first one
+    const existingOrder = await ordersCollection.findOne({ idempotencyKey });
+    if (existingOrder) {
+      return this.resolveExistingOrder(existingOrder, userId);
+    }
+
+    // Tax depends on where the order ships, so the cart is priced for that address
+    await cartService.setAddress(userId, details.shippingAddress, details.vatNumber);
+
+    if (details.currency) {
+      await cartService.setCurrency(userId, details.currency);
+    }
+
+    const validation = await cartService.validateCart(userId);
+
+    if (!validation.isValid) {
+      throw createHttpError('Cart is no longer valid', 409, { errors: validation.errors, changes: validation.changes });
+    }
+
+    // The shopper has to see new prices before paying them; the cart now holds them, so a retry goes through
+    const priceChanges = validation.changes.filter(change => change.type === 'price_changed');
+    if (priceChanges.length > 0) {
+      throw createHttpError('Prices have changed since the cart was last viewed', 409, { changes: priceChanges });
+    }
+
+    const cart = validation.cart;
+
+    if (cart.items.length === 0) {
+      throw createHttpError('Cart is empty', 400);
+    }
+
+    if (cart.shippingUnavailable) {
+      throw createHttpError('No shipping method can deliver this cart to the given address', 409);
+    }
+
+    // Codes that stopped applying change the price the customer agreed to
+    if ((cart.discountWarnings || []).length > 0) {
+      throw createHttpError('Some discount codes no longer apply', 409, { discounts: cart.discountWarnings });
+    }
+
+    const now = new Date();
+    // The shopper pays in the currency the cart was shown in, at the rate it was shown at
+    const { presentment } = cart;
+
+    // Lock prices at the values confirmed by validation
+    const items = cart.items.map((item, index) => ({
+      id: item.id,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      sku: item.sku || null,
+      name: item.name,
+      image: item.image,
+      options: item.options || {},
+      quantity: item.quantity,
+      category: item.category || null,
+      unitPrice: presentment.items[index].unitPrice,
+      total: presentment.items[index].total,
+      discountAmount: presentment.items[index].discountAmount,
+      tax: presentment.items[index].tax,
+      baseUnitPrice: item.price
+    }));
+
+    // Holds taken while shopping are topped up, extended for the payment window and moved
+    // to the warehouse that best serves the shipping address
+    await reservationService.holdForCheckout(userId, cart.items, details.shippingAddress);
+
+    const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+    const shippingAddress = details.shippingAddress;
+
+    const order = {
+      // Generated up front so promotion redemptions can reference the order before it is stored
+      _id: new ObjectId(),
+      orderNumber,
+      idempotencyKey,
+      source: 'checkout',
+      cartId: cart.id,
+      customer: {
+        id: userId,
+        name: details.customer.name,
+        email: details.customer.email,
+        phone: details.customer.phone || '',
+        address: shippingAddress
+      },
+      items,
+      status: 'pending',
+      statusHistory: [orderLifecycleService.historyEntry(null, 'pending', `customer:${userId}`, 'Order placed')],
+      paymentStatus: 'pending',
+      paymentMethod: details.paymentMethod || 'credit_card',
+      subtotal: presentment.subtotal,
+      tax: presentment.tax,
+      taxLines: presentment.taxLines,
+      taxExempt: cart.taxExempt,
+      pricesIncludeTax: cart.pricesIncludeTax,
+      vatNumber: details.vatNumber || null,
+      shipping: presentment.shipping,
+      shippingMethod: presentment.shippingMethod,
+      shippingDiscount: presentment.shippingDiscount,
+      discount: presentment.discountAmount,
+      discounts: presentment.discounts,
+      totalAmount: presentment.total,
+      currency: presentment.currency,
+      exchangeRate: presentment.exchangeRate,
+      // The same order in the base currency, as priced before conversion
+      settlement: {
+        currency: currencyService.baseCurrency,
+        subtotal: cart.subtotal,
+        tax: cart.tax,
+        shipping: cart.shipping,
+        discount: cart.discountAmount || 0,
+        totalAmount: cart.total
+      },
+      shippingAddress,
+      billingAddress: details.billingAddress || shippingAddress,
+      notes: details.notes || '',
+      pricesLockedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Claim the promotion uses; fails if a limit was reached since the codes were applied.
+    // Redemptions are recorded in the base currency, like the promotions themselves.
+    await promotionService.redeem(cart.discounts || [], userId, order);
+
+    try {
+      await ordersCollection.insertOne(order);
+    } catch (error) {
+      await promotionService.rollback(order._id.toString());
+
+      if (error.code === 11000) {
+        // A concurrent request with the same key won the race
+        const winner = await ordersCollection.findOne({ idempotencyKey });
+        return this.resolveExistingOrder(winner, userId);
+      }
+
+      throw error;
+    }
+
+    await reservationService.attachCartToOrder(userId, order._id.toString());
+
+    await cartService.completeCheckout(userId, {
+      orderId: order._id.toString(),
+      orderNumber
+    });
+
+    // Orders placed after a cart was abandoned count towards the recovery rate
+    await cartRecoveryService.markRecovered(userId, order);
+
+    console.log(`🧾 Created order ${orderNumber} from cart for user ${userId}`);
+
+    return { order, created: true };
+  }
+
+  // Return a previously created order for a replayed idempotency key
+  resolveExistingOrder(order, userId) {
+    if (order.customer?.id !== userId) {
+      throw createHttpError('Idempotency key has already been used', 409);
+    }
+
+    return { order, created: false };
+  }
+}
+
+module.exports = new CheckoutService();
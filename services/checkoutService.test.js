@@ -0,0 +1,183 @@
+jest.mock('../config/database');
+
+const { getDB, resetDB } = require('../config/database');
+const checkoutService = require('./checkoutService');
+const cartService = require('./cartService');
+const cartRecoveryService = require('./cartRecoveryService');
+const promotionService = require('./promotionService');
+const paymentService = require('./paymentService');
+
+const details = {
+  customer: { name: 'Ada Lovelace', email: 'ada@example.com' },
+  shippingAddress: { line1: '1 Main St', city: 'Athens', postalCode: '10558', country: 'GR' }
+};
+
+// A validated cart with one line, priced in the base currency
+function validCart() {
+  const line = { unitPrice: 50, total: 100, discountAmount: 0, tax: { rate: 0.24, amount: 24 } };
+
+  return {
+    isValid: true,
+    errors: [],
+    changes: [],
+    cart: {
+      id: 'cart-1',
+      items: [{ id: 'item-1', productId: 'product-1', name: 'Sneaker', quantity: 2, price: 50 }],
+      subtotal: 100,
+      tax: 24,
+      shipping: 5,
+      discountAmount: 0,
+      discounts: [],
+      discountWarnings: [],
+      total: 129,
+      taxExempt: false,
+      pricesIncludeTax: false,
+      presentment: {
+        currency: 'EUR',
+        exchangeRate: 1,
+        items: [line],
+        subtotal: 100,
+        tax: 24,
+        taxLines: [],
+        shipping: 5,
+        shippingMethod: 'standard',
+        shippingDiscount: 0,
+        discountAmount: 0,
+        discounts: [],
+        total: 129
+      }
+    }
+  };
+}
+
+describe('checkoutService.placeOrder', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cartService, 'setAddress').mockResolvedValue();
+    jest.spyOn(cartService, 'validateCart').mockImplementation(async () => validCart());
+    jest.spyOn(cartService, 'completeCheckout').mockResolvedValue();
+    jest.spyOn(cartRecoveryService, 'markRecovered').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a pending order from the cart', async () => {
+    const { order, created } = await checkoutService.placeOrder('user-1', 'key-1', details);
+
+    expect(created).toBe(true);
+    expect(order).toMatchObject({ idempotencyKey: 'key-1', status: 'pending', paymentStatus: 'pending', totalAmount: 129 });
+    expect(cartService.completeCheckout).toHaveBeenCalledWith('user-1', { orderId: order._id.toString(), orderNumber: order.orderNumber });
+  });
+
+  it('returns the first order when the same key is sent again', async () => {
+    const first = await checkoutService.placeOrder('user-1', 'key-1', details);
+
+    const retry = await checkoutService.placeOrder('user-1', 'key-1', details);
+
+    expect(retry.created).toBe(false);
+    expect(retry.order._id).toEqual(first.order._id);
+    expect(cartService.validateCart).toHaveBeenCalledTimes(1);
+    expect(await getDB().collection('orders').countDocuments()).toBe(1);
+  });
+
+  it('refuses a key another customer already used', async () => {
+    await checkoutService.placeOrder('user-1', 'key-1', details);
+
+    await expect(checkoutService.placeOrder('user-2', 'key-1', details)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Idempotency key has already been used'
+    });
+    expect(await getDB().collection('orders').countDocuments()).toBe(1);
+  });
+
+  it('creates one order when two requests with the same key race past the lookup', async () => {
+    const rollback = jest.spyOn(promotionService, 'rollback');
+
+    const [first, second] = await Promise.all([
+      checkoutService.placeOrder('user-1', 'key-1', details),
+      checkoutService.placeOrder('user-1', 'key-1', details)
+    ]);
+
+    expect(cartService.validateCart).toHaveBeenCalledTimes(2);
+    expect([first.created, second.created].sort()).toEqual([false, true]);
+    expect(second.order._id).toEqual(first.order._id);
+    expect(await getDB().collection('orders').countDocuments()).toBe(1);
+    // The loser's promotion uses are given back
+    expect(rollback).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates separate orders for different keys', async () => {
+    await checkoutService.placeOrder('user-1', 'key-1', details);
+    await checkoutService.placeOrder('user-1', 'key-2', details);
+
+    expect(await getDB().collection('orders').countDocuments()).toBe(2);
+  });
+
+  it('places no order and reserves nothing when a line is out of stock', async () => {
+    const { insertedId: inventoryId } = await getDB().collection('inventory').insertOne({
+      productId: 'product-1',
+      status: 'active',
+      currentStock: 1,
+      reservedStock: 0,
+      availableStock: 1
+    });
+
+    await expect(checkoutService.placeOrder('user-1', 'key-1', details)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await getDB().collection('orders').countDocuments()).toBe(0);
+    const inventory = await getDB().collection('inventory').findOne({ _id: inventoryId });
+    expect(inventory).toMatchObject({ reservedStock: 0, availableStock: 1 });
+  });
+
+  it('places no order when prices changed since the cart was shown', async () => {
+    cartService.validateCart.mockImplementation(async () => ({
+      ...validCart(),
+      changes: [{ type: 'price_changed', itemId: 'item-1', oldPrice: 45, newPrice: 50 }]
+    }));
+
+    await expect(checkoutService.placeOrder('user-1', 'key-1', details)).rejects.toMatchObject({ statusCode: 409 });
+    expect(await getDB().collection('orders').countDocuments()).toBe(0);
+  });
+});
+
+describe('checkoutService.checkout', () => {
+  const previousProvider = process.env.PAYMENT_PROVIDER;
+
+  beforeEach(() => {
+    resetDB();
+    delete process.env.PAYMENT_PROVIDER;
+    jest.spyOn(checkoutService, 'placeOrder');
+  });
+
+  afterEach(() => {
+    if (previousProvider === undefined) {
+      delete process.env.PAYMENT_PROVIDER;
+    } else {
+      process.env.PAYMENT_PROVIDER = previousProvider;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('places no order when no payment provider is configured', async () => {
+    await expect(checkoutService.checkout('user-1', 'key-1', details)).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'No payment provider is configured'
+    });
+    expect(checkoutService.placeOrder).not.toHaveBeenCalled();
+  });
+
+  it('places no order with a provider that has no credentials', async () => {
+    await expect(checkoutService.checkout('user-1', 'key-1', { ...details, paymentProvider: 'stripe' })).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'Payment provider stripe is not available'
+    });
+    expect(checkoutService.placeOrder).not.toHaveBeenCalled();
+  });
+
+  it('does not offer the fake provider to shoppers', () => {
+    expect(paymentService.checkoutProviderNames).not.toContain('fake');
+  });
+});
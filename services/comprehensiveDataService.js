@@ -1,5 +1,6 @@
 const { getDB } = require('../config/database');
 const geoip = require('geoip-lite');
+const returnService = require('./returnService');
 
 class ComprehensiveDataService {
   constructor() {
@@ -29,7 +30,8 @@ class ComprehensiveDataService {
         pageTrackingData,
         userPreferencesData,
         realTimeData,
-        financialData
+        financialData,
+        returnsData
       ] = await Promise.all([
         this.getProductData(),
         this.getUserData(),
@@ -42,7 +44,8 @@ class ComprehensiveDataService {
         this.getPageTrackingData(),
         this.getUserPreferencesData(),
         this.getRealTimeData(),
-        this.getFinancialData()
+        this.getFinancialData(),
+        this.getReturnsData()
       ]);
 
       return {
@@ -59,7 +62,8 @@ class ComprehensiveDataService {
         pageTracking: pageTrackingData,
         userPreferences: userPreferencesData,
         realTime: realTimeData,
-        financial: financialData
+        financial: financialData,
+        returns: returnsData
       };
     } catch (error) {
       console.error('Error getting comprehensive data:', error);
@@ -504,6 +508,17 @@ class ComprehensiveDataService {
     }
   }
 
+  // Return reasons and rates over the last 90 days
+  async getReturnsData() {
+    try {
+      const from = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+      return await returnService.getReasonAnalytics({ from });
+    } catch (error) {
+      console.error('Error getting returns data:', error);
+      return {};
+    }
+  }
+
   // Helper methods for specific data collection
   async getProductsByCategory() {
     try {
@@ -1288,15 +1303,14 @@ class ComprehensiveDataService {
 
   async getStockMovements() {
     try {
-      const inventoryCollection = this.db.collection('inventory');
+      const stockMovementsCollection = this.db.collection('stockMovements');
       const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
       
-      return await inventoryCollection.aggregate([
-        { $unwind: '$stockMovements' },
-        { $match: { 'stockMovements.timestamp': { $gte: oneWeekAgo } } },
-        { $sort: { 'stockMovements.timestamp': -1 } },
-        { $limit: 100 }
-      ]).toArray();
+      return await stockMovementsCollection
+        .find({ timestamp: { $gte: oneWeekAgo } })
+        .sort({ timestamp: -1 })
+        .limit(100)
+        .toArray();
     } catch (error) {
       console.error('Error getting stock movements:', error);
       return [];
@@ -0,0 +1,195 @@
+const { connectDB } = require('../config/database');
+const cacheService = require('./cacheService');
+const { roundAmount, currencyForCountry } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+const RATES_CACHE_KEY = 'exchange-rates';
+
+class CurrencyService {
+  constructor() {
+    this.db = null;
+    this.cacheTimeout = 5 * 60; // 5 minutes
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('exchangeRates').createIndex({ currency: 1 }, { unique: true });
+      await this.db.collection('exchangeRateHistory').createIndex({ currency: 1, effectiveFrom: -1 });
+    }
+  }
+
+  // Product prices, reports and settlement are all kept in this currency
+  get baseCurrency() {
+    return (process.env.BASE_CURRENCY || 'EUR').toUpperCase();
+  }
+
+  // Enabled rates as units of each currency per one unit of the base currency
+  async getRates() {
+    await this.initialize();
+
+    return cacheService.cacheWithTTL(RATES_CACHE_KEY, async () => {
+      const rates = await this.db.collection('exchangeRates').find({ enabled: true }).toArray();
+      return Object.fromEntries(rates.map(rate => [rate.currency, rate.rate]));
+    }, this.cacheTimeout);
+  }
+
+  async getRate(currency) {
+    const code = String(currency || '').toUpperCase();
+
+    if (code === this.baseCurrency) {
+      return 1;
+    }
+
+    const rates = await this.getRates();
+
+    if (!rates[code]) {
+      throw createHttpError(`Currency ${code} is not supported`, 400, { supported: [this.baseCurrency, ...Object.keys(rates)] });
+    }
+
+    return rates[code];
+  }
+
+  // Currencies shoppers can pay in, the base currency first
+  async getCurrencies() {
+    await this.initialize();
+
+    const rates = await this.db.collection('exchangeRates')
+      .find({}, { projection: { _id: 0 } })
+      .sort({ currency: 1 })
+      .toArray();
+
+    return [
+      { currency: this.baseCurrency, rate: 1, base: true, enabled: true },
+      ...rates.map(rate => ({ ...rate, base: false }))
+    ];
+  }
+
+  // Set a currency's rate; every change is kept in the history with the period it applied to
+  async setRate(currency, { rate, enabled = true, source = 'manual' }, actor) {
+    await this.initialize();
+
+    const code = currency.toUpperCase();
+
+    if (code === this.baseCurrency) {
+      throw createHttpError(`${code} is the base currency; its rate is always 1`, 400);
+    }
+
+    const now = new Date();
+    const previous = await this.db.collection('exchangeRates').findOneAndUpdate(
+      { currency: code },
+      {
+        $set: { rate, enabled, source, updatedBy: actor, updatedAt: now },
+        $setOnInsert: { currency: code, createdAt: now }
+      },
+      { upsert: true, returnDocument: 'before' }
+    );
+
+    await this.db.collection('exchangeRateHistory').updateMany(
+      { currency: code, effectiveTo: null },
+      { $set: { effectiveTo: now } }
+    );
+    await this.db.collection('exchangeRateHistory').insertOne({
+      currency: code,
+      baseCurrency: this.baseCurrency,
+      rate,
+      previousRate: previous ? previous.rate : null,
+      enabled,
+      source,
+      changedBy: actor,
+      effectiveFrom: now,
+      effectiveTo: null
+    });
+
+    await cacheService.invalidate(RATES_CACHE_KEY);
+
+    console.log(`💱 Set ${this.baseCurrency}/${code} to ${rate}${enabled ? '' : ' (disabled)'} by ${actor}`);
+
+    return this.db.collection('exchangeRates').findOne({ currency: code }, { projection: { _id: 0 } });
+  }
+
+  async getRateHistory(currency, { from, to, limit = 100 } = {}) {
+    await this.initialize();
+
+    const query = { currency: currency.toUpperCase() };
+    if (from || to) {
+      query.effectiveFrom = {};
+      if (from) query.effectiveFrom.$gte = new Date(from);
+      if (to) query.effectiveFrom.$lte = new Date(to);
+    }
+
+    return this.db.collection('exchangeRateHistory')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ effectiveFrom: -1 })
+      .limit(parseInt(limit))
+      .toArray();
+  }
+
+  // The shopper's choice when we support it, then their country's currency, then the base currency
+  async resolveCurrency({ requested, country } = {}) {
+    const rates = await this.getRates();
+    const supported = code => code && (code === this.baseCurrency || Boolean(rates[code]));
+    const choice = requested ? String(requested).toUpperCase() : null;
+
+    if (supported(choice)) {
+      return choice;
+    }
+
+    const local = currencyForCountry(country);
+    return supported(local) ? local : this.baseCurrency;
+  }
+
+  convert(amount, rate, currency) {
+    return roundAmount((amount || 0) * rate, currency);
+  }
+
+  // A priced cart or order in another currency. Each figure is converted once and the total
+  // is rebuilt from the converted figures, so it always adds up to what the shopper sees.
+  async present(totals, currency) {
+    const code = (currency || this.baseCurrency).toUpperCase();
+    const rate = await this.getRate(code);
+    const convert = amount => this.convert(amount, rate, code);
+
+    const presentment = {
+      currency: code,
+      exchangeRate: rate,
+      items: (totals.items || []).map(item => {
+        const unitPrice = convert(item.price !== undefined ? item.price : item.unitPrice);
+        return {
+          id: item.id,
+          unitPrice,
+          total: roundAmount(unitPrice * item.quantity, code),
+          discountAmount: convert(item.discountAmount),
+          tax: item.tax ? {
+            ...item.tax,
+            lineAmount: convert(item.tax.lineAmount),
+            discountAmount: convert(item.tax.discountAmount),
+            netAmount: convert(item.tax.netAmount),
+            amount: convert(item.tax.amount)
+          } : null
+        };
+      }),
+      subtotal: convert(totals.subtotal),
+      discountAmount: convert(totals.discountAmount),
+      tax: convert(totals.tax),
+      taxLines: (totals.taxLines || []).map(line => ({
+        ...line,
+        taxableAmount: convert(line.taxableAmount),
+        amount: convert(line.amount)
+      })),
+      shipping: convert(totals.shipping),
+      shippingMethod: totals.shippingMethod ? { ...totals.shippingMethod, price: convert(totals.shippingMethod.price) } : null,
+      shippingDiscount: convert(totals.shippingDiscount),
+      discounts: (totals.discounts || []).map(discount => ({ ...discount, amount: convert(discount.amount) }))
+    };
+
+    presentment.total = roundAmount(
+      presentment.subtotal - presentment.discountAmount + (totals.pricesIncludeTax ? 0 : presentment.tax) + presentment.shipping,
+      code
+    );
+
+    return presentment;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,108 @@
+jest.mock('../config/database');
+
+const { getDB, resetDB } = require('../config/database');
+const currencyService = require('./currencyService');
+const cacheService = require('./cacheService');
+
+// A cart priced in the base currency
+const cart = {
+  items: [
+    { id: 'item-1', price: 19.99, quantity: 3, discountAmount: 6, tax: { rate: 0.2, lineAmount: 59.97, discountAmount: 6, netAmount: 53.97, amount: 10.79 } },
+    { id: 'item-2', price: 5, quantity: 1, discountAmount: 0, tax: null }
+  ],
+  subtotal: 64.97,
+  discountAmount: 6,
+  tax: 10.79,
+  taxLines: [{ name: 'VAT', rate: 0.2, taxableAmount: 53.97, amount: 10.79 }],
+  shipping: 4.99,
+  shippingMethod: { code: 'standard', price: 4.99 },
+  shippingDiscount: 0,
+  discounts: [{ code: 'SAVE6', amount: 6 }],
+  pricesIncludeTax: false
+};
+
+describe('currencyService', () => {
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(cacheService, 'cacheWithTTL').mockImplementation((key, generator) => generator());
+    jest.spyOn(cacheService, 'invalidate').mockResolvedValue();
+
+    await currencyService.setRate('usd', { rate: 1.1 }, 'admin');
+    await currencyService.setRate('JPY', { rate: 160.5 }, 'admin');
+    await currencyService.setRate('GBP', { rate: 0.85, enabled: false }, 'admin');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('present', () => {
+    it('leaves base currency prices as they are', async () => {
+      const presentment = await currencyService.present(cart, 'EUR');
+
+      expect(presentment).toMatchObject({ currency: 'EUR', exchangeRate: 1, subtotal: 64.97, shipping: 4.99, total: 74.75 });
+    });
+
+    it('converts each figure once and builds the total from the converted figures', async () => {
+      const presentment = await currencyService.present(cart, 'usd');
+
+      expect(presentment.currency).toBe('USD');
+      expect(presentment.items[0]).toMatchObject({ unitPrice: 21.99, total: 65.97, discountAmount: 6.6 });
+      expect(presentment.items[0].tax).toMatchObject({ rate: 0.2, amount: 11.87 });
+      expect(presentment).toMatchObject({ subtotal: 71.47, discountAmount: 6.6, tax: 11.87, shipping: 5.49 });
+      expect(presentment.shippingMethod).toEqual({ code: 'standard', price: 5.49 });
+      expect(presentment.discounts).toEqual([{ code: 'SAVE6', amount: 6.6 }]);
+      expect(presentment.total).toBe(82.23);
+    });
+
+    it('rounds zero-decimal currencies to whole units', async () => {
+      const presentment = await currencyService.present(cart, 'JPY');
+
+      expect(presentment.items[0].unitPrice).toBe(3208);
+      expect(presentment.subtotal).toBe(10428);
+      expect(Number.isInteger(presentment.total)).toBe(true);
+    });
+
+    it('does not add tax that is already in the prices', async () => {
+      const presentment = await currencyService.present({ ...cart, pricesIncludeTax: true }, 'EUR');
+
+      expect(presentment.total).toBe(63.96);
+    });
+  });
+
+  describe('resolveCurrency', () => {
+    it('uses the shopper\'s choice, then their country\'s currency, then the base currency', async () => {
+      expect(await currencyService.resolveCurrency({ requested: 'jpy', country: 'US' })).toBe('JPY');
+      expect(await currencyService.resolveCurrency({ country: 'US' })).toBe('USD');
+      expect(await currencyService.resolveCurrency({ requested: 'GBP', country: 'GB' })).toBe('EUR');
+      expect(await currencyService.resolveCurrency({ country: 'BR' })).toBe('EUR');
+    });
+  });
+
+  describe('getRate', () => {
+    it('refuses currencies without an enabled rate', async () => {
+      await expect(currencyService.getRate('GBP')).rejects.toMatchObject({
+        statusCode: 400,
+        details: { supported: ['EUR', 'USD', 'JPY'] }
+      });
+    });
+  });
+
+  describe('setRate', () => {
+    it('closes the previous rate\'s period and keeps it in the history', async () => {
+      await currencyService.setRate('USD', { rate: 1.2 }, 'admin');
+
+      const history = await getDB().collection('exchangeRateHistory').find({ currency: 'USD' }).sort({ rate: 1 }).toArray();
+      expect(history).toEqual([
+        expect.objectContaining({ rate: 1.1, previousRate: null, effectiveTo: expect.any(Date) }),
+        expect.objectContaining({ rate: 1.2, previousRate: 1.1, effectiveTo: null })
+      ]);
+      expect(await currencyService.getRate('USD')).toBe(1.2);
+    });
+
+    it('refuses to set a rate for the base currency', async () => {
+      await expect(currencyService.setRate('EUR', { rate: 2 }, 'admin')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
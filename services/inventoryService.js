@@ -2,6 +2,7 @@ const Inventory = require('../models/Inventory');
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
 const { getDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
 
 class InventoryService {
   constructor() {
@@ -103,16 +104,15 @@ class InventoryService {
     }
   }
 
-  // Get recent stock movements
+  // Get recent stock movements from the ledger
   async getRecentMovements(limit = 20) {
     try {
       await this.initialize();
       
-      const collection = this.db.collection('inventory');
+      const collection = this.db.collection('stockMovements');
       
       const pipeline = [
-        { $unwind: '$stockMovements' },
-        { $sort: { 'stockMovements.timestamp': -1 } },
+        { $sort: { timestamp: -1 } },
         { $limit: limit },
         {
           $lookup: {
@@ -138,11 +138,20 @@ class InventoryService {
         },
         {
           $project: {
-            _id: 1,
+            _id: '$inventoryId',
             sku: 1,
-            product: { $arrayElemAt: ['$product', 0] },
-            variant: { $arrayElemAt: ['$variant', 0] },
-            movement: '$stockMovements'
+            warehouse: 1,
+            product: 1,
+            variant: 1,
+            movement: {
+              type: '$type',
+              quantity: '$quantity',
+              reason: '$reason',
+              reference: '$reference',
+              performedBy: '$performedBy',
+              notes: '$notes',
+              timestamp: '$timestamp'
+            }
           }
         }
       ];
@@ -301,33 +310,46 @@ class InventoryService {
     }
   }
 
-  // Generate reorder suggestions
-  async generateReorderSuggestions() {
+  // Generate reorder suggestions; `onOrder` maps inventory IDs to units already on open purchase orders
+  async generateReorderSuggestions({ onOrder = new Map() } = {}) {
     try {
       await this.initialize();
       
       const lowStockItems = await this.getLowStockItems();
       
-      const suggestions = lowStockItems.map(item => {
-        const suggestedQuantity = Math.max(
-          item.reorderQuantity,
-          item.reorderPoint - item.currentStock + 10 // Add buffer
-        );
-        
-        return {
-          inventoryId: item.id,
-          sku: item.sku,
-          productName: item.product?.name || 'Unknown Product',
-          currentStock: item.currentStock,
-          reorderPoint: item.reorderPoint,
-          suggestedQuantity,
-          supplier: item.supplier,
-          urgency: item.currentStock === 0 ? 'critical' : 
-                   item.currentStock <= item.minStockLevel ? 'high' : 'medium',
-          estimatedCost: suggestedQuantity * item.cost,
-          leadTime: item.supplier?.leadTime || 7
-        };
-      });
+      const suggestions = lowStockItems
+        .map(item => {
+          // Units already coming in count towards the reorder point
+          const ordered = onOrder.get(item.id) || 0;
+          const projectedStock = item.currentStock + item.inTransitStock + ordered;
+          const suggestedQuantity = Math.max(
+            item.reorderQuantity,
+            item.reorderPoint - projectedStock + 10 // Add buffer
+          );
+          
+          return {
+            inventoryId: item.id,
+            productId: item.productId,
+            variantId: item.variantId || null,
+            sku: item.sku,
+            warehouse: item.location?.warehouse || 'main',
+            productName: item.product?.name || 'Unknown Product',
+            currentStock: item.currentStock,
+            inTransitStock: item.inTransitStock,
+            onOrder: ordered,
+            reorderPoint: item.reorderPoint,
+            suggestedQuantity,
+            supplier: item.supplier,
+            supplierId: item.supplier?.id ? item.supplier.id.toString() : null,
+            urgency: item.currentStock === 0 ? 'critical' : 
+                     item.currentStock <= item.minStockLevel ? 'high' : 'medium',
+            estimatedCost: suggestedQuantity * item.cost,
+            unitCost: item.cost,
+            leadTime: item.supplier?.leadTime || 7,
+            projectedStock
+          };
+        })
+        .filter(suggestion => suggestion.projectedStock <= suggestion.reorderPoint);
       
       return suggestions.sort((a, b) => {
         const urgencyOrder = { critical: 3, high: 2, medium: 1 };
@@ -353,11 +375,14 @@ class InventoryService {
       const now = new Date();
       const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
       
-      const recentMovements = inventory.stockMovements.filter(
-        movement => new Date(movement.timestamp) >= thirtyDaysAgo
-      );
-      
-      const salesMovements = recentMovements.filter(movement => movement.type === 'out');
+      const salesMovements = await this.db.collection('stockMovements').find({
+        inventoryId: new ObjectId(inventoryId),
+        type: 'out',
+        // Stock sent to another warehouse was not sold
+        'reference.type': { $ne: 'transfer' },
+        timestamp: { $gte: thirtyDaysAgo }
+      }).toArray();
+
       const totalSold = salesMovements.reduce((sum, movement) => sum + movement.quantity, 0);
       const totalRevenue = totalSold * inventory.sellingPrice;
       const averageDailySales = totalSold / 30;
@@ -384,15 +409,14 @@ class InventoryService {
     try {
       await this.initialize();
       
-      const collection = this.db.collection('inventory');
+      const collection = this.db.collection('stockMovements');
       const endDate = new Date();
       const startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
       
       const pipeline = [
-        { $unwind: '$stockMovements' },
         {
           $match: {
-            'stockMovements.timestamp': { $gte: startDate, $lte: endDate }
+            timestamp: { $gte: startDate, $lte: endDate }
           }
         },
         {
@@ -401,12 +425,12 @@ class InventoryService {
               date: {
                 $dateToString: {
                   format: '%Y-%m-%d',
-                  date: '$stockMovements.timestamp'
+                  date: '$timestamp'
                 }
               },
-              type: '$stockMovements.type'
+              type: '$type'
             },
-            totalQuantity: { $sum: '$stockMovements.quantity' },
+            totalQuantity: { $sum: '$quantity' },
             count: { $sum: 1 }
           }
         },
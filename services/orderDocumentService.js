@@ -0,0 +1,387 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const PDFDocument = require('pdfkit');
+const { createHttpError } = require('../utils/httpError');
+
+// Orders are invoiced once they are confirmed; cancelled orders only if they were paid
+const UNINVOICEABLE_STATUSES = ['pending'];
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+
+class OrderDocumentService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      // The unique indexes are what keep numbering gap-free: a number only exists once its invoice is stored
+      await this.db.collection('invoices').createIndex({ sequence: 1 }, { unique: true });
+      await this.db.collection('invoices').createIndex({ orderId: 1 }, { unique: true });
+    }
+  }
+
+  async getOrder(orderId) {
+    await this.initialize();
+
+    const order = await this.db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+
+    if (!order) {
+      throw createHttpError('Order not found', 404);
+    }
+
+    return order;
+  }
+
+  round(amount) {
+    return Math.round((amount || 0) * 100) / 100;
+  }
+
+  // Who the invoice is from: the order's seller when it carries an address, otherwise the shop itself
+  sellerDetails(order) {
+    if (order.seller && order.seller.address) {
+      return {
+        name: order.seller.name,
+        email: order.seller.email || null,
+        vatNumber: order.seller.vatNumber || null,
+        address: order.seller.address
+      };
+    }
+
+    return {
+      name: process.env.INVOICE_SELLER_NAME || 'BrandOutlet',
+      email: process.env.INVOICE_SELLER_EMAIL || null,
+      vatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || null,
+      address: { lines: (process.env.INVOICE_SELLER_ADDRESS || '').split(',').map(line => line.trim()).filter(Boolean) }
+    };
+  }
+
+  // Return the order's invoice, issuing it with the next number the first time it is asked for
+  async getInvoice(orderId) {
+    const order = await this.getOrder(orderId);
+    const existing = await this.db.collection('invoices').findOne({ orderId: order._id.toString() });
+
+    if (existing) {
+      return existing;
+    }
+
+    if (UNINVOICEABLE_STATUSES.includes(order.status) || (order.status === 'cancelled' && order.paymentStatus !== 'completed')) {
+      throw createHttpError(`Orders cannot be invoiced while ${order.status}`, 409, { currentStatus: order.status });
+    }
+
+    return this.issueInvoice(order);
+  }
+
+  async issueInvoice(order) {
+    const invoicesCollection = this.db.collection('invoices');
+
+    // Take the number after the last stored invoice; a concurrent issue for the same number loses on the index and retries
+    for (;;) {
+      const [last] = await invoicesCollection.find({}, { projection: { sequence: 1 } }).sort({ sequence: -1 }).limit(1).toArray();
+      const invoice = this.buildInvoice(order, (last ? last.sequence : 0) + 1);
+
+      try {
+        await invoicesCollection.insertOne(invoice);
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Someone else invoiced this order first: theirs is the invoice
+        if (error.keyPattern && error.keyPattern.orderId) {
+          return invoicesCollection.findOne({ orderId: invoice.orderId });
+        }
+        continue;
+      }
+
+      await this.db.collection('orders').updateOne(
+        { _id: order._id },
+        { $set: { invoiceNumber: invoice.number, invoicedAt: invoice.issuedAt } }
+      );
+
+      console.log(`🧾 Invoice ${invoice.number} issued for order ${order.orderNumber}`);
+
+      return invoice;
+    }
+  }
+
+  // Snapshot everything the invoice shows, so later changes to the order never alter an issued invoice
+  buildInvoice(order, sequence) {
+    const taxByItem = {};
+    for (const item of order.items || []) {
+      if (item.tax) taxByItem[item.id] = item.tax;
+    }
+
+    const lines = (order.items || []).map(item => {
+      const tax = taxByItem[item.id] || {};
+      const discount = this.round(item.discountAmount);
+
+      return {
+        itemId: item.id,
+        description: item.name,
+        sku: item.sku || null,
+        options: item.options || {},
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        discount,
+        netAmount: tax.netAmount !== undefined ? tax.netAmount : this.round(item.total - discount),
+        taxRate: tax.rate || 0,
+        taxAmount: tax.amount || 0,
+        total: this.round(item.total - discount)
+      };
+    });
+
+    return {
+      number: `${INVOICE_PREFIX}-${String(sequence).padStart(6, '0')}`,
+      sequence,
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      issuedAt: new Date(),
+      orderDate: order.createdAt || null,
+      currency: order.currency || 'EUR',
+      seller: this.sellerDetails(order),
+      customer: {
+        name: order.customer?.name || '',
+        email: order.customer?.email || '',
+        vatNumber: order.vatNumber || null,
+        billingAddress: order.billingAddress || order.shippingAddress || {},
+        shippingAddress: order.shippingAddress || {}
+      },
+      lines,
+      pricesIncludeTax: Boolean(order.pricesIncludeTax),
+      taxExempt: Boolean(order.taxExempt),
+      taxLines: order.taxLines || [],
+      discounts: (order.discounts || []).map(discount => ({ code: discount.code, name: discount.name, amount: discount.amount })),
+      subtotal: order.subtotal || 0,
+      discount: order.discount || 0,
+      shippingMethod: order.shippingMethod ? order.shippingMethod.name : null,
+      shipping: order.shipping || 0,
+      tax: order.tax || 0,
+      total: order.totalAmount || 0,
+      paymentStatus: order.paymentStatus || 'pending'
+    };
+  }
+
+  // Packing slips are rebuilt from the order each time: one for the whole order or one per shipment
+  async getPackingSlip(orderId, shipmentId = null) {
+    const order = await this.getOrder(orderId);
+    const shipment = shipmentId ? (order.shipments || []).find(entry => entry.id === shipmentId) : null;
+
+    if (shipmentId && !shipment) {
+      throw createHttpError('Shipment not found', 404);
+    }
+
+    const itemsById = Object.fromEntries((order.items || []).map(item => [item.id, item]));
+    const lines = shipment
+      ? shipment.items.map(line => ({ item: itemsById[line.itemId] || {}, quantity: line.quantity }))
+      : (order.items || []).map(item => ({ item, quantity: item.quantity }));
+
+    return {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      orderDate: order.createdAt || null,
+      seller: this.sellerDetails(order),
+      shipTo: {
+        name: order.customer?.name || '',
+        phone: order.customer?.phone || '',
+        address: order.shippingAddress || {}
+      },
+      shipment: shipment
+        ? { id: shipment.id, carrier: shipment.carrier, trackingNumber: shipment.trackingNumber, warehouse: shipment.warehouse, shippedAt: shipment.shippedAt }
+        : null,
+      shippingMethod: order.shippingMethod ? order.shippingMethod.name : null,
+      lines: lines.map(({ item, quantity }) => ({
+        itemId: item.id,
+        description: item.name,
+        sku: item.sku || null,
+        options: item.options || {},
+        quantity
+      })),
+      totalUnits: lines.reduce((sum, line) => sum + line.quantity, 0),
+      generatedAt: new Date()
+    };
+  }
+
+  formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'EUR' }).format(amount || 0);
+  }
+
+  formatAddress(address = {}) {
+    if (address.lines) {
+      return address.lines;
+    }
+
+    return [
+      address.street || address.line1,
+      address.line2,
+      [address.postalCode || address.zipCode, address.city].filter(Boolean).join(' '),
+      [address.state || address.region, address.country].filter(Boolean).join(', ')
+    ].filter(Boolean);
+  }
+
+  formatOptions(options = {}) {
+    return Object.entries(options).map(([key, value]) => `${key}: ${value}`).join(', ');
+  }
+
+  // Render an invoice or packing slip as a PDF buffer
+  renderPdf(type, document) {
+    return new Promise((resolve, reject) => {
+      // Pin the creation date so re-generating an invoice yields the same file
+      const pdf = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: type === 'invoice' ? `Invoice ${document.number}` : `Packing slip ${document.orderNumber}`,
+          CreationDate: new Date(document.issuedAt || document.generatedAt)
+        }
+      });
+      const chunks = [];
+
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      if (type === 'invoice') {
+        this.drawInvoice(pdf, document);
+      } else {
+        this.drawPackingSlip(pdf, document);
+      }
+
+      pdf.end();
+    });
+  }
+
+  drawParties(pdf, left, right) {
+    const top = pdf.y;
+
+    pdf.fontSize(9).font('Helvetica-Bold').text(left.title, 50, top);
+    pdf.font('Helvetica').text(left.lines.filter(Boolean).join('\n'), 50, top + 14, { width: 230 });
+    const leftBottom = pdf.y;
+
+    pdf.font('Helvetica-Bold').text(right.title, 315, top);
+    pdf.font('Helvetica').text(right.lines.filter(Boolean).join('\n'), 315, top + 14, { width: 230 });
+
+    pdf.y = Math.max(leftBottom, pdf.y) + 20;
+  }
+
+  drawTable(pdf, columns, rows) {
+    const drawRow = (cells, bold) => {
+      if (pdf.y > 760) {
+        pdf.addPage();
+      }
+      const top = pdf.y;
+      let bottom = top;
+
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      columns.forEach((column, index) => {
+        pdf.text(String(cells[index] ?? ''), column.x, top, { width: column.width, align: column.align || 'left' });
+        bottom = Math.max(bottom, pdf.y);
+      });
+      pdf.y = bottom + 4;
+    };
+
+    drawRow(columns.map(column => column.label), true);
+    pdf.moveTo(50, pdf.y).lineTo(545, pdf.y).stroke();
+    pdf.y += 4;
+    rows.forEach(row => drawRow(row, false));
+    pdf.moveTo(50, pdf.y).lineTo(545, pdf.y).stroke();
+    pdf.y += 8;
+  }
+
+  drawInvoice(pdf, invoice) {
+    const money = amount => this.formatMoney(amount, invoice.currency);
+
+    pdf.fontSize(20).font('Helvetica-Bold').text('Invoice', 50, 50);
+    pdf.fontSize(10).font('Helvetica')
+      .text(`Invoice number: ${invoice.number}`)
+      .text(`Invoice date: ${new Date(invoice.issuedAt).toISOString().split('T')[0]}`)
+      .text(`Order: ${invoice.orderNumber}`);
+    pdf.moveDown(2);
+
+    this.drawParties(
+      pdf,
+      { title: 'From', lines: [invoice.seller.name, ...this.formatAddress(invoice.seller.address), invoice.seller.email, invoice.seller.vatNumber && `VAT: ${invoice.seller.vatNumber}`] },
+      { title: 'Bill to', lines: [invoice.customer.name, ...this.formatAddress(invoice.customer.billingAddress), invoice.customer.email, invoice.customer.vatNumber && `VAT: ${invoice.customer.vatNumber}`] }
+    );
+
+    this.drawTable(
+      pdf,
+      [
+        { label: 'Item', x: 50, width: 170 },
+        { label: 'Qty', x: 225, width: 30, align: 'right' },
+        { label: 'Unit price', x: 260, width: 65, align: 'right' },
+        { label: 'Discount', x: 330, width: 55, align: 'right' },
+        { label: 'Tax', x: 390, width: 75, align: 'right' },
+        { label: 'Total', x: 470, width: 75, align: 'right' }
+      ],
+      invoice.lines.map(line => [
+        [line.description, line.sku && `SKU ${line.sku}`, this.formatOptions(line.options)].filter(Boolean).join('\n'),
+        line.quantity,
+        money(line.unitPrice),
+        line.discount ? `-${money(line.discount)}` : '',
+        `${money(line.taxAmount)} (${line.taxRate}%)`,
+        money(line.total)
+      ])
+    );
+
+    const totals = [
+      ['Subtotal', money(invoice.subtotal)],
+      ...invoice.discounts.map(discount => [`Discount ${discount.code || discount.name || ''}`.trim(), `-${money(discount.amount)}`]),
+      [`Shipping${invoice.shippingMethod ? ` (${invoice.shippingMethod})` : ''}`, money(invoice.shipping)],
+      ...invoice.taxLines.map(line => [`${invoice.pricesIncludeTax ? 'Incl. ' : ''}Tax ${line.rate}% on ${money(line.taxableAmount)}`, money(line.amount)]),
+      ['Total', money(invoice.total)]
+    ];
+
+    totals.forEach(([label, value], index) => {
+      const bold = index === totals.length - 1;
+      const top = pdf.y;
+      pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+      pdf.text(label, 280, top, { width: 185, align: 'right' });
+      pdf.text(value, 470, top, { width: 75, align: 'right' });
+      pdf.y += 2;
+    });
+
+    if (invoice.taxExempt) {
+      pdf.moveDown().font('Helvetica').fontSize(9).text('VAT reverse charge: the customer accounts for VAT.', 50);
+    }
+  }
+
+  drawPackingSlip(pdf, slip) {
+    pdf.fontSize(20).font('Helvetica-Bold').text('Packing slip', 50, 50);
+    pdf.fontSize(10).font('Helvetica').text(`Order: ${slip.orderNumber}`);
+    if (slip.orderDate) {
+      pdf.text(`Order date: ${new Date(slip.orderDate).toISOString().split('T')[0]}`);
+    }
+    if (slip.shipment) {
+      pdf.text(`Shipment: ${slip.shipment.id}`);
+      if (slip.shipment.trackingNumber) {
+        pdf.text(`Tracking: ${[slip.shipment.carrier, slip.shipment.trackingNumber].filter(Boolean).join(' ')}`);
+      }
+    }
+    pdf.moveDown(2);
+
+    this.drawParties(
+      pdf,
+      { title: 'From', lines: [slip.seller.name, ...this.formatAddress(slip.seller.address)] },
+      { title: 'Ship to', lines: [slip.shipTo.name, ...this.formatAddress(slip.shipTo.address), slip.shipTo.phone] }
+    );
+
+    this.drawTable(
+      pdf,
+      [
+        { label: 'SKU', x: 50, width: 110 },
+        { label: 'Item', x: 165, width: 280 },
+        { label: 'Qty', x: 470, width: 75, align: 'right' }
+      ],
+      slip.lines.map(line => [
+        line.sku || '',
+        [line.description, this.formatOptions(line.options)].filter(Boolean).join('\n'),
+        line.quantity
+      ])
+    );
+
+    pdf.font('Helvetica-Bold').fontSize(10).text(`Total units: ${slip.totalUnits}`, 50, pdf.y, { width: 495, align: 'right' });
+  }
+}
+
+module.exports = new OrderDocumentService();
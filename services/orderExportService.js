@@ -0,0 +1,189 @@
+const { connectDB } = require('../config/database');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// One row per order
+const ORDER_COLUMNS = [
+  { key: 'orderNumber', header: 'Order Number', value: order => order.orderNumber || `ORD-${order._id.toString().slice(-6)}` },
+  { key: 'createdAt', header: 'Created At', value: order => order.createdAt || null },
+  { key: 'status', header: 'Status', value: order => order.status || 'pending' },
+  { key: 'paymentStatus', header: 'Payment Status', value: order => order.paymentStatus || 'pending' },
+  { key: 'paymentMethod', header: 'Payment Method', value: order => order.paymentMethod || '' },
+  { key: 'customerName', header: 'Customer Name', value: order => order.customer?.name || '' },
+  { key: 'customerEmail', header: 'Customer Email', value: order => order.customer?.email || '' },
+  { key: 'sellerName', header: 'Seller', value: order => order.seller?.name || '' },
+  { key: 'shippingCountry', header: 'Shipping Country', value: order => order.shippingAddress?.country || '' },
+  { key: 'currency', header: 'Currency', value: order => order.currency || 'EUR' },
+  { key: 'subtotal', header: 'Subtotal', value: order => order.subtotal || 0 },
+  { key: 'discount', header: 'Discount', value: order => order.discount || 0 },
+  { key: 'shipping', header: 'Shipping', value: order => order.shipping || 0 },
+  { key: 'tax', header: 'Tax', value: order => order.tax || 0 },
+  { key: 'totalAmount', header: 'Total', value: order => order.totalAmount || 0 },
+  { key: 'itemCount', header: 'Items', value: order => (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0) },
+  { key: 'invoiceNumber', header: 'Invoice Number', value: order => order.invoiceNumber || '' },
+  { key: 'trackingNumber', header: 'Tracking Numbers', value: order => [order.trackingNumber, ...(order.shipments || []).map(shipment => shipment.trackingNumber)].filter(Boolean).join(' ') }
+];
+
+// Added to the order columns when line items are flattened, one row per line
+const ITEM_COLUMNS = [
+  { key: 'itemId', header: 'Item ID', value: item => item.id || '' },
+  { key: 'sku', header: 'SKU', value: item => item.sku || '' },
+  { key: 'productName', header: 'Product', value: item => item.name || '' },
+  { key: 'options', header: 'Options', value: item => Object.entries(item.options || {}).map(([key, value]) => `${key}: ${value}`).join(', ') },
+  { key: 'quantity', header: 'Quantity', value: item => item.quantity || 0 },
+  { key: 'unitPrice', header: 'Unit Price', value: item => item.unitPrice ?? item.price ?? 0 },
+  { key: 'lineDiscount', header: 'Line Discount', value: item => item.discountAmount || 0 },
+  { key: 'lineTax', header: 'Line Tax', value: item => item.tax?.amount || 0 },
+  { key: 'lineTotal', header: 'Line Total', value: item => item.total || 0 }
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+class OrderExportService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+  }
+
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  columns(flattenItems) {
+    return flattenItems ? [...ORDER_COLUMNS, ...ITEM_COLUMNS] : ORDER_COLUMNS;
+  }
+
+  // Rows an order contributes; orders without lines still get one row when flattening
+  rows(order, flattenItems) {
+    const orderValues = Object.fromEntries(ORDER_COLUMNS.map(column => [column.key, column.value(order)]));
+
+    if (!flattenItems) {
+      return [orderValues];
+    }
+
+    const items = order.items && order.items.length > 0 ? order.items : [{}];
+    return items.map(item => ({
+      ...orderValues,
+      ...Object.fromEntries(ITEM_COLUMNS.map(column => [column.key, column.value(item)]))
+    }));
+  }
+
+  csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value !== 'string') {
+      return String(value);
+    }
+
+    // Keep spreadsheet apps from evaluating customer-supplied text as a formula
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Stream matching orders to the response in the requested format, one cursor batch at a time
+  async exportOrders(query, { format, flattenItems = false, sortBy = 'createdAt', sortOrder = 'desc' }, res) {
+    await this.initialize();
+
+    const cursor = this.db.collection('orders')
+      .find(query)
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .batchSize(500);
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=orders-${timestamp}.${FORMATS[format].extension}`);
+
+    // Stop reading from MongoDB if the client goes away mid-export
+    const aborted = () => res.destroyed || res.writableEnded;
+    let count = 0;
+
+    try {
+      if (format === 'xlsx') {
+        count = await this.writeXlsx(cursor, flattenItems, res, aborted);
+      } else {
+        count = await this.writeText(cursor, format, flattenItems, res, aborted);
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    console.log(`📤 Exported ${count} orders as ${format}`);
+    return count;
+  }
+
+  async writeText(cursor, format, flattenItems, res, aborted) {
+    const columns = this.columns(flattenItems);
+    const write = async chunk => {
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    };
+    let count = 0;
+
+    if (format === 'csv') {
+      await write(columns.map(column => this.csvValue(column.header)).join(',') + '\n');
+    }
+
+    for await (const order of cursor) {
+      if (aborted()) {
+        return count;
+      }
+
+      if (format === 'csv') {
+        const lines = this.rows(order, flattenItems).map(row => columns.map(column => this.csvValue(row[column.key])).join(','));
+        await write(lines.join('\n') + '\n');
+      } else {
+        // NDJSON keeps the line items nested unless flattening was asked for
+        const records = flattenItems
+          ? this.rows(order, true)
+          : [{ ...this.rows(order, false)[0], items: (order.items || []).map(item => Object.fromEntries(ITEM_COLUMNS.map(column => [column.key, column.value(item)]))) }];
+        await write(records.map(record => JSON.stringify(record)).join('\n') + '\n');
+      }
+      count++;
+    }
+
+    res.end();
+    return count;
+  }
+
+  async writeXlsx(cursor, flattenItems, res, aborted) {
+    // The streaming writer flushes committed rows to the response instead of building the workbook in memory
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Orders');
+    let count = 0;
+
+    sheet.columns = this.columns(flattenItems).map(column => ({ header: column.header, key: column.key, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const order of cursor) {
+      if (aborted()) {
+        return count;
+      }
+
+      for (const row of this.rows(order, flattenItems)) {
+        sheet.addRow(row).commit();
+      }
+      count++;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+}
+
+module.exports = new OrderExportService();
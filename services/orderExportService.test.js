@@ -0,0 +1,121 @@
+jest.mock('../config/database');
+
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { getDB, resetDB } = require('../config/database');
+const orderExportService = require('./orderExportService');
+
+// Collects what the export writes, standing in for the HTTP response
+function response() {
+  const res = new PassThrough();
+  const chunks = [];
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+}
+
+const orders = [
+  {
+    orderNumber: 'ORD-1',
+    createdAt: new Date('2026-10-01T10:00:00Z'),
+    status: 'delivered',
+    customer: { name: 'Lovelace, Ada', email: 'ada@example.com' },
+    totalAmount: 113,
+    items: [
+      { id: 'item-1', sku: 'AJ1-42', name: 'Sneaker', quantity: 2, price: 50, options: { size: '42' } },
+      { id: 'item-2', sku: 'HD-M', name: 'Hoodie', quantity: 1, price: 13 }
+    ]
+  },
+  {
+    orderNumber: 'ORD-2',
+    createdAt: new Date('2026-10-02T10:00:00Z'),
+    status: 'pending',
+    customer: { name: '=HYPERLINK("http://evil")', email: 'eve@example.com' },
+    totalAmount: 20,
+    items: []
+  }
+];
+
+describe('orderExportService.exportOrders', () => {
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await getDB().collection('orders').insertMany(orders);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes one CSV row per order, newest first, as an attachment', async () => {
+    const res = response();
+
+    const count = await orderExportService.exportOrders({}, { format: 'csv' }, res);
+
+    const lines = res.body().toString().trim().split('\n');
+    expect(count).toBe(2);
+    expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename=orders-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^Order Number,Created At,Status,/);
+    expect(lines[1]).toMatch(/^ORD-2,/);
+    expect(lines[2]).toMatch(/^ORD-1,2026-10-01T10:00:00.000Z,delivered,pending,,"Lovelace, Ada",ada@example.com,/);
+  });
+
+  it('keeps spreadsheet apps from running customer text as a formula', async () => {
+    const res = response();
+
+    await orderExportService.exportOrders({ orderNumber: 'ORD-2' }, { format: 'csv' }, res);
+
+    expect(res.body().toString()).toContain('"\'=HYPERLINK(""http://evil"")"');
+  });
+
+  it('writes one row per line when flattening, and one for an order without lines', async () => {
+    const res = response();
+
+    await orderExportService.exportOrders({}, { format: 'csv', flattenItems: true, sortOrder: 'asc' }, res);
+
+    const rows = res.body().toString().trim().split('\n').slice(1);
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatch(/,item-1,AJ1-42,Sneaker,size: 42,2,50,/);
+    expect(rows[1]).toMatch(/,item-2,HD-M,Hoodie,,1,13,/);
+    expect(rows[2]).toMatch(/^ORD-2,/);
+  });
+
+  it('nests the lines in each NDJSON record', async () => {
+    const res = response();
+
+    await orderExportService.exportOrders({ orderNumber: 'ORD-1' }, { format: 'ndjson' }, res);
+
+    const records = res.body().toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(records).toEqual([expect.objectContaining({
+      orderNumber: 'ORD-1',
+      itemCount: 3,
+      items: [expect.objectContaining({ itemId: 'item-1', quantity: 2 }), expect.objectContaining({ itemId: 'item-2', quantity: 1 })]
+    })]);
+  });
+
+  it('writes a workbook with a header row and one row per order', async () => {
+    const res = response();
+
+    await orderExportService.exportOrders({}, { format: 'xlsx', sortOrder: 'asc' }, res);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body());
+    const sheet = workbook.getWorksheet('Orders');
+    expect(sheet.getRow(1).getCell(1).value).toBe('Order Number');
+    expect(sheet.getRow(2).getCell(1).value).toBe('ORD-1');
+    expect(sheet.getRow(3).getCell(1).value).toBe('ORD-2');
+  });
+
+  it('stops reading once the client has gone away', async () => {
+    const res = response();
+    res.destroy();
+
+    expect(await orderExportService.exportOrders({}, { format: 'ndjson' }, res)).toBe(0);
+  });
+});
@@ -0,0 +1,225 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const reservationService = require('./reservationService');
+const promotionService = require('./promotionService');
+const { createHttpError } = require('../utils/httpError');
+
+// Statuses an order may move to from each status
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped'],
+  shipped: ['delivered'],
+  delivered: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+// Payment outcomes an order is never moved away from
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded'];
+
+// Timestamp recorded the first time an order reaches a status
+const TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  partially_shipped: 'shippedAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt'
+};
+
+class OrderLifecycleService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+  }
+
+  get statuses() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  // Entry for the append-only status history
+  historyEntry(from, to, actor, reason) {
+    return {
+      from,
+      to,
+      actor: actor || 'system',
+      reason: reason || null,
+      at: new Date()
+    };
+  }
+
+  // Move an order to a new status, enforcing the lifecycle and running the transition's side effects
+  async transition(orderId, status, { actor, reason } = {}) {
+    await this.initialize();
+
+    const ordersCollection = this.db.collection('orders');
+    const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+
+    if (!order) {
+      throw createHttpError('Order not found', 404);
+    }
+
+    const from = order.status;
+    const allowed = this.allowedTransitions(from);
+
+    if (!allowed.includes(status)) {
+      throw createHttpError(
+        allowed.length > 0
+          ? `Cannot change order from ${from} to ${status}. Allowed: ${allowed.join(', ')}`
+          : `Cannot change order from ${from}; it is final`,
+        409,
+        { currentStatus: from, allowed }
+      );
+    }
+
+    // Only money that was actually taken can be given back
+    if ((status === 'refunded' || status === 'partially_refunded') && order.paymentStatus !== 'completed') {
+      throw createHttpError('Only paid orders can be refunded', 409, { currentStatus: from, allowed });
+    }
+
+    const now = new Date();
+    const updateData = { status, updatedAt: now };
+    if (TIMESTAMPS[status] && !order[TIMESTAMPS[status]]) {
+      updateData[TIMESTAMPS[status]] = now;
+    }
+
+    // The status filter stops two concurrent updates from both applying
+    const updated = await ordersCollection.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        $set: updateData,
+        $push: { statusHistory: this.historyEntry(from, status, actor, reason) }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      throw createHttpError('Order status was changed by another request, please retry', 409);
+    }
+
+    const effects = await this.applySideEffects(updated, from, status, actor, reason);
+
+    console.log(`📦 Order ${updated.orderNumber} moved from ${from} to ${status} by ${actor || 'system'}`);
+
+    return { order: updated, effects };
+  }
+
+  // Record a payment outcome: paid orders consume their reserved stock, failed payments give it back
+  async recordPaymentStatus(orderId, paymentStatus) {
+    await this.initialize();
+
+    if (!['pending', 'completed', 'failed'].includes(paymentStatus)) {
+      throw createHttpError(`Unknown payment status ${paymentStatus}`, 400);
+    }
+
+    const ordersCollection = this.db.collection('orders');
+    const order = await ordersCollection.findOne({ _id: new ObjectId(orderId) });
+
+    if (!order) {
+      throw createHttpError('Order not found', 404);
+    }
+
+    const now = new Date();
+    let stock = null;
+
+    if (paymentStatus === 'completed') {
+      // Claimed atomically so a provider notification and a manual update cannot both commit the stock.
+      // A cancelled order already gave its holds back, so a late payment must not commit them again.
+      const claimed = await ordersCollection.findOneAndUpdate(
+        { _id: order._id, status: { $ne: 'cancelled' }, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+        { $set: { paymentStatus, paidAt: now, updatedAt: now } }
+      );
+
+      if (claimed) {
+        stock = await reservationService.commitOrder(claimed);
+        if (stock.shortfalls.length > 0) {
+          await ordersCollection.updateOne({ _id: order._id }, { $set: { stockShortfalls: stock.shortfalls } });
+        }
+      } else {
+        // The money was taken anyway: record it and flag the order so it gets refunded
+        const late = await ordersCollection.findOneAndUpdate(
+          { _id: order._id, status: 'cancelled', paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+          { $set: { paymentStatus, paidAt: now, refundDue: true, updatedAt: now } }
+        );
+
+        if (late) {
+          console.warn(`⚠️ Payment for order ${late.orderNumber} arrived after it was cancelled; it needs a refund`);
+        }
+      }
+
+      return { paymentStatus, stock };
+    }
+
+    // A paid or refunded order never goes back to unpaid, and its holds stay committed
+    const result = await ordersCollection.updateOne(
+      { _id: order._id, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+      { $set: { paymentStatus, updatedAt: now } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw createHttpError(`Order payment is already ${order.paymentStatus}; it cannot be moved to ${paymentStatus}`, 409, { paymentStatus: order.paymentStatus });
+    }
+
+    if (paymentStatus === 'failed') {
+      await reservationService.releaseOrder(order._id.toString());
+      await promotionService.releaseRedemption(order._id.toString(), 'payment_failed');
+    }
+
+    return { paymentStatus, stock };
+  }
+
+  async applySideEffects(order, from, status, actor, reason) {
+    const effects = {};
+
+    if (status === 'cancelled') {
+      // Paid orders put their committed and shipped stock back first; holds still active are then released
+      if (order.paymentStatus === 'completed') {
+        effects.restockedUnits = await reservationService.restockOrder(order, 'order_cancelled');
+      }
+      effects.releasedReservations = await reservationService.releaseOrder(order._id.toString());
+      // Codes used on the order can be used again
+      effects.releasedPromotionUses = await promotionService.releaseRedemption(order._id.toString(), 'order_cancelled');
+    }
+
+    if (status === 'refunded') {
+      effects.refund = await this.requestRefund(order, actor, reason);
+    }
+
+    return effects;
+  }
+
+  // Open a full refund through the refund workflow, so it is capped at what the payment captured.
+  // Units are not put back: a cancelled order was restocked already, and a delivered one has not come back.
+  async requestRefund(order, actor, reason) {
+    // Required here because the refund service uses this one for its status history
+    const refundService = require('./refundService');
+
+    try {
+      return await refundService.requestRefund(order._id.toString(), {
+        reason: reason || 'Order refunded',
+        notes: 'Requested automatically when the order moved to refunded',
+        restock: false
+      }, actor || 'system');
+    } catch (error) {
+      // A full refund is already open, or earlier refunds took everything captured
+      if (error.statusCode === 409) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new OrderLifecycleService();
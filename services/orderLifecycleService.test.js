@@ -0,0 +1,164 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const orderLifecycleService = require('./orderLifecycleService');
+const reservationService = require('./reservationService');
+
+async function createOrder(fields = {}) {
+  const _id = new ObjectId();
+  await getDB().collection('orders').insertOne({
+    _id,
+    orderNumber: 'ORD-1',
+    status: 'pending',
+    paymentStatus: 'pending',
+    totalAmount: 100,
+    items: [],
+    statusHistory: [],
+    ...fields
+  });
+  return _id.toString();
+}
+
+const getOrder = orderId => getDB().collection('orders').findOne({ _id: new ObjectId(orderId) });
+
+describe('orderLifecycleService', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transition', () => {
+    it('moves an order along the lifecycle and records the change', async () => {
+      const orderId = await createOrder();
+
+      const { order } = await orderLifecycleService.transition(orderId, 'confirmed', { actor: 'admin', reason: 'Checked' });
+
+      expect(order.status).toBe('confirmed');
+      expect(order.confirmedAt).toBeInstanceOf(Date);
+      expect(order.statusHistory).toEqual([expect.objectContaining({ from: 'pending', to: 'confirmed', actor: 'admin', reason: 'Checked' })]);
+    });
+
+    it('refuses to skip steps with a 409 and leaves the order alone', async () => {
+      const orderId = await createOrder();
+
+      await expect(orderLifecycleService.transition(orderId, 'shipped', { actor: 'admin' })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Cannot change order from pending to shipped. Allowed: confirmed, cancelled',
+        details: { currentStatus: 'pending', allowed: ['confirmed', 'cancelled'] }
+      });
+
+      const order = await getOrder(orderId);
+      expect(order.status).toBe('pending');
+      expect(order.statusHistory).toEqual([]);
+    });
+
+    it('refuses to move an order backwards', async () => {
+      const orderId = await createOrder({ status: 'shipped' });
+
+      await expect(orderLifecycleService.transition(orderId, 'processing')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses to move an order out of a final status', async () => {
+      const orderId = await createOrder({ status: 'refunded', paymentStatus: 'completed' });
+
+      await expect(orderLifecycleService.transition(orderId, 'delivered')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Cannot change order from refunded; it is final',
+        details: { currentStatus: 'refunded', allowed: [] }
+      });
+    });
+
+    it('refuses to refund an order that was never paid', async () => {
+      const orderId = await createOrder({ status: 'delivered', paymentStatus: 'pending' });
+
+      await expect(orderLifecycleService.transition(orderId, 'refunded')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Only paid orders can be refunded'
+      });
+    });
+
+    it('opens a full refund of what the payment captured when an order is refunded', async () => {
+      const orderId = await createOrder({ status: 'delivered', paymentStatus: 'completed', currency: 'EUR' });
+      await getDB().collection('payments').insertOne({ id: 'pay_1', orderId, status: 'completed', amount: 100, capturedAmount: 80, refundedAmount: 0 });
+
+      const { effects } = await orderLifecycleService.transition(orderId, 'refunded', { actor: 'admin', reason: 'Lost in transit' });
+
+      expect(effects.refund).toMatchObject({ paymentId: 'pay_1', type: 'full', amount: 80, status: 'pending', reason: 'Lost in transit' });
+      expect(await getDB().collection('refunds').countDocuments({ orderId })).toBe(1);
+    });
+
+    it('opens no second refund when one for the whole order is already open', async () => {
+      const orderId = await createOrder({ status: 'cancelled', paymentStatus: 'completed' });
+      await getDB().collection('refunds').insertOne({ id: 'ref_1', orderId, type: 'full', items: [], amount: 100, status: 'pending' });
+
+      const { order, effects } = await orderLifecycleService.transition(orderId, 'refunded');
+
+      expect(order.status).toBe('refunded');
+      expect(effects.refund).toBeNull();
+      expect(await getDB().collection('refunds').countDocuments({ orderId })).toBe(1);
+    });
+
+    it('lets only one of two concurrent moves from the same status through', async () => {
+      const orderId = await createOrder();
+
+      const results = await Promise.allSettled([
+        orderLifecycleService.transition(orderId, 'confirmed'),
+        orderLifecycleService.transition(orderId, 'cancelled')
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+      expect((await getOrder(orderId)).statusHistory).toHaveLength(1);
+    });
+
+    it('returns 404 for an unknown order', async () => {
+      await expect(orderLifecycleService.transition(new ObjectId().toString(), 'confirmed')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('recordPaymentStatus', () => {
+    it('never moves a paid order back to failed or pending', async () => {
+      const orderId = await createOrder({ paymentStatus: 'completed' });
+
+      for (const paymentStatus of ['failed', 'pending']) {
+        await expect(orderLifecycleService.recordPaymentStatus(orderId, paymentStatus)).rejects.toMatchObject({
+          statusCode: 409,
+          details: { paymentStatus: 'completed' }
+        });
+      }
+      expect((await getOrder(orderId)).paymentStatus).toBe('completed');
+    });
+
+    it('never moves a refunded order away from refunded', async () => {
+      const orderId = await createOrder({ status: 'refunded', paymentStatus: 'refunded' });
+
+      await expect(orderLifecycleService.recordPaymentStatus(orderId, 'failed')).rejects.toMatchObject({ statusCode: 409 });
+      await orderLifecycleService.recordPaymentStatus(orderId, 'completed');
+
+      expect((await getOrder(orderId)).paymentStatus).toBe('refunded');
+    });
+
+    it('commits no stock for a payment that arrives after the order was cancelled and flags it for a refund', async () => {
+      const orderId = await createOrder({ status: 'cancelled' });
+      const commitOrder = jest.spyOn(reservationService, 'commitOrder');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { stock } = await orderLifecycleService.recordPaymentStatus(orderId, 'completed');
+
+      expect(stock).toBeNull();
+      expect(commitOrder).not.toHaveBeenCalled();
+      expect(await getOrder(orderId)).toMatchObject({ status: 'cancelled', paymentStatus: 'completed', refundDue: true });
+    });
+
+    it('rejects statuses it does not know', async () => {
+      const orderId = await createOrder();
+
+      await expect(orderLifecycleService.recordPaymentStatus(orderId, 'refunded')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
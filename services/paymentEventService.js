@@ -0,0 +1,199 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const paymentService = require('./paymentService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { createHttpError } = require('../utils/httpError');
+
+// Tolerance when comparing money amounts, as used by the payment and refund services
+const AMOUNT_EPSILON = 0.000001;
+
+class PaymentEventService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('paymentEvents').createIndex({ provider: 1, receivedAt: -1 });
+      await this.db.collection('paymentEvents').createIndex({ paymentId: 1 });
+    }
+  }
+
+  // Verify, store and apply one webhook delivery; each provider event is applied once however often it is sent
+  async receive(providerName, rawBody, headers) {
+    await this.initialize();
+    await paymentService.initialize();
+
+    const provider = paymentService.getProvider(providerName);
+
+    if (!rawBody || !(await provider.verifyWebhook(rawBody, headers))) {
+      throw createHttpError('Invalid webhook signature', 401);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw createHttpError('Webhook body is not valid JSON', 400);
+    }
+
+    const event = provider.parseWebhook(payload);
+
+    if (!event.eventId) {
+      throw createHttpError('Webhook event has no ID', 400);
+    }
+
+    const eventsCollection = this.db.collection('paymentEvents');
+    const key = `${provider.name}:${event.eventId}`;
+
+    try {
+      await eventsCollection.insertOne({
+        _id: key,
+        provider: provider.name,
+        eventId: event.eventId,
+        type: event.rawType,
+        normalizedType: event.type,
+        payload,
+        status: 'processing',
+        attempts: 1,
+        paymentId: null,
+        error: null,
+        occurredAt: event.occurredAt,
+        receivedAt: new Date(),
+        processedAt: null
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Replays are acknowledged and ignored, except for events we failed to apply, which get another go
+      const retry = await eventsCollection.findOneAndUpdate(
+        { _id: key, status: 'failed' },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } }
+      );
+
+      if (!retry) {
+        const existing = await eventsCollection.findOne({ _id: key });
+        return { eventId: event.eventId, duplicate: true, status: existing.status, paymentId: existing.paymentId };
+      }
+    }
+
+    try {
+      const outcome = await this.apply(provider.name, event);
+
+      await eventsCollection.updateOne(
+        { _id: key },
+        { $set: { status: outcome.status, paymentId: outcome.paymentId, error: null, processedAt: new Date() } }
+      );
+
+      return { eventId: event.eventId, duplicate: false, type: event.type, ...outcome };
+    } catch (error) {
+      await eventsCollection.updateOne(
+        { _id: key },
+        { $set: { status: 'failed', error: error.message } }
+      );
+      throw error;
+    }
+  }
+
+  async findPayment(providerName, event) {
+    const matches = [];
+    if (event.providerPaymentId) matches.push({ transactionId: event.providerPaymentId });
+    if (event.captureId) matches.push({ captureId: event.captureId });
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    return this.db.collection('payments').findOne({ provider: providerName, $or: matches });
+  }
+
+  async apply(providerName, event) {
+    if (event.type === 'ignored') {
+      return { status: 'ignored', paymentId: null };
+    }
+
+    const payment = await this.findPayment(providerName, event);
+
+    if (!payment) {
+      console.warn(`💳 ${providerName} event ${event.eventId} (${event.rawType}) matches no payment`);
+      return { status: 'unmatched', paymentId: null };
+    }
+
+    switch (event.type) {
+      case 'authorized':
+        await paymentService.sync(payment.id);
+        break;
+      case 'succeeded':
+        await paymentService.applyResult(payment, {
+          status: 'captured',
+          capturedAmount: event.amount !== undefined ? event.amount : payment.amount,
+          captureId: event.captureId,
+          fee: event.fee,
+          nextAction: null
+        });
+        break;
+      case 'failed':
+        await paymentService.applyResult(payment, { status: 'failed', failureReason: event.reason });
+        break;
+      case 'refunded':
+        await this.updateOrderStatus(await paymentService.recordProviderRefund(payment, event), providerName);
+        break;
+      case 'disputed':
+        await paymentService.openDispute(payment, event);
+        break;
+      case 'dispute_closed':
+        await paymentService.closeDispute(payment, event);
+        break;
+    }
+
+    console.log(`💳 Applied ${providerName} ${event.type} event ${event.eventId} to payment ${payment.id}`);
+
+    return { status: 'processed', paymentId: payment.id };
+  }
+
+  // The order follows refunds made at the provider the same way it follows refunds paid out by the refund workflow
+  async updateOrderStatus(payment, providerName) {
+    if (!payment.refundedAmount || !ObjectId.isValid(payment.orderId)) {
+      return;
+    }
+
+    const order = await this.db.collection('orders').findOne({ _id: new ObjectId(payment.orderId) });
+    if (!order) {
+      return;
+    }
+
+    const status = payment.refundedAmount >= payment.capturedAmount - AMOUNT_EPSILON ? 'refunded' : 'partially_refunded';
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id },
+      { $set: { refundStatus: status, updatedAt: new Date() } }
+    );
+
+    if (order.status !== status && orderLifecycleService.allowedTransitions(order.status).includes(status)) {
+      await orderLifecycleService.transition(order._id.toString(), status, {
+        actor: `provider:${providerName}`,
+        reason: 'Refunded at the provider'
+      });
+    }
+  }
+
+  async getEvents({ provider, status, paymentId, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (paymentId) query.paymentId = paymentId;
+
+    return this.db.collection('paymentEvents')
+      .find(query)
+      .sort({ receivedAt: -1 })
+      .limit(parseInt(limit))
+      .toArray();
+  }
+}
+
+module.exports = new PaymentEventService();
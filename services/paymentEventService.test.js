@@ -0,0 +1,188 @@
+jest.mock('../config/database');
+
+const { getDB, resetDB } = require('../config/database');
+const { signPayload } = require('../utils/webhookSignature');
+const paymentEventService = require('./paymentEventService');
+const paymentService = require('./paymentService');
+
+const secret = 'whsec_test';
+
+function refundEvent(id = 'evt_1', amount = 25) {
+  return Buffer.from(JSON.stringify({
+    id,
+    type: 'payment.refunded',
+    created: new Date().toISOString(),
+    data: { transactionId: 'fake_pi_1', amount, refundId: `re_${id}` }
+  }));
+}
+
+const signed = (body, timestamp) => ({ 'x-payment-signature': signPayload(body, secret, timestamp) });
+
+describe('paymentEventService.receive', () => {
+  const previousSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+  beforeAll(() => {
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = secret;
+  });
+
+  afterAll(() => {
+    if (previousSecret === undefined) {
+      delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    } else {
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET = previousSecret;
+    }
+  });
+
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await getDB().collection('payments').insertOne({
+      id: 'pay_1',
+      orderId: 'order-1',
+      provider: 'fake',
+      transactionId: 'fake_pi_1',
+      status: 'completed',
+      amount: 100,
+      currency: 'EUR',
+      capturedAmount: 100,
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies a correctly signed event', async () => {
+    const body = refundEvent();
+
+    const result = await paymentEventService.receive('fake', body, signed(body));
+
+    expect(result).toMatchObject({ eventId: 'evt_1', duplicate: false, status: 'processed', paymentId: 'pay_1' });
+    expect(await paymentService.getPayment('pay_1')).toMatchObject({ refundedAmount: 25, status: 'partially_refunded' });
+    expect(await getDB().collection('paymentEvents').findOne({ _id: 'fake:evt_1' })).toMatchObject({ status: 'processed' });
+  });
+
+  it('rejects a body that does not match its signature', async () => {
+    const header = signed(refundEvent('evt_1', 25));
+
+    await expect(paymentEventService.receive('fake', refundEvent('evt_1', 100), header))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(await getDB().collection('paymentEvents').countDocuments()).toBe(0);
+    expect((await paymentService.getPayment('pay_1')).refundedAmount).toBe(0);
+  });
+
+  it('rejects a delivery without a signature', async () => {
+    await expect(paymentEventService.receive('fake', refundEvent(), {}))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a signature older than the tolerance', async () => {
+    const body = refundEvent();
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+    await expect(paymentEventService.receive('fake', body, signed(body, tenMinutesAgo)))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(await getDB().collection('paymentEvents').countDocuments()).toBe(0);
+  });
+
+  it('acknowledges a replayed event without applying it again', async () => {
+    const body = refundEvent();
+    await paymentEventService.receive('fake', body, signed(body));
+
+    const replay = await paymentEventService.receive('fake', body, signed(body));
+
+    expect(replay).toEqual({ eventId: 'evt_1', duplicate: true, status: 'processed', paymentId: 'pay_1' });
+    expect((await paymentService.getPayment('pay_1')).refundedAmount).toBe(25);
+    expect(await getDB().collection('paymentEvents').findOne({ _id: 'fake:evt_1' })).toMatchObject({ attempts: 1 });
+  });
+
+  it('applies a redelivered event whose first attempt failed', async () => {
+    const body = refundEvent();
+    jest.spyOn(paymentService, 'recordProviderRefund').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(paymentEventService.receive('fake', body, signed(body))).rejects.toThrow('Database unavailable');
+    expect(await getDB().collection('paymentEvents').findOne({ _id: 'fake:evt_1' }))
+      .toMatchObject({ status: 'failed', error: 'Database unavailable' });
+
+    const retry = await paymentEventService.receive('fake', body, signed(body));
+
+    expect(retry).toMatchObject({ duplicate: false, status: 'processed' });
+    expect((await paymentService.getPayment('pay_1')).refundedAmount).toBe(25);
+    expect(await getDB().collection('paymentEvents').findOne({ _id: 'fake:evt_1' })).toMatchObject({ attempts: 2 });
+  });
+});
+
+describe('paymentEventService.apply', () => {
+  let orderId;
+
+  // What the fake provider's adapter makes of a refund notification
+  const refunded = (eventId, amount) => ({
+    eventId,
+    type: 'refunded',
+    rawType: 'payment.refunded',
+    providerPaymentId: 'fake_pi_1',
+    amount,
+    refundId: `re_${eventId}`
+  });
+
+  const getOrder = () => getDB().collection('orders').findOne({ _id: orderId });
+
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ insertedId: orderId } = await getDB().collection('orders').insertOne({
+      orderNumber: 'ORD-1',
+      status: 'delivered',
+      paymentStatus: 'completed',
+      currency: 'EUR',
+      totalAmount: 100,
+      items: [],
+      statusHistory: []
+    }));
+    await getDB().collection('payments').insertOne({
+      id: 'pay_1',
+      orderId: orderId.toString(),
+      provider: 'fake',
+      transactionId: 'fake_pi_1',
+      status: 'completed',
+      amount: 100,
+      currency: 'EUR',
+      capturedAmount: 80,
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the order to partially refunded, then refunded once everything captured went back', async () => {
+    await paymentEventService.apply('fake', refunded('evt_1', 30));
+    expect(await getOrder()).toMatchObject({ status: 'partially_refunded', refundStatus: 'partially_refunded' });
+
+    await paymentEventService.apply('fake', refunded('evt_2', 50));
+
+    const order = await getOrder();
+    expect(order).toMatchObject({ status: 'refunded', refundStatus: 'refunded', refundedAmount: 80 });
+    expect(order.statusHistory.map(entry => [entry.to, entry.actor])).toEqual([
+      ['partially_refunded', 'provider:fake'],
+      ['refunded', 'provider:fake']
+    ]);
+  });
+
+  it('opens no refund request for money the provider already gave back', async () => {
+    await paymentEventService.apply('fake', refunded('evt_1', 80));
+
+    expect((await getOrder()).status).toBe('refunded');
+    expect(await getDB().collection('refunds').countDocuments()).toBe(0);
+  });
+});
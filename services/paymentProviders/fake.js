@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { roundAmount } = require('../../utils/currency');
+const { createHttpError } = require('../../utils/httpError');
+const { verifySignature } = require('../../utils/webhookSignature');
+
+// Event types the fake provider sends, in our terms
+const EVENT_TYPES = {
+  'payment.authorized': 'authorized',
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded',
+  'payment.disputed': 'disputed',
+  'dispute.closed': 'dispute_closed'
+};
+
+// In-process provider for tests and local development: no network, and the same input always gives the same result.
+// Amounts ending in .13 are declined, the way a test card number would be.
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.payments = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  id(prefix, seed) {
+    return `${prefix}_${crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 24)}`;
+  }
+
+  fee(amount, currency) {
+    return roundAmount(amount * 0.029 + 0.30, currency);
+  }
+
+  // Payments created before a restart are rebuilt from our own record, whose refunded amount
+  // already includes refunds reserved but not yet sent here
+  state(payment) {
+    if (!this.payments.has(payment.transactionId)) {
+      const pending = (payment.refunds || [])
+        .filter(refund => refund.status === 'pending')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+
+      this.payments.set(payment.transactionId, {
+        id: payment.transactionId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: { completed: 'captured', partially_refunded: 'captured', refunded: 'captured' }[payment.status] || payment.status,
+        capturedAmount: payment.capturedAmount || 0,
+        refundedAmount: roundAmount((payment.refundedAmount || 0) - pending, payment.currency),
+        refunds: []
+      });
+    }
+
+    return this.payments.get(payment.transactionId);
+  }
+
+  toResult(state) {
+    return {
+      providerPaymentId: state.id,
+      captureId: state.capturedAmount > 0 ? `${state.id}_capture` : null,
+      status: state.status,
+      amount: state.amount,
+      capturedAmount: state.capturedAmount,
+      refundedAmount: state.refundedAmount,
+      fee: state.capturedAmount > 0 ? this.fee(state.capturedAmount, state.currency) : null,
+      failureReason: state.status === 'failed' ? 'Card declined' : null,
+      nextAction: null
+    };
+  }
+
+  async createIntent({ amount, currency, reference, idempotencyKey }) {
+    const id = this.id('fake_pi', idempotencyKey || reference);
+
+    if (!this.payments.has(id)) {
+      const declined = Math.round(amount * 100) % 100 === 13;
+
+      this.payments.set(id, {
+        id,
+        amount,
+        currency,
+        status: declined ? 'failed' : 'authorized',
+        capturedAmount: 0,
+        refundedAmount: 0,
+        refunds: []
+      });
+    }
+
+    return this.toResult(this.payments.get(id));
+  }
+
+  async capture(payment, amount) {
+    const state = this.state(payment);
+
+    if (state.status === 'authorized') {
+      state.status = 'captured';
+      state.capturedAmount = amount !== undefined ? amount : state.amount;
+    } else if (state.status !== 'captured') {
+      throw createHttpError(`Cannot capture a ${state.status} payment`, 409);
+    }
+
+    return this.toResult(state);
+  }
+
+  async refund(payment, amount, { idempotencyKey } = {}) {
+    const state = this.state(payment);
+    const refundId = this.id('fake_re', idempotencyKey || `${state.id}-${state.refunds.length}`);
+    const existing = state.refunds.find(refund => refund.refundId === refundId);
+
+    if (existing) {
+      return existing;
+    }
+
+    if (roundAmount(state.refundedAmount + amount, state.currency) > state.capturedAmount) {
+      throw createHttpError('Refund exceeds the captured amount', 400);
+    }
+
+    const refund = { refundId, status: 'completed', amount };
+    state.refundedAmount = roundAmount(state.refundedAmount + amount, state.currency);
+    state.refunds.push(refund);
+
+    return refund;
+  }
+
+  async fetch(payment) {
+    return this.toResult(this.state(payment));
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    return verifySignature(rawBody, headers['x-payment-signature'], process.env.FAKE_PAYMENT_WEBHOOK_SECRET);
+  }
+
+  // Fake events: { id, type, created, data: { transactionId, amount, fee, refundId, disputeId, reason, outcome } }
+  parseWebhook(event) {
+    const data = event.data || {};
+
+    return {
+      eventId: event.id,
+      rawType: event.type,
+      type: EVENT_TYPES[event.type] || 'ignored',
+      occurredAt: event.created ? new Date(event.created) : new Date(),
+      providerPaymentId: data.transactionId,
+      captureId: data.captureId,
+      amount: data.amount,
+      fee: data.fee,
+      refundId: data.refundId,
+      disputeId: data.disputeId,
+      reason: data.reason || null,
+      outcome: data.outcome
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,244 @@
+const axios = require('axios');
+const { toDecimalString } = require('../../utils/currency');
+const { createHttpError } = require('../../utils/httpError');
+
+// PayPal order statuses in our terms
+const STATUS_MAP = {
+  CREATED: 'requires_action',
+  SAVED: 'requires_action',
+  PAYER_ACTION_REQUIRED: 'requires_action',
+  APPROVED: 'authorized',
+  COMPLETED: 'captured',
+  VOIDED: 'cancelled'
+};
+
+const REFUND_STATUS_MAP = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'failed'
+};
+
+class PaypalProvider {
+  constructor() {
+    this.name = 'paypal';
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET);
+  }
+
+  get baseUrl() {
+    return process.env.PAYPAL_API_URL || 'https://api-m.sandbox.paypal.com';
+  }
+
+  // OAuth tokens last hours; reuse one until shortly before it expires
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET } = process.env;
+
+    if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
+      throw createHttpError('PayPal is not configured (PAYPAL_CLIENT_ID or PAYPAL_CLIENT_SECRET is missing)', 503);
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/v1/oauth2/token`, 'grant_type=client_credentials', {
+        auth: { username: PAYPAL_CLIENT_ID, password: PAYPAL_CLIENT_SECRET },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      });
+
+      this.accessToken = response.data.access_token;
+      this.accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+
+      return this.accessToken;
+    } catch (error) {
+      throw createHttpError(`PayPal authentication failed: ${error.response?.data?.error_description || error.message}`, 502, { provider: this.name });
+    }
+  }
+
+  async request(method, path, data, requestId) {
+    const token = await this.getAccessToken();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation',
+          ...(requestId ? { 'PayPal-Request-Id': requestId } : {})
+        },
+        timeout: 15000
+      });
+
+      return response.data;
+    } catch (error) {
+      const details = error.response?.data;
+      const message = details?.details?.[0]?.description || details?.message || error.message;
+      throw createHttpError(`PayPal request failed: ${message}`, 502, { provider: this.name });
+    }
+  }
+
+  toResult(order) {
+    const unit = (order.purchase_units || [])[0] || {};
+    const capture = (unit.payments?.captures || [])[0] || null;
+    const refunds = unit.payments?.refunds || [];
+    const currency = unit.amount?.currency_code;
+    const approveLink = (order.links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action');
+    const status = capture && capture.status === 'DECLINED' ? 'failed' : (STATUS_MAP[order.status] || 'pending');
+
+    return {
+      providerPaymentId: order.id,
+      captureId: capture ? capture.id : null,
+      status,
+      amount: parseFloat(unit.amount?.value || 0),
+      capturedAmount: capture && capture.status === 'COMPLETED' ? parseFloat(capture.amount.value) : 0,
+      refundedAmount: refunds
+        .filter(refund => refund.status === 'COMPLETED')
+        .reduce((sum, refund) => sum + parseFloat(refund.amount.value), 0),
+      fee: capture?.seller_receivable_breakdown?.paypal_fee
+        ? parseFloat(capture.seller_receivable_breakdown.paypal_fee.value)
+        : null,
+      failureReason: capture && capture.status === 'DECLINED' ? 'Capture declined' : null,
+      nextAction: status === 'requires_action' && approveLink
+        ? { type: 'redirect', url: approveLink.href, currency }
+        : null
+    };
+  }
+
+  // The buyer approves the order on PayPal; we capture after they return
+  async createIntent({ amount, currency, reference, orderId, idempotencyKey }) {
+    const order = await this.request('post', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: orderId,
+        invoice_id: reference,
+        description: `Order ${reference}`,
+        amount: { currency_code: currency, value: toDecimalString(amount, currency) }
+      }],
+      application_context: {
+        return_url: `${process.env.FRONTEND_URL || ''}/checkout/complete`,
+        cancel_url: `${process.env.FRONTEND_URL || ''}/checkout/cancelled`,
+        user_action: 'PAY_NOW'
+      }
+    }, idempotencyKey);
+
+    return this.toResult(order);
+  }
+
+  // PayPal orders are captured in full
+  async capture(payment) {
+    const order = await this.request('post', `/v2/checkout/orders/${payment.transactionId}/capture`, {}, `capture-${payment.id}`);
+    return this.toResult(order);
+  }
+
+  async refund(payment, amount, { reason, idempotencyKey } = {}) {
+    if (!payment.captureId) {
+      throw createHttpError('PayPal payment has no capture to refund', 409);
+    }
+
+    const refund = await this.request('post', `/v2/payments/captures/${payment.captureId}/refund`, {
+      amount: { currency_code: payment.currency, value: toDecimalString(amount, payment.currency) },
+      note_to_payer: reason ? String(reason).slice(0, 255) : undefined
+    }, idempotencyKey);
+
+    return {
+      refundId: refund.id,
+      status: REFUND_STATUS_MAP[refund.status] || 'pending',
+      amount: refund.amount ? parseFloat(refund.amount.value) : amount
+    };
+  }
+
+  async fetch(payment) {
+    const order = await this.request('get', `/v2/checkout/orders/${payment.transactionId}`);
+    return this.toResult(order);
+  }
+
+  // PayPal signs with a certificate; the verification endpoint checks it against our webhook ID
+  async verifyWebhook(rawBody, headers) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    const required = ['paypal-auth-algo', 'paypal-cert-url', 'paypal-transmission-id', 'paypal-transmission-sig', 'paypal-transmission-time'];
+
+    if (!webhookId || required.some(header => !headers[header])) {
+      return false;
+    }
+
+    const result = await this.request('post', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: webhookId,
+      webhook_event: JSON.parse(rawBody.toString('utf8'))
+    });
+
+    return result.verification_status === 'SUCCESS';
+  }
+
+  // Translate a PayPal event into a payment event
+  parseWebhook(event) {
+    const resource = event.resource || {};
+    // Refunds link "up" to the capture they belong to
+    const parentId = ((resource.links || []).find(link => link.rel === 'up')?.href || '').split('/').pop() || null;
+    const base = {
+      eventId: event.id,
+      rawType: event.event_type,
+      occurredAt: event.create_time ? new Date(event.create_time) : new Date()
+    };
+
+    switch (event.event_type) {
+      case 'CHECKOUT.ORDER.APPROVED':
+        return { ...base, type: 'authorized', providerPaymentId: resource.id };
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return {
+          ...base,
+          type: 'succeeded',
+          providerPaymentId: resource.supplementary_data?.related_ids?.order_id,
+          captureId: resource.id,
+          amount: parseFloat(resource.amount?.value || 0),
+          fee: resource.seller_receivable_breakdown?.paypal_fee ? parseFloat(resource.seller_receivable_breakdown.paypal_fee.value) : undefined
+        };
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return {
+          ...base,
+          type: 'failed',
+          providerPaymentId: resource.supplementary_data?.related_ids?.order_id,
+          captureId: resource.id,
+          reason: resource.status_details?.reason || 'Capture denied'
+        };
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        return { ...base, type: 'refunded', captureId: parentId, refundId: resource.id, amount: parseFloat(resource.amount?.value || 0) };
+      case 'CUSTOMER.DISPUTE.CREATED':
+        return {
+          ...base,
+          type: 'disputed',
+          captureId: resource.disputed_transactions?.[0]?.seller_transaction_id,
+          disputeId: resource.dispute_id,
+          amount: resource.dispute_amount ? parseFloat(resource.dispute_amount.value) : undefined,
+          reason: resource.reason || null
+        };
+      case 'CUSTOMER.DISPUTE.RESOLVED':
+        return {
+          ...base,
+          type: 'dispute_closed',
+          captureId: resource.disputed_transactions?.[0]?.seller_transaction_id,
+          disputeId: resource.dispute_id,
+          outcome: /SELLER_FAVOUR/.test(resource.dispute_outcome?.outcome_code || '') ? 'won' : 'lost'
+        };
+      default:
+        return { ...base, type: 'ignored' };
+    }
+  }
+}
+
+module.exports = PaypalProvider;
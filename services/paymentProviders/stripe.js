@@ -0,0 +1,194 @@
+const axios = require('axios');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/currency');
+const { createHttpError } = require('../../utils/httpError');
+const { verifySignature } = require('../../utils/webhookSignature');
+
+// Stripe PaymentIntent statuses in our terms
+const STATUS_MAP = {
+  requires_payment_method: 'requires_action',
+  requires_confirmation: 'requires_action',
+  requires_action: 'requires_action',
+  processing: 'pending',
+  requires_capture: 'authorized',
+  succeeded: 'captured',
+  canceled: 'cancelled'
+};
+
+const REFUND_STATUS_MAP = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Stripe's API takes form-encoded bodies with bracketed keys for nested objects
+const formEncode = (data, prefix) => Object.entries(data)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    return typeof value === 'object'
+      ? formEncode(value, name)
+      : `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+  })
+  .join('&');
+
+class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.baseUrl = 'https://api.stripe.com/v1';
+  }
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  async request(method, path, data, idempotencyKey) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+
+    if (!secretKey) {
+      throw createHttpError('Stripe is not configured (STRIPE_SECRET_KEY is missing)', 503);
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data: data ? formEncode(data) : undefined,
+        headers: {
+          'Authorization': `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+        },
+        timeout: 15000
+      });
+
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw createHttpError(`Stripe request failed: ${message}`, 502, { provider: this.name });
+    }
+  }
+
+  toResult(intent) {
+    const currency = intent.currency.toUpperCase();
+    const charge = intent.latest_charge && typeof intent.latest_charge === 'object' ? intent.latest_charge : null;
+    const fee = charge?.balance_transaction?.fee;
+
+    return {
+      providerPaymentId: intent.id,
+      captureId: charge ? charge.id : null,
+      status: STATUS_MAP[intent.status] || 'pending',
+      amount: fromMinorUnits(intent.amount, currency),
+      capturedAmount: fromMinorUnits(intent.amount_received, currency),
+      refundedAmount: charge ? fromMinorUnits(charge.amount_refunded, currency) : 0,
+      fee: fee !== undefined ? fromMinorUnits(fee, currency) : null,
+      failureReason: intent.last_payment_error?.message || null,
+      nextAction: intent.status === 'requires_capture' || intent.status === 'succeeded'
+        ? null
+        : { type: 'client_secret', clientSecret: intent.client_secret }
+    };
+  }
+
+  // Authorise only; we capture once the shopper has confirmed
+  async createIntent({ amount, currency, reference, orderId, idempotencyKey, customer }) {
+    const intent = await this.request('post', '/payment_intents', {
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      capture_method: 'manual',
+      description: `Order ${reference}`,
+      receipt_email: customer?.email,
+      metadata: { orderId, orderNumber: reference },
+      automatic_payment_methods: { enabled: true }
+    }, idempotencyKey);
+
+    return this.toResult(intent);
+  }
+
+  async capture(payment, amount) {
+    await this.request('post', `/payment_intents/${payment.transactionId}/capture`, {
+      amount_to_capture: amount !== undefined ? toMinorUnits(amount, payment.currency) : undefined
+    }, `capture-${payment.id}`);
+
+    // Capture does not return the fee, so read the intent back with its balance transaction
+    return this.fetch(payment);
+  }
+
+  async refund(payment, amount, { reason, idempotencyKey } = {}) {
+    const refund = await this.request('post', '/refunds', {
+      payment_intent: payment.transactionId,
+      amount: toMinorUnits(amount, payment.currency),
+      metadata: { paymentId: payment.id, reason }
+    }, idempotencyKey);
+
+    return {
+      refundId: refund.id,
+      status: REFUND_STATUS_MAP[refund.status] || 'pending',
+      amount: fromMinorUnits(refund.amount, payment.currency)
+    };
+  }
+
+  async fetch(payment) {
+    const intent = await this.request(
+      'get',
+      `/payment_intents/${payment.transactionId}?expand[]=latest_charge.balance_transaction`
+    );
+
+    return this.toResult(intent);
+  }
+
+  // Stripe signs `<t>.<raw body>` with the endpoint secret, the same scheme as our own webhooks
+  async verifyWebhook(rawBody, headers) {
+    return verifySignature(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  // Translate a Stripe event into a payment event
+  parseWebhook(event) {
+    const object = event.data?.object || {};
+    const currency = String(object.currency || '').toUpperCase();
+    const base = {
+      eventId: event.id,
+      rawType: event.type,
+      occurredAt: event.created ? new Date(event.created * 1000) : new Date()
+    };
+
+    switch (event.type) {
+      case 'payment_intent.amount_capturable_updated':
+        return { ...base, type: 'authorized', providerPaymentId: object.id };
+      case 'payment_intent.succeeded':
+        return {
+          ...base,
+          type: 'succeeded',
+          providerPaymentId: object.id,
+          captureId: typeof object.latest_charge === 'string' ? object.latest_charge : object.latest_charge?.id,
+          amount: fromMinorUnits(object.amount_received, currency)
+        };
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        return {
+          ...base,
+          type: 'failed',
+          providerPaymentId: object.id,
+          reason: object.last_payment_error?.message || object.cancellation_reason || 'Payment failed'
+        };
+      case 'charge.refunded':
+        // Carries the running total refunded on the charge
+        return { ...base, type: 'refunded', providerPaymentId: object.payment_intent, refundedTotal: fromMinorUnits(object.amount_refunded, currency) };
+      case 'charge.dispute.created':
+        return {
+          ...base,
+          type: 'disputed',
+          providerPaymentId: object.payment_intent,
+          disputeId: object.id,
+          amount: fromMinorUnits(object.amount, currency),
+          reason: object.reason || null
+        };
+      case 'charge.dispute.closed':
+        return { ...base, type: 'dispute_closed', providerPaymentId: object.payment_intent, disputeId: object.id, outcome: object.status === 'won' ? 'won' : 'lost' };
+      default:
+        return { ...base, type: 'ignored' };
+    }
+  }
+}
+
+module.exports = StripeProvider;
@@ -0,0 +1,576 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const StripeProvider = require('./paymentProviders/stripe');
+const PaypalProvider = require('./paymentProviders/paypal');
+const FakeProvider = require('./paymentProviders/fake');
+const orderLifecycleService = require('./orderLifecycleService');
+const currencyService = require('./currencyService');
+const { roundAmount, currencyDecimals } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+// Payment record status for each provider status
+const PAYMENT_STATUSES = {
+  requires_action: 'requires_action',
+  pending: 'pending',
+  authorized: 'authorized',
+  captured: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+// Statuses in which captured money can still be given back
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Set by dispute events only; provider reads never move a payment in or out of them
+const DISPUTE_STATUSES = ['disputed', 'charged_back'];
+
+// Allowance for floating point drift when summing refunds against the captured amount
+const AMOUNT_EPSILON = 0.000001;
+
+class PaymentService {
+  constructor() {
+    this.db = null;
+    this.providers = {
+      stripe: new StripeProvider(),
+      paypal: new PaypalProvider()
+    };
+
+    // The fake provider authorizes without taking money, so it only exists where it has been asked for
+    if (process.env.NODE_ENV === 'test' || process.env.ENABLE_FAKE_PAYMENTS === 'true') {
+      this.providers.fake = new FakeProvider();
+    }
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('payments').createIndex({ orderId: 1 });
+      await this.db.collection('payments').createIndex({ transactionId: 1 });
+      // One payment per order attempt, even when checkout is retried concurrently
+      await this.db.collection('payments').createIndex(
+        { idempotencyKey: 1 },
+        { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+      );
+    }
+  }
+
+  get providerNames() {
+    return Object.keys(this.providers);
+  }
+
+  // Providers a shopper can choose at checkout
+  get checkoutProviderNames() {
+    return this.providerNames.filter(name => name !== 'fake');
+  }
+
+  get defaultProvider() {
+    return process.env.PAYMENT_PROVIDER || null;
+  }
+
+  // The provider a checkout pays with; checkout is refused rather than falling back to one that takes no money
+  getCheckoutProvider(name) {
+    const providerName = name || this.defaultProvider;
+    const provider = providerName ? this.providers[providerName] : null;
+
+    if (!provider || !provider.isConfigured()) {
+      throw createHttpError(
+        providerName ? `Payment provider ${providerName} is not available` : 'No payment provider is configured',
+        503
+      );
+    }
+
+    return provider;
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+
+    if (!provider) {
+      throw createHttpError(`Unknown payment provider: ${name}`, 400);
+    }
+
+    return provider;
+  }
+
+  async getPayments(filter = {}) {
+    await this.initialize();
+
+    return this.db.collection('payments')
+      .find(filter)
+      .sort({ processedAt: -1, createdAt: -1 })
+      .toArray();
+  }
+
+  async getPayment(paymentId) {
+    await this.initialize();
+
+    const payment = await this.db.collection('payments').findOne({ id: paymentId });
+
+    if (!payment) {
+      throw createHttpError('Payment not found', 404);
+    }
+
+    return payment;
+  }
+
+  async getForOrder(orderId) {
+    await this.initialize();
+
+    return this.db.collection('payments').findOne({ orderId }, { sort: { createdAt: -1 } });
+  }
+
+  // What the storefront needs to complete the payment
+  toClientView(payment) {
+    if (!payment) {
+      return null;
+    }
+
+    return {
+      id: payment.id,
+      provider: payment.provider,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      nextAction: payment.nextAction || null,
+      failureReason: payment.failureReason || null
+    };
+  }
+
+  // Open a payment with the provider for a newly placed order; repeated calls return the same payment
+  async createForOrder(order, providerName) {
+    await this.initialize();
+
+    const provider = this.getCheckoutProvider(providerName);
+    const paymentsCollection = this.db.collection('payments');
+    const orderId = order._id.toString();
+    const idempotencyKey = `order-${orderId}`;
+
+    const existing = await paymentsCollection.findOne({ idempotencyKey });
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date();
+    const payment = {
+      id: `pay_${crypto.randomBytes(12).toString('hex')}`,
+      orderId,
+      orderNumber: order.orderNumber,
+      provider: provider.name,
+      paymentMethod: provider.name,
+      transactionId: null,
+      captureId: null,
+      amount: order.totalAmount,
+      currency: order.currency,
+      // Charged in the shopper's currency, booked in the order's settlement currency
+      exchangeRate: order.exchangeRate || 1,
+      settlement: {
+        currency: order.settlement ? order.settlement.currency : order.currency,
+        amount: 0,
+        fees: 0,
+        netAmount: 0,
+        refundedAmount: 0
+      },
+      status: 'pending',
+      capturedAmount: 0,
+      refundedAmount: 0,
+      fees: 0,
+      netAmount: 0,
+      refunds: [],
+      nextAction: null,
+      failureReason: null,
+      idempotencyKey,
+      processedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      await paymentsCollection.insertOne(payment);
+    } catch (error) {
+      if (error.code === 11000) {
+        return paymentsCollection.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id },
+      { $set: { paymentId: payment.id, paymentProvider: provider.name } }
+    );
+
+    let result;
+    try {
+      result = await provider.createIntent({
+        amount: order.totalAmount,
+        currency: order.currency,
+        reference: order.orderNumber,
+        orderId,
+        idempotencyKey,
+        customer: order.customer
+      });
+    } catch (error) {
+      console.error(`Error creating ${provider.name} payment for order ${order.orderNumber}:`, error.message);
+      return this.applyResult(payment, { status: 'failed', failureReason: error.message });
+    }
+
+    const updated = await this.applyResult(payment, result);
+
+    // Providers that authorise straight away are captured at once
+    return updated.status === 'authorized' ? this.capture(updated.id) : updated;
+  }
+
+  // Bring our record, and the order's payment status, in line with what the provider reports
+  async applyResult(payment, result) {
+    const capturedAmount = result.capturedAmount !== undefined ? result.capturedAmount : payment.capturedAmount;
+    const refundedAmount = Math.max(result.refundedAmount || 0, payment.refundedAmount || 0);
+    const fees = result.fee !== null && result.fee !== undefined ? result.fee : payment.fees;
+
+    const paidStatuses = [...REFUNDABLE_STATUSES, 'refunded', ...DISPUTE_STATUSES];
+    const wasPaid = paidStatuses.includes(payment.status);
+
+    let status = PAYMENT_STATUSES[result.status] || payment.status;
+    if (status === 'completed' && refundedAmount > 0) {
+      status = refundedAmount >= capturedAmount - AMOUNT_EPSILON ? 'refunded' : 'partially_refunded';
+    }
+    // A stale read from the provider never takes a captured payment backwards
+    if ((wasPaid && !paidStatuses.includes(status)) || DISPUTE_STATUSES.includes(payment.status)) {
+      status = payment.status;
+    }
+
+    const now = new Date();
+    const updateData = {
+      status,
+      transactionId: result.providerPaymentId || payment.transactionId,
+      captureId: result.captureId || payment.captureId,
+      capturedAmount,
+      refundedAmount,
+      fees,
+      netAmount: roundAmount(capturedAmount - fees, payment.currency),
+      settlement: this.settlementAmounts(payment, { capturedAmount, fees, refundedAmount }),
+      nextAction: result.nextAction !== undefined ? result.nextAction : payment.nextAction,
+      failureReason: result.failureReason || null,
+      updatedAt: now
+    };
+    if (status === 'completed' && !payment.processedAt) {
+      updateData.processedAt = now;
+    }
+
+    const updated = await this.db.collection('payments').findOneAndUpdate(
+      { id: payment.id },
+      { $set: updateData },
+      { returnDocument: 'after' }
+    );
+
+    // The order only moves forward: a late failure never un-pays a captured order
+    if (paidStatuses.includes(status) && !wasPaid) {
+      await orderLifecycleService.recordPaymentStatus(payment.orderId, 'completed');
+    } else if ((status === 'failed' || status === 'cancelled') && !wasPaid && payment.status !== status) {
+      await orderLifecycleService.recordPaymentStatus(payment.orderId, 'failed');
+    }
+
+    return updated;
+  }
+
+  // The payment's amounts in its settlement currency, at the rate the order was priced at
+  settlementAmounts(payment, { capturedAmount, fees, refundedAmount }) {
+    const currency = payment.settlement ? payment.settlement.currency : payment.currency;
+    const rate = payment.exchangeRate || 1;
+    const amount = roundAmount(capturedAmount / rate, currency);
+    const settledFees = roundAmount(fees / rate, currency);
+
+    return {
+      currency,
+      amount,
+      fees: settledFees,
+      netAmount: roundAmount(amount - settledFees, currency),
+      refundedAmount: roundAmount(refundedAmount / rate, currency)
+    };
+  }
+
+  async capture(paymentId, actor) {
+    const payment = await this.getPayment(paymentId);
+
+    if (REFUNDABLE_STATUSES.includes(payment.status) || payment.status === 'refunded') {
+      return payment;
+    }
+
+    if (payment.status !== 'authorized') {
+      throw createHttpError(`Only authorized payments can be captured (currently ${payment.status})`, 409);
+    }
+
+    const result = await this.getProvider(payment.provider).capture(payment);
+
+    console.log(`💳 Captured ${payment.provider} payment ${payment.id} for order ${payment.orderNumber} by ${actor || 'system'}`);
+
+    return this.applyResult(payment, result);
+  }
+
+  // Re-read the payment from the provider, capturing it once the customer has authorised it
+  async sync(paymentId) {
+    const payment = await this.getPayment(paymentId);
+
+    if (!payment.transactionId) {
+      return payment;
+    }
+
+    const result = await this.getProvider(payment.provider).fetch(payment);
+    const updated = await this.applyResult(payment, result);
+
+    return updated.status === 'authorized' ? this.capture(updated.id) : updated;
+  }
+
+  // Give captured money back through the provider; never more than was captured in total
+  async refund(paymentId, amount, { reason, actor, idempotencyKey } = {}) {
+    const payment = await this.getPayment(paymentId);
+    const paymentsCollection = this.db.collection('payments');
+    const refundAmount = roundAmount(amount, payment.currency);
+
+    if (!(refundAmount > 0)) {
+      throw createHttpError('Refund amount must be greater than zero', 400);
+    }
+
+    // A retried request gets the refund it already created
+    const replayed = idempotencyKey && (payment.refunds || []).find(entry => entry.idempotencyKey === idempotencyKey && entry.status !== 'failed');
+    if (replayed) {
+      return { payment, refund: replayed };
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw createHttpError(`Payments cannot be refunded while ${payment.status}`, 409, { status: payment.status });
+    }
+
+    const now = new Date();
+    const refundEntry = {
+      id: `rfd_${crypto.randomBytes(8).toString('hex')}`,
+      amount: refundAmount,
+      reason: reason || null,
+      status: 'pending',
+      providerRefundId: null,
+      idempotencyKey: idempotencyKey || null,
+      requestedBy: actor || 'system',
+      createdAt: now
+    };
+
+    // Reserve the amount first so concurrent refunds can never add up to more than was captured
+    const reserved = await paymentsCollection.findOneAndUpdate(
+      {
+        id: payment.id,
+        status: { $in: REFUNDABLE_STATUSES },
+        $expr: { $lte: [{ $add: ['$refundedAmount', refundAmount] }, { $add: ['$capturedAmount', AMOUNT_EPSILON] }] }
+      },
+      { $inc: { refundedAmount: refundAmount }, $push: { refunds: refundEntry }, $set: { updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!reserved) {
+      const current = await this.getPayment(paymentId);
+      throw createHttpError('Refund exceeds the amount still refundable', 409, {
+        capturedAmount: current.capturedAmount,
+        refundedAmount: current.refundedAmount,
+        refundable: roundAmount(current.capturedAmount - current.refundedAmount, current.currency)
+      });
+    }
+
+    let result;
+    try {
+      result = await this.getProvider(payment.provider).refund(reserved, refundAmount, {
+        reason,
+        idempotencyKey: idempotencyKey || refundEntry.id
+      });
+    } catch (error) {
+      result = { status: 'failed', failureReason: error.message };
+    }
+
+    if (result.status === 'failed') {
+      // Hand the reserved amount back so the refund can be retried
+      await paymentsCollection.updateOne(
+        { id: payment.id, 'refunds.id': refundEntry.id },
+        {
+          $inc: { refundedAmount: -refundAmount },
+          $set: { 'refunds.$.status': 'failed', 'refunds.$.failureReason': result.failureReason || null, updatedAt: new Date() }
+        }
+      );
+      throw createHttpError(`Refund failed: ${result.failureReason || 'declined by the provider'}`, 502);
+    }
+
+    await paymentsCollection.updateOne(
+      { id: payment.id, 'refunds.id': refundEntry.id },
+      {
+        $set: {
+          'refunds.$.status': result.status,
+          'refunds.$.providerRefundId': result.refundId,
+          'refunds.$.processedAt': new Date()
+        }
+      }
+    );
+
+    const updated = await this.settleRefundStatus(payment.id);
+
+    console.log(`💸 Refunded ${refundAmount} ${payment.currency} of payment ${payment.id} (${result.status})`);
+
+    return {
+      payment: updated,
+      refund: updated.refunds.find(entry => entry.id === refundEntry.id)
+    };
+  }
+
+  // Derive refunded / partially refunded from the stored totals, so concurrent refunds settle on the right status
+  async settleRefundStatus(paymentId) {
+    const paymentsCollection = this.db.collection('payments');
+
+    await paymentsCollection.updateOne(
+      { id: paymentId, status: { $in: [...REFUNDABLE_STATUSES, 'refunded'] } },
+      [{
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: { $lte: ['$refundedAmount', AMOUNT_EPSILON] }, then: 'completed' },
+                { case: { $gte: ['$refundedAmount', { $subtract: ['$capturedAmount', AMOUNT_EPSILON] }] }, then: 'refunded' }
+              ],
+              default: 'partially_refunded'
+            }
+          },
+          settlement: {
+            $cond: [
+              { $eq: [{ $type: '$settlement' }, 'object'] },
+              {
+                $mergeObjects: ['$settlement', {
+                  refundedAmount: {
+                    $round: [
+                      { $divide: ['$refundedAmount', { $ifNull: ['$exchangeRate', 1] }] },
+                      currencyDecimals(currencyService.baseCurrency)
+                    ]
+                  }
+                }]
+              },
+              '$$REMOVE'
+            ]
+          }
+        }
+      }]
+    );
+
+    const payment = await paymentsCollection.findOne({ id: paymentId });
+
+    if (ObjectId.isValid(payment.orderId)) {
+      await this.db.collection('orders').updateOne(
+        { _id: new ObjectId(payment.orderId) },
+        { $set: { refundedAmount: payment.refundedAmount } }
+      );
+    }
+
+    return payment;
+  }
+
+  // Refunds reported by the provider: ours are confirmed, ones issued elsewhere (e.g. the provider dashboard) are recorded
+  async recordProviderRefund(payment, event) {
+    const paymentsCollection = this.db.collection('payments');
+    const now = new Date();
+    const known = event.refundId && (payment.refunds || []).find(entry => entry.providerRefundId === event.refundId);
+
+    if (known) {
+      await paymentsCollection.updateOne(
+        { id: payment.id, 'refunds.id': known.id },
+        { $set: { 'refunds.$.status': 'completed', 'refunds.$.processedAt': now, updatedAt: now } }
+      );
+      return this.settleRefundStatus(payment.id);
+    }
+
+    // Some providers report the running total rather than the single refund
+    const amount = event.refundedTotal !== undefined
+      ? roundAmount(event.refundedTotal - (payment.refundedAmount || 0), payment.currency)
+      : roundAmount(event.amount, payment.currency);
+
+    if (amount > 0) {
+      await paymentsCollection.updateOne(
+        { id: payment.id },
+        {
+          $inc: { refundedAmount: amount },
+          $push: {
+            refunds: {
+              id: `rfd_${crypto.randomBytes(8).toString('hex')}`,
+              amount,
+              reason: 'Refunded at the provider',
+              status: 'completed',
+              providerRefundId: event.refundId || null,
+              idempotencyKey: null,
+              requestedBy: `provider:${payment.provider}`,
+              createdAt: now,
+              processedAt: now
+            }
+          },
+          $set: { updatedAt: now }
+        }
+      );
+    }
+
+    return this.settleRefundStatus(payment.id);
+  }
+
+  // A chargeback was opened: no refunds until it is settled
+  async openDispute(payment, event) {
+    const now = new Date();
+    const dispute = {
+      id: event.disputeId || null,
+      amount: event.amount !== undefined ? event.amount : payment.capturedAmount,
+      reason: event.reason || null,
+      status: 'open',
+      outcome: null,
+      // Where the payment returns to if the dispute is won
+      previousStatus: payment.status === 'disputed' ? payment.dispute?.previousStatus : payment.status,
+      openedAt: event.occurredAt || now,
+      closedAt: null
+    };
+
+    await this.db.collection('payments').updateOne(
+      { id: payment.id },
+      { $set: { status: 'disputed', dispute, updatedAt: now } }
+    );
+
+    if (ObjectId.isValid(payment.orderId)) {
+      await this.db.collection('orders').updateOne(
+        { _id: new ObjectId(payment.orderId) },
+        { $set: { disputeStatus: 'open', updatedAt: now } }
+      );
+    }
+
+    console.log(`⚠️ Payment ${payment.id} for order ${payment.orderNumber} disputed${dispute.reason ? `: ${dispute.reason}` : ''}`);
+
+    return this.getPayment(payment.id);
+  }
+
+  async closeDispute(payment, event) {
+    if (payment.status !== 'disputed') {
+      return payment;
+    }
+
+    const now = new Date();
+    const status = event.outcome === 'won' ? (payment.dispute?.previousStatus || 'completed') : 'charged_back';
+
+    await this.db.collection('payments').updateOne(
+      { id: payment.id },
+      {
+        $set: {
+          status,
+          'dispute.status': 'closed',
+          'dispute.outcome': event.outcome,
+          'dispute.closedAt': event.occurredAt || now,
+          updatedAt: now
+        }
+      }
+    );
+
+    if (ObjectId.isValid(payment.orderId)) {
+      await this.db.collection('orders').updateOne(
+        { _id: new ObjectId(payment.orderId) },
+        { $set: { disputeStatus: event.outcome, updatedAt: now } }
+      );
+    }
+
+    return this.getPayment(payment.id);
+  }
+}
+
+module.exports = new PaymentService();
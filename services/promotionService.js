@@ -0,0 +1,373 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const { createHttpError } = require('../utils/httpError');
+
+// Fields only some promotions have; a replacement without them removes them
+const OPTIONAL_FIELDS = ['description', 'buyQuantity', 'getQuantity', 'getDiscountPercent'];
+
+class PromotionService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('promotions').createIndex({ code: 1 }, { unique: true });
+      await this.db.collection('promotionRedemptions').createIndex({ promotionId: 1, userId: 1 });
+      await this.db.collection('promotionRedemptions').createIndex({ orderId: 1 });
+    }
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  async findByCode(code) {
+    await this.initialize();
+
+    return this.db.collection('promotions').findOne({ code: this.normalizeCode(code) });
+  }
+
+  // Reasons a promotion cannot be used right now, before looking at the cart
+  async checkAvailability(promotion, userId) {
+    const now = new Date();
+
+    if (!promotion || !promotion.isActive) {
+      return 'Invalid discount code';
+    }
+    // Personal codes (e.g. cart recovery coupons) only work for their owner
+    if (promotion.customerId && promotion.customerId !== userId) {
+      return 'Invalid discount code';
+    }
+    if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+      return `${promotion.code} is not active yet`;
+    }
+    if (promotion.endsAt && new Date(promotion.endsAt) < now) {
+      return `${promotion.code} has expired`;
+    }
+    // A usage limit of 0 or none means unlimited
+    if (promotion.usageLimit && (promotion.usageCount || 0) >= promotion.usageLimit) {
+      return `${promotion.code} has reached its usage limit`;
+    }
+    if (promotion.usageLimitPerCustomer && userId) {
+      const used = await this.db.collection('promotionRedemptions').countDocuments({
+        promotionId: promotion._id,
+        userId,
+        releasedAt: null
+      });
+      if (used >= promotion.usageLimitPerCustomer) {
+        return `You have already used ${promotion.code}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Whether a cart line counts towards a promotion
+  isEligible(promotion, item) {
+    const brands = (promotion.eligibility?.brands || []).map(brand => brand.toLowerCase());
+    const categories = (promotion.eligibility?.categories || []).map(category => category.toLowerCase());
+
+    if (brands.length > 0 && !brands.includes(String(item.brand || '').toLowerCase())) {
+      return false;
+    }
+    if (categories.length > 0 && !categories.includes(String(item.category || '').toLowerCase())) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // Evaluate a cart's codes in order, returning what each one takes off which line
+  async evaluateCart(cart, codes) {
+    await this.initialize();
+
+    const applied = [];
+    const rejected = [];
+    const merchandiseSubtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    // What is left to discount on each line after earlier codes
+    const remaining = new Map(cart.items.map(item => [item.id, item.price * item.quantity]));
+
+    for (const code of codes) {
+      const promotion = await this.findByCode(code);
+      const unavailable = await this.checkAvailability(promotion, cart.userId);
+
+      if (unavailable) {
+        rejected.push({ code, reason: unavailable });
+        continue;
+      }
+
+      if (promotion.minSubtotal && merchandiseSubtotal < promotion.minSubtotal) {
+        rejected.push({ code, reason: `${promotion.code} requires a subtotal of at least ${promotion.minSubtotal}` });
+        continue;
+      }
+
+      const otherCodes = applied.length > 0;
+      const blockedByEarlier = applied.some(entry => !entry.stackable);
+      if (otherCodes && (!promotion.stackable || blockedByEarlier)) {
+        rejected.push({ code, reason: `${promotion.code} cannot be combined with other discount codes` });
+        continue;
+      }
+
+      const eligibleItems = cart.items.filter(item => this.isEligible(promotion, item));
+      if (eligibleItems.length === 0 && promotion.type !== 'free_shipping') {
+        rejected.push({ code, reason: `No items in your cart qualify for ${promotion.code}` });
+        continue;
+      }
+
+      const allocations = this.allocate(promotion, eligibleItems, remaining);
+      Object.entries(allocations).forEach(([itemId, amount]) => {
+        remaining.set(itemId, remaining.get(itemId) - amount);
+      });
+
+      applied.push({
+        promotionId: promotion._id.toString(),
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        value: promotion.value,
+        stackable: Boolean(promotion.stackable),
+        freeShipping: promotion.type === 'free_shipping',
+        amount: this.round(Object.values(allocations).reduce((sum, amount) => sum + amount, 0)),
+        allocations
+      });
+    }
+
+    return { applied, rejected };
+  }
+
+  // Split a promotion's discount over the eligible lines
+  allocate(promotion, items, remaining) {
+    const allocations = {};
+    const room = item => Math.max(0, remaining.get(item.id));
+
+    switch (promotion.type) {
+      case 'percentage':
+        items.forEach(item => {
+          allocations[item.id] = this.round(Math.min(room(item), item.price * item.quantity * promotion.value / 100));
+        });
+        break;
+
+      case 'fixed': {
+        const eligibleTotal = items.reduce((sum, item) => sum + room(item), 0);
+        const discount = Math.min(promotion.value, eligibleTotal);
+        let allocated = 0;
+        items.forEach((item, index) => {
+          // The last line absorbs rounding so the parts add up to the whole
+          const share = index === items.length - 1
+            ? this.round(discount - allocated)
+            : this.round(eligibleTotal > 0 ? discount * room(item) / eligibleTotal : 0);
+          allocations[item.id] = Math.min(room(item), share);
+          allocated += allocations[item.id];
+        });
+        break;
+      }
+
+      case 'buy_x_get_y': {
+        // Every group of buy + get units makes its cheapest `get` units free (or reduced)
+        const units = [];
+        items.forEach(item => {
+          for (let i = 0; i < item.quantity; i++) {
+            units.push(item);
+          }
+        });
+        units.sort((a, b) => b.price - a.price);
+
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const percent = promotion.getDiscountPercent || 100;
+        const groups = Math.floor(units.length / groupSize);
+
+        for (let group = 0; group < groups; group++) {
+          const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+          groupUnits.slice(promotion.buyQuantity).forEach(item => {
+            const current = allocations[item.id] || 0;
+            allocations[item.id] = this.round(Math.min(room(item), current + item.price * percent / 100));
+          });
+        }
+        break;
+      }
+
+      default:
+        // free_shipping takes nothing off the lines
+        break;
+    }
+
+    return allocations;
+  }
+
+  // Claim one use of each promotion for an order, failing if a limit has been hit since it was applied
+  async redeem(discounts, userId, order) {
+    await this.initialize();
+
+    const orderId = order._id.toString();
+
+    for (const discount of discounts) {
+      const promotionId = new ObjectId(discount.promotionId);
+      const promotion = await this.db.collection('promotions').findOneAndUpdate(
+        {
+          _id: promotionId,
+          $or: [
+            { usageLimit: { $in: [null, 0] } },
+            { $expr: { $lt: [{ $ifNull: ['$usageCount', 0] }, '$usageLimit'] } }
+          ]
+        },
+        { $inc: { usageCount: 1 } }
+      );
+
+      if (!promotion) {
+        await this.rollback(orderId);
+        throw createHttpError(`${discount.code} has reached its usage limit`, 409);
+      }
+
+      await this.db.collection('promotionRedemptions').insertOne({
+        promotionId,
+        code: discount.code,
+        userId,
+        orderId,
+        orderNumber: order.orderNumber,
+        amount: discount.amount,
+        redeemedAt: new Date(),
+        releasedAt: null
+      });
+
+      if (promotion.usageLimitPerCustomer) {
+        const used = await this.db.collection('promotionRedemptions').countDocuments({ promotionId, userId, releasedAt: null });
+        if (used > promotion.usageLimitPerCustomer) {
+          await this.rollback(orderId);
+          throw createHttpError(`You have already used ${discount.code}`, 409);
+        }
+      }
+    }
+  }
+
+  // Give back the uses claimed for an order (e.g. when creating it fails)
+  async rollback(orderId) {
+    await this.initialize();
+
+    const redemptions = await this.db.collection('promotionRedemptions').find({ orderId }).toArray();
+
+    for (const redemption of redemptions) {
+      await this.db.collection('promotions').updateOne(
+        { _id: redemption.promotionId },
+        { $inc: { usageCount: -1 } }
+      );
+    }
+
+    await this.db.collection('promotionRedemptions').deleteMany({ orderId });
+  }
+
+  // Give back the uses of an order that was cancelled or never paid. The redemptions are kept for the
+  // record; each is claimed before its use is returned, so releasing twice gives nothing back twice.
+  async releaseRedemption(orderId, reason) {
+    await this.initialize();
+
+    const redemptions = await this.db.collection('promotionRedemptions').find({ orderId, releasedAt: null }).toArray();
+    let released = 0;
+
+    for (const redemption of redemptions) {
+      const claimed = await this.db.collection('promotionRedemptions').findOneAndUpdate(
+        { _id: redemption._id, releasedAt: null },
+        { $set: { releasedAt: new Date(), releaseReason: reason || null } }
+      );
+
+      if (claimed) {
+        await this.db.collection('promotions').updateOne(
+          { _id: redemption.promotionId, usageCount: { $gt: 0 } },
+          { $inc: { usageCount: -1 } }
+        );
+        released++;
+      }
+    }
+
+    return released;
+  }
+
+  // Get promotions for administration
+  async getPromotions(filters = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+    if (filters.type) query.type = filters.type;
+    if (filters.search) query.code = { $regex: filters.search, $options: 'i' };
+
+    return this.db.collection('promotions').find(query).sort({ createdAt: -1 }).toArray();
+  }
+
+  async getPromotionById(id) {
+    await this.initialize();
+
+    return this.db.collection('promotions').findOne({ _id: new ObjectId(id) });
+  }
+
+  async createPromotion(data) {
+    await this.initialize();
+
+    const promotion = {
+      ...data,
+      code: this.normalizeCode(data.code),
+      usageCount: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    try {
+      const result = await this.db.collection('promotions').insertOne(promotion);
+      promotion._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createHttpError(`Promotion code ${promotion.code} already exists`, 409);
+      }
+      throw error;
+    }
+
+    return promotion;
+  }
+
+  // Replace a promotion's settings; its usage count and creation date are kept
+  async updatePromotion(id, data) {
+    await this.initialize();
+
+    const update = { $set: { ...data, code: this.normalizeCode(data.code), updatedAt: new Date() } };
+    const removed = OPTIONAL_FIELDS.filter(field => data[field] === undefined);
+    if (removed.length > 0) {
+      update.$unset = Object.fromEntries(removed.map(field => [field, '']));
+    }
+
+    try {
+      return await this.db.collection('promotions').findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        update,
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createHttpError(`Promotion code ${this.normalizeCode(data.code)} already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  async deletePromotion(id) {
+    await this.initialize();
+
+    const result = await this.db.collection('promotions').deleteOne({ _id: new ObjectId(id) });
+    return result.deletedCount > 0;
+  }
+
+  async getRedemptions(promotionId) {
+    await this.initialize();
+
+    return this.db.collection('promotionRedemptions')
+      .find({ promotionId: new ObjectId(promotionId) })
+      .sort({ redeemedAt: -1 })
+      .toArray();
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,221 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const promotionService = require('./promotionService');
+
+const cart = (items, userId = 'user-1') => ({ userId, items });
+
+const sneaker = { id: 'item-1', productId: 'product-1', price: 100, quantity: 1, category: 'sneakers', brand: 'Nike' };
+const hoodie = { id: 'item-2', productId: 'product-2', price: 50, quantity: 2, category: 'apparel', brand: 'Adidas' };
+
+const promotion = fields => promotionService.createPromotion({
+  name: fields.code,
+  isActive: true,
+  stackable: false,
+  usageLimit: null,
+  ...fields
+});
+
+describe('promotionService', () => {
+  beforeEach(() => {
+    resetDB();
+  });
+
+  describe('evaluateCart', () => {
+    it('takes a percentage off every eligible line', async () => {
+      await promotion({ code: 'SAVE10', type: 'percentage', value: 10 });
+
+      const { applied, rejected } = await promotionService.evaluateCart(cart([sneaker, hoodie]), ['save10']);
+
+      expect(rejected).toEqual([]);
+      expect(applied).toEqual([expect.objectContaining({ code: 'SAVE10', amount: 20, allocations: { 'item-1': 10, 'item-2': 10 } })]);
+    });
+
+    it('spreads a fixed amount over the lines so the parts add up to the whole', async () => {
+      await promotion({ code: 'TAKE10', type: 'fixed', value: 10 });
+
+      const { applied } = await promotionService.evaluateCart(cart([sneaker, { ...hoodie, price: 33.33, quantity: 1 }]), ['TAKE10']);
+
+      const parts = Object.values(applied[0].allocations);
+      expect(applied[0].amount).toBe(10);
+      expect(Math.round(parts.reduce((sum, part) => sum + part, 0) * 100) / 100).toBe(10);
+    });
+
+    it('never takes more than a line is worth', async () => {
+      await promotion({ code: 'TAKE500', type: 'fixed', value: 500 });
+
+      const { applied } = await promotionService.evaluateCart(cart([hoodie]), ['TAKE500']);
+
+      expect(applied[0].amount).toBe(100);
+    });
+
+    it('makes the cheapest unit of each buy-x-get-y group free', async () => {
+      await promotion({ code: 'B2G1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      const { applied } = await promotionService.evaluateCart(cart([sneaker, hoodie]), ['B2G1']);
+
+      expect(applied[0].allocations).toEqual({ 'item-2': 50 });
+    });
+
+    it('only discounts lines matching the eligibility rules', async () => {
+      await promotion({ code: 'KICKS', type: 'percentage', value: 20, eligibility: { categories: ['Sneakers'] } });
+
+      const { applied } = await promotionService.evaluateCart(cart([sneaker, hoodie]), ['KICKS']);
+
+      expect(applied[0].allocations).toEqual({ 'item-1': 20 });
+    });
+
+    it('rejects codes that are unknown, inactive, expired or not started', async () => {
+      await promotion({ code: 'OFF', type: 'percentage', value: 10, isActive: false });
+      await promotion({ code: 'OLD', type: 'percentage', value: 10, endsAt: new Date(Date.now() - 1000) });
+      await promotion({ code: 'SOON', type: 'percentage', value: 10, startsAt: new Date(Date.now() + 60000) });
+
+      const { applied, rejected } = await promotionService.evaluateCart(cart([sneaker]), ['NOPE', 'OFF', 'OLD', 'SOON']);
+
+      expect(applied).toEqual([]);
+      expect(rejected).toEqual([
+        { code: 'NOPE', reason: 'Invalid discount code' },
+        { code: 'OFF', reason: 'Invalid discount code' },
+        { code: 'OLD', reason: 'OLD has expired' },
+        { code: 'SOON', reason: 'SOON is not active yet' }
+      ]);
+    });
+
+    it('rejects a code below its minimum subtotal', async () => {
+      await promotion({ code: 'BIG', type: 'fixed', value: 10, minSubtotal: 500 });
+
+      const { rejected } = await promotionService.evaluateCart(cart([sneaker]), ['BIG']);
+
+      expect(rejected).toEqual([{ code: 'BIG', reason: 'BIG requires a subtotal of at least 500' }]);
+    });
+
+    it('only combines codes that are both stackable', async () => {
+      await promotion({ code: 'ONLY', type: 'percentage', value: 10 });
+      await promotion({ code: 'STACK1', type: 'fixed', value: 5, stackable: true });
+      await promotion({ code: 'STACK2', type: 'fixed', value: 5, stackable: true });
+
+      const alone = await promotionService.evaluateCart(cart([sneaker]), ['ONLY', 'STACK1']);
+      const stacked = await promotionService.evaluateCart(cart([sneaker]), ['STACK1', 'STACK2']);
+
+      expect(alone.applied.map(entry => entry.code)).toEqual(['ONLY']);
+      expect(alone.rejected).toEqual([{ code: 'STACK1', reason: 'STACK1 cannot be combined with other discount codes' }]);
+      expect(stacked.applied.map(entry => entry.code)).toEqual(['STACK1', 'STACK2']);
+    });
+  });
+
+  describe('redeem', () => {
+    const order = () => ({ _id: new ObjectId(), orderNumber: 'ORD-1' });
+
+    it('counts a use and records the redemption', async () => {
+      const { _id } = await promotion({ code: 'SAVE10', type: 'percentage', value: 10, usageLimit: 5 });
+      const placed = order();
+
+      await promotionService.redeem([{ promotionId: _id.toString(), code: 'SAVE10', amount: 10 }], 'user-1', placed);
+
+      expect((await promotionService.getPromotionById(_id.toString())).usageCount).toBe(1);
+      expect(await promotionService.getRedemptions(_id.toString())).toEqual([
+        expect.objectContaining({ userId: 'user-1', orderId: placed._id.toString(), amount: 10 })
+      ]);
+    });
+
+    it('refuses the use that would pass the limit and gives back the order\'s other uses', async () => {
+      const open = await promotion({ code: 'OPEN', type: 'fixed', value: 5, stackable: true });
+      const scarce = await promotion({ code: 'SCARCE', type: 'fixed', value: 5, stackable: true, usageLimit: 1 });
+      await promotionService.redeem([{ promotionId: scarce._id.toString(), code: 'SCARCE', amount: 5 }], 'user-2', order());
+
+      await expect(promotionService.redeem([
+        { promotionId: open._id.toString(), code: 'OPEN', amount: 5 },
+        { promotionId: scarce._id.toString(), code: 'SCARCE', amount: 5 }
+      ], 'user-1', order())).rejects.toMatchObject({ statusCode: 409, message: 'SCARCE has reached its usage limit' });
+
+      expect((await promotionService.getPromotionById(open._id.toString())).usageCount).toBe(0);
+      expect((await promotionService.getPromotionById(scarce._id.toString())).usageCount).toBe(1);
+      expect(await getDB().collection('promotionRedemptions').countDocuments({ userId: 'user-1' })).toBe(0);
+    });
+
+    it('lets only one of two concurrent orders take the last use', async () => {
+      const scarce = await promotion({ code: 'LAST', type: 'fixed', value: 5, usageLimit: 1 });
+      const discounts = [{ promotionId: scarce._id.toString(), code: 'LAST', amount: 5 }];
+
+      const results = await Promise.allSettled([
+        promotionService.redeem(discounts, 'user-1', order()),
+        promotionService.redeem(discounts, 'user-2', order())
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect((await promotionService.getPromotionById(scarce._id.toString())).usageCount).toBe(1);
+    });
+
+    it('enforces the per-customer limit', async () => {
+      const once = await promotion({ code: 'ONCE', type: 'fixed', value: 5, usageLimitPerCustomer: 1 });
+      const discounts = [{ promotionId: once._id.toString(), code: 'ONCE', amount: 5 }];
+      await promotionService.redeem(discounts, 'user-1', order());
+
+      await expect(promotionService.redeem(discounts, 'user-1', order())).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'You have already used ONCE'
+      });
+      expect((await promotionService.getPromotionById(once._id.toString())).usageCount).toBe(1);
+      expect((await promotionService.evaluateCart(cart([sneaker]), ['ONCE'])).rejected).toEqual([
+        { code: 'ONCE', reason: 'You have already used ONCE' }
+      ]);
+    });
+  });
+
+  describe('releaseRedemption', () => {
+    const order = () => ({ _id: new ObjectId(), orderNumber: 'ORD-1' });
+
+    it('gives the order\'s uses back once and keeps the redemption on record', async () => {
+      const once = await promotion({ code: 'ONCE', type: 'fixed', value: 5, usageLimit: 1, usageLimitPerCustomer: 1 });
+      const discounts = [{ promotionId: once._id.toString(), code: 'ONCE', amount: 5 }];
+      const placed = order();
+      await promotionService.redeem(discounts, 'user-1', placed);
+
+      expect(await promotionService.releaseRedemption(placed._id.toString(), 'order_cancelled')).toBe(1);
+      expect(await promotionService.releaseRedemption(placed._id.toString(), 'order_cancelled')).toBe(0);
+
+      expect((await promotionService.getPromotionById(once._id.toString())).usageCount).toBe(0);
+      expect(await promotionService.getRedemptions(once._id.toString())).toEqual([
+        expect.objectContaining({ orderId: placed._id.toString(), releasedAt: expect.any(Date), releaseReason: 'order_cancelled' })
+      ]);
+
+      // Both the overall and the per-customer limit let the customer use the code again
+      await promotionService.redeem(discounts, 'user-1', order());
+      expect((await promotionService.getPromotionById(once._id.toString())).usageCount).toBe(1);
+    });
+
+    it('treats a usage limit of 0 as unlimited', async () => {
+      const open = await promotion({ code: 'OPEN', type: 'fixed', value: 5, usageLimit: 0 });
+      const discounts = [{ promotionId: open._id.toString(), code: 'OPEN', amount: 5 }];
+
+      await promotionService.redeem(discounts, 'user-1', order());
+      await promotionService.redeem(discounts, 'user-2', order());
+
+      expect((await promotionService.getPromotionById(open._id.toString())).usageCount).toBe(2);
+      expect((await promotionService.evaluateCart(cart([sneaker]), ['OPEN'])).rejected).toEqual([]);
+    });
+  });
+
+  describe('updatePromotion', () => {
+    it('replaces the settings, dropping fields of the old type but keeping the usage count', async () => {
+      const { _id, createdAt } = await promotion({ code: 'B2G1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, getDiscountPercent: 100 });
+      await promotionService.redeem([{ promotionId: _id.toString(), code: 'B2G1', amount: 50 }], 'user-1', { _id: new ObjectId(), orderNumber: 'ORD-1' });
+
+      const updated = await promotionService.updatePromotion(_id.toString(), {
+        code: 'save10',
+        name: 'Save 10',
+        type: 'percentage',
+        value: 10,
+        isActive: true,
+        stackable: false,
+        usageLimit: null
+      });
+
+      expect(updated).toMatchObject({ code: 'SAVE10', type: 'percentage', value: 10, usageCount: 1, createdAt });
+      expect(updated).not.toHaveProperty('buyQuantity');
+      expect(updated).not.toHaveProperty('getQuantity');
+      expect(updated).not.toHaveProperty('getDiscountPercent');
+    });
+  });
+});
@@ -0,0 +1,458 @@
+const { connectDB } = require('../config/database');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const orderLifecycleService = require('./orderLifecycleService');
+const inventoryService = require('./inventoryService');
+const stockLedgerService = require('./stockLedgerService');
+const currencyService = require('./currencyService');
+const { roundAmount } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+// Purchase orders whose units are still expected
+const OPEN_STATUSES = ['draft', 'approved', 'sent', 'partially_received'];
+
+// Purchase orders the supplier has been asked to fill
+const PLACED_STATUSES = ['sent', 'partially_received', 'received', 'closed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PurchaseOrderService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('purchaseOrders').createIndex({ id: 1 }, { unique: true });
+      await this.db.collection('purchaseOrders').createIndex({ status: 1, createdAt: -1 });
+      await this.db.collection('purchaseOrders').createIndex({ supplierId: 1, status: 1 });
+      await this.db.collection('purchaseOrders').createIndex({ 'items.inventoryId': 1 });
+    }
+  }
+
+  async getPurchaseOrders({ status, supplierId, warehouse, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (status) query.status = status;
+    if (supplierId) query.supplierId = new ObjectId(supplierId);
+    if (warehouse) query.warehouse = warehouse;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [purchaseOrders, total] = await Promise.all([
+      this.db.collection('purchaseOrders')
+        .find(query, { projection: { _id: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('purchaseOrders').countDocuments(query)
+    ]);
+
+    return {
+      purchaseOrders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  async getPurchaseOrder(purchaseOrderId) {
+    await this.initialize();
+
+    const purchaseOrder = await this.db.collection('purchaseOrders').findOne({ id: purchaseOrderId }, { projection: { _id: 0 } });
+
+    if (!purchaseOrder) {
+      throw createHttpError('Purchase order not found', 404);
+    }
+
+    return purchaseOrder;
+  }
+
+  // Units per inventory record that open purchase orders have yet to deliver
+  async onOrderByInventory() {
+    await this.initialize();
+
+    const rows = await this.db.collection('purchaseOrders').aggregate([
+      { $match: { status: { $in: OPEN_STATUSES } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.inventoryId',
+          outstanding: { $sum: { $subtract: ['$items.quantity', '$items.receivedQuantity'] } }
+        }
+      }
+    ]).toArray();
+
+    return new Map(rows.map(row => [row._id.toString(), row.outstanding]));
+  }
+
+  // Turn the reorder suggestions into draft purchase orders, one per supplier and warehouse.
+  // Suggestions without an active supplier are returned as skipped rather than ordered.
+  async generateDrafts({ warehouse, supplierId } = {}, actor) {
+    await this.initialize();
+
+    const onOrder = await this.onOrderByInventory();
+    const suggestions = (await inventoryService.generateReorderSuggestions({ onOrder }))
+      .filter(suggestion => !warehouse || suggestion.warehouse === warehouse)
+      .filter(suggestion => !supplierId || suggestion.supplierId === supplierId);
+
+    const supplierIds = [...new Set(suggestions.map(suggestion => suggestion.supplierId).filter(id => id && ObjectId.isValid(id)))];
+    const suppliers = await this.db.collection('suppliers')
+      .find({ _id: { $in: supplierIds.map(id => new ObjectId(id)) } })
+      .toArray();
+    const supplierById = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+    const products = await this.db.collection('products')
+      .find({ _id: { $in: suggestions.map(suggestion => suggestion.productId).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } }, { projection: { name: 1 } })
+      .toArray();
+    const productNames = new Map(products.map(product => [product._id.toString(), product.name]));
+
+    const groups = new Map();
+    const skipped = [];
+    for (const suggestion of suggestions) {
+      const supplier = suggestion.supplierId ? supplierById.get(suggestion.supplierId) : null;
+
+      if (!supplier) {
+        skipped.push({ inventoryId: suggestion.inventoryId, sku: suggestion.sku, reason: suggestion.supplierId ? 'unknown_supplier' : 'no_supplier' });
+        continue;
+      }
+      if (supplier.status !== 'active') {
+        skipped.push({ inventoryId: suggestion.inventoryId, sku: suggestion.sku, reason: 'supplier_inactive' });
+        continue;
+      }
+
+      const key = `${suggestion.supplierId}:${suggestion.warehouse}`;
+      if (!groups.has(key)) {
+        groups.set(key, { supplier, warehouse: suggestion.warehouse, suggestions: [] });
+      }
+      groups.get(key).suggestions.push(suggestion);
+    }
+
+    const purchaseOrders = [];
+    for (const group of groups.values()) {
+      purchaseOrders.push(await this.createDraft(group, productNames, actor));
+    }
+
+    console.log(`🧾 Drafted ${purchaseOrders.length} purchase orders from ${suggestions.length} reorder suggestions`);
+
+    return { purchaseOrders, skipped };
+  }
+
+  async createDraft({ supplier, warehouse, suggestions }, productNames, actor) {
+    const minimumOrderQuantity = supplier.minimumOrderQuantity || 1;
+    const currency = currencyService.baseCurrency;
+
+    // The supplier's minimum applies to every line, so short suggestions are rounded up to it
+    const items = suggestions.map((suggestion, index) => ({
+      lineId: `line-${index + 1}`,
+      inventoryId: new ObjectId(suggestion.inventoryId),
+      productId: suggestion.productId,
+      variantId: suggestion.variantId,
+      sku: suggestion.sku,
+      productName: productNames.get(String(suggestion.productId)) || suggestion.productName,
+      urgency: suggestion.urgency,
+      suggestedQuantity: suggestion.suggestedQuantity,
+      quantity: Math.max(suggestion.suggestedQuantity, minimumOrderQuantity),
+      unitCost: suggestion.unitCost || 0,
+      receivedQuantity: 0
+    }));
+
+    const now = new Date();
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const purchaseOrder = {
+      id: `po_${suffix}`,
+      poNumber: `PO-${suffix.toUpperCase()}`,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      supplierEmail: supplier.contactEmail || null,
+      warehouse,
+      status: 'draft',
+      currency,
+      paymentTerms: supplier.paymentTerms || 'net_30',
+      leadTime: supplier.leadTime || 7,
+      minimumOrderQuantity,
+      items,
+      subtotal: this.subtotalOf(items, currency),
+      notes: null,
+      createdBy: actor || 'system',
+      sentVia: null,
+      supplierReference: null,
+      expectedAt: null,
+      receipts: [],
+      statusHistory: [orderLifecycleService.historyEntry(null, 'draft', actor, 'Drafted from reorder suggestions')],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.collection('purchaseOrders').insertOne(purchaseOrder);
+    delete purchaseOrder._id;
+
+    return purchaseOrder;
+  }
+
+  subtotalOf(items, currency) {
+    return roundAmount(items.reduce((sum, line) => sum + line.quantity * line.unitCost, 0), currency);
+  }
+
+  // Change line quantities on a draft; a quantity of 0 drops the line
+  async updateDraft(purchaseOrderId, { items = [], notes }) {
+    await this.initialize();
+
+    const current = await this.getPurchaseOrder(purchaseOrderId);
+    if (current.status !== 'draft') {
+      throw createHttpError(`Purchase order is ${current.status}; only drafts can be edited`, 409, { status: current.status });
+    }
+
+    const quantities = new Map(items.map(line => [line.lineId, line.quantity]));
+    for (const [lineId, quantity] of quantities) {
+      const line = current.items.find(entry => entry.lineId === lineId);
+
+      if (!line) {
+        throw createHttpError(`Line ${lineId} is not on this purchase order`, 400);
+      }
+      if (quantity > 0 && quantity < current.minimumOrderQuantity) {
+        throw createHttpError(`${current.supplierName} takes orders of at least ${current.minimumOrderQuantity} per line`, 400, { lineId, minimumOrderQuantity: current.minimumOrderQuantity });
+      }
+    }
+
+    const lines = current.items
+      .map(line => (quantities.has(line.lineId) ? { ...line, quantity: quantities.get(line.lineId) } : line))
+      .filter(line => line.quantity > 0);
+    if (lines.length === 0) {
+      throw createHttpError('A purchase order needs at least one line; cancel it instead', 400);
+    }
+
+    const set = { items: lines, subtotal: this.subtotalOf(lines, current.currency), updatedAt: new Date() };
+    if (notes !== undefined) set.notes = notes || null;
+
+    // Matching updatedAt keeps a concurrent approval from being overwritten with a stale draft
+    const purchaseOrder = await this.db.collection('purchaseOrders').findOneAndUpdate(
+      { id: purchaseOrderId, status: 'draft', updatedAt: current.updatedAt },
+      { $set: set },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!purchaseOrder) {
+      throw createHttpError('Purchase order changed while it was being edited; reload and try again', 409);
+    }
+
+    return purchaseOrder;
+  }
+
+  async approve(purchaseOrderId, actor, notes) {
+    await this.initialize();
+
+    return this.movePurchaseOrder(purchaseOrderId, ['draft'], 'approved', actor, notes || 'Approved', {
+      approvedBy: actor || 'system',
+      approvedAt: new Date()
+    });
+  }
+
+  // Record that the order went to the supplier; deliveries are expected after its lead time
+  async markSent(purchaseOrderId, { via, supplierReference } = {}, actor) {
+    await this.initialize();
+
+    const sentAt = new Date();
+    const current = await this.getPurchaseOrder(purchaseOrderId);
+    const purchaseOrder = await this.movePurchaseOrder(purchaseOrderId, ['approved'], 'sent', actor, `Sent by ${via}`, {
+      sentVia: via,
+      supplierReference: supplierReference || null,
+      sentBy: actor || 'system',
+      sentAt,
+      expectedAt: new Date(sentAt.getTime() + current.leadTime * DAY_MS)
+    });
+
+    await this.refreshSupplierPerformance(purchaseOrder.supplierId);
+
+    console.log(`🧾 Purchase order ${purchaseOrder.poNumber} sent to ${purchaseOrder.supplierName}`);
+
+    return purchaseOrder;
+  }
+
+  // Book in a delivery; lines may arrive over several receipts
+  async receive(purchaseOrderId, { items, notes }, actor) {
+    await this.initialize();
+
+    const current = await this.getPurchaseOrder(purchaseOrderId);
+    if (!['sent', 'partially_received'].includes(current.status)) {
+      throw createHttpError(`Purchase order is ${current.status}; it cannot be received`, 409, { status: current.status });
+    }
+
+    const delivered = new Map();
+    for (const { lineId, quantity } of items) {
+      const line = current.items.find(entry => entry.lineId === lineId);
+
+      if (!line) {
+        throw createHttpError(`Line ${lineId} is not on this purchase order`, 400);
+      }
+
+      const total = (delivered.get(lineId) || 0) + quantity;
+      const outstanding = line.quantity - line.receivedQuantity;
+      if (total > outstanding) {
+        throw createHttpError(`Only ${outstanding} of ${line.sku} are still expected`, 400, { lineId, outstanding });
+      }
+      delivered.set(lineId, total);
+    }
+
+    const receivedAt = new Date();
+    const lines = current.items.map(line => ({
+      ...line,
+      receivedQuantity: line.receivedQuantity + (delivered.get(line.lineId) || 0)
+    }));
+    const complete = lines.every(line => line.receivedQuantity >= line.quantity);
+    const status = complete ? 'received' : 'partially_received';
+    const receipt = {
+      receiptId: `rcpt-${current.receipts.length + 1}`,
+      lines: [...delivered].map(([lineId, quantity]) => ({ lineId, quantity })),
+      onTime: receivedAt <= new Date(current.expectedAt),
+      receivedBy: actor || 'system',
+      receivedAt,
+      notes: notes || null
+    };
+
+    // Claim the receipt against the version that was checked so two deliveries cannot both use the same outstanding units
+    const purchaseOrder = await this.db.collection('purchaseOrders').findOneAndUpdate(
+      { id: purchaseOrderId, status: current.status, updatedAt: current.updatedAt },
+      {
+        $set: { items: lines, status, updatedAt: receivedAt, ...(complete ? { receivedAt } : {}) },
+        $push: {
+          receipts: receipt,
+          statusHistory: orderLifecycleService.historyEntry(null, status, actor, notes || `Receipt ${receipt.receiptId}`)
+        }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!purchaseOrder) {
+      throw createHttpError('Purchase order changed while it was being received; reload and try again', 409);
+    }
+
+    // Received units are physically on the shelf, so the movement is not refused
+    const reference = { type: 'purchase_order', id: purchaseOrder.poNumber };
+    for (const { lineId, quantity } of receipt.lines) {
+      const line = lines.find(entry => entry.lineId === lineId);
+      await stockLedgerService.record(
+        line.inventoryId,
+        { currentStock: quantity, availableStock: quantity },
+        {
+          type: 'in',
+          quantity,
+          reason: 'purchase_order_received',
+          reference,
+          performedBy: actor,
+          notes: `${line.receivedQuantity} of ${line.quantity} received`
+        },
+        { set: { lastRestocked: receivedAt } }
+      );
+    }
+
+    await this.refreshSupplierPerformance(purchaseOrder.supplierId);
+
+    console.log(`📦 Purchase order ${purchaseOrder.poNumber} ${complete ? 'received in full' : 'partially received'}`);
+
+    return purchaseOrder;
+  }
+
+  // Stop waiting for the rest of a partly delivered order
+  async close(purchaseOrderId, reason, actor) {
+    await this.initialize();
+
+    const purchaseOrder = await this.movePurchaseOrder(purchaseOrderId, ['partially_received'], 'closed', actor, reason, {
+      closedBy: actor || 'system',
+      closedAt: new Date()
+    });
+
+    await this.refreshSupplierPerformance(purchaseOrder.supplierId);
+
+    return purchaseOrder;
+  }
+
+  // Orders can be cancelled until something has been received against them
+  async cancel(purchaseOrderId, reason, actor) {
+    await this.initialize();
+
+    const purchaseOrder = await this.movePurchaseOrder(purchaseOrderId, ['draft', 'approved', 'sent'], 'cancelled', actor, reason, {
+      cancelledBy: actor || 'system',
+      cancelledAt: new Date()
+    });
+
+    if (purchaseOrder.sentAt) {
+      await this.refreshSupplierPerformance(purchaseOrder.supplierId);
+    }
+
+    return purchaseOrder;
+  }
+
+  async movePurchaseOrder(purchaseOrderId, from, to, actor, reason, extra = {}) {
+    const purchaseOrder = await this.db.collection('purchaseOrders').findOneAndUpdate(
+      { id: purchaseOrderId, status: { $in: from } },
+      {
+        $set: { status: to, updatedAt: new Date(), ...extra },
+        $push: { statusHistory: orderLifecycleService.historyEntry(null, to, actor, reason) }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!purchaseOrder) {
+      const existing = await this.getPurchaseOrder(purchaseOrderId);
+      throw createHttpError(`Purchase order is ${existing.status}; it cannot be moved to ${to}`, 409, { status: existing.status });
+    }
+
+    return purchaseOrder;
+  }
+
+  // Recompute a supplier's delivery figures from its purchase orders. Only orders with receipts count:
+  // an order is on time when every delivery against it arrived by its expected date, and its value is
+  // what was actually received. Quality and communication scores stay with the buyers.
+  async refreshSupplierPerformance(supplierId) {
+    await this.initialize();
+
+    const [delivered] = await this.db.collection('purchaseOrders').aggregate([
+      { $match: { supplierId, 'receipts.0': { $exists: true } } },
+      {
+        $project: {
+          onTime: { $allElementsTrue: ['$receipts.onTime'] },
+          receivedValue: {
+            $sum: { $map: { input: '$items', as: 'line', in: { $multiply: ['$$line.receivedQuantity', '$$line.unitCost'] } } }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          onTime: { $sum: { $cond: ['$onTime', 1, 0] } },
+          averageValue: { $avg: '$receivedValue' }
+        }
+      }
+    ]).toArray();
+
+    const [latest] = await this.db.collection('purchaseOrders')
+      .find({ supplierId, status: { $in: PLACED_STATUSES } }, { projection: { sentAt: 1 } })
+      .sort({ sentAt: -1 })
+      .limit(1)
+      .toArray();
+
+    const now = new Date();
+    await this.db.collection('suppliers').updateOne(
+      { _id: supplierId },
+      {
+        $set: {
+          'performance.onTimeDelivery': delivered ? Math.round((delivered.onTime / delivered.orders) * 1000) / 10 : 0,
+          'performance.totalOrders': delivered ? delivered.orders : 0,
+          'performance.averageOrderValue': delivered ? roundAmount(delivered.averageValue, currencyService.baseCurrency) : 0,
+          'performance.lastOrderDate': latest ? latest.sentAt : null,
+          'performance.lastUpdated': now,
+          updatedAt: now
+        }
+      }
+    );
+  }
+}
+
+module.exports = new PurchaseOrderService();
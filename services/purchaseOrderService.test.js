@@ -0,0 +1,94 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const purchaseOrderService = require('./purchaseOrderService');
+
+async function sentPurchaseOrder(quantity = 10) {
+  const db = getDB();
+  const supplier = { _id: new ObjectId(), name: 'Acme Supply', leadTime: 5 };
+  const { insertedId: inventoryId } = await db.collection('inventory').insertOne({
+    productId: 'product-1',
+    sku: 'SKU-1',
+    location: { warehouse: 'main' },
+    status: 'active',
+    currentStock: 0,
+    reservedStock: 0,
+    availableStock: 0
+  });
+  await db.collection('suppliers').insertOne(supplier);
+
+  await purchaseOrderService.initialize();
+  const draft = await purchaseOrderService.createDraft(
+    {
+      supplier,
+      warehouse: 'main',
+      suggestions: [{ inventoryId, productId: 'product-1', sku: 'SKU-1', productName: 'Sneaker', suggestedQuantity: quantity, unitCost: 20 }]
+    },
+    new Map(),
+    'buyer'
+  );
+  await purchaseOrderService.approve(draft.id, 'buyer');
+  const purchaseOrder = await purchaseOrderService.markSent(draft.id, { via: 'email' }, 'buyer');
+
+  return { purchaseOrder, inventoryId };
+}
+
+describe('purchaseOrderService.receive', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('books a partial delivery into stock', async () => {
+    const { purchaseOrder, inventoryId } = await sentPurchaseOrder(10);
+
+    const received = await purchaseOrderService.receive(purchaseOrder.id, { items: [{ lineId: 'line-1', quantity: 4 }] }, 'clerk');
+
+    expect(received.status).toBe('partially_received');
+    expect(received.items[0].receivedQuantity).toBe(4);
+    const inventory = await getDB().collection('inventory').findOne({ _id: inventoryId });
+    expect(inventory).toMatchObject({ currentStock: 4, availableStock: 4 });
+  });
+
+  it('rejects a delivery larger than what is still expected', async () => {
+    const { purchaseOrder, inventoryId } = await sentPurchaseOrder(10);
+    await purchaseOrderService.receive(purchaseOrder.id, { items: [{ lineId: 'line-1', quantity: 7 }] }, 'clerk');
+
+    await expect(
+      purchaseOrderService.receive(purchaseOrder.id, { items: [{ lineId: 'line-1', quantity: 4 }] }, 'clerk')
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Only 3 of SKU-1 are still expected', details: { lineId: 'line-1', outstanding: 3 } });
+
+    const inventory = await getDB().collection('inventory').findOne({ _id: inventoryId });
+    expect(inventory.currentStock).toBe(7);
+  });
+
+  it('counts repeated lines of one delivery together', async () => {
+    const { purchaseOrder } = await sentPurchaseOrder(10);
+
+    await expect(
+      purchaseOrderService.receive(
+        purchaseOrder.id,
+        { items: [{ lineId: 'line-1', quantity: 6 }, { lineId: 'line-1', quantity: 5 }] },
+        'clerk'
+      )
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Only 10 of SKU-1 are still expected' });
+
+    const stored = await purchaseOrderService.getPurchaseOrder(purchaseOrder.id);
+    expect(stored.items[0].receivedQuantity).toBe(0);
+  });
+
+  it('refuses further deliveries once the order is received in full', async () => {
+    const { purchaseOrder } = await sentPurchaseOrder(10);
+    const received = await purchaseOrderService.receive(purchaseOrder.id, { items: [{ lineId: 'line-1', quantity: 10 }] }, 'clerk');
+    expect(received.status).toBe('received');
+
+    await expect(
+      purchaseOrderService.receive(purchaseOrder.id, { items: [{ lineId: 'line-1', quantity: 1 }] }, 'clerk')
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,443 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const { parseCsvRecords } = require('../utils/csv');
+const { roundAmount } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+// Settlement report headers for each field, lowercased. Covers Stripe's itemized payout reconciliation report,
+// PayPal's activity download and a plain layout (transactionId, type, amount, fee, net, currency, date).
+const COLUMN_ALIASES = {
+  reference: ['transactionid', 'transaction_id', 'transaction id', 'payment_intent_id', 'source_id', 'reference', 'id'],
+  // PayPal refunds have their own transaction ID and name the refunded capture here
+  parentReference: ['reference txn id'],
+  type: ['type', 'reporting_category', 'transaction type', 'category'],
+  amount: ['amount', 'gross'],
+  fee: ['fee', 'fees'],
+  net: ['net', 'net amount'],
+  currency: ['currency'],
+  date: ['date', 'created', 'created_utc', 'available_on', 'settled_at']
+};
+
+// Difference below which two amounts are treated as equal
+const AMOUNT_TOLERANCE = 0.005;
+
+// Payment statuses that mean the provider should have settled the money
+const SETTLED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed', 'charged_back'];
+
+// Settlement line type from the provider's own wording
+const lineType = rawType => {
+  const type = String(rawType || '').toLowerCase();
+
+  if (!type) return 'charge';
+  if (/refund|reversal/.test(type)) return 'refund';
+  if (/dispute|chargeback/.test(type)) return 'dispute';
+  if (/payout|transfer|withdrawal/.test(type)) return 'payout';
+  if (/fee/.test(type)) return 'fee';
+  if (/charge|payment|sale|checkout/.test(type)) return 'charge';
+
+  return 'other';
+};
+
+// Amounts may carry thousands separators or a currency sign; fees and refunds are often negative
+const parseAmount = value => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(amount) ? null : amount;
+};
+
+const parseDate = value => {
+  if (!value) {
+    return null;
+  }
+
+  // Stripe reports Unix timestamps
+  const date = /^\d{9,10}$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const sameAmount = (a, b) => Math.abs((a || 0) - (b || 0)) < AMOUNT_TOLERANCE;
+
+class ReconciliationService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('reconciliations').createIndex({ id: 1 }, { unique: true });
+      // The same report uploaded twice would double every line
+      await this.db.collection('reconciliations').createIndex({ provider: 1, fileHash: 1 }, { unique: true });
+      await this.db.collection('reconciliations').createIndex({ createdAt: -1 });
+      await this.db.collection('reconciliationLines').createIndex({ reconciliationId: 1, lineNumber: 1 });
+      await this.db.collection('reconciliationLines').createIndex({ reconciliationId: 1, status: 1 });
+    }
+  }
+
+  // Map one CSV record to a settlement line using the first header alias present
+  readLine(record, headers) {
+    const lookup = Object.fromEntries(headers.map(header => [header.toLowerCase(), header]));
+    const field = name => {
+      const header = COLUMN_ALIASES[name].find(alias => lookup[alias] && record[lookup[alias]] !== '');
+      return header ? record[lookup[header]] : null;
+    };
+
+    const type = lineType(field('type'));
+    const amount = parseAmount(field('amount'));
+    const fee = parseAmount(field('fee'));
+    const net = parseAmount(field('net'));
+
+    return {
+      reference: (type === 'refund' && field('parentReference')) || field('reference'),
+      rawType: field('type'),
+      type,
+      currency: field('currency') ? field('currency').toUpperCase() : null,
+      amount: amount !== null ? Math.abs(amount) : null,
+      fee: fee !== null ? Math.abs(fee) : null,
+      net,
+      occurredAt: parseDate(field('date'))
+    };
+  }
+
+  // Compare one settlement line with our payment record
+  checkLine(line, payment, seen) {
+    const issues = [];
+
+    if (!payment) {
+      return [{ type: 'missing_payment', message: `No ${line.reference ? `payment with transaction ${line.reference}` : 'transaction ID on this line'} in our records` }];
+    }
+
+    // Providers that convert report the amounts they paid out in our settlement currency
+    const settled = Boolean(payment.settlement && line.currency && line.currency !== payment.currency && line.currency === payment.settlement.currency);
+    const rate = settled ? payment.exchangeRate || 1 : 1;
+    const expected = settled
+      ? { capturedAmount: payment.settlement.amount, fees: payment.settlement.fees, refundedAmount: payment.settlement.refundedAmount }
+      : { capturedAmount: payment.capturedAmount, fees: payment.fees, refundedAmount: payment.refundedAmount };
+
+    if (line.currency && payment.currency && line.currency !== payment.currency && !settled) {
+      issues.push({ type: 'currency_mismatch', message: 'Settled in a different currency', expected: payment.currency, actual: line.currency });
+    }
+
+    switch (line.type) {
+      case 'charge':
+        if (seen.charges.has(payment.id)) {
+          issues.push({ type: 'duplicate', message: 'Payment is settled more than once in this report' });
+        }
+        seen.charges.add(payment.id);
+
+        if (line.amount !== null && !sameAmount(line.amount, expected.capturedAmount)) {
+          issues.push({ type: 'amount_mismatch', message: 'Settled amount differs from the captured amount', expected: expected.capturedAmount || 0, actual: line.amount });
+        }
+        if (line.fee !== null && !sameAmount(line.fee, expected.fees)) {
+          issues.push({ type: 'unexpected_fee', message: 'Provider fee differs from the recorded fee', expected: expected.fees || 0, actual: line.fee });
+        }
+        break;
+      case 'refund': {
+        // Each recorded refund can account for one settlement line
+        const refund = (payment.refunds || []).find(entry =>
+          entry.status !== 'failed' && !seen.refunds.has(entry.id) && sameAmount(roundAmount(entry.amount / rate, line.currency), line.amount)
+        );
+
+        if (refund) {
+          seen.refunds.add(refund.id);
+        } else {
+          issues.push({ type: 'amount_mismatch', message: 'No recorded refund for this amount', expected: expected.refundedAmount || 0, actual: line.amount });
+        }
+        break;
+      }
+      case 'dispute':
+        if (!payment.dispute) {
+          issues.push({ type: 'unrecorded_dispute', message: 'Provider reports a dispute we have not recorded' });
+        }
+        break;
+      case 'fee':
+        issues.push({ type: 'unexpected_fee', message: 'Separate fee charged against this payment', expected: 0, actual: line.amount });
+        break;
+    }
+
+    return issues;
+  }
+
+  // Parse a settlement report, match every line to our payments and store the result
+  async createReconciliation({ provider, fileName, content, periodStart, periodEnd, actor }) {
+    await this.initialize();
+
+    const { headers, records } = parseCsvRecords(content);
+    const lowered = headers.map(header => header.toLowerCase());
+
+    if (records.length === 0) {
+      throw createHttpError('Settlement file has no lines', 400);
+    }
+
+    if (!COLUMN_ALIASES.reference.some(alias => lowered.includes(alias)) || !COLUMN_ALIASES.amount.some(alias => lowered.includes(alias))) {
+      throw createHttpError('Settlement file needs a transaction ID column and an amount column', 400, {
+        transactionId: COLUMN_ALIASES.reference,
+        amount: COLUMN_ALIASES.amount
+      });
+    }
+
+    const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+    const existing = await this.db.collection('reconciliations').findOne({ provider, fileHash });
+
+    if (existing) {
+      throw createHttpError('This settlement file has already been uploaded', 409, { reconciliationId: existing.id });
+    }
+
+    const lines = records.map((record, index) => ({ lineNumber: index + 2, ...this.readLine(record, headers) }));
+
+    // Providers report either our transaction ID or the capture behind it
+    const references = [...new Set(lines.map(line => line.reference).filter(Boolean))];
+    const payments = await this.db.collection('payments')
+      .find({ provider, $or: [{ transactionId: { $in: references } }, { captureId: { $in: references } }] })
+      .toArray();
+    const paymentsByReference = new Map();
+    payments.forEach(payment => {
+      paymentsByReference.set(payment.transactionId, payment);
+      if (payment.captureId) paymentsByReference.set(payment.captureId, payment);
+    });
+
+    const id = `rec_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date();
+    const seen = { charges: new Set(), refunds: new Set() };
+
+    const lineDocuments = lines.map(line => {
+      const ignored = line.type === 'payout' || line.type === 'other';
+      const payment = ignored ? null : paymentsByReference.get(line.reference);
+      const issues = ignored ? [] : this.checkLine(line, payment, seen);
+
+      return {
+        reconciliationId: id,
+        source: 'settlement',
+        ...line,
+        paymentId: payment ? payment.id : null,
+        orderNumber: payment ? payment.orderNumber : null,
+        status: ignored ? 'ignored' : (issues.length > 0 ? 'flagged' : 'matched'),
+        issues,
+        resolution: null,
+        createdAt: now
+      };
+    });
+
+    // Payments we settled in the report's period that the provider never paid out
+    const dates = lines.map(line => line.occurredAt).filter(Boolean);
+    const period = {
+      from: periodStart ? new Date(periodStart) : dates.reduce((min, date) => (!min || date < min ? date : min), null),
+      to: periodEnd ? new Date(periodEnd) : dates.reduce((max, date) => (!max || date > max ? date : max), null)
+    };
+
+    if (period.from && period.to) {
+      const unsettled = await this.db.collection('payments')
+        .find({
+          provider,
+          status: { $in: SETTLED_STATUSES },
+          processedAt: { $gte: period.from, $lte: period.to },
+          id: { $nin: [...seen.charges] }
+        })
+        .toArray();
+
+      unsettled.forEach(payment => {
+        lineDocuments.push({
+          reconciliationId: id,
+          source: 'records',
+          lineNumber: null,
+          reference: payment.transactionId,
+          rawType: null,
+          type: 'charge',
+          currency: payment.currency,
+          amount: payment.capturedAmount,
+          fee: payment.fees,
+          net: payment.netAmount,
+          occurredAt: payment.processedAt,
+          paymentId: payment.id,
+          orderNumber: payment.orderNumber,
+          status: 'flagged',
+          issues: [{ type: 'missing_from_settlement', message: 'Captured payment is not in the settlement report' }],
+          resolution: null,
+          createdAt: now
+        });
+      });
+    }
+
+    const reconciliation = {
+      id,
+      provider,
+      fileName,
+      fileHash,
+      period,
+      status: 'open',
+      totals: this.totals(lineDocuments),
+      summary: null,
+      uploadedBy: actor,
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null
+    };
+
+    try {
+      await this.db.collection('reconciliations').insertOne(reconciliation);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createHttpError('This settlement file has already been uploaded', 409);
+      }
+      throw error;
+    }
+
+    await this.db.collection('reconciliationLines').insertMany(lineDocuments);
+
+    return this.refreshSummary(id);
+  }
+
+  // Settled money per currency, from the report's own lines
+  totals(lines) {
+    return lines
+      .filter(line => line.source === 'settlement')
+      .reduce((acc, line) => {
+        const currency = line.currency || 'unknown';
+        const sign = line.type === 'refund' || line.type === 'dispute' ? -1 : 1;
+        const totals = acc[currency] || (acc[currency] = { gross: 0, fees: 0, net: 0 });
+
+        if (line.type !== 'payout') {
+          totals.gross = roundAmount(totals.gross + sign * (line.amount || 0), currency);
+          totals.fees = roundAmount(totals.fees + (line.fee || 0), currency);
+          totals.net = roundAmount(totals.net + (line.net !== null ? line.net : sign * (line.amount || 0) - (line.fee || 0)), currency);
+        }
+
+        return acc;
+      }, {});
+  }
+
+  // Recount the lines and close the report once nothing is left to resolve
+  async refreshSummary(reconciliationId) {
+    const [counts] = await this.db.collection('reconciliationLines').aggregate([
+      { $match: { reconciliationId } },
+      {
+        $facet: {
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          byIssue: [
+            { $unwind: '$issues' },
+            { $group: { _id: '$issues.type', count: { $sum: 1 }, open: { $sum: { $cond: [{ $eq: ['$status', 'flagged'] }, 1, 0] } } } }
+          ]
+        }
+      }
+    ]).toArray();
+
+    const byStatus = Object.fromEntries(counts.byStatus.map(entry => [entry._id, entry.count]));
+    const summary = {
+      lines: counts.byStatus.reduce((sum, entry) => sum + entry.count, 0),
+      matched: byStatus.matched || 0,
+      flagged: byStatus.flagged || 0,
+      resolved: byStatus.resolved || 0,
+      ignored: byStatus.ignored || 0,
+      byIssue: Object.fromEntries(counts.byIssue.map(entry => [entry._id, { count: entry.count, open: entry.open }]))
+    };
+    const now = new Date();
+    const status = summary.flagged === 0 ? 'resolved' : 'open';
+
+    return this.db.collection('reconciliations').findOneAndUpdate(
+      { id: reconciliationId },
+      { $set: { summary, status, resolvedAt: status === 'resolved' ? now : null, updatedAt: now } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+
+  async getReconciliations({ provider, status, page = 1, limit = 20 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [reconciliations, total] = await Promise.all([
+      this.db.collection('reconciliations')
+        .find(query, { projection: { _id: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('reconciliations').countDocuments(query)
+    ]);
+
+    return {
+      reconciliations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  // The report with its lines, optionally only those in one status or with one issue
+  async getReconciliation(reconciliationId, { status, issue, page = 1, limit = 100 } = {}) {
+    await this.initialize();
+
+    const reconciliation = await this.db.collection('reconciliations').findOne({ id: reconciliationId }, { projection: { _id: 0 } });
+
+    if (!reconciliation) {
+      throw createHttpError('Reconciliation not found', 404);
+    }
+
+    const query = { reconciliationId };
+    if (status) query.status = status;
+    if (issue) query['issues.type'] = issue;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [lines, total] = await Promise.all([
+      this.db.collection('reconciliationLines')
+        .find(query)
+        .sort({ source: -1, lineNumber: 1, _id: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('reconciliationLines').countDocuments(query)
+    ]);
+
+    return {
+      reconciliation,
+      lines: lines.map(({ _id, ...line }) => ({ id: _id.toString(), ...line })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  // Mark one flagged line as dealt with
+  async resolveLine(reconciliationId, lineId, { note, actor }) {
+    await this.initialize();
+
+    if (!ObjectId.isValid(lineId)) {
+      throw createHttpError('Invalid line ID', 400);
+    }
+
+    const line = await this.db.collection('reconciliationLines').findOneAndUpdate(
+      { _id: new ObjectId(lineId), reconciliationId, status: 'flagged' },
+      { $set: { status: 'resolved', resolution: { note, resolvedBy: actor, resolvedAt: new Date() } } },
+      { returnDocument: 'after' }
+    );
+
+    if (!line) {
+      const existing = await this.db.collection('reconciliationLines').findOne({ _id: new ObjectId(lineId), reconciliationId });
+
+      if (!existing) {
+        throw createHttpError('Reconciliation line not found', 404);
+      }
+      throw createHttpError(`Line is ${existing.status}; only flagged lines can be resolved`, 409);
+    }
+
+    const reconciliation = await this.refreshSummary(reconciliationId);
+    const { _id, ...rest } = line;
+
+    return { line: { id: _id.toString(), ...rest }, reconciliation };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,367 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const paymentService = require('./paymentService');
+const orderLifecycleService = require('./orderLifecycleService');
+const reservationService = require('./reservationService');
+const shipmentService = require('./shipmentService');
+const { roundAmount } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+// Refunds that still count against what can be refunded
+const OPEN_STATUSES = ['pending', 'approved', 'processing', 'completed'];
+
+// Allowance for floating point drift when comparing refund totals with the captured amount
+const AMOUNT_EPSILON = 0.000001;
+
+class RefundService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('refunds').createIndex({ id: 1 });
+      await this.db.collection('refunds').createIndex({ orderId: 1, status: 1 });
+      await this.db.collection('refunds').createIndex({ requestedAt: -1 });
+    }
+  }
+
+  async getOrder(orderId) {
+    if (!ObjectId.isValid(orderId)) {
+      throw createHttpError('Invalid order ID', 400);
+    }
+
+    const order = await this.db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+
+    if (!order) {
+      throw createHttpError('Order not found', 404);
+    }
+
+    return order;
+  }
+
+  async getRefunds({ status, orderId, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (status) query.status = status;
+    if (orderId) query.orderId = orderId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [refunds, total] = await Promise.all([
+      this.db.collection('refunds')
+        .find(query, { projection: { _id: 0 } })
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('refunds').countDocuments(query)
+    ]);
+
+    return {
+      refunds,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  async getRefund(refundId) {
+    await this.initialize();
+
+    const refund = await this.db.collection('refunds').findOne({ id: refundId }, { projection: { _id: 0 } });
+
+    if (!refund) {
+      throw createHttpError('Refund not found', 404);
+    }
+
+    return refund;
+  }
+
+  // What one unit of a line cost the customer: after its discount, with tax charged on top
+  unitRefund(order, item) {
+    const tax = item.tax && !order.pricesIncludeTax ? item.tax.amount || 0 : 0;
+    return ((item.total || 0) - (item.discountAmount || 0) + tax) / item.quantity;
+  }
+
+  // Units of each line and the amount already taken by open refunds
+  async refundedSoFar(orderId) {
+    const refunds = await this.db.collection('refunds')
+      .find({ orderId, status: { $in: OPEN_STATUSES } })
+      .toArray();
+
+    const quantities = {};
+    refunds.forEach(refund => {
+      (refund.items || []).forEach(line => {
+        quantities[line.itemId] = (quantities[line.itemId] || 0) + line.quantity;
+      });
+    });
+
+    return {
+      amount: refunds.reduce((sum, refund) => sum + (refund.amount || 0), 0),
+      quantities,
+      fullRefund: refunds.some(refund => refund.type === 'full')
+    };
+  }
+
+  // Ask for a refund of the whole order, or of some units of some lines
+  async requestRefund(orderId, { items, reason, notes, restock = true }, actor) {
+    await this.initialize();
+
+    const order = await this.getOrder(orderId);
+
+    if (order.paymentStatus !== 'completed') {
+      throw createHttpError('Only paid orders can be refunded', 409, { paymentStatus: order.paymentStatus });
+    }
+
+    const payment = await paymentService.getForOrder(orderId);
+    const captured = payment ? payment.capturedAmount : order.totalAmount;
+    const soFar = await this.refundedSoFar(orderId);
+    const currency = order.currency;
+
+    if (soFar.fullRefund) {
+      throw createHttpError('A refund of the whole order is already open or done', 409);
+    }
+
+    let lines;
+    if (items && items.length > 0) {
+      lines = items.map(line => {
+        const item = (order.items || []).find(entry => entry.id === line.itemId);
+
+        if (!item) {
+          throw createHttpError(`Item ${line.itemId} is not on this order`, 400);
+        }
+
+        const left = item.quantity - (soFar.quantities[item.id] || 0);
+        if (line.quantity > left) {
+          throw createHttpError(`Only ${left} of item ${item.id} can still be refunded`, 409, { itemId: item.id, refundable: left });
+        }
+
+        return { item, quantity: line.quantity, restock: line.restock !== undefined ? line.restock : restock };
+      });
+    } else {
+      // Everything not yet refunded, shipping included
+      lines = (order.items || [])
+        .map(item => ({ item, quantity: item.quantity - (soFar.quantities[item.id] || 0), restock }))
+        .filter(line => line.quantity > 0);
+    }
+
+    const type = items && items.length > 0 ? 'items' : 'full';
+    // Refunds issued at the provider show only on the payment
+    const refundable = roundAmount(captured - Math.max(soFar.amount, payment ? payment.refundedAmount || 0 : 0), currency);
+    const amount = type === 'full'
+      ? refundable
+      : roundAmount(lines.reduce((sum, line) => sum + this.unitRefund(order, line.item) * line.quantity, 0), currency);
+
+    if (amount <= 0) {
+      throw createHttpError('Nothing left to refund on this order', 409);
+    }
+
+    if (amount > refundable + AMOUNT_EPSILON) {
+      throw createHttpError('Refund exceeds the amount still refundable', 409, { requested: amount, refundable });
+    }
+
+    const now = new Date();
+    const refund = {
+      id: `ref_${crypto.randomBytes(8).toString('hex')}`,
+      orderId,
+      orderNumber: order.orderNumber,
+      paymentId: payment ? payment.id : null,
+      type,
+      items: lines.map(({ item, quantity, restock: returned }) => ({
+        itemId: item.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name,
+        quantity,
+        amount: roundAmount(this.unitRefund(order, item) * quantity, currency),
+        restock: Boolean(returned)
+      })),
+      amount,
+      currency,
+      reason,
+      notes: notes || '',
+      status: 'pending',
+      requestedAt: now,
+      requestedBy: actor,
+      decision: null,
+      paymentRefundId: null,
+      restocked: [],
+      failureReason: null,
+      processedAt: null,
+      statusHistory: [orderLifecycleService.historyEntry(null, 'pending', actor, reason)]
+    };
+
+    await this.db.collection('refunds').insertOne(refund);
+
+    console.log(`💸 Refund ${refund.id} of ${amount} ${currency} requested for order ${order.orderNumber} by ${actor}`);
+
+    const { _id, ...stored } = refund;
+    return stored;
+  }
+
+  // Move a refund from one status to another, only if no one else moved it first
+  async moveRefund(refundId, from, to, actor, reason, extra = {}) {
+    const refund = await this.db.collection('refunds').findOneAndUpdate(
+      { id: refundId, status: { $in: from } },
+      {
+        $set: { status: to, updatedAt: new Date(), ...extra },
+        $push: { statusHistory: orderLifecycleService.historyEntry(null, to, actor, reason) }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!refund) {
+      const existing = await this.getRefund(refundId);
+      throw createHttpError(`Refund is ${existing.status}; it cannot be moved to ${to}`, 409, { status: existing.status });
+    }
+
+    return refund;
+  }
+
+  async reject(refundId, reason, actor) {
+    await this.initialize();
+
+    return this.moveRefund(refundId, ['pending'], 'rejected', actor, reason, {
+      decision: { action: 'reject', by: actor, reason, at: new Date() }
+    });
+  }
+
+  // Approving a refund pays it out straight away
+  async approve(refundId, reason, actor) {
+    await this.initialize();
+
+    await this.moveRefund(refundId, ['pending'], 'approved', actor, reason, {
+      decision: { action: 'approve', by: actor, reason, at: new Date() }
+    });
+
+    return this.execute(refundId, actor);
+  }
+
+  // Pay out an approved refund through the order's payment provider, then restock and update the order
+  async execute(refundId, actor) {
+    await this.initialize();
+
+    // Failed refunds can be tried again
+    const refund = await this.moveRefund(refundId, ['approved', 'failed'], 'processing', actor, 'Sending to the payment provider');
+    const order = await this.getOrder(refund.orderId);
+    const payment = await paymentService.getForOrder(refund.orderId);
+
+    let result;
+    try {
+      if (!payment) {
+        throw createHttpError('Order has no payment to refund', 409);
+      }
+
+      // The payment reserves the amount atomically, so refunds never add up to more than was captured
+      result = await paymentService.refund(payment.id, refund.amount, {
+        reason: refund.reason,
+        actor,
+        idempotencyKey: `refund-${refund.id}`
+      });
+    } catch (error) {
+      await this.moveRefund(refundId, ['processing'], 'failed', actor, error.message, { failureReason: error.message });
+      throw error;
+    }
+
+    const restocked = await this.restock(order, refund);
+
+    const completed = await this.moveRefund(refundId, ['processing'], 'completed', actor, 'Refunded', {
+      paymentId: payment.id,
+      paymentRefundId: result.refund.id,
+      providerRefundStatus: result.refund.status,
+      restocked,
+      failureReason: null,
+      processedAt: new Date(),
+      processedBy: actor
+    });
+
+    await this.updateOrderStatus(order, result.payment, actor);
+
+    console.log(`💸 Refund ${refund.id} paid out for order ${order.orderNumber} (${result.refund.status})`);
+
+    return completed;
+  }
+
+  // Returned units go back to the warehouse they left from; units that never shipped were never taken out
+  async restock(order, refund) {
+    const shipped = shipmentService.shippedQuantities(order);
+    const alreadyRestocked = {};
+
+    const previous = await this.db.collection('refunds')
+      .find({ orderId: refund.orderId, status: 'completed', id: { $ne: refund.id } })
+      .toArray();
+    previous.forEach(entry => {
+      (entry.restocked || []).forEach(line => {
+        alreadyRestocked[line.itemId] = (alreadyRestocked[line.itemId] || 0) + line.quantity;
+      });
+    });
+
+    const lines = refund.items
+      .filter(line => line.restock)
+      .map(line => {
+        const item = order.items.find(entry => entry.id === line.itemId);
+        const shipment = (order.shipments || []).find(entry => entry.items.some(shippedLine => shippedLine.itemId === line.itemId));
+        const returnable = (shipped[line.itemId] || 0) - (alreadyRestocked[line.itemId] || 0);
+
+        return { item, quantity: Math.min(line.quantity, returnable), warehouse: shipment ? shipment.warehouse : null };
+      })
+      .filter(line => line.item && line.quantity > 0);
+
+    return lines.length > 0 ? reservationService.restockItems(order, lines, 'refund_restock', { type: 'refund', id: refund.id }) : [];
+  }
+
+  // The order follows its payment: refunded once everything captured went back, partially refunded before that
+  async updateOrderStatus(order, payment, actor) {
+    const status = payment.refundedAmount >= payment.capturedAmount - AMOUNT_EPSILON ? 'refunded' : 'partially_refunded';
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id },
+      { $set: { refundStatus: status, updatedAt: new Date() } }
+    );
+
+    if (order.status !== status && orderLifecycleService.allowedTransitions(order.status).includes(status)) {
+      await orderLifecycleService.transition(order._id.toString(), status, { actor, reason: 'Refund paid out' });
+    }
+  }
+
+  async getSummary() {
+    await this.initialize();
+
+    const [byStatus, byReason, timing] = await Promise.all([
+      this.db.collection('refunds').aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]).toArray(),
+      this.db.collection('refunds').aggregate([
+        { $group: { _id: '$reason', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]).toArray(),
+      this.db.collection('refunds').aggregate([
+        { $match: { processedAt: { $ne: null } } },
+        { $group: { _id: null, averageMs: { $avg: { $subtract: ['$processedAt', '$requestedAt'] } } } }
+      ]).toArray()
+    ]);
+
+    const statuses = Object.fromEntries(byStatus.map(entry => [entry._id, entry]));
+    const amountIn = names => names.reduce((sum, name) => sum + (statuses[name] ? statuses[name].amount : 0), 0);
+
+    return {
+      totalRefunds: byStatus.reduce((sum, entry) => sum + entry.count, 0),
+      totalAmount: byStatus.reduce((sum, entry) => sum + entry.amount, 0),
+      pendingAmount: amountIn(['pending', 'approved', 'processing']),
+      refundedAmount: amountIn(['completed']),
+      rejectedAmount: amountIn(['rejected']),
+      failedAmount: amountIn(['failed']),
+      byStatus: Object.fromEntries(byStatus.map(entry => [entry._id, entry.count])),
+      byReason: Object.fromEntries(byReason.map(entry => [entry._id, entry.count])),
+      averageProcessingTime: timing[0] ? Math.round(timing[0].averageMs / (1000 * 60 * 60)) : 0 // Hours
+    };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,141 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const refundService = require('./refundService');
+const paymentService = require('./paymentService');
+
+// Two lines worth 100 in total, of which only 80 was captured
+async function paidOrder({ capturedAmount = 80, refundedAmount = 0 } = {}) {
+  const db = getDB();
+  const orderId = new ObjectId();
+
+  await db.collection('orders').insertOne({
+    _id: orderId,
+    orderNumber: 'ORD-1',
+    status: 'delivered',
+    paymentStatus: 'completed',
+    currency: 'EUR',
+    totalAmount: 100,
+    items: [
+      { id: 'item-1', productId: 'product-1', name: 'Sneaker', quantity: 2, total: 60, discountAmount: 0 },
+      { id: 'item-2', productId: 'product-2', name: 'Hoodie', quantity: 1, total: 40, discountAmount: 0 }
+    ]
+  });
+  await db.collection('payments').insertOne({
+    id: 'pay_1',
+    orderId: orderId.toString(),
+    orderNumber: 'ORD-1',
+    provider: 'fake',
+    transactionId: 'fake_pi_1',
+    status: refundedAmount > 0 ? 'partially_refunded' : 'completed',
+    amount: 100,
+    currency: 'EUR',
+    capturedAmount,
+    refundedAmount,
+    refunds: [],
+    createdAt: new Date()
+  });
+
+  return orderId.toString();
+}
+
+describe('refund caps', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refundService.requestRefund', () => {
+    it('refunds the whole order for what was captured, not the order total', async () => {
+      const orderId = await paidOrder();
+
+      const refund = await refundService.requestRefund(orderId, { reason: 'Changed mind' }, 'admin');
+
+      expect(refund).toMatchObject({ type: 'full', amount: 80, status: 'pending' });
+    });
+
+    it('rejects lines worth more than was captured', async () => {
+      const orderId = await paidOrder();
+
+      await expect(refundService.requestRefund(orderId, {
+        items: [{ itemId: 'item-1', quantity: 2 }, { itemId: 'item-2', quantity: 1 }],
+        reason: 'Damaged'
+      }, 'admin')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Refund exceeds the amount still refundable',
+        details: { requested: 100, refundable: 80 }
+      });
+    });
+
+    it('counts open refunds against what is left', async () => {
+      const orderId = await paidOrder();
+      await refundService.requestRefund(orderId, { items: [{ itemId: 'item-1', quantity: 2 }], reason: 'Damaged' }, 'admin');
+
+      await expect(refundService.requestRefund(orderId, {
+        items: [{ itemId: 'item-2', quantity: 1 }],
+        reason: 'Damaged'
+      }, 'admin')).rejects.toMatchObject({ statusCode: 409, details: { requested: 40, refundable: 20 } });
+    });
+
+    it('frees the amount of a rejected refund', async () => {
+      const orderId = await paidOrder();
+      const first = await refundService.requestRefund(orderId, { items: [{ itemId: 'item-1', quantity: 2 }], reason: 'Damaged' }, 'admin');
+      await refundService.reject(first.id, 'Not eligible', 'admin');
+
+      const second = await refundService.requestRefund(orderId, { items: [{ itemId: 'item-1', quantity: 2 }], reason: 'Damaged' }, 'admin');
+
+      expect(second.amount).toBe(60);
+    });
+
+    it('rejects more units of a line than are left to refund', async () => {
+      const orderId = await paidOrder();
+      await refundService.requestRefund(orderId, { items: [{ itemId: 'item-1', quantity: 1 }], reason: 'Damaged' }, 'admin');
+
+      await expect(refundService.requestRefund(orderId, {
+        items: [{ itemId: 'item-1', quantity: 2 }],
+        reason: 'Damaged'
+      }, 'admin')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Only 1 of item item-1 can still be refunded',
+        details: { itemId: 'item-1', refundable: 1 }
+      });
+    });
+
+    it('refuses a second refund of the whole order', async () => {
+      const orderId = await paidOrder();
+      await refundService.requestRefund(orderId, { reason: 'Changed mind' }, 'admin');
+
+      await expect(refundService.requestRefund(orderId, { reason: 'Changed mind' }, 'admin'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'A refund of the whole order is already open or done' });
+    });
+  });
+
+  describe('paymentService.refund', () => {
+    it('pays out up to the captured amount and marks the payment refunded', async () => {
+      await paidOrder({ capturedAmount: 80, refundedAmount: 50 });
+
+      const { payment, refund } = await paymentService.refund('pay_1', 30, { actor: 'admin' });
+
+      expect(refund).toMatchObject({ amount: 30, status: 'completed' });
+      expect(payment).toMatchObject({ refundedAmount: 80, status: 'refunded' });
+    });
+
+    it('refuses to give back more than was captured and leaves the payment as it was', async () => {
+      await paidOrder({ capturedAmount: 80, refundedAmount: 50 });
+
+      await expect(paymentService.refund('pay_1', 30.01, { actor: 'admin' })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Refund exceeds the amount still refundable',
+        details: { capturedAmount: 80, refundedAmount: 50, refundable: 30 }
+      });
+
+      const payment = await paymentService.getPayment('pay_1');
+      expect(payment).toMatchObject({ refundedAmount: 50, refunds: [] });
+    });
+  });
+});
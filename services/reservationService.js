@@ -0,0 +1,590 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const { createHttpError } = require('../utils/httpError');
+const warehouseService = require('./warehouseService');
+const stockLedgerService = require('./stockLedgerService');
+
+class ReservationService {
+  constructor() {
+    this.db = null;
+    this.cartHoldMinutes = parseInt(process.env.CART_RESERVATION_MINUTES) || 15;
+    this.checkoutHoldMinutes = parseInt(process.env.CHECKOUT_RESERVATION_MINUTES) || 30;
+    this.sweepInterval = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('stockReservations').createIndex({ status: 1, expiresAt: 1 });
+      await this.db.collection('stockReservations').createIndex({ userId: 1, status: 1 });
+      await this.db.collection('stockReservations').createIndex({ orderId: 1, status: 1 });
+    }
+  }
+
+  // Start the background job that releases expired holds
+  startExpiryJob(intervalMs = 60 * 1000) {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.releaseExpired().catch(error => {
+        console.error('Error releasing expired reservations:', error);
+      });
+    }, intervalMs);
+
+    // Do not keep the process alive just for the sweeper
+    this.sweepInterval.unref();
+    console.log(`⏱️ Stock reservation expiry job running every ${intervalMs / 1000}s`);
+  }
+
+  stopExpiryJob() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+
+  // Hold stock for a cart line so it cannot be sold to someone else, from the warehouse
+  // that best serves the destination when one is known
+  async holdCartItem(userId, item, quantity, { holdMinutes = this.cartHoldMinutes, destination = null } = {}) {
+    await this.initialize();
+
+    const inventory = await this.allocateInventory(item, quantity, destination);
+
+    // Products without an inventory record are not reservation-tracked
+    if (!inventory) {
+      return null;
+    }
+
+    const reservations = this.db.collection('stockReservations');
+    const expiresAt = this.expiryFromNow(holdMinutes);
+    const reference = { type: 'cart', id: userId };
+
+    // Claim the existing hold and push its expiry out so the sweeper leaves it alone
+    const previous = await reservations.findOneAndUpdate(
+      { userId, cartItemId: item.id, orderId: null, status: 'active' },
+      { $set: { quantity, expiresAt, updatedAt: new Date() } }
+    );
+
+    if (previous) {
+      // Once the address is known, move the hold to a better-placed warehouse if it can take the whole line
+      if (destination && !inventory._id.equals(previous.inventoryId)) {
+        const moved = await this.adjustInventory(inventory._id, quantity, 'reserved', reference);
+        if (moved) {
+          const warehouse = this.warehouseOf(inventory);
+          await this.adjustInventory(previous.inventoryId, previous.quantity, 'unreserved', reference);
+          await reservations.updateOne(
+            { _id: previous._id },
+            { $set: { inventoryId: inventory._id, warehouse, updatedAt: new Date() } }
+          );
+          return { ...previous, inventoryId: inventory._id, warehouse, quantity, expiresAt };
+        }
+      }
+
+      const delta = quantity - previous.quantity;
+
+      if (delta > 0) {
+        const reserved = await this.adjustInventory(previous.inventoryId, delta, 'reserved', reference);
+        if (!reserved) {
+          await reservations.updateOne(
+            { _id: previous._id, status: 'active' },
+            { $set: { quantity: previous.quantity, updatedAt: new Date() } }
+          );
+          const held = await this.db.collection('inventory').findOne({ _id: previous.inventoryId });
+          throw this.insufficientStock(item, held || inventory, previous.quantity);
+        }
+      } else if (delta < 0) {
+        await this.adjustInventory(previous.inventoryId, -delta, 'unreserved', reference);
+      }
+
+      return { ...previous, quantity, expiresAt };
+    }
+
+    const reserved = await this.adjustInventory(inventory._id, quantity, 'reserved', reference);
+    if (!reserved) {
+      throw this.insufficientStock(item, inventory, 0);
+    }
+
+    const reservation = {
+      inventoryId: inventory._id,
+      warehouse: this.warehouseOf(inventory),
+      productId: item.productId,
+      userId,
+      cartItemId: item.id,
+      orderId: null,
+      quantity,
+      status: 'active',
+      expiresAt,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await reservations.insertOne(reservation);
+    reservation._id = result.insertedId;
+
+    return reservation;
+  }
+
+  // Make sure every line of a cart is held for the duration of checkout, from the
+  // warehouses that best serve the shipping address
+  async holdForCheckout(userId, items, destination = null) {
+    await this.initialize();
+
+    for (const item of items) {
+      await this.holdCartItem(userId, item, item.quantity, { holdMinutes: this.checkoutHoldMinutes, destination });
+    }
+  }
+
+  // Hand the cart's holds over to the order created from it
+  async attachCartToOrder(userId, orderId) {
+    await this.initialize();
+
+    const result = await this.db.collection('stockReservations').updateMany(
+      { userId, orderId: null, status: 'active' },
+      {
+        $set: {
+          orderId,
+          expiresAt: this.expiryFromNow(this.checkoutHoldMinutes),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Move a cart line's hold to another cart (e.g. when a guest cart is merged on login)
+  async transferCartItem(fromUserId, toUserId, itemId, newItemId = itemId) {
+    await this.initialize();
+
+    const result = await this.db.collection('stockReservations').updateMany(
+      { userId: fromUserId, cartItemId: itemId, orderId: null, status: 'active' },
+      { $set: { userId: toUserId, cartItemId: newItemId, updatedAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Release the hold for a single cart line
+  async releaseCartItem(userId, itemId) {
+    await this.initialize();
+
+    return this.releaseMatching({ userId, cartItemId: itemId, orderId: null }, 'released');
+  }
+
+  // Release every hold a cart still owns
+  async releaseCart(userId) {
+    await this.initialize();
+
+    return this.releaseMatching({ userId, orderId: null }, 'released');
+  }
+
+  // Release every hold attached to an order (e.g. on cancellation), paid or not
+  async releaseOrder(orderId) {
+    await this.initialize();
+
+    return this.releaseMatching({ orderId, status: { $in: ['active', 'committed'] } }, 'released');
+  }
+
+  // Release holds whose time ran out
+  async releaseExpired() {
+    await this.initialize();
+
+    const released = await this.releaseMatching({ expiresAt: { $lte: new Date() } }, 'expired');
+
+    if (released > 0) {
+      console.log(`⏱️ Released ${released} expired stock reservations`);
+    }
+
+    return released;
+  }
+
+  // Keep a paid order's holds until it ships; stock leaves inventory per shipment
+  async commitOrder(order) {
+    await this.initialize();
+
+    const orderId = order._id.toString();
+    const reservations = this.db.collection('stockReservations');
+
+    const result = await reservations.updateMany(
+      { orderId, status: 'active' },
+      { $set: { status: 'committed', committedAt: new Date(), expiresAt: null, updatedAt: new Date() } }
+    );
+
+    const shortfalls = [];
+    const held = await reservations
+      .find({ orderId, status: { $in: ['committed', 'converted'] } })
+      .toArray();
+    const heldItemIds = new Set(held.map(reservation => reservation.cartItemId));
+
+    // Holds that expired before payment arrived are taken from free stock if possible
+    for (const item of order.items || []) {
+      if (heldItemIds.has(item.id)) {
+        continue;
+      }
+
+      // Stock left only in inactive warehouses (a 409) counts as a shortfall, not as untracked
+      const inventory = await this.allocateInventory(item, item.quantity, order.shippingAddress)
+        .catch(error => (error.statusCode === 409 ? false : Promise.reject(error)));
+      if (inventory === null) {
+        continue;
+      }
+
+      const reserved = inventory && await this.adjustInventory(inventory._id, item.quantity, 'reserved', { type: 'order', id: orderId });
+
+      if (!reserved) {
+        shortfalls.push({ itemId: item.id, productId: item.productId, quantity: item.quantity });
+      } else {
+        await reservations.insertOne({
+          inventoryId: inventory._id,
+          warehouse: this.warehouseOf(inventory),
+          productId: item.productId,
+          userId: order.customer?.id,
+          cartItemId: item.id,
+          orderId,
+          quantity: item.quantity,
+          shippedQuantity: 0,
+          status: 'committed',
+          expiresAt: null,
+          committedAt: new Date(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+      }
+    }
+
+    return { committed: result.modifiedCount, shortfalls };
+  }
+
+  // Post `out` movements for the lines of a shipment, from the warehouse it leaves
+  async shipItems(order, shipment) {
+    await this.initialize();
+
+    const orderId = order._id.toString();
+    const reference = { type: 'order', id: order.orderNumber };
+    const reservations = this.db.collection('stockReservations');
+    const inventoryCollection = this.db.collection('inventory');
+    const movements = [];
+    const shortfalls = [];
+
+    for (const line of shipment.items) {
+      const item = (order.items || []).find(entry => entry.id === line.itemId);
+      let remaining = line.quantity;
+
+      const holds = await reservations
+        .find({ orderId, cartItemId: line.itemId, status: { $in: ['active', 'committed'] } })
+        .toArray();
+
+      for (const hold of holds) {
+        const take = Math.min(remaining, hold.quantity - (hold.shippedQuantity || 0));
+        if (take <= 0) {
+          continue;
+        }
+
+        // Claim the units on the hold so two shipments cannot ship them twice
+        const claimed = await reservations.findOneAndUpdate(
+          {
+            _id: hold._id,
+            status: { $in: ['active', 'committed'] },
+            $expr: { $lte: [{ $add: [{ $ifNull: ['$shippedQuantity', 0] }, take] }, '$quantity'] }
+          },
+          { $inc: { shippedQuantity: take }, $set: { updatedAt: new Date() } },
+          { returnDocument: 'after' }
+        );
+        if (!claimed) {
+          continue;
+        }
+        if (claimed.shippedQuantity >= claimed.quantity) {
+          await reservations.updateOne(
+            { _id: claimed._id },
+            { $set: { status: 'converted', convertedAt: new Date() } }
+          );
+        }
+
+        const holdInventory = await inventoryCollection.findOne({ _id: hold.inventoryId });
+        const holdWarehouse = holdInventory ? this.warehouseOf(holdInventory) : warehouseService.defaultWarehouse;
+
+        if (!shipment.warehouse || shipment.warehouse === holdWarehouse) {
+          // Ship the held units straight out of the warehouse that held them
+          await stockLedgerService.record(
+            hold.inventoryId,
+            { currentStock: -take, reservedStock: -take },
+            this.movement('out', take, 'shipment', reference, `Shipment ${shipment.id}`),
+            { set: { lastSold: new Date() } }
+          );
+          movements.push({ itemId: line.itemId, quantity: take, warehouse: holdWarehouse, inventoryId: hold.inventoryId });
+        } else {
+          // Shipping from elsewhere: free the hold and take the units from the shipping warehouse
+          await this.adjustInventory(hold.inventoryId, take, 'unreserved', reference);
+          const taken = await this.takeFromWarehouse(item, shipment.warehouse, take, reference, 'shipment', `Shipment ${shipment.id}`);
+          if (taken) {
+            movements.push({ itemId: line.itemId, quantity: take, warehouse: shipment.warehouse, inventoryId: taken });
+          } else {
+            shortfalls.push({ itemId: line.itemId, productId: item?.productId, quantity: take, warehouse: shipment.warehouse });
+          }
+        }
+
+        remaining -= take;
+      }
+
+      // Units without a hold (untracked when ordered, or holds lost) come from free stock
+      if (remaining > 0 && item) {
+        let warehouse = shipment.warehouse || null;
+        if (!warehouse) {
+          const best = await this.allocateInventory(item, remaining, order.shippingAddress).catch(() => null);
+          warehouse = best ? this.warehouseOf(best) : null;
+        }
+        const taken = await this.takeFromWarehouse(item, warehouse, remaining, reference, 'shipment', `Shipment ${shipment.id}`);
+        if (taken) {
+          movements.push({ itemId: line.itemId, quantity: remaining, warehouse: warehouse || warehouseService.defaultWarehouse, inventoryId: taken });
+        } else if (await this.findInventory(item.productId, item.variantId, warehouse)) {
+          shortfalls.push({ itemId: line.itemId, productId: item.productId, quantity: remaining, warehouse });
+        }
+      }
+    }
+
+    return { movements, shortfalls };
+  }
+
+  // Take free units of an item out of a warehouse; returns the inventory record used, or null
+  async takeFromWarehouse(item, warehouse, quantity, reference, reason = 'shipment', notes = null) {
+    if (!item) {
+      return null;
+    }
+
+    const inventory = await this.findInventory(item.productId, item.variantId, warehouse);
+    if (!inventory) {
+      return null;
+    }
+
+    const taken = await stockLedgerService.record(
+      inventory._id,
+      { currentStock: -quantity, availableStock: -quantity },
+      this.movement('out', quantity, reason, reference, notes),
+      { guarded: true, set: { lastSold: new Date() } }
+    );
+
+    return taken ? inventory._id : null;
+  }
+
+  // Put the stock of a paid order back (e.g. when it is cancelled): units still held on committed holds
+  // are freed, and units that already left come back on the shelf
+  async restockOrder(order, reason = 'order_cancelled') {
+    await this.initialize();
+
+    const orderId = order._id.toString();
+    const reference = { type: 'order', id: order.orderNumber };
+    const reservations = this.db.collection('stockReservations');
+    let restocked = 0;
+
+    // The claimed hold is returned as it was before the update, so its status tells what happened to it
+    let reservation;
+    while ((reservation = await reservations.findOneAndUpdate(
+      { orderId, status: { $in: ['committed', 'converted'] } },
+      { $set: { status: 'restocked', restockedAt: new Date(), updatedAt: new Date() } }
+    ))) {
+      const shipped = reservation.status === 'converted' ? reservation.quantity : reservation.shippedQuantity || 0;
+      const held = reservation.quantity - shipped;
+
+      if (held > 0) {
+        await this.adjustInventory(reservation.inventoryId, held, 'unreserved', reference);
+      }
+      if (shipped > 0) {
+        await stockLedgerService.record(
+          reservation.inventoryId,
+          { currentStock: shipped, availableStock: shipped },
+          this.movement('in', shipped, reason, reference)
+        );
+      }
+      restocked += reservation.quantity;
+    }
+
+    return restocked;
+  }
+
+  // Put returned units back on the shelf they shipped from, as `in` movements
+  async restockItems(order, lines, reason = 'refund_restock', reference = { type: 'order', id: order.orderNumber }) {
+    await this.initialize();
+
+    const restocked = [];
+
+    for (const { item, quantity, warehouse } of lines) {
+      const inventory = (warehouse && await this.findInventory(item.productId, item.variantId, warehouse)) ||
+        await this.findInventory(item.productId, item.variantId);
+
+      if (!inventory) {
+        restocked.push({ itemId: item.id, quantity: 0, inventoryId: null });
+        continue;
+      }
+
+      await stockLedgerService.record(
+        inventory._id,
+        { currentStock: quantity, availableStock: quantity },
+        this.movement('in', quantity, reason, reference)
+      );
+      restocked.push({ itemId: item.id, quantity, inventoryId: inventory._id });
+    }
+
+    return restocked;
+  }
+
+  // Current holds for a cart
+  async getCartReservations(userId) {
+    await this.initialize();
+
+    return this.db.collection('stockReservations')
+      .find({ userId, orderId: null, status: 'active' })
+      .toArray();
+  }
+
+  // Claim matching active holds one at a time and give their stock back
+  async releaseMatching(filter, finalStatus) {
+    const reservations = this.db.collection('stockReservations');
+    let released = 0;
+
+    let reservation;
+    while ((reservation = await reservations.findOneAndUpdate(
+      { status: 'active', ...filter },
+      { $set: { status: finalStatus, releasedAt: new Date(), updatedAt: new Date() } }
+    ))) {
+      const reference = reservation.orderId
+        ? { type: 'order', id: reservation.orderId }
+        : { type: 'cart', id: reservation.userId };
+      // Units already shipped have left inventory; only the rest is still held
+      const held = reservation.quantity - (reservation.shippedQuantity || 0);
+      if (held > 0) {
+        await this.adjustInventory(reservation.inventoryId, held, 'unreserved', reference);
+      }
+      released++;
+    }
+
+    return released;
+  }
+
+  // Atomically move stock between available and reserved
+  async adjustInventory(inventoryId, quantity, type, reference) {
+    if (type === 'reserved') {
+      const reserved = await stockLedgerService.record(
+        inventoryId,
+        { reservedStock: quantity, availableStock: -quantity },
+        this.movement('reserved', quantity, 'reservation', reference),
+        { guarded: true }
+      );
+      return Boolean(reserved);
+    }
+
+    const released = await stockLedgerService.record(
+      inventoryId,
+      { reservedStock: -quantity, availableStock: quantity },
+      this.movement('unreserved', quantity, 'reservation_release', reference)
+    );
+    return Boolean(released);
+  }
+
+  // Pick the record to hold an item from: among active warehouses, one that can cover the
+  // quantity wins over one that cannot, then the best-ranked for the destination, then the fullest
+  async allocateInventory(item, quantity, destination = null) {
+    const records = await this.findInventoryRecords(item.productId, item.variantId);
+    if (records.length === 0) {
+      return null;
+    }
+
+    const ranking = await warehouseService.rankFor(destination || {});
+    const rank = inventory => ranking.indexOf(this.warehouseOf(inventory));
+    const candidates = records.filter(inventory => rank(inventory) !== -1);
+
+    // Stock only sits in inactive warehouses, so there is nothing to sell
+    if (candidates.length === 0) {
+      throw this.insufficientStock(item, { availableStock: 0 }, 0);
+    }
+
+    const covers = inventory => (inventory.availableStock >= quantity ? 1 : 0);
+
+    return candidates.sort((a, b) =>
+      covers(b) - covers(a) ||
+      rank(a) - rank(b) ||
+      b.availableStock - a.availableStock
+    )[0];
+  }
+
+  // Every active inventory record for a variant across warehouses, falling back to the product's
+  async findInventoryRecords(productId, variantId = null) {
+    const inventoryCollection = this.db.collection('inventory');
+
+    if (variantId && ObjectId.isValid(variantId)) {
+      const variantRecords = await inventoryCollection
+        .find({ variantId: new ObjectId(variantId), status: 'active' })
+        .toArray();
+      if (variantRecords.length > 0) {
+        return variantRecords;
+      }
+    }
+
+    return inventoryCollection
+      .find({ productId: this.productIdFilter(productId), status: 'active' })
+      .toArray();
+  }
+
+  warehouseOf(inventory) {
+    return (inventory.location && inventory.location.warehouse) || warehouseService.defaultWarehouse;
+  }
+
+  // Find the active inventory record for a variant, falling back to the product's,
+  // optionally in a specific warehouse
+  async findInventory(productId, variantId = null, warehouse = null) {
+    const location = warehouse ? { 'location.warehouse': warehouse } : {};
+
+    if (variantId && ObjectId.isValid(variantId)) {
+      const variantInventory = await this.db.collection('inventory').findOne({
+        variantId: new ObjectId(variantId),
+        status: 'active',
+        ...location
+      });
+      if (variantInventory) {
+        return variantInventory;
+      }
+    }
+
+    return this.db.collection('inventory').findOne({
+      productId: this.productIdFilter(productId),
+      status: 'active',
+      ...location
+    });
+  }
+
+  // Match product IDs stored either as strings or ObjectIds
+  productIdFilter(productId) {
+    if (ObjectId.isValid(productId)) {
+      return { $in: [productId, new ObjectId(productId)] };
+    }
+    return productId;
+  }
+
+  // Ledger details for a movement posted by the system
+  movement(type, quantity, reason, reference, notes = null) {
+    return {
+      type,
+      quantity,
+      reason,
+      reference,
+      performedBy: 'system',
+      notes
+    };
+  }
+
+  expiryFromNow(minutes) {
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  insufficientStock(item, inventory, alreadyHeld) {
+    const available = Math.max(0, inventory.availableStock) + alreadyHeld;
+    return createHttpError(
+      `Insufficient stock for ${item.name || item.productId}. Available: ${available}`,
+      409,
+      { productId: item.productId, available }
+    );
+  }
+}
+
+module.exports = new ReservationService();
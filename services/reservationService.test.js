@@ -0,0 +1,216 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const reservationService = require('./reservationService');
+const warehouseService = require('./warehouseService');
+const stockLedgerService = require('./stockLedgerService');
+
+const item = { id: 'item-1', productId: 'product-1', name: 'Sneaker', quantity: 2 };
+
+// An inventory record whose opening stock is posted through the ledger, so drift checks start clean
+async function stockUp(quantity, warehouse = 'main') {
+  const { insertedId } = await getDB().collection('inventory').insertOne({
+    productId: 'product-1',
+    sku: 'SKU-1',
+    location: { warehouse },
+    status: 'active',
+    currentStock: 0,
+    reservedStock: 0,
+    availableStock: 0
+  });
+  await stockLedgerService.record(
+    insertedId,
+    { currentStock: quantity, availableStock: quantity },
+    { type: 'in', quantity, reason: 'opening_balance', reference: { type: 'adjustment', id: null } }
+  );
+  return insertedId;
+}
+
+const balances = async inventoryId => {
+  const { currentStock, reservedStock, availableStock } = await getDB().collection('inventory').findOne({ _id: inventoryId });
+  return { currentStock, reservedStock, availableStock };
+};
+
+const holds = filter => getDB().collection('stockReservations').find(filter).toArray();
+
+const expireAll = () => getDB().collection('stockReservations')
+  .updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+describe('reservationService', () => {
+  beforeEach(async () => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await getDB().collection('warehouses').insertOne({ code: 'main', countries: ['*'], states: [], priority: 100, isActive: true });
+    warehouseService.invalidateWarehouses();
+  });
+
+  afterEach(async () => {
+    // Every test leaves balances the ledger can explain
+    expect((await stockLedgerService.findDrift()).drifted).toEqual([]);
+    jest.restoreAllMocks();
+  });
+
+  describe('holdCartItem', () => {
+    it('moves the held units from available to reserved', async () => {
+      const inventoryId = await stockUp(5);
+
+      const hold = await reservationService.holdCartItem('user-1', item, 2);
+
+      expect(hold).toMatchObject({ status: 'active', quantity: 2, orderId: null });
+      expect(hold.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 2, availableStock: 3 });
+    });
+
+    it('adjusts an existing hold by the difference', async () => {
+      const inventoryId = await stockUp(5);
+      await reservationService.holdCartItem('user-1', item, 2);
+
+      await reservationService.holdCartItem('user-1', item, 4);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 4, availableStock: 1 });
+
+      await reservationService.holdCartItem('user-1', item, 1);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 1, availableStock: 4 });
+      expect(await holds({})).toHaveLength(1);
+    });
+
+    it('holds from the warehouse that serves the destination when it can cover the line', async () => {
+      await getDB().collection('warehouses').insertOne({ code: 'athens', countries: ['GR'], states: [], priority: 10, isActive: true });
+      warehouseService.invalidateWarehouses();
+      const main = await stockUp(5);
+      const athens = await stockUp(2, 'athens');
+
+      const near = await reservationService.holdCartItem('user-1', item, 2, { destination: { country: 'GR' } });
+      const far = await reservationService.holdCartItem('user-2', item, 1, { destination: { country: 'GR' } });
+
+      expect(near).toMatchObject({ warehouse: 'athens', inventoryId: athens });
+      expect(far).toMatchObject({ warehouse: 'main', inventoryId: main });
+    });
+
+    it('refuses to hold more than is available', async () => {
+      const inventoryId = await stockUp(1);
+
+      await expect(reservationService.holdCartItem('user-1', item, 2)).rejects.toMatchObject({ statusCode: 409 });
+      expect(await balances(inventoryId)).toEqual({ currentStock: 1, reservedStock: 0, availableStock: 1 });
+      expect(await holds({})).toEqual([]);
+    });
+  });
+
+  describe('releaseExpired', () => {
+    it('gives back holds whose time ran out and leaves the rest', async () => {
+      const inventoryId = await stockUp(5);
+      await reservationService.holdCartItem('user-1', item, 2, { holdMinutes: -1 });
+      await reservationService.holdCartItem('user-2', item, 1);
+
+      const released = await reservationService.releaseExpired();
+
+      expect(released).toBe(1);
+      expect(await holds({ userId: 'user-1' })).toEqual([expect.objectContaining({ status: 'expired' })]);
+      expect(await holds({ userId: 'user-2' })).toEqual([expect.objectContaining({ status: 'active' })]);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 1, availableStock: 4 });
+    });
+
+    it('releases each hold only once', async () => {
+      const inventoryId = await stockUp(5);
+      await reservationService.holdCartItem('user-1', item, 2, { holdMinutes: -1 });
+
+      const counts = await Promise.all([reservationService.releaseExpired(), reservationService.releaseExpired()]);
+
+      expect(counts.sort()).toEqual([0, 1]);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 0, availableStock: 5 });
+    });
+  });
+
+  describe('commitOrder', () => {
+    const order = () => ({ _id: new ObjectId(), orderNumber: 'ORD-1', customer: { id: 'user-1' }, items: [item] });
+
+    it('keeps a paid order\'s holds without an expiry so the sweeper leaves them', async () => {
+      const inventoryId = await stockUp(5);
+      const paid = order();
+      await reservationService.holdCartItem('user-1', item, 2);
+      await reservationService.attachCartToOrder('user-1', paid._id.toString());
+
+      const result = await reservationService.commitOrder(paid);
+
+      expect(result).toEqual({ committed: 1, shortfalls: [] });
+      expect(await holds({ orderId: paid._id.toString() })).toEqual([
+        expect.objectContaining({ status: 'committed', expiresAt: null })
+      ]);
+      expect(await reservationService.releaseExpired()).toBe(0);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 2, availableStock: 3 });
+    });
+
+    it('takes units again from free stock when the hold expired before payment', async () => {
+      const inventoryId = await stockUp(5);
+      const paid = order();
+      await reservationService.holdCartItem('user-1', item, 2);
+      await reservationService.attachCartToOrder('user-1', paid._id.toString());
+      await expireAll();
+      await reservationService.releaseExpired();
+
+      const result = await reservationService.commitOrder(paid);
+
+      expect(result).toEqual({ committed: 0, shortfalls: [] });
+      expect(await holds({ orderId: paid._id.toString(), status: 'committed' })).toHaveLength(1);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 2, availableStock: 3 });
+    });
+
+    it('reports a shortfall when the stock went to someone else meanwhile', async () => {
+      const inventoryId = await stockUp(2);
+      const paid = order();
+      await reservationService.holdCartItem('user-1', item, 2);
+      await reservationService.attachCartToOrder('user-1', paid._id.toString());
+      await expireAll();
+      await reservationService.releaseExpired();
+      await reservationService.holdCartItem('user-2', item, 1);
+
+      const result = await reservationService.commitOrder(paid);
+
+      expect(result.shortfalls).toEqual([{ itemId: 'item-1', productId: 'product-1', quantity: 2 }]);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 2, reservedStock: 1, availableStock: 1 });
+    });
+  });
+
+  describe('releaseOrder', () => {
+    it('gives back both unpaid and committed holds of an order', async () => {
+      const inventoryId = await stockUp(5);
+      const orderId = new ObjectId().toString();
+      await reservationService.holdCartItem('user-1', item, 2);
+      await reservationService.holdCartItem('user-1', { ...item, id: 'item-2' }, 1);
+      await reservationService.attachCartToOrder('user-1', orderId);
+      await getDB().collection('stockReservations').updateOne({ cartItemId: 'item-1' }, { $set: { status: 'committed' } });
+
+      const released = await reservationService.releaseOrder(orderId);
+
+      expect(released).toBe(2);
+      expect((await holds({ orderId })).map(hold => hold.status)).toEqual(['released', 'released']);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 0, availableStock: 5 });
+    });
+
+    it('leaves other carts\' holds alone', async () => {
+      const inventoryId = await stockUp(5);
+      await reservationService.holdCartItem('user-2', item, 1);
+
+      expect(await reservationService.releaseOrder(new ObjectId().toString())).toBe(0);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 1, availableStock: 4 });
+    });
+  });
+
+  describe('restockOrder', () => {
+    it('frees held units and puts shipped units back on the shelf', async () => {
+      const inventoryId = await stockUp(5);
+      const paid = { _id: new ObjectId(), orderNumber: 'ORD-1', customer: { id: 'user-1' }, items: [{ ...item, quantity: 3 }] };
+      await reservationService.holdCartItem('user-1', { ...item, quantity: 3 }, 3);
+      await reservationService.attachCartToOrder('user-1', paid._id.toString());
+      await reservationService.commitOrder(paid);
+      await reservationService.shipItems(paid, { id: 'shp-1', warehouse: 'main', items: [{ itemId: 'item-1', quantity: 1 }] });
+      expect(await balances(inventoryId)).toEqual({ currentStock: 4, reservedStock: 2, availableStock: 2 });
+
+      const restocked = await reservationService.restockOrder(paid);
+
+      expect(restocked).toBe(3);
+      expect(await holds({ orderId: paid._id.toString() })).toEqual([expect.objectContaining({ status: 'restocked' })]);
+      expect(await balances(inventoryId)).toEqual({ currentStock: 5, reservedStock: 0, availableStock: 5 });
+    });
+  });
+});
@@ -0,0 +1,574 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+const refundService = require('./refundService');
+const reservationService = require('./reservationService');
+const shipmentService = require('./shipmentService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { roundAmount } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+// Why customers send items back; resale returns are mostly about fit and authenticity
+const REASON_CODES = {
+  wrong_size: 'Does not fit',
+  authenticity_concern: 'Doubts about authenticity',
+  not_as_described: 'Not as described',
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  changed_mind: 'Changed mind',
+  other: 'Other'
+};
+
+// Grades given when the warehouse inspects a returned unit; the first four can be sold again
+const CONDITIONS = ['new', 'like_new', 'good', 'fair', 'damaged', 'not_authentic'];
+const RESTOCKABLE_CONDITIONS = ['new', 'like_new', 'good', 'fair'];
+
+const OUTCOMES = ['refund', 'exchange', 'store_credit'];
+
+// Returns that still hold units of an order line
+const OPEN_STATUSES = ['requested', 'approved', 'received', 'resolving', 'completed'];
+
+class ReturnService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('returns').createIndex({ id: 1 }, { unique: true });
+      await this.db.collection('returns').createIndex({ rmaNumber: 1 }, { unique: true });
+      await this.db.collection('returns').createIndex({ orderId: 1, status: 1 });
+      await this.db.collection('returns').createIndex({ requestedAt: -1 });
+      await this.db.collection('storeCredits').createIndex({ email: 1, currency: 1 }, { unique: true });
+    }
+  }
+
+  get reasonCodes() {
+    return REASON_CODES;
+  }
+
+  get conditions() {
+    return CONDITIONS;
+  }
+
+  get outcomes() {
+    return OUTCOMES;
+  }
+
+  async getReturns({ status, orderId, reasonCode, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (status) query.status = status;
+    if (orderId) query.orderId = orderId;
+    if (reasonCode) query['items.reasonCode'] = reasonCode;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [returns, total] = await Promise.all([
+      this.db.collection('returns')
+        .find(query, { projection: { _id: 0 } })
+        .sort({ requestedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('returns').countDocuments(query)
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  async getReturn(returnId) {
+    await this.initialize();
+
+    const rma = await this.db.collection('returns').findOne({ id: returnId }, { projection: { _id: 0 } });
+
+    if (!rma) {
+      throw createHttpError('Return not found', 404);
+    }
+
+    return rma;
+  }
+
+  // Customers follow their return with the RMA number and the order's email, like the guest order lookup
+  async lookupReturn(rmaNumber, email) {
+    await this.initialize();
+
+    const rma = await this.db.collection('returns').findOne({ rmaNumber }, { projection: { _id: 0 } });
+
+    if (!rma || String(rma.customer.email || '').toLowerCase() !== email.toLowerCase()) {
+      throw createHttpError('No return found for that RMA number and email', 404);
+    }
+
+    return this.toCustomerView(rma);
+  }
+
+  // What a customer may see of their return: no grading notes or admin names
+  toCustomerView(rma) {
+    return {
+      rmaNumber: rma.rmaNumber,
+      orderNumber: rma.orderNumber,
+      status: rma.status,
+      items: rma.items.map(({ itemId, name, quantity, reasonCode, receivedQuantity }) => ({
+        itemId, name, quantity, reasonCode, receivedQuantity
+      })),
+      label: rma.label ? { reference: rma.label.reference, carrier: rma.label.carrier } : null,
+      rejectionReason: rma.status === 'rejected' ? rma.decision.reason : null,
+      outcome: rma.outcome ? { type: rma.outcome.type, amount: rma.outcome.amount, currency: rma.currency } : null,
+      requestedAt: rma.requestedAt,
+      statusHistory: rma.statusHistory.map(entry => ({ status: entry.to, at: entry.at }))
+    };
+  }
+
+  // Units of each line held by other returns of the order
+  async returnedSoFar(orderId) {
+    const returns = await this.db.collection('returns')
+      .find({ orderId, status: { $in: OPEN_STATUSES } })
+      .toArray();
+
+    const quantities = {};
+    returns.forEach(rma => {
+      rma.items.forEach(line => {
+        quantities[line.itemId] = (quantities[line.itemId] || 0) + line.quantity;
+      });
+    });
+
+    return quantities;
+  }
+
+  // A customer asks to send some shipped units back; the order is found by its number and email
+  async requestReturn({ orderNumber, email, items, comment }, photos = [], actor) {
+    await this.initialize();
+
+    const order = await this.db.collection('orders').findOne({ orderNumber });
+
+    // The same answer for a wrong number and a wrong email, so neither can be probed
+    if (!order || String(order.customer?.email || '').toLowerCase() !== email.toLowerCase()) {
+      throw createHttpError('No order found for that order number and email', 404);
+    }
+
+    if (order.paymentStatus !== 'completed') {
+      throw createHttpError('Only paid orders can be returned', 409, { paymentStatus: order.paymentStatus });
+    }
+
+    const orderId = order._id.toString();
+    const shipped = shipmentService.shippedQuantities(order);
+    const returned = await this.returnedSoFar(orderId);
+
+    const lines = items.map(line => {
+      const item = (order.items || []).find(entry => entry.id === line.itemId);
+
+      if (!item) {
+        throw createHttpError(`Item ${line.itemId} is not on this order`, 400);
+      }
+
+      const left = (shipped[item.id] || 0) - (returned[item.id] || 0);
+      if (line.quantity > left) {
+        throw createHttpError(`Only ${left} of item ${item.id} can be returned`, 409, { itemId: item.id, returnable: left });
+      }
+
+      return {
+        itemId: item.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name,
+        quantity: line.quantity,
+        reasonCode: line.reasonCode,
+        comment: line.comment || '',
+        receivedQuantity: 0,
+        condition: null,
+        restock: false
+      };
+    });
+
+    const now = new Date();
+    const id = crypto.randomBytes(6).toString('hex');
+    const rma = {
+      id: `rma_${id}`,
+      rmaNumber: `RMA-${id.toUpperCase()}`,
+      orderId,
+      orderNumber: order.orderNumber,
+      customer: {
+        id: order.customer?.id || null,
+        name: order.customer?.name || '',
+        email: order.customer.email
+      },
+      currency: order.currency || null,
+      items: lines,
+      comment: comment || '',
+      photos: photos.map(file => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        path: file.path,
+        size: file.size,
+        mimetype: file.mimetype,
+        uploadedAt: now
+      })),
+      status: 'requested',
+      label: null,
+      decision: null,
+      receivedAt: null,
+      outcome: null,
+      requestedAt: now,
+      requestedBy: actor || order.customer.email,
+      statusHistory: [orderLifecycleService.historyEntry(null, 'requested', actor || order.customer.email, comment || null)]
+    };
+
+    await this.db.collection('returns').insertOne(rma);
+
+    console.log(`📦 Return ${rma.rmaNumber} requested for order ${order.orderNumber} (${lines.length} lines)`);
+
+    return this.toCustomerView(rma);
+  }
+
+  // Move a return from one status to another, only if no one else moved it first
+  async moveReturn(returnId, from, to, actor, reason, extra = {}) {
+    const rma = await this.db.collection('returns').findOneAndUpdate(
+      { id: returnId, status: { $in: from } },
+      {
+        $set: { status: to, updatedAt: new Date(), ...extra },
+        $push: { statusHistory: orderLifecycleService.historyEntry(null, to, actor, reason) }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!rma) {
+      const existing = await this.getReturn(returnId);
+      throw createHttpError(`Return is ${existing.status}; it cannot be moved to ${to}`, 409, { status: existing.status });
+    }
+
+    return rma;
+  }
+
+  // Approving a return issues the label the customer ships it back with
+  async approve(returnId, { labelReference, carrier, notes }, actor) {
+    await this.initialize();
+
+    const now = new Date();
+    return this.moveReturn(returnId, ['requested'], 'approved', actor, notes || null, {
+      decision: { action: 'approve', by: actor, reason: notes || null, at: now },
+      label: { reference: labelReference, carrier: carrier || null, issuedAt: now, issuedBy: actor }
+    });
+  }
+
+  async reject(returnId, reason, actor) {
+    await this.initialize();
+
+    return this.moveReturn(returnId, ['requested'], 'rejected', actor, reason, {
+      decision: { action: 'reject', by: actor, reason, at: new Date() }
+    });
+  }
+
+  // The warehouse counts what arrived and grades each line
+  async receive(returnId, { items }, actor) {
+    await this.initialize();
+
+    const rma = await this.getReturn(returnId);
+
+    if (rma.status !== 'approved') {
+      throw createHttpError(`Return is ${rma.status}; only approved returns can be received`, 409, { status: rma.status });
+    }
+
+    const graded = rma.items.map(line => {
+      const received = items.find(entry => entry.itemId === line.itemId);
+      if (!received) {
+        return { ...line, receivedQuantity: 0 };
+      }
+
+      if (received.quantity > line.quantity) {
+        throw createHttpError(`Only ${line.quantity} of item ${line.itemId} were to be returned`, 400);
+      }
+
+      return {
+        ...line,
+        receivedQuantity: received.quantity,
+        condition: received.condition,
+        restock: RESTOCKABLE_CONDITIONS.includes(received.condition),
+        inspectionNotes: received.notes || ''
+      };
+    });
+
+    const unknown = items.find(entry => !rma.items.some(line => line.itemId === entry.itemId));
+    if (unknown) {
+      throw createHttpError(`Item ${unknown.itemId} is not on this return`, 400);
+    }
+
+    if (!graded.some(line => line.receivedQuantity > 0)) {
+      throw createHttpError('Nothing was received', 400);
+    }
+
+    return this.moveReturn(returnId, ['approved'], 'received', actor, 'Received and graded', {
+      items: graded,
+      receivedAt: new Date(),
+      receivedBy: actor
+    });
+  }
+
+  // What the received units are worth to the customer, as a refund would pay them
+  creditFor(order, rma) {
+    return roundAmount(rma.items.reduce((sum, line) => {
+      const item = order.items.find(entry => entry.id === line.itemId);
+      return sum + (item ? refundService.unitRefund(order, item) * line.receivedQuantity : 0);
+    }, 0), order.currency);
+  }
+
+  // Settle a received return as a refund, an exchange for another variant, or store credit
+  async resolve(returnId, { outcome, exchange = [], notes }, actor) {
+    await this.initialize();
+
+    // Claimed first so the same return cannot be paid out twice
+    const rma = await this.moveReturn(returnId, ['received'], 'resolving', actor, `Resolving as ${outcome}`);
+    const order = await this.db.collection('orders').findOne({ _id: new ObjectId(rma.orderId) });
+    const received = rma.items.filter(line => line.receivedQuantity > 0);
+
+    let result;
+    try {
+      if (outcome === 'refund') {
+        result = await this.refund(order, rma, received, actor);
+      } else if (outcome === 'exchange') {
+        result = await this.exchange(order, rma, received, exchange, actor);
+      } else {
+        result = await this.storeCredit(order, rma, received, actor);
+      }
+    } catch (error) {
+      await this.moveReturn(returnId, ['resolving'], 'received', actor, error.message);
+      throw error;
+    }
+
+    const resolved = await this.moveReturn(returnId, ['resolving'], 'completed', actor, notes || null, {
+      outcome: { type: outcome, ...result, notes: notes || '', by: actor, at: new Date() }
+    });
+
+    console.log(`📦 Return ${rma.rmaNumber} resolved as ${outcome} by ${actor}`);
+
+    return resolved;
+  }
+
+  // Refunds go through the refund workflow; resolving the return is the admin's approval
+  async refund(order, rma, received, actor) {
+    const request = await refundService.requestRefund(rma.orderId, {
+      items: received.map(line => ({ itemId: line.itemId, quantity: line.receivedQuantity, restock: line.restock })),
+      reason: `Return ${rma.rmaNumber}: ${received.map(line => line.reasonCode).join(', ')}`,
+      notes: `Return ${rma.rmaNumber}`
+    }, actor);
+
+    const refund = await refundService.approve(request.id, `Return ${rma.rmaNumber} received`, actor);
+
+    return { refundId: refund.id, amount: refund.amount };
+  }
+
+  // Swap each returned line for another variant of the same product, taken out of stock straight away
+  async exchange(order, rma, received, exchange, actor) {
+    const replacements = [];
+
+    for (const line of received) {
+      const swap = exchange.find(entry => entry.itemId === line.itemId);
+      if (!swap) {
+        throw createHttpError(`No replacement variant given for item ${line.itemId}`, 400);
+      }
+
+      const variant = ObjectId.isValid(swap.variantId) &&
+        await this.db.collection('variants').findOne({ _id: new ObjectId(swap.variantId) });
+      if (!variant || String(variant.productId) !== String(line.productId)) {
+        throw createHttpError(`Variant ${swap.variantId} is not a variant of item ${line.itemId}`, 400);
+      }
+
+      replacements.push({ line, variant });
+    }
+
+    const taken = [];
+    for (const { line, variant } of replacements) {
+      const item = { id: line.itemId, productId: line.productId, variantId: variant._id.toString() };
+      const inventoryId = await reservationService.takeFromWarehouse(item, null, line.receivedQuantity, { type: 'rma', id: rma.rmaNumber }, 'exchange');
+
+      if (!inventoryId) {
+        // Put back what was already taken for the other lines
+        await reservationService.restockItems(order, taken.map(entry => ({ item: entry.item, quantity: entry.quantity })), 'exchange_cancelled', { type: 'rma', id: rma.rmaNumber });
+        throw createHttpError(`Variant ${variant._id} does not have ${line.receivedQuantity} in stock`, 409);
+      }
+
+      taken.push({ item, quantity: line.receivedQuantity, inventoryId, size: variant.size || null });
+    }
+
+    const restocked = await this.restock(order, received, rma);
+
+    return {
+      replacements: taken.map(entry => ({
+        itemId: entry.item.id,
+        variantId: entry.item.variantId,
+        size: entry.size,
+        quantity: entry.quantity,
+        inventoryId: entry.inventoryId,
+        status: 'awaiting_shipment'
+      })),
+      restocked,
+      amount: 0
+    };
+  }
+
+  // Credit the customer's balance in the order's currency with what the returned units cost
+  async storeCredit(order, rma, received, actor) {
+    const amount = this.creditFor(order, { items: received });
+    const now = new Date();
+    const email = rma.customer.email.toLowerCase();
+
+    const credit = await this.db.collection('storeCredits').findOneAndUpdate(
+      { email, currency: rma.currency },
+      {
+        $inc: { balance: amount },
+        $push: {
+          transactions: {
+            type: 'credit',
+            amount,
+            reference: rma.rmaNumber,
+            orderNumber: rma.orderNumber,
+            by: actor,
+            at: now
+          }
+        },
+        $set: { updatedAt: now },
+        $setOnInsert: { email, currency: rma.currency, createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    const restocked = await this.restock(order, received, rma);
+
+    return { amount, balance: roundAmount(credit.balance, rma.currency), restocked };
+  }
+
+  // Sellable units go back to the warehouse they shipped from
+  async restock(order, received, rma) {
+    const lines = received
+      .filter(line => line.restock)
+      .map(line => {
+        const item = order.items.find(entry => entry.id === line.itemId);
+        const shipment = (order.shipments || []).find(entry => entry.items.some(shipped => shipped.itemId === line.itemId));
+        return { item, quantity: line.receivedQuantity, warehouse: shipment ? shipment.warehouse : null };
+      })
+      .filter(line => line.item);
+
+    return lines.length > 0 ? reservationService.restockItems(order, lines, 'return_restock', { type: 'rma', id: rma.rmaNumber }) : [];
+  }
+
+  async getStoreCredit(email) {
+    await this.initialize();
+
+    return this.db.collection('storeCredits')
+      .find({ email: email.toLowerCase() }, { projection: { _id: 0, transactions: 0 } })
+      .toArray();
+  }
+
+  // Why items come back, how returns end and which products come back most; fed into the insights
+  async getReasonAnalytics({ from, to } = {}) {
+    await this.initialize();
+
+    const match = {};
+    if (from || to) {
+      match.requestedAt = {};
+      if (from) match.requestedAt.$gte = new Date(from);
+      if (to) match.requestedAt.$lte = new Date(to);
+    }
+
+    const orderMatch = { paymentStatus: 'completed' };
+    if (match.requestedAt) {
+      orderMatch.createdAt = match.requestedAt;
+    }
+
+    const [facets, sold] = await Promise.all([
+      this.db.collection('returns').aggregate([
+        { $match: match },
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+            byOutcome: [
+              { $match: { status: 'completed' } },
+              { $group: { _id: '$outcome.type', count: { $sum: 1 }, amount: { $sum: '$outcome.amount' } } }
+            ],
+            byReason: [
+              { $unwind: '$items' },
+              {
+                $group: {
+                  _id: '$items.reasonCode',
+                  returns: { $addToSet: '$id' },
+                  units: { $sum: '$items.quantity' },
+                  rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, '$items.quantity', 0] } }
+                }
+              },
+              { $project: { returns: { $size: '$returns' }, units: 1, rejected: 1 } },
+              { $sort: { units: -1 } }
+            ],
+            byCondition: [
+              { $unwind: '$items' },
+              { $match: { 'items.condition': { $ne: null } } },
+              { $group: { _id: '$items.condition', units: { $sum: '$items.receivedQuantity' } } },
+              { $sort: { units: -1 } }
+            ],
+            topProducts: [
+              { $match: { status: { $ne: 'rejected' } } },
+              { $unwind: '$items' },
+              {
+                $group: {
+                  _id: '$items.productId',
+                  name: { $first: '$items.name' },
+                  units: { $sum: '$items.quantity' },
+                  reasons: { $push: '$items.reasonCode' }
+                }
+              },
+              { $sort: { units: -1 } },
+              { $limit: 10 }
+            ]
+          }
+        }
+      ]).toArray(),
+      this.db.collection('orders').aggregate([
+        { $match: orderMatch },
+        { $unwind: '$items' },
+        { $group: { _id: null, units: { $sum: '$items.quantity' } } }
+      ]).toArray()
+    ]);
+
+    const { byStatus, byOutcome, byReason, byCondition, topProducts } = facets[0];
+    const unitsSold = sold[0] ? sold[0].units : 0;
+    const unitsReturned = byReason.reduce((sum, entry) => sum + entry.units - entry.rejected, 0);
+
+    return {
+      totalReturns: byStatus.reduce((sum, entry) => sum + entry.count, 0),
+      unitsSold,
+      unitsReturned,
+      returnRate: unitsSold > 0 ? Math.round((unitsReturned / unitsSold) * 1000) / 10 : 0, // Percent
+      byStatus: Object.fromEntries(byStatus.map(entry => [entry._id, entry.count])),
+      byReason: byReason.map(entry => ({
+        reasonCode: entry._id,
+        label: REASON_CODES[entry._id] || entry._id,
+        returns: entry.returns,
+        units: entry.units,
+        share: unitsReturned > 0 ? Math.round(((entry.units - entry.rejected) / unitsReturned) * 1000) / 10 : 0
+      })),
+      byOutcome: Object.fromEntries(byOutcome.map(entry => [entry._id, { count: entry.count, amount: entry.amount }])),
+      byCondition: Object.fromEntries(byCondition.map(entry => [entry._id, entry.units])),
+      topProducts: topProducts.map(entry => ({
+        productId: entry._id,
+        name: entry.name,
+        units: entry.units,
+        topReason: this.mostCommon(entry.reasons)
+      }))
+    };
+  }
+
+  mostCommon(values) {
+    const counts = {};
+    values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,212 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const returnService = require('./returnService');
+const paymentService = require('./paymentService');
+
+// A delivered order: both sneakers shipped, the hoodie has not
+async function deliveredOrder() {
+  const db = getDB();
+  const orderId = new ObjectId();
+
+  await db.collection('orders').insertOne({
+    _id: orderId,
+    orderNumber: 'ORD-1',
+    customer: { id: 'user-1', name: 'Ada Lovelace', email: 'Ada@Example.com' },
+    status: 'delivered',
+    paymentStatus: 'completed',
+    currency: 'EUR',
+    totalAmount: 130,
+    items: [
+      { id: 'item-1', productId: 'product-1', name: 'Sneaker', quantity: 2, total: 100, discountAmount: 10 },
+      { id: 'item-2', productId: 'product-2', name: 'Hoodie', quantity: 1, total: 40, discountAmount: 0 }
+    ],
+    shipments: [{ id: 'SHP-1', warehouse: 'main', status: 'delivered', items: [{ itemId: 'item-1', quantity: 2 }] }],
+    statusHistory: []
+  });
+  await db.collection('payments').insertOne({
+    id: 'pay_1',
+    orderId: orderId.toString(),
+    provider: 'fake',
+    status: 'completed',
+    amount: 130,
+    currency: 'EUR',
+    capturedAmount: 130,
+    refundedAmount: 0,
+    refunds: []
+  });
+
+  return orderId;
+}
+
+async function stockUp(fields = {}) {
+  const { insertedId } = await getDB().collection('inventory').insertOne({
+    productId: 'product-1',
+    status: 'active',
+    location: { warehouse: 'main' },
+    currentStock: 0,
+    reservedStock: 0,
+    availableStock: 0,
+    ...fields
+  });
+  return insertedId;
+}
+
+const stock = async inventoryId => (await getDB().collection('inventory').findOne({ _id: inventoryId })).currentStock;
+
+const sneakers = (quantity = 2) => ({
+  orderNumber: 'ORD-1',
+  email: 'ada@example.com',
+  items: [{ itemId: 'item-1', quantity, reasonCode: 'wrong_size' }]
+});
+
+// Request, approve and receive a return of both sneakers in the given condition
+async function receivedReturn(condition = 'good') {
+  const { rmaNumber } = await returnService.requestReturn(sneakers(), [], 'ada@example.com');
+  const { id } = await getDB().collection('returns').findOne({ rmaNumber });
+  await returnService.approve(id, { labelReference: 'LBL-1', carrier: 'ups' }, 'admin');
+  await returnService.receive(id, { items: [{ itemId: 'item-1', quantity: 2, condition, notes: 'Scuffed sole' }] }, 'warehouse');
+  return id;
+}
+
+describe('returnService', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestReturn', () => {
+    it('gives the same answer for an unknown order and a wrong email', async () => {
+      await deliveredOrder();
+
+      await expect(returnService.requestReturn({ ...sneakers(), email: 'eve@example.com' })).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'No order found for that order number and email'
+      });
+      await expect(returnService.requestReturn({ ...sneakers(), orderNumber: 'ORD-2' })).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'No order found for that order number and email'
+      });
+    });
+
+    it('only takes back units that shipped and are not already on a return', async () => {
+      await deliveredOrder();
+      await returnService.requestReturn(sneakers(1));
+
+      await expect(returnService.requestReturn({
+        ...sneakers(),
+        items: [{ itemId: 'item-2', quantity: 1, reasonCode: 'changed_mind' }]
+      })).rejects.toMatchObject({ statusCode: 409, details: { itemId: 'item-2', returnable: 0 } });
+      await expect(returnService.requestReturn(sneakers(2))).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Only 1 of item item-1 can be returned'
+      });
+    });
+
+    it('shows the customer their return without the warehouse\'s notes', async () => {
+      await deliveredOrder();
+      const id = await receivedReturn();
+      const { rmaNumber } = await returnService.getReturn(id);
+
+      const view = await returnService.lookupReturn(rmaNumber, 'ADA@example.com');
+
+      expect(view).toMatchObject({ orderNumber: 'ORD-1', status: 'received', label: { reference: 'LBL-1', carrier: 'ups' } });
+      expect(view.items).toEqual([{ itemId: 'item-1', name: 'Sneaker', quantity: 2, reasonCode: 'wrong_size', receivedQuantity: 2 }]);
+    });
+  });
+
+  describe('receive', () => {
+    it('marks only units graded as sellable for restocking', async () => {
+      await deliveredOrder();
+
+      const id = await receivedReturn('damaged');
+
+      expect((await returnService.getReturn(id)).items[0]).toMatchObject({ receivedQuantity: 2, condition: 'damaged', restock: false });
+    });
+
+    it('refuses returns that were not approved', async () => {
+      await deliveredOrder();
+      const { rmaNumber } = await returnService.requestReturn(sneakers());
+      const { id } = await getDB().collection('returns').findOne({ rmaNumber });
+
+      await expect(returnService.receive(id, { items: [{ itemId: 'item-1', quantity: 2, condition: 'good' }] }, 'warehouse'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('resolve', () => {
+    it('refunds what the returned units cost and puts them back on the shelf', async () => {
+      await deliveredOrder();
+      const inventoryId = await stockUp();
+      const id = await receivedReturn();
+      jest.spyOn(paymentService, 'refund').mockResolvedValue({
+        payment: { capturedAmount: 130, refundedAmount: 90 },
+        refund: { id: 'ref_1', status: 'completed' }
+      });
+
+      const rma = await returnService.resolve(id, { outcome: 'refund' }, 'admin');
+
+      expect(paymentService.refund).toHaveBeenCalledWith('pay_1', 90, expect.objectContaining({ actor: 'admin' }));
+      expect(rma).toMatchObject({ status: 'completed', outcome: { type: 'refund', amount: 90 } });
+      expect(await stock(inventoryId)).toBe(2);
+    });
+
+    it('swaps the returned units for another variant taken out of stock', async () => {
+      await deliveredOrder();
+      const sneakerStock = await stockUp();
+      const { insertedId: variantId } = await getDB().collection('variants').insertOne({ productId: 'product-1', size: '43' });
+      const variantStock = await stockUp({ variantId, currentStock: 5, availableStock: 5 });
+      const id = await receivedReturn();
+
+      const rma = await returnService.resolve(id, { outcome: 'exchange', exchange: [{ itemId: 'item-1', variantId: variantId.toString() }] }, 'admin');
+
+      expect(rma.outcome).toMatchObject({
+        type: 'exchange',
+        amount: 0,
+        replacements: [expect.objectContaining({ itemId: 'item-1', size: '43', quantity: 2, status: 'awaiting_shipment' })]
+      });
+      expect(await stock(variantStock)).toBe(3);
+      expect(await stock(sneakerStock)).toBe(2);
+    });
+
+    it('leaves the return received when the replacement is out of stock', async () => {
+      await deliveredOrder();
+      const { insertedId: variantId } = await getDB().collection('variants').insertOne({ productId: 'product-1', size: '43' });
+      await stockUp({ variantId, currentStock: 1, availableStock: 1 });
+      const id = await receivedReturn();
+
+      await expect(returnService.resolve(id, { outcome: 'exchange', exchange: [{ itemId: 'item-1', variantId: variantId.toString() }] }, 'admin'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect((await returnService.getReturn(id)).status).toBe('received');
+    });
+
+    it('credits the customer\'s balance in the order\'s currency', async () => {
+      await deliveredOrder();
+      const id = await receivedReturn();
+
+      const rma = await returnService.resolve(id, { outcome: 'store_credit' }, 'admin');
+
+      expect(rma.outcome).toMatchObject({ type: 'store_credit', amount: 90, balance: 90 });
+      expect(await returnService.getStoreCredit('ADA@example.com')).toEqual([
+        expect.objectContaining({ email: 'ada@example.com', currency: 'EUR', balance: 90 })
+      ]);
+    });
+
+    it('settles a return only once', async () => {
+      await deliveredOrder();
+      const id = await receivedReturn();
+      await returnService.resolve(id, { outcome: 'store_credit' }, 'admin');
+
+      await expect(returnService.resolve(id, { outcome: 'store_credit' }, 'admin')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Return is completed; it cannot be moved to resolving'
+      });
+      expect((await returnService.getStoreCredit('ada@example.com'))[0].balance).toBe(90);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const reservationService = require('./reservationService');
+const orderLifecycleService = require('./orderLifecycleService');
+const { createHttpError } = require('../utils/httpError');
+
+// Order statuses from which goods can leave the warehouse
+const SHIPPABLE_STATUSES = ['processing', 'partially_shipped'];
+
+class ShipmentService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+  }
+
+  async getOrder(orderId) {
+    await this.initialize();
+
+    const order = await this.db.collection('orders').findOne({ _id: new ObjectId(orderId) });
+
+    if (!order) {
+      throw createHttpError('Order not found', 404);
+    }
+
+    return order;
+  }
+
+  // Units of each line already covered by a shipment
+  shippedQuantities(order) {
+    const shipped = {};
+
+    for (const shipment of order.shipments || []) {
+      for (const line of shipment.items) {
+        shipped[line.itemId] = (shipped[line.itemId] || 0) + line.quantity;
+      }
+    }
+
+    return shipped;
+  }
+
+  // Lines (and quantities) still waiting to ship
+  unshippedItems(order) {
+    const shipped = this.shippedQuantities(order);
+
+    return (order.items || [])
+      .map(item => ({ itemId: item.id, quantity: item.quantity - (shipped[item.id] || 0) }))
+      .filter(line => line.quantity > 0);
+  }
+
+  // Ship some of an order's lines: record the shipment, take the stock out and update the order status
+  async createShipment(orderId, data, actor) {
+    const order = await this.getOrder(orderId);
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw createHttpError(
+        `Orders can only ship while ${SHIPPABLE_STATUSES.join(' or ')} (currently ${order.status})`,
+        409,
+        { currentStatus: order.status }
+      );
+    }
+
+    const remaining = this.unshippedItems(order);
+
+    for (const line of data.items) {
+      const open = remaining.find(entry => entry.itemId === line.itemId);
+
+      if (!open) {
+        throw createHttpError(`Item ${line.itemId} is not on this order or has already shipped`, 400);
+      }
+      if (line.quantity > open.quantity) {
+        throw createHttpError(`Only ${open.quantity} of item ${line.itemId} left to ship`, 400);
+      }
+    }
+
+    const now = new Date();
+    const shipment = {
+      id: `SHP-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
+      items: data.items.map(line => ({ itemId: line.itemId, quantity: line.quantity })),
+      warehouse: data.warehouse || null,
+      carrier: data.carrier || null,
+      trackingNumber: data.trackingNumber || null,
+      estimatedDelivery: data.estimatedDelivery ? new Date(data.estimatedDelivery) : null,
+      status: 'shipped',
+      createdBy: actor || 'system',
+      shippedAt: now,
+      deliveredAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // The updatedAt filter stops two shipments for the same units from both being recorded
+    const result = await this.db.collection('orders').updateOne(
+      { _id: order._id, updatedAt: order.updatedAt },
+      { $push: { shipments: shipment }, $set: { updatedAt: now } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createHttpError('Order was changed by another request, please retry', 409);
+    }
+
+    const stock = await reservationService.shipItems(order, shipment);
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id, 'shipments.id': shipment.id },
+      { $set: { 'shipments.$.stockMovements': stock.movements, 'shipments.$.stockShortfalls': stock.shortfalls } }
+    );
+
+    console.log(`🚚 Shipment ${shipment.id} created for order ${order.orderNumber}`);
+
+    const updated = await this.syncOrderStatus(order._id, actor, `Shipment ${shipment.id} dispatched`);
+
+    return { order: updated, shipment: { ...shipment, stockMovements: stock.movements, stockShortfalls: stock.shortfalls } };
+  }
+
+  // Ship whatever is left on an order in one shipment (used when an admin marks the whole order shipped)
+  async shipRemaining(orderId, data = {}, actor, reason) {
+    const order = await this.getOrder(orderId);
+    const items = this.unshippedItems(order);
+
+    if (items.length === 0 || !SHIPPABLE_STATUSES.includes(order.status)) {
+      return orderLifecycleService.transition(orderId, 'shipped', { actor, reason });
+    }
+
+    const { order: updated } = await this.createShipment(orderId, { ...data, items }, actor);
+    return { order: updated, effects: {} };
+  }
+
+  // Update a shipment's tracking or status
+  async updateShipment(orderId, shipmentId, data, actor) {
+    const order = await this.getOrder(orderId);
+    const shipment = (order.shipments || []).find(entry => entry.id === shipmentId);
+
+    if (!shipment) {
+      throw createHttpError('Shipment not found', 404);
+    }
+
+    if (shipment.status === 'delivered' && data.status && data.status !== 'delivered') {
+      throw createHttpError('Delivered shipments cannot change status', 409);
+    }
+
+    const now = new Date();
+    const updateData = { 'shipments.$.updatedAt': now, updatedAt: now };
+    ['carrier', 'trackingNumber'].forEach(field => {
+      if (data[field] !== undefined) updateData[`shipments.$.${field}`] = data[field];
+    });
+    if (data.estimatedDelivery !== undefined) {
+      updateData['shipments.$.estimatedDelivery'] = data.estimatedDelivery ? new Date(data.estimatedDelivery) : null;
+    }
+    if (data.status) {
+      updateData['shipments.$.status'] = data.status;
+      if (data.status === 'delivered' && !shipment.deliveredAt) {
+        updateData['shipments.$.deliveredAt'] = now;
+      }
+    }
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id, 'shipments.id': shipmentId },
+      { $set: updateData }
+    );
+
+    const updated = data.status
+      ? await this.syncOrderStatus(order._id, actor, `Shipment ${shipmentId} ${data.status.replace('_', ' ')}`)
+      : await this.getOrder(orderId);
+
+    return {
+      order: updated,
+      shipment: updated.shipments.find(entry => entry.id === shipmentId)
+    };
+  }
+
+  // Mark every shipment delivered (used when an admin marks the whole order delivered)
+  async deliverAll(orderId, actor, reason) {
+    const order = await this.getOrder(orderId);
+
+    if (!order.shipments || order.shipments.length === 0 || this.unshippedItems(order).length > 0) {
+      return orderLifecycleService.transition(orderId, 'delivered', { actor, reason });
+    }
+
+    const now = new Date();
+    const shipments = order.shipments.map(shipment => ({
+      ...shipment,
+      status: 'delivered',
+      deliveredAt: shipment.deliveredAt || now,
+      updatedAt: now
+    }));
+
+    await this.db.collection('orders').updateOne(
+      { _id: order._id },
+      { $set: { shipments, updatedAt: now } }
+    );
+
+    const updated = await this.syncOrderStatus(order._id, actor, reason || 'All shipments delivered');
+    return { order: updated, effects: {} };
+  }
+
+  // Status the shipments imply for the order
+  deriveStatus(order) {
+    const shipments = order.shipments || [];
+
+    if (shipments.length === 0) {
+      return order.status;
+    }
+
+    if (this.unshippedItems(order).length > 0) {
+      return 'partially_shipped';
+    }
+
+    return shipments.every(shipment => shipment.status === 'delivered') ? 'delivered' : 'shipped';
+  }
+
+  // Walk the order through the lifecycle until it matches its shipments
+  async syncOrderStatus(orderId, actor, reason) {
+    let order = await this.getOrder(orderId.toString());
+    const target = this.deriveStatus(order);
+
+    while (order.status !== target) {
+      const allowed = orderLifecycleService.allowedTransitions(order.status);
+      // A fully delivered order that was never marked shipped passes through shipped first
+      const next = allowed.includes(target) ? target : (target === 'delivered' && allowed.includes('shipped') ? 'shipped' : null);
+
+      if (!next) {
+        break;
+      }
+
+      ({ order } = await orderLifecycleService.transition(orderId.toString(), next, { actor, reason }));
+    }
+
+    return order;
+  }
+}
+
+module.exports = new ShipmentService();
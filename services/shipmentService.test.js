@@ -0,0 +1,116 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const shipmentService = require('./shipmentService');
+const reservationService = require('./reservationService');
+
+const item = { id: 'item-1', productId: 'product-1', name: 'Sneaker', quantity: 3 };
+
+async function stockUp(warehouse, quantity) {
+  const { insertedId } = await getDB().collection('inventory').insertOne({
+    productId: 'product-1',
+    status: 'active',
+    location: { warehouse },
+    currentStock: quantity,
+    reservedStock: 0,
+    availableStock: quantity
+  });
+  return insertedId;
+}
+
+const balances = async inventoryId => {
+  const { currentStock, reservedStock, availableStock } = await getDB().collection('inventory').findOne({ _id: inventoryId });
+  return { currentStock, reservedStock, availableStock };
+};
+
+// A paid order in processing whose line is held in the main warehouse
+async function paidOrder() {
+  const order = {
+    _id: new ObjectId(),
+    orderNumber: 'ORD-1',
+    customer: { id: 'user-1' },
+    items: [item],
+    status: 'processing',
+    paymentStatus: 'completed',
+    statusHistory: [],
+    updatedAt: new Date()
+  };
+  await getDB().collection('orders').insertOne(order);
+  await reservationService.holdCartItem('user-1', item, item.quantity);
+  await reservationService.attachCartToOrder('user-1', order._id.toString());
+  await reservationService.commitOrder(order);
+  return order._id.toString();
+}
+
+describe('shipmentService', () => {
+  beforeEach(() => {
+    resetDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ships part of an order out of its hold and marks it partially shipped', async () => {
+    const main = await stockUp('main', 5);
+    const orderId = await paidOrder();
+
+    const { order, shipment } = await shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 1 }] }, 'admin');
+
+    expect(order.status).toBe('partially_shipped');
+    expect(shipment.stockMovements).toEqual([expect.objectContaining({ itemId: 'item-1', quantity: 1, warehouse: 'main' })]);
+    expect(await balances(main)).toEqual({ currentStock: 4, reservedStock: 2, availableStock: 2 });
+  });
+
+  it('marks the order shipped with the last shipment and delivered once every shipment arrives', async () => {
+    const main = await stockUp('main', 5);
+    const orderId = await paidOrder();
+    const first = await shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 1 }] });
+    const second = await shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 2 }] });
+
+    expect(second.order.status).toBe('shipped');
+    expect(await balances(main)).toEqual({ currentStock: 2, reservedStock: 0, availableStock: 2 });
+
+    await shipmentService.updateShipment(orderId, first.shipment.id, { status: 'delivered' });
+    const { order } = await shipmentService.updateShipment(orderId, second.shipment.id, { status: 'delivered' });
+
+    expect(order.status).toBe('delivered');
+    expect(order.statusHistory.map(entry => entry.to)).toEqual(['partially_shipped', 'shipped', 'delivered']);
+  });
+
+  it('frees the hold and takes stock from the shipping warehouse when it differs', async () => {
+    const main = await stockUp('main', 5);
+    const athens = await stockUp('athens', 4);
+    const orderId = await paidOrder();
+
+    const { shipment } = await shipmentService.createShipment(orderId, { warehouse: 'athens', items: [{ itemId: 'item-1', quantity: 3 }] });
+
+    expect(shipment.stockMovements).toEqual([expect.objectContaining({ quantity: 3, warehouse: 'athens' })]);
+    expect(await balances(main)).toEqual({ currentStock: 5, reservedStock: 0, availableStock: 5 });
+    expect(await balances(athens)).toEqual({ currentStock: 1, reservedStock: 0, availableStock: 1 });
+  });
+
+  it('refuses to ship more than is left on a line', async () => {
+    await stockUp('main', 5);
+    const orderId = await paidOrder();
+    await shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 2 }] });
+
+    await expect(shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 2 }] })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Only 1 of item item-1 left to ship'
+    });
+  });
+
+  it('refuses to ship an order that is not being processed', async () => {
+    await stockUp('main', 5);
+    const orderId = await paidOrder();
+    await getDB().collection('orders').updateOne({ _id: new ObjectId(orderId) }, { $set: { status: 'confirmed' } });
+
+    await expect(shipmentService.createShipment(orderId, { items: [{ itemId: 'item-1', quantity: 1 }] })).rejects.toMatchObject({
+      statusCode: 409,
+      details: { currentStatus: 'confirmed' }
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class ShippingService {
+  constructor() {
+    this.db = null;
+    this.zones = null;
+    this.zonesLoadedAt = 0;
+    this.zonesTimeout = 5 * 60 * 1000; // 5 minutes
+    this.defaultItemWeight = parseFloat(process.env.DEFAULT_ITEM_WEIGHT_KG || '1');
+    this.defaultVolumetricDivisor = 5000; // cm³ per kg, the common courier divisor
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+  }
+
+  // Load active zones, keeping them in memory between cart calculations
+  async getActiveZones() {
+    await this.initialize();
+
+    if (!this.zones || Date.now() - this.zonesLoadedAt > this.zonesTimeout) {
+      this.zones = await this.db.collection('shippingZones').find({ isActive: true }).toArray();
+      this.zonesLoadedAt = Date.now();
+    }
+
+    return this.zones;
+  }
+
+  // Drop the in-memory zones so the next quote sees admin changes
+  invalidateZones() {
+    this.zones = null;
+  }
+
+  // Find the zone covering a country, falling back to a catch-all zone
+  async resolveZone(country) {
+    if (!country) {
+      return null;
+    }
+
+    const zones = await this.getActiveZones();
+    const code = country.toUpperCase();
+
+    return zones.find(zone => (zone.countries || []).includes(code)) ||
+      zones.find(zone => (zone.countries || []).includes('*')) ||
+      null;
+  }
+
+  // Billable weight of one unit: the larger of actual and volumetric weight
+  chargeableWeight(item, divisor) {
+    const actual = item.weight || this.defaultItemWeight;
+    const dimensions = item.dimensions;
+
+    if (!dimensions || !dimensions.length || !dimensions.width || !dimensions.height) {
+      return actual;
+    }
+
+    const volumetric = (dimensions.length * dimensions.width * dimensions.height) / divisor;
+    return Math.max(actual, volumetric);
+  }
+
+  // Quote every method of the destination zone for a set of items
+  async getOptions(items, address = {}, subtotal = 0) {
+    const zone = await this.resolveZone(address && address.country);
+
+    if (!zone) {
+      return null;
+    }
+
+    const options = [];
+
+    for (const method of zone.methods || []) {
+      if (method.isActive === false) {
+        continue;
+      }
+
+      const divisor = method.volumetricDivisor || this.defaultVolumetricDivisor;
+      const weight = items.reduce((sum, item) => sum + this.chargeableWeight(item, divisor) * item.quantity, 0);
+
+      const tier = [...(method.rateTiers || [])]
+        .sort((a, b) => a.maxWeight - b.maxWeight)
+        .find(entry => weight <= entry.maxWeight);
+
+      // Too heavy for every tier of this method
+      if (!tier) {
+        continue;
+      }
+
+      const freeShipping = Boolean(method.freeShippingThreshold && subtotal >= method.freeShippingThreshold);
+
+      options.push({
+        zoneId: zone._id.toString(),
+        zoneName: zone.name,
+        code: method.code,
+        carrier: method.carrier,
+        name: method.name,
+        price: freeShipping ? 0 : tier.price,
+        basePrice: tier.price,
+        freeShipping,
+        freeShippingThreshold: method.freeShippingThreshold || null,
+        chargeableWeight: Math.round(weight * 1000) / 1000,
+        estimatedDays: method.estimatedDays || null
+      });
+    }
+
+    return options.sort((a, b) => a.price - b.price);
+  }
+
+  // Get shipping zones for administration
+  async getZones(filters = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (filters.country) query.countries = filters.country.toUpperCase();
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+    return this.db.collection('shippingZones').find(query).sort({ name: 1 }).toArray();
+  }
+
+  async getZoneById(id) {
+    await this.initialize();
+
+    return this.db.collection('shippingZones').findOne({ _id: new ObjectId(id) });
+  }
+
+  async createZone(data) {
+    await this.initialize();
+
+    const zone = {
+      ...this.normalizeZone(data),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await this.db.collection('shippingZones').insertOne(zone);
+    zone._id = result.insertedId;
+    this.invalidateZones();
+
+    return zone;
+  }
+
+  async updateZone(id, data) {
+    await this.initialize();
+
+    const zone = await this.db.collection('shippingZones').findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...this.normalizeZone(data), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    this.invalidateZones();
+
+    return zone;
+  }
+
+  async deleteZone(id) {
+    await this.initialize();
+
+    const result = await this.db.collection('shippingZones').deleteOne({ _id: new ObjectId(id) });
+    this.invalidateZones();
+
+    return result.deletedCount > 0;
+  }
+
+  normalizeZone(data) {
+    return {
+      ...data,
+      countries: data.countries.map(country => country.toUpperCase())
+    };
+  }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,285 @@
+const { connectDB } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+
+// What a movement can point back at
+const REFERENCE_TYPES = ['order', 'cart', 'rma', 'refund', 'adjustment', 'transfer', 'stock_take', 'purchase_order'];
+
+// The inventory balances the ledger accounts for
+const BALANCE_FIELDS = ['currentStock', 'reservedStock', 'availableStock', 'inTransitStock'];
+
+class StockLedgerService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('stockMovements').createIndex({ inventoryId: 1, timestamp: -1 });
+      await this.db.collection('stockMovements').createIndex({ timestamp: -1 });
+      await this.db.collection('stockMovements').createIndex({ 'reference.type': 1, 'reference.id': 1 });
+    }
+  }
+
+  get referenceTypes() {
+    return REFERENCE_TYPES;
+  }
+
+  // Balance changes for the movement types staff can post by hand
+  changesFor(type, quantity) {
+    switch (type) {
+      case 'in':
+        return { currentStock: quantity, availableStock: quantity };
+      case 'out':
+        return { currentStock: -quantity, availableStock: -quantity };
+      case 'reserved':
+        return { reservedStock: quantity, availableStock: -quantity };
+      case 'unreserved':
+        return { reservedStock: -quantity, availableStock: quantity };
+      case 'adjustment':
+        return { currentStock: quantity, availableStock: quantity };
+      default:
+        throw createHttpError(`Unknown movement type ${type}`, 400);
+    }
+  }
+
+  // Filter that stops a change from taking any balance below zero
+  guardFor(changes) {
+    const guard = {};
+
+    Object.entries(changes).forEach(([field, delta]) => {
+      if (delta < 0) {
+        guard[field] = { $gte: -delta };
+      }
+    });
+
+    return guard;
+  }
+
+  // Apply a change to a record's balances with one atomic $inc and append it to the ledger.
+  // Returns null when the record is missing or, when guarded, the change would take a balance below zero.
+  async record(inventoryId, changes, { type, quantity, reason, reference, performedBy, notes }, { guarded = false, set = {} } = {}) {
+    await this.initialize();
+
+    const inventory = await this.db.collection('inventory').findOneAndUpdate(
+      { _id: inventoryId, ...(guarded ? this.guardFor(changes) : {}) },
+      { $inc: changes, $set: { ...set, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!inventory) {
+      return null;
+    }
+
+    // The balance moved first, so a crash here shows up as drift for the rebuild to find
+    const entry = {
+      inventoryId: inventory._id,
+      productId: inventory.productId,
+      variantId: inventory.variantId || null,
+      sku: inventory.sku,
+      warehouse: (inventory.location && inventory.location.warehouse) || 'main',
+      type,
+      quantity,
+      changes,
+      reason,
+      reference: this.normalizeReference(reference),
+      performedBy: performedBy || 'system',
+      notes: notes || null,
+      timestamp: new Date()
+    };
+
+    const result = await this.db.collection('stockMovements').insertOne(entry);
+    entry._id = result.insertedId;
+
+    return { entry, inventory };
+  }
+
+  normalizeReference(reference) {
+    if (!reference) {
+      return { type: 'adjustment', id: null };
+    }
+
+    return { type: reference.type, id: reference.id != null ? String(reference.id) : null };
+  }
+
+  // A record's movements, newest first
+  async getMovements(inventoryId, { type, referenceType, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = { inventoryId };
+    if (type) query.type = type;
+    if (referenceType) query['reference.type'] = referenceType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [movements, total] = await Promise.all([
+      this.db.collection('stockMovements')
+        .find(query)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('stockMovements').countDocuments(query)
+    ]);
+
+    return {
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  // Balances each record should have according to the ledger
+  async ledgerBalances(inventoryIds = null) {
+    await this.initialize();
+
+    const match = inventoryIds ? { inventoryId: { $in: inventoryIds } } : {};
+    const group = { _id: '$inventoryId' };
+    BALANCE_FIELDS.forEach(field => {
+      group[field] = { $sum: { $ifNull: [`$changes.${field}`, 0] } };
+    });
+
+    const rows = await this.db.collection('stockMovements').aggregate([
+      { $match: match },
+      { $group: group }
+    ]).toArray();
+
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  // Compare every record's balances with the ledger; with `fix`, reset drifted records to the ledger
+  async findDrift({ fix = false, inventoryIds = null } = {}) {
+    await this.initialize();
+
+    const query = inventoryIds ? { _id: { $in: inventoryIds } } : {};
+    const records = await this.db.collection('inventory')
+      .find(query, { projection: { sku: 1, location: 1, currentStock: 1, reservedStock: 1, availableStock: 1, inTransitStock: 1 } })
+      .toArray();
+    const balances = await this.ledgerBalances(inventoryIds);
+
+    const drifted = [];
+    for (const record of records) {
+      const expected = balances.get(record._id.toString()) || {};
+      const differences = {};
+
+      BALANCE_FIELDS.forEach(field => {
+        const actual = record[field] || 0;
+        const ledger = expected[field] || 0;
+        if (actual !== ledger) {
+          differences[field] = { actual, ledger };
+        }
+      });
+
+      if (Object.keys(differences).length === 0) {
+        continue;
+      }
+
+      drifted.push({
+        inventoryId: record._id,
+        sku: record.sku,
+        warehouse: (record.location && record.location.warehouse) || 'main',
+        differences
+      });
+    }
+
+    if (fix) {
+      // A record the ledger has never seen would be reset to zero, wiping stock that was never migrated
+      const unledgered = drifted.filter(record => !balances.has(record.inventoryId.toString()));
+      if (unledgered.length > 0) {
+        throw createHttpError(
+          `${unledgered.length} inventory records have stock but no ledger entries; migrate them into the ledger before fixing`,
+          409,
+          { inventoryIds: unledgered.map(record => record.inventoryId) }
+        );
+      }
+
+      for (const { inventoryId, differences } of drifted) {
+        const reset = {};
+        Object.entries(differences).forEach(([field, { ledger }]) => {
+          reset[field] = ledger;
+        });
+        await this.db.collection('inventory').updateOne(
+          { _id: inventoryId },
+          { $set: { ...reset, updatedAt: new Date() } }
+        );
+      }
+    }
+
+    return { checked: records.length, drifted, fixed: fix ? drifted.length : 0 };
+  }
+
+  // Move the movements embedded in inventory records into the ledger as history, then post an
+  // opening balance for whatever the ledger does not already explain
+  async migrateEmbedded() {
+    await this.initialize();
+
+    const inventory = this.db.collection('inventory');
+    const ledger = this.db.collection('stockMovements');
+    let history = 0;
+    let opened = 0;
+
+    const cursor = inventory.find({}, { projection: { analytics: 0, alerts: 0 } });
+    for await (const record of cursor) {
+      const warehouse = (record.location && record.location.warehouse) || 'main';
+      const base = {
+        inventoryId: record._id,
+        productId: record.productId,
+        variantId: record.variantId || null,
+        sku: record.sku,
+        warehouse
+      };
+
+      // Old entries already shaped the current balance, so they carry no changes of their own
+      const embedded = (record.stockMovements || []).map(movement => ({
+        ...base,
+        type: movement.type,
+        quantity: movement.quantity,
+        changes: {},
+        reason: movement.reason || null,
+        reference: { type: 'adjustment', id: movement.reference ? String(movement.reference) : null },
+        performedBy: movement.performedBy || 'system',
+        notes: movement.notes || null,
+        legacy: true,
+        timestamp: movement.timestamp ? new Date(movement.timestamp) : record.createdAt || new Date()
+      }));
+      if (embedded.length > 0) {
+        await ledger.insertMany(embedded);
+        history += embedded.length;
+      }
+
+      const hasOpening = await ledger.countDocuments({ inventoryId: record._id, reason: 'opening_balance' });
+      if (hasOpening === 0) {
+        const expected = (await this.ledgerBalances([record._id])).get(record._id.toString()) || {};
+        const changes = {};
+        BALANCE_FIELDS.forEach(field => {
+          const difference = (record[field] || 0) - (expected[field] || 0);
+          if (difference !== 0) {
+            changes[field] = difference;
+          }
+        });
+
+        await ledger.insertOne({
+          ...base,
+          type: 'adjustment',
+          quantity: changes.currentStock || 0,
+          changes,
+          reason: 'opening_balance',
+          reference: { type: 'adjustment', id: null },
+          performedBy: 'system',
+          notes: 'Balance carried over from before the ledger',
+          timestamp: record.createdAt || new Date()
+        });
+        opened++;
+      }
+
+      await inventory.updateOne({ _id: record._id }, { $unset: { stockMovements: '' } });
+    }
+
+    return { history, opened };
+  }
+}
+
+module.exports = new StockLedgerService();
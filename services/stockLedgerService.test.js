@@ -0,0 +1,138 @@
+jest.mock('../config/database');
+
+const { ObjectId } = require('mongodb');
+const { getDB, resetDB } = require('../config/database');
+const stockLedgerService = require('./stockLedgerService');
+
+const movement = (type, quantity) => ({ type, quantity, reason: 'test', reference: { type: 'adjustment', id: 'test' } });
+
+async function createInventory(balances = {}) {
+  const { insertedId } = await getDB().collection('inventory').insertOne({
+    productId: 'product-1',
+    sku: 'SKU-1',
+    location: { warehouse: 'main' },
+    status: 'active',
+    currentStock: 0,
+    reservedStock: 0,
+    availableStock: 0,
+    inTransitStock: 0,
+    ...balances
+  });
+  return insertedId;
+}
+
+describe('stockLedgerService', () => {
+  beforeEach(() => {
+    resetDB();
+  });
+
+  describe('record', () => {
+    it('moves the balance and appends the change to the ledger', async () => {
+      const inventoryId = await createInventory();
+
+      const result = await stockLedgerService.record(inventoryId, { currentStock: 5, availableStock: 5 }, movement('in', 5));
+
+      expect(result.inventory).toMatchObject({ currentStock: 5, availableStock: 5 });
+      expect(result.entry).toMatchObject({ inventoryId, type: 'in', quantity: 5, changes: { currentStock: 5, availableStock: 5 } });
+      expect(await getDB().collection('stockMovements').countDocuments({ inventoryId })).toBe(1);
+    });
+
+    it('refuses a guarded change that would take a balance below zero', async () => {
+      const inventoryId = await createInventory({ currentStock: 3, availableStock: 3 });
+
+      const result = await stockLedgerService.record(
+        inventoryId,
+        { reservedStock: 4, availableStock: -4 },
+        movement('reserved', 4),
+        { guarded: true }
+      );
+
+      expect(result).toBeNull();
+      const inventory = await getDB().collection('inventory').findOne({ _id: inventoryId });
+      expect(inventory).toMatchObject({ reservedStock: 0, availableStock: 3 });
+      expect(await getDB().collection('stockMovements').countDocuments({})).toBe(0);
+    });
+
+    it('allows a guarded change that leaves the balance at exactly zero', async () => {
+      const inventoryId = await createInventory({ currentStock: 3, availableStock: 3 });
+
+      const result = await stockLedgerService.record(
+        inventoryId,
+        { reservedStock: 3, availableStock: -3 },
+        movement('reserved', 3),
+        { guarded: true }
+      );
+
+      expect(result.inventory).toMatchObject({ reservedStock: 3, availableStock: 0 });
+    });
+
+    it('returns null for a missing record', async () => {
+      const result = await stockLedgerService.record(new ObjectId(), { currentStock: 1 }, movement('in', 1));
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findDrift', () => {
+    it('reports nothing while balances match the ledger', async () => {
+      const inventoryId = await createInventory();
+      await stockLedgerService.record(inventoryId, { currentStock: 5, availableStock: 5 }, movement('in', 5));
+      await stockLedgerService.record(inventoryId, { reservedStock: 2, availableStock: -2 }, movement('reserved', 2));
+
+      const result = await stockLedgerService.findDrift();
+
+      expect(result).toEqual({ checked: 1, drifted: [], fixed: 0 });
+    });
+
+    it('reports a balance edited outside the ledger without touching it', async () => {
+      const inventoryId = await createInventory();
+      await stockLedgerService.record(inventoryId, { currentStock: 5, availableStock: 5 }, movement('in', 5));
+      await getDB().collection('inventory').updateOne({ _id: inventoryId }, { $set: { availableStock: 9 } });
+
+      const result = await stockLedgerService.findDrift();
+
+      expect(result.drifted).toEqual([
+        { inventoryId, sku: 'SKU-1', warehouse: 'main', differences: { availableStock: { actual: 9, ledger: 5 } } }
+      ]);
+      expect(result.fixed).toBe(0);
+      const inventory = await getDB().collection('inventory').findOne({ _id: inventoryId });
+      expect(inventory.availableStock).toBe(9);
+    });
+
+    it('rebuilds drifted balances from the ledger when fixing', async () => {
+      const driftedId = await createInventory();
+      const cleanId = await createInventory({ sku: 'SKU-2' });
+      await stockLedgerService.record(driftedId, { currentStock: 5, availableStock: 5 }, movement('in', 5));
+      await stockLedgerService.record(driftedId, { reservedStock: 2, availableStock: -2 }, movement('reserved', 2));
+      await stockLedgerService.record(cleanId, { currentStock: 1, availableStock: 1 }, movement('in', 1));
+      await getDB().collection('inventory').updateOne(
+        { _id: driftedId },
+        { $set: { currentStock: 7, reservedStock: 0 } }
+      );
+
+      const result = await stockLedgerService.findDrift({ fix: true });
+
+      expect(result.checked).toBe(2);
+      expect(result.fixed).toBe(1);
+      expect(result.drifted.map(entry => entry.inventoryId)).toEqual([driftedId]);
+      const inventory = await getDB().collection('inventory').findOne({ _id: driftedId });
+      expect(inventory).toMatchObject({ currentStock: 5, reservedStock: 2, availableStock: 3 });
+      expect(await stockLedgerService.findDrift()).toMatchObject({ drifted: [] });
+    });
+
+    it('refuses to fix while a record with stock has no ledger entries', async () => {
+      const ledgeredId = await createInventory();
+      const unledgeredId = await createInventory({ sku: 'SKU-2', currentStock: 4, availableStock: 4 });
+      await stockLedgerService.record(ledgeredId, { currentStock: 5, availableStock: 5 }, movement('in', 5));
+      await getDB().collection('inventory').updateOne({ _id: ledgeredId }, { $set: { currentStock: 7 } });
+
+      await expect(stockLedgerService.findDrift({ fix: true })).rejects.toMatchObject({
+        statusCode: 409,
+        details: { inventoryIds: [unledgeredId] }
+      });
+
+      const records = await getDB().collection('inventory').find({}).sort({ sku: 1 }).toArray();
+      expect(records.map(record => record.currentStock)).toEqual([7, 4]);
+    });
+  });
+});
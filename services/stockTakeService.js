@@ -0,0 +1,407 @@
+const { connectDB } = require('../config/database');
+const crypto = require('crypto');
+const orderLifecycleService = require('./orderLifecycleService');
+const stockLedgerService = require('./stockLedgerService');
+const warehouseService = require('./warehouseService');
+const currencyService = require('./currencyService');
+const { roundAmount } = require('../utils/currency');
+const { createHttpError } = require('../utils/httpError');
+
+class StockTakeService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('stockTakes').createIndex({ id: 1 }, { unique: true });
+      await this.db.collection('stockTakes').createIndex({ warehouse: 1, status: 1 });
+      await this.db.collection('stockTakes').createIndex({ createdAt: -1 });
+    }
+  }
+
+  async getStockTakes({ status, warehouse, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (status) query.status = status;
+    if (warehouse) query.warehouse = warehouse;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [stockTakes, total] = await Promise.all([
+      this.db.collection('stockTakes')
+        // The count sheet can be long, so lists leave it out
+        .find(query, { projection: { _id: 0, items: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('stockTakes').countDocuments(query)
+    ]);
+
+    return {
+      stockTakes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  async getStockTake(sessionId) {
+    await this.initialize();
+
+    const session = await this.db.collection('stockTakes').findOne({ id: sessionId }, { projection: { _id: 0 } });
+
+    if (!session) {
+      throw createHttpError('Stock-take not found', 404);
+    }
+
+    return session;
+  }
+
+  // Open a session with a count sheet of every active record in a warehouse (optionally one
+  // category), freezing each record's book quantity as it stands now
+  async createStockTake({ warehouse, category, notes }, actor) {
+    await this.initialize();
+    await warehouseService.requireActive(warehouse);
+
+    const open = await this.db.collection('stockTakes').findOne({
+      warehouse,
+      category: category || null,
+      status: { $in: ['counting', 'submitted'] }
+    });
+    if (open) {
+      throw createHttpError(`Stock-take ${open.sessionNumber} is already open for this warehouse`, 409, { id: open.id });
+    }
+
+    const records = await this.db.collection('inventory').aggregate([
+      { $match: { 'location.warehouse': warehouse, status: 'active' } },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'productId',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      {
+        $lookup: {
+          from: 'variants',
+          localField: 'variantId',
+          foreignField: '_id',
+          as: 'variant'
+        }
+      },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$variant', preserveNullAndEmptyArrays: true } },
+      ...(category ? [{ $match: { 'product.category': category } }] : []),
+      { $sort: { 'location.zone': 1, 'location.shelf': 1, 'location.bin': 1, sku: 1 } }
+    ]).toArray();
+
+    if (records.length === 0) {
+      throw createHttpError(`Nothing to count in ${warehouse}${category ? ` for ${category}` : ''}`, 400);
+    }
+
+    const items = records.map(record => ({
+      inventoryId: record._id,
+      productId: record.productId,
+      variantId: record.variantId || null,
+      sku: record.sku,
+      name: record.product ? record.product.name : null,
+      size: record.variant ? record.variant.size || null : null,
+      color: record.variant ? record.variant.color || null : null,
+      location: record.location || { warehouse },
+      bookQuantity: record.currentStock || 0,
+      unitCost: record.cost || 0,
+      countedQuantity: null,
+      scans: 0,
+      countedBy: null,
+      countedAt: null
+    }));
+
+    const now = new Date();
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const session = {
+      id: `stk_${suffix}`,
+      sessionNumber: `STK-${suffix.toUpperCase()}`,
+      warehouse,
+      category: category || null,
+      status: 'counting',
+      notes: notes || null,
+      items,
+      adjustments: [],
+      createdBy: actor || 'system',
+      bookTakenAt: now,
+      submittedAt: null,
+      approvedAt: null,
+      statusHistory: [orderLifecycleService.historyEntry(null, 'counting', actor, notes)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.collection('stockTakes').insertOne(session);
+    delete session._id;
+
+    console.log(`📋 Stock-take ${session.sessionNumber} opened for ${warehouse} with ${items.length} lines`);
+
+    return session;
+  }
+
+  // Set counted quantities for lines, by SKU or inventory ID; a later count replaces an earlier one
+  async recordCounts(sessionId, counts, actor) {
+    await this.initialize();
+
+    const session = await this.getStockTake(sessionId);
+    if (session.status !== 'counting') {
+      throw createHttpError(`Stock-take is ${session.status}; counts can no longer change`, 409, { status: session.status });
+    }
+
+    const now = new Date();
+    const operations = counts.map(count => {
+      const line = this.findLine(session, count);
+      return {
+        updateOne: {
+          filter: { id: sessionId, status: 'counting', 'items.inventoryId': line.inventoryId },
+          update: {
+            $set: {
+              'items.$.countedQuantity': count.countedQuantity,
+              'items.$.countedBy': actor || 'system',
+              'items.$.countedAt': now,
+              updatedAt: now
+            }
+          }
+        }
+      };
+    });
+
+    const result = await this.db.collection('stockTakes').bulkWrite(operations, { ordered: true });
+    if (result.matchedCount < operations.length) {
+      throw createHttpError('Stock-take was closed while counts were being saved', 409);
+    }
+
+    return this.getStockTake(sessionId);
+  }
+
+  // Add scanned units to a line one post at a time, the way a barcode scanner reports them
+  async recordScan(sessionId, { code, quantity = 1 }, actor) {
+    await this.initialize();
+
+    const session = await this.getStockTake(sessionId);
+    const line = this.findLine(session, { sku: code });
+    const now = new Date();
+
+    // Counting from the line's current value keeps concurrent scanners from losing units
+    const updated = await this.db.collection('stockTakes').findOneAndUpdate(
+      { id: sessionId, status: 'counting', 'items.inventoryId': line.inventoryId },
+      [{
+        $set: {
+          updatedAt: now,
+          items: {
+            $map: {
+              input: '$items',
+              as: 'item',
+              in: {
+                $cond: [
+                  { $eq: ['$$item.inventoryId', line.inventoryId] },
+                  {
+                    $mergeObjects: ['$$item', {
+                      countedQuantity: { $add: [{ $ifNull: ['$$item.countedQuantity', 0] }, quantity] },
+                      scans: { $add: [{ $ifNull: ['$$item.scans', 0] }, 1] },
+                      countedBy: { $literal: actor || 'system' },
+                      countedAt: now
+                    }]
+                  },
+                  '$$item'
+                ]
+              }
+            }
+          }
+        }
+      }],
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!updated) {
+      throw createHttpError(`Stock-take is ${session.status}; counts can no longer change`, 409, { status: session.status });
+    }
+
+    const counted = updated.items.find(item => item.inventoryId.equals(line.inventoryId));
+    return { sku: counted.sku, countedQuantity: counted.countedQuantity, scans: counted.scans };
+  }
+
+  findLine(session, { sku, inventoryId }) {
+    const line = session.items.find(item =>
+      (inventoryId && item.inventoryId.toString() === inventoryId) ||
+      (sku && item.sku === sku)
+    );
+
+    if (!line) {
+      throw createHttpError(`${sku || inventoryId} is not on the count sheet for ${session.sessionNumber}`, 400, { sku, inventoryId });
+    }
+
+    return line;
+  }
+
+  // Close counting so the variances can be reviewed
+  async submit(sessionId, actor, notes) {
+    await this.initialize();
+
+    const session = await this.moveStockTake(sessionId, ['counting'], 'submitted', actor, notes || 'Counting finished', {
+      submittedBy: actor || 'system',
+      submittedAt: new Date()
+    });
+
+    return { ...session, report: this.buildReport(session) };
+  }
+
+  // Post an adjustment for every counted line that differs from its book quantity
+  async approve(sessionId, actor, notes) {
+    await this.initialize();
+
+    // Claim the session first so a double approval cannot post the adjustments twice
+    const session = await this.moveStockTake(sessionId, ['submitted'], 'approved', actor, notes || 'Variances approved', {
+      approvedBy: actor || 'system',
+      approvedAt: new Date()
+    });
+    const reference = { type: 'stock_take', id: session.sessionNumber };
+    const adjustments = [];
+
+    for (const line of session.items) {
+      const variance = this.varianceOf(line);
+      if (!variance) {
+        continue;
+      }
+
+      // The count is what is physically there, so the adjustment is not refused for going below zero
+      const recorded = await stockLedgerService.record(
+        line.inventoryId,
+        { currentStock: variance, availableStock: variance },
+        {
+          type: 'adjustment',
+          quantity: variance,
+          reason: variance < 0 ? 'stock_take_shrinkage' : 'stock_take_overage',
+          reference,
+          performedBy: actor,
+          notes: `Counted ${line.countedQuantity}, book ${line.bookQuantity}`
+        }
+      );
+
+      adjustments.push({
+        inventoryId: line.inventoryId,
+        sku: line.sku,
+        quantity: variance,
+        movementId: recorded ? recorded.entry._id : null
+      });
+    }
+
+    const approved = await this.db.collection('stockTakes').findOneAndUpdate(
+      { id: sessionId },
+      { $set: { adjustments, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    console.log(`📋 Stock-take ${session.sessionNumber} approved with ${adjustments.length} adjustments`);
+
+    return { ...approved, report: this.buildReport(approved) };
+  }
+
+  async cancel(sessionId, reason, actor) {
+    await this.initialize();
+
+    return this.moveStockTake(sessionId, ['counting', 'submitted'], 'cancelled', actor, reason, {
+      cancelledBy: actor || 'system',
+      cancelledAt: new Date()
+    });
+  }
+
+  async moveStockTake(sessionId, from, to, actor, reason, extra = {}) {
+    const session = await this.db.collection('stockTakes').findOneAndUpdate(
+      { id: sessionId, status: { $in: from } },
+      {
+        $set: { status: to, updatedAt: new Date(), ...extra },
+        $push: { statusHistory: orderLifecycleService.historyEntry(null, to, actor, reason) }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!session) {
+      const existing = await this.getStockTake(sessionId);
+      throw createHttpError(`Stock-take is ${existing.status}; it cannot be moved to ${to}`, 409, { status: existing.status });
+    }
+
+    return session;
+  }
+
+  // Counted minus book; null for lines nobody counted
+  varianceOf(line) {
+    return line.countedQuantity === null || line.countedQuantity === undefined
+      ? null
+      : line.countedQuantity - line.bookQuantity;
+  }
+
+  async getReport(sessionId) {
+    const session = await this.getStockTake(sessionId);
+    return this.buildReport(session);
+  }
+
+  // Variance quantities and values at cost (in the base currency) for a session, largest losses first
+  buildReport(session) {
+    const currency = currencyService.baseCurrency;
+    const counted = session.items.filter(line => this.varianceOf(line) !== null);
+    const lines = counted
+      .map(line => {
+        const variance = this.varianceOf(line);
+        return {
+          sku: line.sku,
+          name: line.name,
+          size: line.size,
+          location: line.location,
+          bookQuantity: line.bookQuantity,
+          countedQuantity: line.countedQuantity,
+          variance,
+          unitCost: line.unitCost,
+          varianceValue: roundAmount(variance * line.unitCost, currency)
+        };
+      })
+      .filter(line => line.variance !== 0)
+      .sort((a, b) => a.varianceValue - b.varianceValue);
+
+    const sum = (entries, key) => roundAmount(entries.reduce((total, entry) => total + entry[key], 0), currency);
+    const shrinkage = lines.filter(line => line.variance < 0);
+    const overage = lines.filter(line => line.variance > 0);
+    const bookValue = roundAmount(session.items.reduce((total, line) => total + line.bookQuantity * line.unitCost, 0), currency);
+
+    return {
+      id: session.id,
+      sessionNumber: session.sessionNumber,
+      warehouse: session.warehouse,
+      category: session.category,
+      status: session.status,
+      currency,
+      summary: {
+        lines: session.items.length,
+        counted: counted.length,
+        uncounted: session.items.length - counted.length,
+        matched: counted.length - lines.length,
+        // Share of counted lines that matched the book
+        accuracy: counted.length > 0 ? Math.round(((counted.length - lines.length) / counted.length) * 10000) / 100 : null,
+        bookValue,
+        shrinkageUnits: -shrinkage.reduce((total, line) => total + line.variance, 0),
+        shrinkageValue: -sum(shrinkage, 'varianceValue'),
+        overageUnits: overage.reduce((total, line) => total + line.variance, 0),
+        overageValue: sum(overage, 'varianceValue'),
+        netVarianceValue: sum(lines, 'varianceValue')
+      },
+      lines,
+      uncounted: session.items
+        .filter(line => this.varianceOf(line) === null)
+        .map(line => ({ sku: line.sku, name: line.name, location: line.location, bookQuantity: line.bookQuantity }))
+    };
+  }
+}
+
+module.exports = new StockTakeService();
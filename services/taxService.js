@@ -0,0 +1,204 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class TaxService {
+  constructor() {
+    this.db = null;
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.rulesTimeout = 5 * 60 * 1000; // 5 minutes
+    // Used when no rule matches the destination (or it is not known yet)
+    this.defaultRule = {
+      name: 'Default',
+      country: null,
+      region: null,
+      standardRate: parseFloat(process.env.DEFAULT_TAX_RATE || '8.5'),
+      categoryRates: [],
+      pricesIncludeTax: false,
+      b2bReverseCharge: false,
+      isActive: true
+    };
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+    }
+  }
+
+  // Load active rules, keeping them in memory between cart calculations
+  async getActiveRules() {
+    await this.initialize();
+
+    if (!this.rules || Date.now() - this.rulesLoadedAt > this.rulesTimeout) {
+      this.rules = await this.db.collection('taxRules').find({ isActive: true }).toArray();
+      this.rulesLoadedAt = Date.now();
+    }
+
+    return this.rules;
+  }
+
+  // Drop the in-memory rules so the next calculation sees admin changes
+  invalidateRules() {
+    this.rules = null;
+  }
+
+  // Find the rule for a destination: country + region, then country, then default
+  async resolveRule(address = {}) {
+    const country = (address.country || '').toUpperCase();
+    const region = (address.region || '').toUpperCase();
+
+    if (!country) {
+      return this.defaultRule;
+    }
+
+    const rules = await this.getActiveRules();
+    const countryRules = rules.filter(rule => rule.country === country);
+
+    return countryRules.find(rule => region && rule.region === region) ||
+      countryRules.find(rule => !rule.region) ||
+      this.defaultRule;
+  }
+
+  // Rate applied to a product category under a rule
+  rateForCategory(rule, category) {
+    const categoryRate = (rule.categoryRates || []).find(entry =>
+      category && entry.category.toLowerCase() === String(category).toLowerCase()
+    );
+
+    return categoryRate
+      ? { rate: categoryRate.rate, rateType: categoryRate.rateType || 'reduced' }
+      : { rate: rule.standardRate, rateType: 'standard' };
+  }
+
+  // Basic shape check for an EU-style VAT number (country prefix + 8-12 characters)
+  isValidVatNumber(vatNumber) {
+    return typeof vatNumber === 'string' && /^[A-Z]{2}[0-9A-Z]{8,12}$/.test(vatNumber.replace(/\s/g, '').toUpperCase());
+  }
+
+  // Calculate per-line tax for a set of items shipped to an address
+  async calculateTax(items, address = {}, vatNumber = null) {
+    const rule = await this.resolveRule(address);
+    const pricesIncludeTax = Boolean(rule.pricesIncludeTax);
+    const exempt = Boolean(rule.b2bReverseCharge && this.isValidVatNumber(vatNumber));
+
+    const lines = items.map(item => {
+      const { rate, rateType } = this.rateForCategory(rule, item.category);
+      // Tax is charged on what the customer pays for the line after discounts
+      const discount = item.discountAmount || 0;
+      const gross = item.price * item.quantity - discount;
+      const net = pricesIncludeTax ? gross / (1 + rate / 100) : gross;
+      const amount = exempt ? 0 : (pricesIncludeTax ? gross - net : net * rate / 100);
+      // Exempt lines are charged net, so their discount is expressed net as well
+      const chargedDiscount = exempt && pricesIncludeTax ? discount / (1 + rate / 100) : discount;
+
+      return {
+        itemId: item.id,
+        category: item.category || null,
+        rate: exempt ? 0 : rate,
+        rateType: exempt ? 'exempt' : rateType,
+        inclusive: pricesIncludeTax,
+        // What the line costs before any tax is added on top
+        lineAmount: this.round(exempt || !pricesIncludeTax ? net : gross),
+        discountAmount: this.round(chargedDiscount),
+        netAmount: this.round(net),
+        amount: this.round(amount)
+      };
+    });
+
+    // Summarise lines by rate for display on summaries and invoices
+    const taxLines = Object.values(lines.reduce((acc, line) => {
+      const key = `${line.rateType}-${line.rate}`;
+      if (!acc[key]) {
+        acc[key] = { rate: line.rate, rateType: line.rateType, taxableAmount: 0, amount: 0 };
+      }
+      acc[key].taxableAmount = this.round(acc[key].taxableAmount + line.netAmount);
+      acc[key].amount = this.round(acc[key].amount + line.amount);
+      return acc;
+    }, {}));
+
+    return {
+      rule: {
+        id: rule._id ? rule._id.toString() : null,
+        name: rule.name,
+        country: rule.country,
+        region: rule.region
+      },
+      pricesIncludeTax,
+      exempt,
+      exemptReason: exempt ? 'reverse_charge' : null,
+      lines,
+      taxLines,
+      totalTax: this.round(lines.reduce((sum, line) => sum + line.amount, 0))
+    };
+  }
+
+  // Get tax rules for administration
+  async getRules(filters = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (filters.country) query.country = filters.country.toUpperCase();
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+    return this.db.collection('taxRules').find(query).sort({ country: 1, region: 1 }).toArray();
+  }
+
+  async getRuleById(id) {
+    await this.initialize();
+
+    return this.db.collection('taxRules').findOne({ _id: new ObjectId(id) });
+  }
+
+  async createRule(data) {
+    await this.initialize();
+
+    const rule = {
+      ...this.normalizeRule(data),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await this.db.collection('taxRules').insertOne(rule);
+    rule._id = result.insertedId;
+    this.invalidateRules();
+
+    return rule;
+  }
+
+  async updateRule(id, data) {
+    await this.initialize();
+
+    const rule = await this.db.collection('taxRules').findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...this.normalizeRule(data), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    this.invalidateRules();
+
+    return rule;
+  }
+
+  async deleteRule(id) {
+    await this.initialize();
+
+    const result = await this.db.collection('taxRules').deleteOne({ _id: new ObjectId(id) });
+    this.invalidateRules();
+
+    return result.deletedCount > 0;
+  }
+
+  normalizeRule(data) {
+    return {
+      ...data,
+      country: data.country.toUpperCase(),
+      region: data.region ? data.region.toUpperCase() : null
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,329 @@
+const { connectDB } = require('../config/database');
+const crypto = require('crypto');
+const orderLifecycleService = require('./orderLifecycleService');
+const reservationService = require('./reservationService');
+const warehouseService = require('./warehouseService');
+const stockLedgerService = require('./stockLedgerService');
+const { createHttpError } = require('../utils/httpError');
+
+class TransferService {
+  constructor() {
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('transfers').createIndex({ id: 1 }, { unique: true });
+      await this.db.collection('transfers').createIndex({ status: 1, createdAt: -1 });
+      await this.db.collection('transfers').createIndex({ from: 1, to: 1 });
+    }
+  }
+
+  async getTransfers({ status, from, to, page = 1, limit = 50 } = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (status) query.status = status;
+    if (from) query.from = from;
+    if (to) query.to = to;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [transfers, total] = await Promise.all([
+      this.db.collection('transfers')
+        .find(query, { projection: { _id: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .toArray(),
+      this.db.collection('transfers').countDocuments(query)
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  async getTransfer(transferId) {
+    await this.initialize();
+
+    const transfer = await this.db.collection('transfers').findOne({ id: transferId }, { projection: { _id: 0 } });
+
+    if (!transfer) {
+      throw createHttpError('Transfer not found', 404);
+    }
+
+    return transfer;
+  }
+
+  // Ask for stock to move between two warehouses; nothing moves until it is dispatched
+  async createTransfer({ from, to, items, notes }, actor) {
+    await this.initialize();
+    await reservationService.initialize();
+
+    if (from === to) {
+      throw createHttpError('A transfer needs two different warehouses', 400);
+    }
+    await warehouseService.requireActive(from);
+    await warehouseService.requireActive(to);
+
+    const lines = [];
+    for (const [index, line] of items.entries()) {
+      const source = await reservationService.findInventory(line.productId, line.variantId, from);
+
+      if (!source) {
+        throw createHttpError(`No stock record for product ${line.productId} in ${from}`, 400, { productId: line.productId, variantId: line.variantId || null });
+      }
+
+      lines.push({
+        lineId: `line-${index + 1}`,
+        productId: line.productId,
+        variantId: line.variantId || null,
+        sku: source.sku,
+        quantity: line.quantity,
+        sourceInventoryId: source._id,
+        destinationInventoryId: null,
+        receivedQuantity: null
+      });
+    }
+
+    const now = new Date();
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const transfer = {
+      id: `trf_${suffix}`,
+      transferNumber: `TRF-${suffix.toUpperCase()}`,
+      from,
+      to,
+      items: lines,
+      status: 'requested',
+      notes: notes || null,
+      carrier: null,
+      trackingNumber: null,
+      requestedBy: actor || 'system',
+      dispatchedAt: null,
+      receivedAt: null,
+      discrepancies: [],
+      statusHistory: [orderLifecycleService.historyEntry(null, 'requested', actor, notes)],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.collection('transfers').insertOne(transfer);
+    delete transfer._id;
+
+    console.log(`🚛 Transfer ${transfer.transferNumber} requested from ${from} to ${to}`);
+
+    return transfer;
+  }
+
+  async moveTransfer(transferId, from, to, actor, reason, extra = {}) {
+    const transfer = await this.db.collection('transfers').findOneAndUpdate(
+      { id: transferId, status: { $in: from } },
+      {
+        $set: { status: to, updatedAt: new Date(), ...extra },
+        $push: { statusHistory: orderLifecycleService.historyEntry(null, to, actor, reason) }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (!transfer) {
+      const existing = await this.getTransfer(transferId);
+      throw createHttpError(`Transfer is ${existing.status}; it cannot be moved to ${to}`, 409, { status: existing.status });
+    }
+
+    return transfer;
+  }
+
+  // Take the units out of the source warehouse and put them in transit to the destination
+  async dispatch(transferId, { carrier, trackingNumber } = {}, actor) {
+    await this.initialize();
+
+    const transfer = await this.moveTransfer(transferId, ['requested'], 'dispatching', actor, 'Dispatch started');
+    const inventory = this.db.collection('inventory');
+    const reference = { type: 'transfer', id: transfer.transferNumber };
+    const taken = [];
+
+    for (const line of transfer.items) {
+      // Only free stock can leave; units held for carts and orders stay put
+      const sent = await stockLedgerService.record(
+        line.sourceInventoryId,
+        { currentStock: -line.quantity, availableStock: -line.quantity },
+        { type: 'out', quantity: line.quantity, reason: 'transfer_out', reference, performedBy: actor, notes: `To ${transfer.to}` },
+        { guarded: true }
+      );
+
+      if (!sent) {
+        await this.putBack(transfer, taken, actor);
+        const source = await inventory.findOne({ _id: line.sourceInventoryId });
+        await this.moveTransfer(transferId, ['dispatching'], 'requested', actor, `Not enough free stock for ${line.sku}`);
+        throw createHttpError(
+          `Only ${Math.max(0, source ? source.availableStock : 0)} of ${line.sku} free in ${transfer.from}`,
+          409,
+          { lineId: line.lineId, available: Math.max(0, source ? source.availableStock : 0) }
+        );
+      }
+      taken.push(line);
+    }
+
+    // The destination shows the units as in transit, getting a record of its own if it has none yet
+    const items = [];
+    for (const line of transfer.items) {
+      const source = await inventory.findOne({ _id: line.sourceInventoryId });
+      const destination = await this.destinationRecord(source, transfer.to);
+      await stockLedgerService.record(
+        destination._id,
+        { inTransitStock: line.quantity },
+        { type: 'in_transit', quantity: line.quantity, reason: 'transfer_dispatched', reference, performedBy: actor, notes: `From ${transfer.from}` }
+      );
+      items.push({ ...line, destinationInventoryId: destination._id });
+    }
+
+    const dispatched = await this.moveTransfer(transferId, ['dispatching'], 'in_transit', actor, 'Dispatched', {
+      items,
+      carrier: carrier || null,
+      trackingNumber: trackingNumber || null,
+      dispatchedBy: actor || 'system',
+      dispatchedAt: new Date()
+    });
+
+    console.log(`🚛 Transfer ${transfer.transferNumber} dispatched from ${transfer.from} to ${transfer.to}`);
+
+    return dispatched;
+  }
+
+  // Undo the source movements of a dispatch that could not complete
+  async putBack(transfer, lines, actor) {
+    for (const line of lines) {
+      await stockLedgerService.record(
+        line.sourceInventoryId,
+        { currentStock: line.quantity, availableStock: line.quantity },
+        {
+          type: 'in',
+          quantity: line.quantity,
+          reason: 'transfer_reverted',
+          reference: { type: 'transfer', id: transfer.transferNumber },
+          performedBy: actor
+        }
+      );
+    }
+  }
+
+  // The destination's record for the same variant, created from the source's if it has none yet
+  async destinationRecord(source, warehouse) {
+    const filter = source.variantId
+      ? { variantId: source.variantId, 'location.warehouse': warehouse }
+      : { productId: source.productId, 'location.warehouse': warehouse };
+    const now = new Date();
+
+    return this.db.collection('inventory').findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          productId: source.productId,
+          variantId: source.variantId,
+          sku: source.sku,
+          currentStock: 0,
+          reservedStock: 0,
+          availableStock: 0,
+          inTransitStock: 0,
+          minStockLevel: source.minStockLevel,
+          maxStockLevel: source.maxStockLevel,
+          reorderPoint: source.reorderPoint,
+          reorderQuantity: source.reorderQuantity,
+          cost: source.cost,
+          sellingPrice: source.sellingPrice,
+          margin: source.margin,
+          supplier: source.supplier || {},
+          location: { warehouse },
+          status: 'active',
+          lastRestocked: null,
+          alerts: [],
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  // Book the units in at the destination; anything short is recorded as a discrepancy
+  async receive(transferId, { items = [], notes } = {}, actor) {
+    await this.initialize();
+
+    const current = await this.getTransfer(transferId);
+    const counted = new Map(items.map(line => [line.lineId, line.receivedQuantity]));
+
+    for (const [lineId, receivedQuantity] of counted) {
+      const line = current.items.find(entry => entry.lineId === lineId);
+
+      if (!line) {
+        throw createHttpError(`Line ${lineId} is not on this transfer`, 400);
+      }
+      if (receivedQuantity > line.quantity) {
+        throw createHttpError(`Only ${line.quantity} of ${line.sku} were sent`, 400);
+      }
+    }
+
+    // Lines that were not counted arrived in full
+    const lines = current.items.map(line => ({
+      ...line,
+      receivedQuantity: counted.has(line.lineId) ? counted.get(line.lineId) : line.quantity
+    }));
+    const discrepancies = lines
+      .filter(line => line.receivedQuantity < line.quantity)
+      .map(line => ({ lineId: line.lineId, sku: line.sku, sent: line.quantity, received: line.receivedQuantity }));
+
+    const transfer = await this.moveTransfer(transferId, ['in_transit'], 'received', actor, notes || 'Received', {
+      items: lines,
+      discrepancies,
+      receivedBy: actor || 'system',
+      receivedAt: new Date()
+    });
+
+    // One entry per line: the counted units arrive and the whole consignment leaves transit
+    for (const line of lines) {
+      await stockLedgerService.record(
+        line.destinationInventoryId,
+        {
+          currentStock: line.receivedQuantity,
+          availableStock: line.receivedQuantity,
+          inTransitStock: -line.quantity
+        },
+        {
+          type: 'in',
+          quantity: line.receivedQuantity,
+          reason: 'transfer_in',
+          reference: { type: 'transfer', id: transfer.transferNumber },
+          performedBy: actor,
+          notes: line.receivedQuantity < line.quantity ? `${line.quantity - line.receivedQuantity} short of ${line.quantity} sent` : null
+        },
+        { set: { lastRestocked: new Date() } }
+      );
+    }
+
+    if (discrepancies.length > 0) {
+      console.warn(`⚠️ Transfer ${transfer.transferNumber} arrived short on ${discrepancies.length} lines`);
+    }
+    console.log(`📦 Transfer ${transfer.transferNumber} received at ${transfer.to}`);
+
+    return transfer;
+  }
+
+  // Only transfers that have not left can be cancelled; stock in transit has to be received first
+  async cancel(transferId, reason, actor) {
+    await this.initialize();
+
+    return this.moveTransfer(transferId, ['requested'], 'cancelled', actor, reason, {
+      cancelledBy: actor || 'system',
+      cancelledAt: new Date()
+    });
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,259 @@
+const { connectDB } = require('../config/database');
+const { ObjectId } = require('mongodb');
+const { createHttpError } = require('../utils/httpError');
+
+// Inventory records created before warehouses existed all live here
+const DEFAULT_WAREHOUSE = 'main';
+
+class WarehouseService {
+  constructor() {
+    this.db = null;
+    this.warehouses = null;
+    this.warehousesLoadedAt = 0;
+    this.warehousesTimeout = 5 * 60 * 1000; // 5 minutes
+  }
+
+  async initialize() {
+    if (!this.db) {
+      this.db = await connectDB();
+      await this.db.collection('warehouses').createIndex({ code: 1 }, { unique: true });
+      await this.db.collection('inventory').createIndex({ variantId: 1, 'location.warehouse': 1 });
+      await this.db.collection('inventory').createIndex({ productId: 1, 'location.warehouse': 1 });
+
+      // Existing stock keeps resolving to a warehouse even before any are seeded
+      await this.db.collection('warehouses').updateOne(
+        { code: DEFAULT_WAREHOUSE },
+        {
+          $setOnInsert: {
+            code: DEFAULT_WAREHOUSE,
+            name: 'Main warehouse',
+            city: null,
+            region: null,
+            countries: ['*'],
+            states: [],
+            priority: 100,
+            isActive: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  get defaultWarehouse() {
+    return DEFAULT_WAREHOUSE;
+  }
+
+  // Load active warehouses, keeping them in memory between allocations
+  async getActiveWarehouses() {
+    await this.initialize();
+
+    if (!this.warehouses || Date.now() - this.warehousesLoadedAt > this.warehousesTimeout) {
+      this.warehouses = await this.db.collection('warehouses').find({ isActive: true }).toArray();
+      this.warehousesLoadedAt = Date.now();
+    }
+
+    return this.warehouses;
+  }
+
+  // Drop the in-memory warehouses so the next allocation sees admin changes
+  invalidateWarehouses() {
+    this.warehouses = null;
+  }
+
+  // Get warehouses for administration
+  async getWarehouses(filters = {}) {
+    await this.initialize();
+
+    const query = {};
+    if (filters.region) query.region = filters.region;
+    if (filters.country) query.countries = filters.country.toUpperCase();
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+    return this.db.collection('warehouses').find(query).sort({ priority: 1, code: 1 }).toArray();
+  }
+
+  async getWarehouseById(id) {
+    await this.initialize();
+
+    return this.db.collection('warehouses').findOne({ _id: new ObjectId(id) });
+  }
+
+  async getWarehouseByCode(code) {
+    await this.initialize();
+
+    return this.db.collection('warehouses').findOne({ code });
+  }
+
+  // Throw unless the code names an active warehouse
+  async requireActive(code) {
+    const warehouse = await this.getWarehouseByCode(code);
+
+    if (!warehouse) {
+      throw createHttpError(`Unknown warehouse ${code}`, 400);
+    }
+    if (!warehouse.isActive) {
+      throw createHttpError(`Warehouse ${code} is not active`, 400);
+    }
+
+    return warehouse;
+  }
+
+  async createWarehouse(data) {
+    await this.initialize();
+
+    if (await this.getWarehouseByCode(data.code)) {
+      throw createHttpError(`Warehouse ${data.code} already exists`, 409);
+    }
+
+    const warehouse = {
+      ...this.normalizeWarehouse(data),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await this.db.collection('warehouses').insertOne(warehouse);
+    warehouse._id = result.insertedId;
+    this.invalidateWarehouses();
+
+    return warehouse;
+  }
+
+  // The code is what inventory records point at, so it cannot be changed here
+  async updateWarehouse(id, data) {
+    await this.initialize();
+
+    const warehouse = await this.db.collection('warehouses').findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...this.normalizeWarehouse(data), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    this.invalidateWarehouses();
+
+    return warehouse;
+  }
+
+  // Only empty warehouses can go; anything holding stock should be deactivated instead
+  async deleteWarehouse(id) {
+    await this.initialize();
+
+    const warehouse = await this.getWarehouseById(id);
+    if (!warehouse) {
+      return false;
+    }
+
+    if (warehouse.code === DEFAULT_WAREHOUSE) {
+      throw createHttpError('The default warehouse cannot be deleted', 409);
+    }
+
+    const stocked = await this.db.collection('inventory').countDocuments({
+      'location.warehouse': warehouse.code,
+      $or: [{ currentStock: { $gt: 0 } }, { inTransitStock: { $gt: 0 } }]
+    });
+    if (stocked > 0) {
+      throw createHttpError(`Warehouse ${warehouse.code} still holds stock for ${stocked} records`, 409, { stocked });
+    }
+
+    const result = await this.db.collection('warehouses').deleteOne({ _id: warehouse._id });
+    this.invalidateWarehouses();
+
+    return result.deletedCount > 0;
+  }
+
+  // Order warehouse codes by how well they serve an address: a warehouse listing the
+  // country (and state, where it lists states) first, then one listing the country,
+  // then catch-all warehouses, then the rest; ties go to the lower priority number
+  async rankFor(address = {}) {
+    const warehouses = await this.getActiveWarehouses();
+    const country = address && address.country ? address.country.toUpperCase() : null;
+    const state = address && address.state ? address.state.toUpperCase() : null;
+
+    const tier = warehouse => {
+      const countries = warehouse.countries || [];
+      const states = warehouse.states || [];
+
+      if (country && countries.includes(country)) {
+        return states.length === 0 || (state && states.includes(state)) ? 0 : 1;
+      }
+      return countries.includes('*') ? 2 : 3;
+    };
+
+    return warehouses
+      .map(warehouse => ({ code: warehouse.code, tier: tier(warehouse), priority: warehouse.priority ?? 100 }))
+      .sort((a, b) => a.tier - b.tier || a.priority - b.priority)
+      .map(entry => entry.code);
+  }
+
+  // Stock for a product (or one variant) summed across warehouses, with the per-warehouse split
+  async getAvailability(productId, variantId = null) {
+    await this.initialize();
+
+    const match = { status: 'active' };
+    if (variantId) {
+      match.variantId = new ObjectId(variantId);
+    } else {
+      match.productId = ObjectId.isValid(productId)
+        ? { $in: [productId, new ObjectId(productId)] }
+        : productId;
+    }
+
+    const rows = await this.db.collection('inventory').aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $ifNull: ['$location.warehouse', DEFAULT_WAREHOUSE] },
+          currentStock: { $sum: '$currentStock' },
+          reservedStock: { $sum: '$reservedStock' },
+          availableStock: { $sum: '$availableStock' },
+          inTransitStock: { $sum: { $ifNull: ['$inTransitStock', 0] } },
+          records: { $sum: 1 }
+        }
+      },
+      { $sort: { availableStock: -1 } }
+    ]).toArray();
+
+    const warehouses = await this.db.collection('warehouses')
+      .find({ code: { $in: rows.map(row => row._id) } })
+      .toArray();
+    const byCode = new Map(warehouses.map(warehouse => [warehouse.code, warehouse]));
+
+    const byWarehouse = rows.map(row => ({
+      warehouse: row._id,
+      name: byCode.get(row._id)?.name || null,
+      city: byCode.get(row._id)?.city || null,
+      region: byCode.get(row._id)?.region || null,
+      isActive: byCode.get(row._id)?.isActive ?? false,
+      currentStock: row.currentStock,
+      reservedStock: row.reservedStock,
+      availableStock: row.availableStock,
+      inTransitStock: row.inTransitStock,
+      records: row.records
+    }));
+
+    const total = key => byWarehouse.reduce((sum, row) => sum + (row[key] || 0), 0);
+
+    return {
+      productId,
+      variantId: variantId || null,
+      currentStock: total('currentStock'),
+      reservedStock: total('reservedStock'),
+      // Only stock in active warehouses can be sold
+      availableStock: byWarehouse.filter(row => row.isActive).reduce((sum, row) => sum + row.availableStock, 0),
+      inTransitStock: total('inTransitStock'),
+      byWarehouse
+    };
+  }
+
+  normalizeWarehouse(data) {
+    const warehouse = { ...data };
+
+    if (data.countries) warehouse.countries = data.countries.map(country => country.toUpperCase());
+    if (data.states) warehouse.states = data.states.map(state => state.toUpperCase());
+
+    return warehouse;
+  }
+}
+
+module.exports = new WarehouseService();
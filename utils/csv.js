@@ -0,0 +1,76 @@
+/**
+ * CSV Utility
+ *
+ * Parses CSV text as exported by payment providers and spreadsheet apps
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content (a leading byte order mark is ignored)
+ * @param {string} [delimiter] - Field separator
+ * @returns {string[][]} Rows, each an array of field values; blank lines are skipped
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content with a header row
+ * @returns {{ headers: string[], records: Object[] }} Trimmed headers and one object per data row
+ */
+function parseCsvRecords(text) {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  return {
+    headers,
+    records: rows.map(fields => Object.fromEntries(headers.map((header, index) => [header, (fields[index] || '').trim()])))
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,115 @@
+/**
+ * Currency Utility
+ *
+ * Converts between decimal amounts and the minor units payment providers expect,
+ * and picks the currency a shopper's country pays in
+ */
+
+// ISO 4217 currencies without a fractional unit
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+// Euro area members
+const EURO_COUNTRIES = ['AT', 'BE', 'BG', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'];
+
+// Local currency of other countries we sell to, by ISO 3166 country code
+const COUNTRY_CURRENCIES = {
+  AU: 'AUD',
+  CA: 'CAD',
+  CH: 'CHF',
+  CZ: 'CZK',
+  DK: 'DKK',
+  GB: 'GBP',
+  HU: 'HUF',
+  JP: 'JPY',
+  NO: 'NOK',
+  NZ: 'NZD',
+  PL: 'PLN',
+  RO: 'RON',
+  SE: 'SEK',
+  US: 'USD'
+};
+
+/**
+ * Number of decimal places a currency is expressed in
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} 0 for zero-decimal currencies, otherwise 2
+ */
+function currencyDecimals(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(String(currency || '').toUpperCase()) ? 0 : 2;
+}
+
+/**
+ * Round an amount to the precision of its currency
+ * @param {number} amount - Decimal amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, currency) {
+  const factor = Math.pow(10, currencyDecimals(currency));
+  return Math.round((amount || 0) * factor) / factor;
+}
+
+/**
+ * Convert a decimal amount to minor units (cents)
+ * @param {number} amount - Decimal amount, e.g. 12.34
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Integer amount in minor units, e.g. 1234
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round((amount || 0) * Math.pow(10, currencyDecimals(currency)));
+}
+
+/**
+ * Convert minor units back to a decimal amount
+ * @param {number} minor - Integer amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Decimal amount
+ */
+function fromMinorUnits(minor, currency) {
+  return (minor || 0) / Math.pow(10, currencyDecimals(currency));
+}
+
+/**
+ * Format an amount as the decimal string APIs such as PayPal expect
+ * @param {number} amount - Decimal amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Amount with the currency's number of decimals, e.g. "12.30"
+ */
+function toDecimalString(amount, currency) {
+  return roundAmount(amount, currency).toFixed(currencyDecimals(currency));
+}
+
+/**
+ * Currency a country pays in
+ * @param {string} country - ISO 3166 alpha-2 country code
+ * @returns {string|null} ISO 4217 currency code, or null for countries without a known currency
+ */
+function currencyForCountry(country) {
+  const code = String(country || '').toUpperCase();
+
+  if (EURO_COUNTRIES.includes(code)) {
+    return 'EUR';
+  }
+
+  return COUNTRY_CURRENCIES[code] || null;
+}
+
+/**
+ * Format an amount for people to read, e.g. in messages
+ * @param {number} amount - Decimal amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. "€12.30"
+ */
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'EUR' }).format(amount || 0);
+}
+
+module.exports = {
+  currencyDecimals,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  toDecimalString,
+  currencyForCountry,
+  formatMoney
+};
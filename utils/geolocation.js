@@ -12,6 +12,7 @@ function getLocationFromIP(ip) {
     if (isLocalOrPrivateIP(ip)) {
       return {
         country: 'Greece',
+        countryCode: 'GR',
         region: 'Crete',
         city: 'Arkalochori',
         timezone: 'Europe/Athens',
@@ -26,6 +27,7 @@ function getLocationFromIP(ip) {
     if (!geo) {
       return {
         country: 'Unknown',
+        countryCode: null,
         region: 'Unknown',
         city: 'Unknown',
         timezone: 'Unknown',
@@ -37,6 +39,7 @@ function getLocationFromIP(ip) {
 
     return {
       country: geo.country || 'Unknown',
+      countryCode: geo.country || null,
       region: geo.region || 'Unknown',
       city: geo.city || 'Unknown',
       timezone: geo.timezone || 'Unknown',
@@ -48,6 +51,7 @@ function getLocationFromIP(ip) {
     console.error('Error getting geolocation:', error);
     return {
       country: 'Unknown',
+      countryCode: null,
       region: 'Unknown',
       city: 'Unknown',
       timezone: 'Unknown',
@@ -253,6 +257,15 @@ function getRealIP(req) {
          '127.0.0.1';
 }
 
+/**
+ * Get the ISO country code of the request's origin
+ * @param {Object} req - Express request object
+ * @returns {string|null} Two-letter country code, or null when it cannot be located
+ */
+function getCountryCode(req) {
+  return getLocationFromIP(getRealIP(req)).countryCode;
+}
+
 /**
  * Get comprehensive location and device data
  * @param {Object} req - Express request object
@@ -280,5 +293,6 @@ module.exports = {
   parseUserAgent,
   isLocalOrPrivateIP,
   getRealIP,
+  getCountryCode,
   getTrackingData
 };
@@ -0,0 +1,25 @@
+/**
+ * HTTP Error Utility
+ *
+ * Lets services fail with the status code a route should respond with
+ */
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code for the response
+ * @param {Object} [details] - Extra data returned to the client
+ * @returns {Error} Error with statusCode and details attached
+ */
+function createHttpError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+module.exports = {
+  createHttpError
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// How far a signed timestamp may drift from our clock before it is treated as a replay
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a webhook payload
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Shared signing secret
+ * @param {number} [timestamp] - Unix time in seconds (defaults to now)
+ * @returns {string} Signature header value in the form `t=<timestamp>,v1=<hex digest>`
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a webhook signature header against the raw body
+ * @param {string|Buffer} payload - Raw request body, exactly as received
+ * @param {string} header - Signature header value (`t=...,v1=...`)
+ * @param {string} secret - Shared signing secret
+ * @param {number} [toleranceSeconds] - Maximum age of the signed timestamp
+ * @returns {boolean} Whether the signature is valid and fresh
+ */
+function verifySignature(payload, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!header || !secret || payload === undefined) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    String(header).split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
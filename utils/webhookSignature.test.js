@@ -0,0 +1,57 @@
+const { signPayload, verifySignature } = require('./webhookSignature');
+
+const secret = 'whsec_test';
+const payload = JSON.stringify({ trackingNumber: '1Z999', status: 'in_transit' });
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('webhookSignature', () => {
+  it('accepts a fresh signature over the exact body', () => {
+    expect(verifySignature(payload, signPayload(payload, secret), secret)).toBe(true);
+  });
+
+  it('accepts a Buffer body signed as text', () => {
+    expect(verifySignature(Buffer.from(payload), signPayload(payload, secret), secret)).toBe(true);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const header = signPayload(payload, secret);
+
+    expect(verifySignature(payload.replace('in_transit', 'delivered'), header, secret)).toBe(false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    expect(verifySignature(payload, signPayload(payload, 'whsec_other'), secret)).toBe(false);
+  });
+
+  it('rejects a header whose timestamp was swapped for a fresh one', () => {
+    const old = signPayload(payload, secret, now() - 3600);
+    const digest = old.split('v1=')[1];
+
+    expect(verifySignature(payload, `t=${now()},v1=${digest}`, secret)).toBe(false);
+  });
+
+  it('accepts timestamps within the tolerance either side of our clock', () => {
+    expect(verifySignature(payload, signPayload(payload, secret, now() - 290), secret)).toBe(true);
+    expect(verifySignature(payload, signPayload(payload, secret, now() + 290), secret)).toBe(true);
+  });
+
+  it('rejects timestamps outside the tolerance', () => {
+    expect(verifySignature(payload, signPayload(payload, secret, now() - 310), secret)).toBe(false);
+    expect(verifySignature(payload, signPayload(payload, secret, now() + 310), secret)).toBe(false);
+  });
+
+  it('honours a custom tolerance', () => {
+    const header = signPayload(payload, secret, now() - 60);
+
+    expect(verifySignature(payload, header, secret, 30)).toBe(false);
+    expect(verifySignature(payload, header, secret, 120)).toBe(true);
+  });
+
+  it('rejects missing or malformed headers and a missing secret', () => {
+    expect(verifySignature(payload, undefined, secret)).toBe(false);
+    expect(verifySignature(payload, 'garbage', secret)).toBe(false);
+    expect(verifySignature(payload, `t=${now()}`, secret)).toBe(false);
+    expect(verifySignature(payload, `t=${now()},v1=abc`, secret)).toBe(false);
+    expect(verifySignature(payload, signPayload(payload, secret), undefined)).toBe(false);
+  });
+});